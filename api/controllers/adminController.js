@@ -0,0 +1,185 @@
+const { pool } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { DEFAULT_MAX_FILE_SIZE } = require('../middleware/upload');
+const { listJobs, getJob, retryJob } = require('../utils/job-queue');
+const { wakeEvidenceWorker } = require('../workers/evidenceWorker');
+
+const JOB_STATUSES = ['queued', 'running', 'submitted', 'completed', 'finalized', 'errored'];
+
+const parseJobId = (value) => {
+  const jobId = parseInt(value);
+  return Number.isInteger(jobId) && jobId > 0 ? jobId : null;
+};
+
+// List evidence jobs
+// Query parameters:
+// - status: filter by job status
+// - job_type: filter by job type
+// - stuck: true to only list errored, overdue or abandoned jobs
+// - limit: max jobs to return (default: 50, max: 500)
+const getJobs = async (req, res, next) => {
+  try {
+    const { status, job_type, stuck = 'false', limit = 50 } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return next(new APIError(`Invalid status. Must be one of: ${JOB_STATUSES.join(', ')}`, 400));
+    }
+
+    const limitNum = Math.min(500, Math.max(1, parseInt(limit) || 50));
+    const jobs = await listJobs({
+      status,
+      jobType: job_type,
+      stuck: stuck === 'true',
+      limit: limitNum
+    });
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: jobs,
+      filters: {
+        status: status || null,
+        job_type: job_type || null,
+        stuck: stuck === 'true'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    next(error);
+  }
+};
+
+// Get a job with every attempt and its error
+const getJobById = async (req, res, next) => {
+  try {
+    const jobId = parseJobId(req.params.id);
+    if (!jobId) {
+      return next(new APIError('Invalid job ID format', 400));
+    }
+
+    const job = await getJob(jobId);
+    if (!job) {
+      return next(new APIError('Job not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Error getting job:', error);
+    next(error);
+  }
+};
+
+// Re-drive a single job
+const retryJobById = async (req, res, next) => {
+  try {
+    const jobId = parseJobId(req.params.id);
+    if (!jobId) {
+      return next(new APIError('Invalid job ID format', 400));
+    }
+
+    const job = await retryJob(jobId);
+    if (!job) {
+      return next(new APIError('Job not found or already completed', 404));
+    }
+
+    wakeEvidenceWorker();
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      message: 'Job re-queued',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    next(error);
+  }
+};
+
+// Re-drive every stuck job
+const retryStuckJobs = async (req, res, next) => {
+  try {
+    const stuckJobs = await listJobs({ stuck: true, jobType: req.query.job_type, limit: 500 });
+    const requeued = [];
+
+    for (const stuckJob of stuckJobs) {
+      const job = await retryJob(stuckJob.id);
+      if (job) requeued.push(job.id);
+    }
+
+    wakeEvidenceWorker();
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      message: `${requeued.length} job(s) re-queued`,
+      data: {
+        requeued_job_ids: requeued
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrying stuck jobs:', error);
+    next(error);
+  }
+};
+
+// Set an organization's upload size limit. null falls back to the server
+// default (MAX_FILE_SIZE).
+const setOrganizationUploadLimit = async (req, res, next) => {
+  try {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(req.params.id)) {
+      return next(new APIError('Invalid organization ID format', 400));
+    }
+
+    const { max_upload_bytes } = req.body || {};
+    if (max_upload_bytes !== null && !(Number.isSafeInteger(max_upload_bytes) && max_upload_bytes > 0)) {
+      return next(new APIError('max_upload_bytes must be a positive integer or null', 400));
+    }
+
+    const result = await pool.query(
+      `UPDATE organizations SET max_upload_bytes = $2
+       WHERE id = $1
+       RETURNING id, name, max_upload_bytes`,
+      [req.params.id, max_upload_bytes]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new APIError('Organization not found', 404));
+    }
+
+    const organization = result.rows[0];
+    const limit = organization.max_upload_bytes ? parseInt(organization.max_upload_bytes) : DEFAULT_MAX_FILE_SIZE;
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      message: `Upload limit for ${organization.name} set to ${Math.round(limit / (1024 * 1024) * 100) / 100}MB`,
+      data: {
+        organization_id: organization.id,
+        max_upload_bytes: organization.max_upload_bytes ? parseInt(organization.max_upload_bytes) : null,
+        effective_max_upload_bytes: limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Error setting upload limit:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobById,
+  retryJobById,
+  retryStuckJobs,
+  setOrganizationUploadLimit
+};
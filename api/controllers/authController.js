@@ -0,0 +1,268 @@
+const { pool } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const {
+  SESSION_COOKIE,
+  verifyPassword,
+  generateApiKey,
+  signSessionToken,
+  findUserForLogin,
+  findUserPrincipal,
+  listMemberships
+} = require('../utils/auth');
+const { hasPermission, permissionsFor } = require('../utils/permissions');
+
+const sessionCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/'
+});
+
+// Shape of a principal returned to clients
+const principalResponse = (auth, memberships = []) => ({
+  type: auth.type,
+  user: auth.user,
+  organization: auth.organization,
+  permissions: permissionsFor(auth.organization.role),
+  api_key: auth.apiKey,
+  memberships
+});
+
+// Start a session scoped to one organization and send it to the client
+const sendSession = (res, user, principal, memberships, message) => {
+  const token = signSessionToken(user, principal.organization.id);
+
+  res.cookie(SESSION_COOKIE, token, sessionCookieOptions());
+
+  res.status(200).json({
+    success: true,
+    status: 'success',
+    message,
+    data: {
+      token,
+      expires_in: process.env.JWT_EXPIRES_IN || '7d',
+      ...principalResponse(principal, memberships)
+    }
+  });
+};
+
+// Log in with username (or email) and password.
+// Sets an httpOnly session cookie for the dashboard and also returns the
+// token for clients that prefer an Authorization header. The session starts
+// in the user's default organization (or the first one they belong to).
+const login = async (req, res, next) => {
+  try {
+    const { username, password } = req.body || {};
+
+    if (!username || typeof username !== 'string' || !password || typeof password !== 'string') {
+      return next(new APIError('Username and password are required', 400));
+    }
+
+    const user = await findUserForLogin(username.trim());
+
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return next(new APIError('Invalid username or password', 401));
+    }
+
+    const memberships = await listMemberships(user.id);
+
+    if (memberships.length === 0) {
+      return next(new APIError('Your account is not a member of any organization', 403));
+    }
+
+    const principal = await findUserPrincipal(user.id, memberships[0].id);
+    await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+
+    sendSession(res, user, principal, memberships, 'Logged in successfully');
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    next(error);
+  }
+};
+
+// Clear the session cookie
+const logout = (req, res) => {
+  res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+
+  res.status(200).json({
+    success: true,
+    status: 'success',
+    message: 'Logged out successfully'
+  });
+};
+
+// Get the authenticated principal and the user's organizations
+const getCurrentPrincipal = async (req, res, next) => {
+  try {
+    const memberships = req.auth.user ? await listMemberships(req.auth.user.id) : [];
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: principalResponse(req.auth, memberships)
+    });
+
+  } catch (error) {
+    console.error('Error getting current principal:', error);
+    next(error);
+  }
+};
+
+// Re-issue the session for another organization the user belongs to
+const switchOrganization = async (req, res, next) => {
+  try {
+    const { organization_id } = req.body || {};
+
+    if (req.auth.type !== 'session') {
+      return next(new APIError('API keys are bound to a single organization', 400));
+    }
+
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!organization_id || !uuidRegex.test(organization_id)) {
+      return next(new APIError('A valid organization_id is required', 400));
+    }
+
+    const principal = await findUserPrincipal(req.auth.user.id, organization_id);
+
+    if (!principal) {
+      return next(new APIError('You are not a member of this organization', 403));
+    }
+
+    const memberships = await listMemberships(req.auth.user.id);
+
+    sendSession(res, req.auth.user, principal, memberships, `Switched to ${principal.organization.name}`);
+
+  } catch (error) {
+    console.error('Error switching organization:', error);
+    next(error);
+  }
+};
+
+// List API keys (never the keys themselves). Admins see every key in the
+// organization, everyone else only their own.
+const getApiKeys = async (req, res, next) => {
+  try {
+    const canManage = hasPermission(req.auth.organization.role, 'api_keys:manage');
+
+    const result = await pool.query(
+      `SELECT k.id, k.name, k.key_prefix, k.last_used_at, k.expires_at, k.revoked_at, k.created_at,
+              u.username
+       FROM api_keys k
+       LEFT JOIN users u ON u.id = k.user_id
+       WHERE k.organization_id = $1
+         AND ($2::boolean OR k.user_id = $3)
+       ORDER BY k.created_at DESC`,
+      [req.auth.organization.id, canManage, req.auth.user ? req.auth.user.id : null]
+    );
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    next(error);
+  }
+};
+
+// Create an API key for the current user. The key is only returned once.
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, expires_in_days } = req.body || {};
+
+    if (!req.auth.user) {
+      return next(new APIError('API keys can only be created by a user account', 403));
+    }
+
+    // A leaked key must not be able to mint replacements for itself
+    if (req.auth.apiKey) {
+      return next(new APIError('API keys can only be created from a dashboard session', 403));
+    }
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return next(new APIError('Key name is required and must be a non-empty string', 400));
+    }
+
+    let expiresInDays = null;
+    if (expires_in_days !== undefined && expires_in_days !== null) {
+      expiresInDays = parseInt(expires_in_days);
+      if (!Number.isInteger(expiresInDays) || expiresInDays < 1) {
+        return next(new APIError('expires_in_days must be a positive integer', 400));
+      }
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+
+    const result = await pool.query(
+      `INSERT INTO api_keys (organization_id, user_id, name, key_prefix, key_hash, created_by_user_id, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $2,
+               CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + $6 * INTERVAL '1 day' END)
+       RETURNING id, name, key_prefix, expires_at, created_at`,
+      [req.auth.organization.id, req.auth.user.id, name.trim().substring(0, 255), prefix, hash, expiresInDays]
+    );
+
+    res.status(201).json({
+      success: true,
+      status: 'success',
+      message: 'API key created. Store it now, it will not be shown again.',
+      data: {
+        ...result.rows[0],
+        key
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    next(error);
+  }
+};
+
+// Revoke an API key: your own, or any in the organization for admins
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return next(new APIError('Invalid API key ID format', 400));
+    }
+
+    const canManage = hasPermission(req.auth.organization.role, 'api_keys:manage');
+
+    const result = await pool.query(
+      `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+       WHERE id = $1 AND organization_id = $2
+         AND ($3::boolean OR user_id = $4)
+       RETURNING id, name, key_prefix, revoked_at`,
+      [id, req.auth.organization.id, canManage, req.auth.user ? req.auth.user.id : null]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new APIError('API key not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      message: 'API key revoked',
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  login,
+  logout,
+  getCurrentPrincipal,
+  switchOrganization,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+};
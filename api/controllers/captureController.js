@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { APIError } = require('../middleware/errorHandler');
+const { UPLOAD_TMP_DIR, getUploadLimit } = require('../middleware/upload');
+const { parseCaptureManifest } = require('../utils/capture-manifest');
+const { parseCaptureMetadata } = require('../utils/capture-metadata');
+const { parseCaptureUrl, capturePage } = require('../utils/headless-capture');
+const { storeEvidence } = require('./pdfController');
+
+// Capture a URL in headless Chromium and store the PDF as evidence through
+// the upload path (storeEvidence), so it is fingerprinted like an upload.
+// request: the upload request it stands for (req.auth, plus
+// req.body.company_name and username as set by attributeUpload).
+// options: { evidenceId, timezone, manifestExtras, custodyDetails }; the
+// extras are added to the capture manifest and the 'uploaded' event.
+// Returns storeEvidence()'s result with the capture manifest.
+const captureAsEvidence = async (request, url, options = {}) => {
+  const capturedAt = new Date().toISOString();
+  const metadata = parseCaptureMetadata({
+    evidence_id: options.evidenceId || `PV_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+    source_url: url,
+    captured_at: capturedAt,
+    timezone: options.timezone || 'UTC'
+  });
+
+  const { pdf, manifest } = await capturePage(url, {
+    id: metadata.evidence_id,
+    organization: request.auth.organization.name,
+    user: request.body.username,
+    timestamp: capturedAt
+  });
+
+  const limit = await getUploadLimit(request.auth.organization.id);
+  if (pdf.length > limit) {
+    throw new APIError(`The capture (${pdf.length} bytes) exceeds the organization's upload limit of ${limit} bytes`, 413);
+  }
+
+  const hash = crypto.createHash('sha256').update(pdf).digest('hex');
+  await fs.promises.mkdir(UPLOAD_TMP_DIR, { recursive: true });
+  const spoolFile = path.join(UPLOAD_TMP_DIR, `capture-${uuidv4()}.pdf`);
+  await fs.promises.writeFile(spoolFile, pdf);
+
+  try {
+    const result = await storeEvidence(request, {
+      path: spoolFile,
+      originalname: `ProofVault_${metadata.evidence_id.replace(/[^\w.-]/g, '_')}.pdf`,
+      size: pdf.length,
+      hash,
+      expectedHash: null,
+      captureManifest: parseCaptureManifest({
+        ...manifest,
+        evidence_id: metadata.evidence_id,
+        captured_at: metadata.captured_at,
+        timezone: metadata.timezone,
+        pdf_sha256: hash,
+        ...options.manifestExtras
+      }),
+      captureMetadata: metadata,
+      artifacts: [],
+      custodyDetails: options.custodyDetails
+    });
+
+    return { ...result, manifest };
+  } finally {
+    await fs.promises.unlink(spoolFile).catch(() => {});
+  }
+};
+
+// Capture a URL server-side and store it as evidence of the caller's
+// organization, attributed like an upload
+// Body: { url, evidence_id?, timezone? }
+const captureUrl = async (req, res, next) => {
+  try {
+    const url = parseCaptureUrl(req.body.url);
+
+    const result = await captureAsEvidence(req, url, {
+      evidenceId: req.body.evidence_id,
+      timezone: req.body.timezone,
+      custodyDetails: { captured_by: 'server' }
+    });
+
+    if (result.statusCode === 201) {
+      result.body.message = 'Page captured (Digital Evidence submission queued)';
+      result.body.data.final_url = result.manifest.http ? result.manifest.http.final_url : result.manifest.page.url;
+      result.body.data.http_status = result.manifest.http ? result.manifest.http.status : null;
+    }
+
+    res.status(result.statusCode).json(result.body);
+
+  } catch (error) {
+    console.error('Error capturing URL:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  captureAsEvidence,
+  captureUrl
+};
@@ -0,0 +1,308 @@
+const { pool } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { ROLES } = require('../utils/permissions');
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// The role_audit_log trigger reads the acting user and reason from these
+// transaction-local settings
+const setRoleChangeContext = async (client, req) => {
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().substring(0, 1000) : '';
+
+  await client.query(
+    `SELECT set_config('proofvault.actor_user_id', $1, true),
+            set_config('proofvault.change_reason', $2, true)`,
+    [req.auth.user ? req.auth.user.id : '', reason]
+  );
+};
+
+// Refuse to leave an organization without an admin. Locks the admin rows
+// so concurrent demotions can't both pass the check.
+const ensureAnotherAdmin = async (client, organizationId, userId) => {
+  const result = await client.query(
+    `SELECT user_id FROM memberships
+     WHERE organization_id = $1 AND role = 'admin'
+     FOR UPDATE`,
+    [organizationId]
+  );
+
+  return result.rows.some(row => row.user_id !== userId);
+};
+
+const validateRole = (role) => typeof role === 'string' && ROLES.includes(role);
+
+// List members of the caller's organization
+const getMembers = async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.id AS user_id, u.username, u.email, u.display_name, u.is_active, u.last_login_at,
+              m.role, m.created_at AS member_since, m.updated_at AS role_updated_at
+       FROM memberships m
+       JOIN users u ON u.id = m.user_id
+       WHERE m.organization_id = $1
+       ORDER BY u.username`,
+      [req.auth.organization.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: result.rows,
+      roles: ROLES
+    });
+
+  } catch (error) {
+    console.error('Error listing members:', error);
+    next(error);
+  }
+};
+
+// Add an existing user to the caller's organization
+// Body: { username, role, reason? } (username may also be the account email)
+const addMember = async (req, res, next) => {
+  try {
+    const { username, role = 'viewer' } = req.body || {};
+
+    if (!username || typeof username !== 'string') {
+      return next(new APIError('Username is required', 400));
+    }
+
+    if (!validateRole(role)) {
+      return next(new APIError(`Invalid role. Must be one of: ${ROLES.join(', ')}`, 400));
+    }
+
+    const userResult = await pool.query(
+      'SELECT id, username FROM users WHERE (username = $1 OR LOWER(email) = LOWER($1)) AND is_active',
+      [username.trim()]
+    );
+
+    if (userResult.rows.length === 0) {
+      return next(new APIError('User not found', 404));
+    }
+
+    const user = userResult.rows[0];
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await setRoleChangeContext(client, req);
+
+      const result = await client.query(
+        `INSERT INTO memberships (organization_id, user_id, role)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (organization_id, user_id) DO NOTHING
+         RETURNING user_id, role, created_at AS member_since`,
+        [req.auth.organization.id, user.id, role]
+      );
+
+      await client.query('COMMIT');
+      client.release();
+
+      if (result.rows.length === 0) {
+        return next(new APIError('User is already a member of this organization', 409));
+      }
+
+      res.status(201).json({
+        success: true,
+        status: 'success',
+        message: `${user.username} added as ${role}`,
+        data: { ...result.rows[0], username: user.username }
+      });
+
+    } catch (dbError) {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+      throw dbError;
+    }
+
+  } catch (error) {
+    console.error('Error adding member:', error);
+    next(error);
+  }
+};
+
+// Change a member's role
+// Body: { role, reason? }
+const changeMemberRole = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body || {};
+    const organizationId = req.auth.organization.id;
+
+    if (!uuidRegex.test(userId)) {
+      return next(new APIError('Invalid user ID format', 400));
+    }
+
+    if (!validateRole(role)) {
+      return next(new APIError(`Invalid role. Must be one of: ${ROLES.join(', ')}`, 400));
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT role FROM memberships WHERE organization_id = $1 AND user_id = $2 FOR UPDATE',
+        [organizationId, userId]
+      );
+
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('Member not found', 404));
+      }
+
+      const oldRole = current.rows[0].role;
+
+      if (oldRole === 'admin' && role !== 'admin' && !(await ensureAnotherAdmin(client, organizationId, userId))) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('An organization must keep at least one admin', 409));
+      }
+
+      await setRoleChangeContext(client, req);
+
+      const result = await client.query(
+        `UPDATE memberships SET role = $1
+         WHERE organization_id = $2 AND user_id = $3
+         RETURNING user_id, role, updated_at AS role_updated_at`,
+        [role, organizationId, userId]
+      );
+
+      await client.query('COMMIT');
+      client.release();
+
+      res.status(200).json({
+        success: true,
+        status: 'success',
+        message: oldRole === role ? 'Role unchanged' : `Role changed from ${oldRole} to ${role}`,
+        data: { ...result.rows[0], previous_role: oldRole }
+      });
+
+    } catch (dbError) {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+      throw dbError;
+    }
+
+  } catch (error) {
+    console.error('Error changing member role:', error);
+    next(error);
+  }
+};
+
+// Remove a member from the caller's organization
+// Body: { reason? }
+const removeMember = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const organizationId = req.auth.organization.id;
+
+    if (!uuidRegex.test(userId)) {
+      return next(new APIError('Invalid user ID format', 400));
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT role FROM memberships WHERE organization_id = $1 AND user_id = $2 FOR UPDATE',
+        [organizationId, userId]
+      );
+
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('Member not found', 404));
+      }
+
+      if (current.rows[0].role === 'admin' && !(await ensureAnotherAdmin(client, organizationId, userId))) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('An organization must keep at least one admin', 409));
+      }
+
+      await setRoleChangeContext(client, req);
+
+      await client.query(
+        'DELETE FROM memberships WHERE organization_id = $1 AND user_id = $2',
+        [organizationId, userId]
+      );
+
+      await client.query('COMMIT');
+      client.release();
+
+      res.status(200).json({
+        success: true,
+        status: 'success',
+        message: 'Member removed',
+        data: { user_id: userId, previous_role: current.rows[0].role }
+      });
+
+    } catch (dbError) {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+      throw dbError;
+    }
+
+  } catch (error) {
+    console.error('Error removing member:', error);
+    next(error);
+  }
+};
+
+// Role audit log for the caller's organization
+// Query parameters:
+// - user_id: only changes to this member
+// - limit: max entries to return (default: 100, max: 1000)
+const getRoleAuditLog = async (req, res, next) => {
+  try {
+    const { user_id, limit = 100 } = req.query;
+    const params = [req.auth.organization.id];
+    let userFilter = '';
+
+    if (user_id) {
+      if (!uuidRegex.test(user_id)) {
+        return next(new APIError('Invalid user ID format', 400));
+      }
+      params.push(user_id);
+      userFilter = `AND l.user_id = $${params.length}`;
+    }
+
+    params.push(Math.min(1000, Math.max(1, parseInt(limit) || 100)));
+
+    const result = await pool.query(
+      `SELECT l.id, l.action, l.old_role, l.new_role, l.reason, l.created_at,
+              l.user_id, u.username,
+              l.changed_by_user_id, actor.username AS changed_by_username
+       FROM role_audit_log l
+       LEFT JOIN users u ON u.id = l.user_id
+       LEFT JOIN users actor ON actor.id = l.changed_by_user_id
+       WHERE l.organization_id = $1 ${userFilter}
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error getting role audit log:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getMembers,
+  addMember,
+  changeMemberRole,
+  removeMember,
+  getRoleAuditLog
+};
@@ -1,431 +1,1998 @@
 const { pool } = require('../config/database');
 const { APIError } = require('../middleware/errorHandler');
 const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
 const digitalEvidenceClient = require('../utils/digital-evidence-client');
+const { enqueueJob } = require('../utils/job-queue');
+const {
+  toVerificationStatus,
+  refreshFingerprintStatus,
+  getFingerprintStatusHistory
+} = require('../utils/fingerprint-status');
+const { wakeEvidenceWorker } = require('../workers/evidenceWorker');
+const { hasPermission } = require('../utils/permissions');
+const { recordCustodyEvent, getCustodyTimeline } = require('../utils/custody-log');
+const { blobKeyForHash, getBlobStorage } = require('../utils/blob-storage');
+const { getUploadLimit } = require('../middleware/upload');
+const {
+  canonicalJson,
+  computeManifestHash,
+  parseCaptureManifest,
+  evidenceDocumentRef
+} = require('../utils/capture-manifest');
+const { parseCaptureMetadata, insertCapture } = require('../utils/capture-metadata');
+const {
+  ARTIFACT_KINDS,
+  artifactHashesSql,
+  parseArtifactUploadIds,
+  findLinkableArtifacts,
+  moveArtifactsToStorage,
+  linkArtifacts,
+  cleanUpArtifactSpools,
+  listArtifacts,
+  purgeArtifacts
+} = require('../utils/evidence-artifacts');
+const {
+  UPLOAD_CHUNK_SIZE,
+  UPLOAD_SESSION_TTL_HOURS,
+  spoolPath,
+  createSpoolFile,
+  writeChunk,
+  hashSpoolFile,
+  removeSpoolFile,
+  expireUploadSessions
+} = require('../utils/upload-sessions');
+const {
+  HEADLINE_OPTIONS,
+  searchQuerySql,
+  searchRankSql,
+  searchColumnsSql,
+  highlightSnippet
+} = require('../utils/evidence-text');
+const {
+  COUNT_MODES,
+  encodeCursor,
+  decodeCursor,
+  keysetOrderBy,
+  keysetCondition,
+  estimateRowCount
+} = require('../utils/list-pagination');
+const {
+  getPublicVerifyUrl,
+  buildCertificateStatement,
+  signCertificateStatement,
+  renderCertificatePdf,
+  createCertificateId
+} = require('../utils/certificate');
+const { diffPdfText, diffScreenshots, renderScreenshotDiff } = require('../utils/evidence-diff');
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Soft-deleted records are only visible to roles that may review deletions
+const canReadDeleted = (req) => hasPermission(req.auth.organization.role, 'evidence:read_deleted');
+
+// Reason for a deletion, purge or legal hold, from the body or query string
+const readReason = (req) => {
+  const reason = (req.body && req.body.reason) || req.query.reason;
+  return typeof reason === 'string' ? reason.trim().substring(0, 1000) : '';
+};
+
+// Lock a record of the caller's organization for a lifecycle change
+const lockRecord = async (client, req) => {
+  const result = await client.query(
+    `SELECT id, pdf_filename, pdf_hash, company_name, username, deleted_at, purged_at,
+            legal_hold, legal_hold_reason, storage_backend, storage_key
+     FROM pdf_records
+     WHERE id = $1 AND organization_id = $2
+     FOR UPDATE`,
+    [req.params.id, req.auth.organization.id]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Blobs are shared by every organization holding the same PDF. Storing a
+// blob and committing its record, and purging it, hold this lock on its key
+// so a purge never removes a blob another upload is about to reference.
+// Session-level, as both span blob operations outside their transaction;
+// unlock before releasing the client.
+const lockBlob = (client, storageKey) => client.query('SELECT pg_advisory_lock(hashtext($1))', [storageKey]);
+const unlockBlob = (client, storageKey) => client.query('SELECT pg_advisory_unlock(hashtext($1))', [storageKey]);
+
+// The PDF's SHA-256 is its entity tag: content-addressed, so it never
+// changes for a record
+const pdfEtag = (record) => `"${record.pdf_hash}"`;
+
+// Size of a record's PDF wherever it is stored
+const pdfContentSize = (record) => record.storage_key
+  ? parseInt(record.file_size)
+  : record.pdf_data.length;
+
+// Resolve conditional and Range headers of a download of `size` bytes
+// tagged `etag` into { status: 200 | 206 | 304 | 416, size, range }. Only
+// single ranges are served; anything else gets the whole file.
+const negotiateDownload = (req, etag, size) => {
+  const ifNoneMatch = req.get('if-none-match');
+  if (ifNoneMatch) {
+    const tags = ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (tags.includes('*') || tags.includes(etag)) {
+      return { status: 304, size };
+    }
+  }
+
+  const ifRange = req.get('if-range');
+  if (!req.get('range') || (ifRange && ifRange !== etag)) {
+    return { status: 200, size };
+  }
+
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) {
+    return { status: 416, size };
+  }
+  if (ranges === -2 || ranges.type !== 'bytes' || ranges.length !== 1) {
+    return { status: 200, size };
+  }
+
+  return { status: 206, size, range: { start: ranges[0].start, end: ranges[0].end } };
+};
+
+// Send a record's PDF, or the negotiated range of it, from blob storage or
+// from pdf_data for rows that haven't been moved yet
+// (scripts/migrate-pdf-storage.js)
+const sendPdfContent = async (res, record, { status, size, range }) => {
+  res.setHeader('ETag', pdfEtag(record));
+  res.setHeader('Accept-Ranges', 'bytes');
+
+  if (status === 304) {
+    return res.status(304).end();
+  }
+
+  let content;
+  if (record.storage_key) {
+    // Opened before any header is set, so a missing blob still gets a JSON error
+    content = await getBlobStorage(record.storage_backend).get(record.storage_key, range);
+  } else {
+    content = range ? record.pdf_data.subarray(range.start, range.end + 1) : record.pdf_data;
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${record.pdf_filename}"`);
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.setHeader('Content-Length', size);
+  }
+
+  if (Buffer.isBuffer(content)) {
+    return res.end(content);
+  }
+
+  await pipeline(content, res);
+};
+
+// Store a received PDF as an evidence record with its submission job.
+// The organization's record of a PDF, if it already holds one; other
+// organizations may hold it too
+const findExistingEvidence = (client, organizationId, pdfHash) => client.query(
+  `SELECT id, pdf_filename, company_name, username, created_at, deleted_at FROM pdf_records
+   WHERE organization_id = $1 AND pdf_hash = $2`,
+  [organizationId, pdfHash]
+);
+
+// 409 for a PDF the organization already holds, pointing at its record
+const duplicateEvidenceResponse = (existing) => ({
+  statusCode: 409,
+  body: {
+    success: false,
+    status: 'error',
+    message: existing.deleted_at
+      ? 'PDF file was already captured and has since been deleted'
+      : 'PDF file already exists',
+    data: {
+      existing_record: {
+        id: existing.id,
+        filename: existing.pdf_filename,
+        company_name: existing.company_name,
+        username: existing.username,
+        created_at: existing.created_at,
+        deleted_at: existing.deleted_at
+      }
+    }
+  }
+});
+
+// file: { path, originalname, size, hash, expectedHash, captureManifest,
+// captureMetadata, artifacts, custodyDetails } of a spooled upload;
+// expectedHash is the client's hash, already checked against hash,
+// captureManifest a parseCaptureManifest() result, captureMetadata a
+// parseCaptureMetadata() result, artifacts the findLinkableArtifacts()
+// uploads to link and custodyDetails extra details of the 'uploaded' event.
+// A null path means the bytes are already in storage (a retried finalize).
+// Returns the response to send: 201 with the record, or 409 for a duplicate.
+// Also used by the monitor worker (workers/watchScheduler.js).
+const storeEvidence = async (req, file) => {
+  // Set from req.auth by attributeUpload, not taken from the client
+  const { company_name, username } = req.body;
+  const fileHash = file.hash;
+  const organizationId = req.auth.organization.id;
+  const storageKey = blobKeyForHash(fileHash);
+  const client = await pool.connect();
+  let blobLocked = false;
+
+  try {
+    // Check if the organization already holds a PDF with the same hash
+    const existingPDF = await findExistingEvidence(client, organizationId, fileHash);
+
+    if (existingPDF.rows.length > 0) {
+      client.release();
+      return duplicateEvidenceResponse(existingPDF.rows[0]);
+    }
+
+    // Generate file_id in format "company-year-month"
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = now.toLocaleString('en-US', { month: 'long' });
+    const file_id = `${company_name}-${year}-${month}`;
+
+    // Generate a UUID for the record
+    const recordId = uuidv4();
+
+    // Store the bytes first; the blob is content-addressed (shared with
+    // other organizations holding the same PDF), so a failed insert at
+    // worst leaves a blob a retried upload will overwrite
+    const storage = getBlobStorage();
+    await lockBlob(client, storageKey);
+    blobLocked = true;
+    if (file.path) {
+      await storage.putFile(storageKey, file.path, 'application/pdf');
+    } else if (await storage.size(storageKey) !== file.size) {
+      throw new APIError('The uploaded bytes are gone; upload the file again', 410);
+    }
+    const storedArtifacts = await moveArtifactsToStorage(file.artifacts || []);
+
+    // Insert the record, its artifacts and its submission job together, so
+    // an upload can never end up without a pending Digital Evidence
+    // submission covering everything it consists of
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO pdf_records (id, organization_id, company_name, username, pdf_filename, pdf_hash, file_size,
+                                storage_backend, storage_key, file_id, client_expected_hash,
+                                capture_manifest, capture_manifest_hash,
+                                blockchain_status, uploaded_by_user_id, uploaded_via_api_key_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'queued', $14, $15)
+       RETURNING id, organization_id, company_name, username, pdf_filename, pdf_hash, client_expected_hash,
+                 capture_manifest_hash, file_size, created_at, file_id`,
+      [
+        recordId, organizationId, company_name, username, file.originalname, fileHash, file.size,
+        storage.name, storageKey, file_id, file.expectedHash || null,
+        file.captureManifest ? JSON.stringify(file.captureManifest.manifest) : null,
+        file.captureManifest ? file.captureManifest.hash : null,
+        req.auth.user ? req.auth.user.id : null,
+        req.auth.apiKey ? req.auth.apiKey.id : null
+      ]
+    );
+
+    const capture = file.captureMetadata
+      ? await insertCapture(client, recordId, organizationId, file.captureMetadata)
+      : null;
+    const artifacts = await linkArtifacts(client, recordId, organizationId, storedArtifacts);
+
+    const job = await enqueueJob(client, recordId, 'submit_fingerprint');
+    // Text for GET /api/pdf/list?q=, extracted off the request path
+    await enqueueJob(client, recordId, 'extract_text');
+
+    await recordCustodyEvent(client, req, recordId, 'uploaded', {
+      filename: file.originalname,
+      file_size: file.size,
+      pdf_hash: fileHash,
+      client_expected_hash: file.expectedHash || null,
+      capture_manifest_hash: file.captureManifest ? file.captureManifest.hash : null,
+      evidence_id: capture ? capture.evidence_id : null,
+      artifacts: artifacts.map(({ kind, sha256 }) => ({ kind, sha256 })),
+      ...file.custodyDetails
+    });
+
+    await client.query('COMMIT');
+    await unlockBlob(client, storageKey);
+    client.release();
+    await cleanUpArtifactSpools(storedArtifacts);
+
+    const newRecord = result.rows[0];
+
+    // Submission happens in the background; don't make the client wait on the external API
+    wakeEvidenceWorker();
+
+    return {
+      statusCode: 201,
+      record: newRecord,
+      body: {
+        success: true,
+        status: 'success',
+        message: 'PDF uploaded successfully (Digital Evidence submission queued)',
+        data: {
+          id: newRecord.id,
+          organization_id: newRecord.organization_id,
+          company_name: newRecord.company_name,
+          username: newRecord.username,
+          filename: newRecord.pdf_filename,
+          pdf_hash: newRecord.pdf_hash,
+          client_expected_hash: newRecord.client_expected_hash,
+          capture_manifest_hash: newRecord.capture_manifest_hash,
+          evidence_id: capture ? capture.evidence_id : null,
+          source_url: capture ? capture.source_url : null,
+          captured_at: capture ? capture.captured_at : null,
+          capture_timezone: capture ? capture.capture_timezone : null,
+          artifacts: artifacts.map(artifact => ({ ...artifact, file_size: parseInt(artifact.file_size) })),
+          fingerprint_document_ref: evidenceDocumentRef(newRecord.pdf_hash, newRecord.capture_manifest_hash, artifacts),
+          file_size: newRecord.file_size,
+          status: 'queued',
+          blockchain_status: 'queued',
+          job_id: job.id,
+          created_at: newRecord.created_at,
+          received_at: newRecord.created_at,
+          file_id: newRecord.file_id
+        }
+      }
+    };
+
+  } catch (dbError) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (blobLocked) {
+      await unlockBlob(client, storageKey).catch(() => {});
+    }
+
+    // A concurrent upload of the same PDF committed first
+    if (dbError.code === '23505' && dbError.constraint === 'idx_pdf_records_organization_hash') {
+      try {
+        const existingPDF = await findExistingEvidence(client, organizationId, fileHash);
+        if (existingPDF.rows.length > 0) {
+          return duplicateEvidenceResponse(existingPDF.rows[0]);
+        }
+      } finally {
+        client.release();
+      }
+    } else {
+      client.release();
+    }
+    throw dbError;
+  }
+};
+
+// Upload PDF file
+const uploadPDF = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new APIError('No file uploaded', 400));
+    }
+
+    // Multipart field holding the manifest as JSON
+    const captureManifest = parseCaptureManifest(req.body.capture_manifest);
+    const captureMetadata = parseCaptureMetadata(req.body);
+    const artifacts = await findLinkableArtifacts(req, parseArtifactUploadIds(req.body.artifact_upload_ids));
+
+    const result = await storeEvidence(req, {
+      path: req.file.path,
+      originalname: req.file.originalname,
+      size: req.file.size,
+      hash: req.fileHash,
+      expectedHash: req.expectedHash,
+      captureManifest,
+      captureMetadata,
+      artifacts
+    });
+
+    res.status(result.statusCode).json(result.body);
+
+  } catch (error) {
+    console.error('Error uploading PDF:', error);
+    next(error);
+  }
+};
+
+// Upload session as returned to clients
+const uploadSessionResponse = (session) => ({
+  upload_id: session.id,
+  filename: session.filename,
+  total_size: parseInt(session.total_size),
+  received_bytes: parseInt(session.received_bytes),
+  expected_hash: session.expected_hash,
+  capture_manifest_hash: session.capture_manifest ? computeManifestHash(session.capture_manifest) : null,
+  capture_metadata: session.capture_metadata,
+  artifact_kind: session.artifact_kind,
+  sha256: session.received_hash,
+  chunk_size: UPLOAD_CHUNK_SIZE,
+  status: session.status,
+  record_id: session.record_id,
+  error_message: session.error_message,
+  expires_at: session.expires_at,
+  created_at: session.created_at
+});
+
+// Upload session of the caller (sessions belong to the user or API key
+// that opened them)
+const findUploadSession = async (req) => {
+  if (!uuidRegex.test(req.params.uploadId)) {
+    throw new APIError('Invalid upload ID format', 400);
+  }
+
+  const result = await pool.query(
+    `SELECT * FROM upload_sessions
+     WHERE id = $1 AND organization_id = $2
+       AND user_id IS NOT DISTINCT FROM $3 AND api_key_id IS NOT DISTINCT FROM $4`,
+    [
+      req.params.uploadId,
+      req.auth.organization.id,
+      req.auth.user ? req.auth.user.id : null,
+      req.auth.apiKey ? req.auth.apiKey.id : null
+    ]
+  );
+
+  if (result.rows.length === 0) {
+    throw new APIError('Upload session not found', 404);
+  }
+
+  return result.rows[0];
+};
+
+// Open a resumable upload session
+// Body: { filename, size, expected_hash, capture_manifest, evidence_id,
+// source_url, captured_at, timezone, artifact_kind } - expected_hash
+// (optional) commits to the file's SHA-256 before any byte is sent; the
+// capture manifest and metadata (optional) are stored with the record on
+// completion. With artifact_kind the upload is an artifact for a PDF
+// upload to link (see utils/evidence-artifacts.js).
+const createUploadSession = async (req, res, next) => {
+  try {
+    const { filename, size, expected_hash, artifact_kind } = req.body || {};
+    const captureManifest = parseCaptureManifest(req.body && req.body.capture_manifest);
+    const captureMetadata = parseCaptureMetadata(req.body || {});
+
+    if (expected_hash !== undefined && expected_hash !== null && !/^[0-9a-fA-F]{64}$/.test(expected_hash)) {
+      return next(new APIError('expected_hash must be the 64 character hex SHA-256 of the file', 400));
+    }
+
+    if (artifact_kind !== undefined && artifact_kind !== null) {
+      const kind = ARTIFACT_KINDS[artifact_kind];
+      if (!kind) {
+        return next(new APIError(`artifact_kind must be one of: ${Object.keys(ARTIFACT_KINDS).join(', ')}`, 400));
+      }
+      if (typeof filename !== 'string' || !kind.extensions.some(ext => filename.trim().toLowerCase().endsWith(ext))) {
+        return next(new APIError(`filename must be the name of a ${kind.extensions.join(' or ')} file`, 400));
+      }
+      if (captureManifest || captureMetadata) {
+        return next(new APIError('The capture manifest and metadata belong to the PDF upload, not to its artifacts', 400));
+      }
+    } else if (typeof filename !== 'string' || !filename.trim().toLowerCase().endsWith('.pdf')) {
+      return next(new APIError('filename must be the name of a .pdf file', 400));
+    }
+    if (!Number.isSafeInteger(size) || size <= 0) {
+      return next(new APIError('size must be the file size in bytes', 400));
+    }
+
+    const limit = await getUploadLimit(req.auth.organization.id);
+    if (size > limit) {
+      return next(new APIError(`File size exceeds the maximum limit of ${Math.round(limit / (1024 * 1024) * 100) / 100}MB`, 413));
+    }
+
+    // Sessions abandoned by other clients are cleaned up as new ones open
+    await expireUploadSessions();
+
+    const result = await pool.query(
+      `INSERT INTO upload_sessions (organization_id, user_id, api_key_id, filename, total_size, expected_hash,
+                                    capture_manifest, capture_metadata, artifact_kind, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + make_interval(hours => $10))
+       RETURNING *`,
+      [
+        req.auth.organization.id,
+        req.auth.user ? req.auth.user.id : null,
+        req.auth.apiKey ? req.auth.apiKey.id : null,
+        path.basename(filename.trim()).substring(0, 255),
+        size,
+        expected_hash ? expected_hash.toLowerCase() : null,
+        captureManifest ? JSON.stringify(captureManifest.manifest) : null,
+        captureMetadata ? JSON.stringify(captureMetadata) : null,
+        artifact_kind || null,
+        UPLOAD_SESSION_TTL_HOURS
+      ]
+    );
+    const session = result.rows[0];
+
+    await createSpoolFile(session.id);
+
+    res.status(201).json({
+      success: true,
+      status: 'success',
+      message: 'Upload session created',
+      data: uploadSessionResponse(session)
+    });
+
+  } catch (error) {
+    console.error('Error creating upload session:', error);
+    next(error);
+  }
+};
+
+// Get an upload session, e.g. to find the offset to resume from
+const getUploadSession = async (req, res, next) => {
+  try {
+    const session = await findUploadSession(req);
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: uploadSessionResponse(session)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Receive a chunk. Body: the raw bytes. Header:
+// Content-Range: bytes <start>-<end>/<total>, where start must equal the
+// session's received_bytes.
+const putUploadChunk = async (req, res, next) => {
+  try {
+    const session = await findUploadSession(req);
+    const totalSize = parseInt(session.total_size);
+    const receivedBytes = parseInt(session.received_bytes);
+
+    if (session.status !== 'open') {
+      return next(new APIError(`Upload session is ${session.status}`, 409));
+    }
+
+    const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(req.get('content-range') || '');
+    if (!match) {
+      return next(new APIError('Content-Range header required, e.g. "bytes 0-5242879/10485760"', 400));
+    }
+
+    const start = parseInt(match[1]);
+    const end = parseInt(match[2]);
+    const length = end - start + 1;
+
+    if (parseInt(match[3]) !== totalSize || end < start || end >= totalSize) {
+      return next(new APIError(`Content-Range must lie within the ${totalSize} byte upload`, 416));
+    }
+    if (length > UPLOAD_CHUNK_SIZE) {
+      return next(new APIError(`Chunks may be at most ${UPLOAD_CHUNK_SIZE} bytes`, 413));
+    }
+    if (start !== receivedBytes) {
+      return res.status(409).json({
+        success: false,
+        status: 'error',
+        message: `Chunk must start at offset ${receivedBytes}`,
+        data: uploadSessionResponse(session)
+      });
+    }
+
+    const written = await writeChunk(session.id, start, length, req);
+    if (written !== length) {
+      return next(new APIError(`Chunk was ${written} bytes, Content-Range declared ${length}`, 400));
+    }
+
+    // Only advances if no other request got there first
+    const result = await pool.query(
+      `UPDATE upload_sessions SET received_bytes = $3
+       WHERE id = $1 AND status = 'open' AND received_bytes = $2
+       RETURNING *`,
+      [session.id, start, end + 1]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new APIError('Upload session changed while the chunk was received; check its offset and retry', 409));
+    }
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: uploadSessionResponse(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Error receiving upload chunk:', error);
+    next(error);
+  }
+};
+
+// Finalize an upload: check the assembled file against the SHA-256 the
+// client expects and store it as evidence. Calling it again after success
+// returns the stored record, so a lost response can be retried. Artifact
+// uploads are only checked and kept until a PDF upload links them.
+// Body: { sha256, artifact_upload_ids } - sha256 is optional if
+// expected_hash was given when opening
+const completeUploadSession = async (req, res, next) => {
+  try {
+    let session = await findUploadSession(req);
+
+    // A retry of a finalize whose response was lost gets the stored result,
+    // whatever it sends this time
+    if (session.status === 'completed') {
+      return res.status(200).json({
+        success: true,
+        status: 'success',
+        message: 'Upload was already finalized',
+        data: { ...uploadSessionResponse(session), id: session.record_id }
+      });
+    }
+
+    const sentHash = typeof (req.body && req.body.sha256) === 'string' ? req.body.sha256.toLowerCase() : null;
+    if (sentHash && session.expected_hash && sentHash !== session.expected_hash) {
+      return next(new APIError('sha256 differs from the expected_hash committed when the session was opened', 400));
+    }
+
+    const expectedHash = session.expected_hash || sentHash || '';
+    if (!/^[0-9a-f]{64}$/.test(expectedHash)) {
+      return next(new APIError('sha256 must be the 64 character hex SHA-256 of the file', 400));
+    }
+
+    // Checked before the session is claimed, so a wrong ID doesn't use it up
+    const artifacts = session.artifact_kind
+      ? []
+      : await findLinkableArtifacts(req, parseArtifactUploadIds(req.body && req.body.artifact_upload_ids));
+
+    // Claim the session so concurrent finalize calls don't both store it
+    const claim = await pool.query(
+      `UPDATE upload_sessions SET status = 'finalizing', finalizing_at = NOW()
+       WHERE id = $1 AND status = 'open' AND received_bytes = total_size
+       RETURNING *`,
+      [session.id]
+    );
+
+    if (claim.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        status: 'error',
+        message: session.status === 'open'
+          ? `Upload is incomplete: ${session.received_bytes} of ${session.total_size} bytes received`
+          : `Upload session is ${session.status}`,
+        data: uploadSessionResponse(session)
+      });
+    }
+    session = claim.rows[0];
+
+    const failSession = async (statusCode, message) => {
+      await pool.query(
+        `UPDATE upload_sessions SET status = 'failed', error_message = $2 WHERE id = $1`,
+        [session.id, message]
+      );
+      await removeSpoolFile(session.id);
+      return next(new APIError(message, statusCode));
+    };
+
+    let result;
+    try {
+      // An earlier finalize verified these bytes and moved them into
+      // storage, then failed to store the record
+      const alreadyStored = !session.artifact_kind && session.received_hash === expectedHash &&
+        !fs.existsSync(spoolPath(session.id));
+
+      if (!alreadyStored) {
+        const { hash, isPdf, head } = await hashSpoolFile(session.id, parseInt(session.total_size));
+
+        if (hash !== expectedHash) {
+          return await failSession(422, `SHA-256 mismatch: expected ${expectedHash}, received ${hash}`);
+        }
+
+        if (session.artifact_kind) {
+          if (!ARTIFACT_KINDS[session.artifact_kind].isValid(head)) {
+            return await failSession(400, `Invalid ${session.artifact_kind} file format`);
+          }
+
+          const completed = await pool.query(
+            `UPDATE upload_sessions SET status = 'completed', received_hash = $2 WHERE id = $1 RETURNING *`,
+            [session.id, hash]
+          );
+
+          return res.status(200).json({
+            success: true,
+            status: 'success',
+            message: 'Artifact received; link it by passing its upload_id in artifact_upload_ids when finalizing the PDF',
+            data: uploadSessionResponse(completed.rows[0])
+          });
+        }
+
+        if (!isPdf) {
+          return await failSession(400, 'Invalid PDF file format');
+        }
+
+        await pool.query('UPDATE upload_sessions SET received_hash = $2 WHERE id = $1', [session.id, hash]);
+      }
+
+      result = await storeEvidence(req, {
+        path: alreadyStored ? null : spoolPath(session.id),
+        originalname: session.filename,
+        size: parseInt(session.total_size),
+        hash: expectedHash,
+        expectedHash,
+        captureManifest: parseCaptureManifest(session.capture_manifest),
+        captureMetadata: session.capture_metadata,
+        artifacts
+      });
+    } catch (error) {
+      // Let the client retry finalizing
+      await pool.query(`UPDATE upload_sessions SET status = 'open' WHERE id = $1`, [session.id]).catch(() => {});
+      throw error;
+    }
+
+    await pool.query(
+      `UPDATE upload_sessions SET status = $2, record_id = $3, error_message = $4 WHERE id = $1`,
+      result.record
+        ? [session.id, 'completed', result.record.id, null]
+        : [session.id, 'failed', null, result.body.message]
+    );
+    await removeSpoolFile(session.id);
+
+    res.status(result.statusCode).json(result.body);
+
+  } catch (error) {
+    console.error('Error finalizing upload session:', error);
+    next(error);
+  }
+};
+
+// Abort an upload session and discard its bytes
+const abortUploadSession = async (req, res, next) => {
+  try {
+    const session = await findUploadSession(req);
+
+    const result = await pool.query(
+      `UPDATE upload_sessions SET status = 'aborted', error_message = 'Aborted by client'
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [session.id]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new APIError(`Upload session is ${session.status}`, 409));
+    }
+
+    await removeSpoolFile(session.id);
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      message: 'Upload session aborted',
+      data: uploadSessionResponse(result.rows[0])
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get list of PDFs with pagination and filtering
+const getPDFList = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      cursor,
+      count = 'exact',
+      company_name,
+      username,
+      search,
+      q,
+      source_url,
+      evidence_id,
+      date_from,
+      date_to,
+      captured_from,
+      captured_to,
+      sort_order = 'DESC',
+      deleted = 'exclude'
+    } = req.query;
+    const textQuery = typeof q === 'string' ? q.trim() : '';
+    // Matches are listed best first unless another order is asked for
+    const { sort_by = textQuery ? 'relevance' : 'created_at' } = req.query;
+
+    if (textQuery.length > 500) {
+      return next(new APIError('q must be at most 500 characters', 400));
+    }
+
+    if (!['exclude', 'include', 'only'].includes(deleted)) {
+      return next(new APIError('deleted must be one of: exclude, include, only', 400));
+    }
+
+    if (deleted !== 'exclude' && !canReadDeleted(req)) {
+      return next(new APIError('Your role cannot list deleted evidence', 403));
+    }
+
+    if (!COUNT_MODES.includes(count)) {
+      return next(new APIError(`count must be one of: ${COUNT_MODES.join(', ')}`, 400));
+    }
+
+    // Validate pagination parameters; a cursor replaces page
+    const pageNum = cursor ? null : Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10)); // Max 100 items per page
+    const offset = cursor ? 0 : (pageNum - 1) * limitNum;
+
+    // Validate sort parameters - only use existing columns. type is what a
+    // cursor's value is cast back to; nullable columns sort NULLs last.
+    const sortColumns = {
+      created_at: { sql: 'r.created_at', type: 'timestamptz' },
+      received_at: { sql: 'r.created_at', type: 'timestamptz' },
+      captured_at: { sql: 'c.captured_at', type: 'timestamptz', nullable: true },
+      company_name: { sql: 'r.company_name', type: 'text' },
+      username: { sql: 'r.username', type: 'text' },
+      pdf_filename: { sql: 'r.pdf_filename', type: 'text' },
+      file_id: { sql: 'r.file_id', type: 'text', nullable: true },
+      source_url: { sql: 'c.source_url', type: 'text', nullable: true }
+    };
+    // The search string is always $2 (see below)
+    if (textQuery) {
+      sortColumns.relevance = { sql: searchRankSql('t', 2), type: 'real' };
+    }
+    const sortField = sortColumns[sort_by] ? sort_by : 'created_at';
+    const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    const sort = { sortBy: sortField, sortOrder: sortDirection };
+    const sortColumn = sortColumns[sortField];
+    const pageCursor = cursor ? decodeCursor(cursor, sort) : null;
+    const readBackwards = !!pageCursor && pageCursor.direction === 'prev';
+
+    const client = await pool.connect();
+
+    try {
+      // Build WHERE clause, always scoped to the caller's organization
+      let whereClause = 'WHERE r.organization_id = $1';
+      let whereParams = [req.auth.organization.id];
+      let paramIndex = 2;
+
+      // Full-text search of the extracted PDF text (see utils/evidence-text.js);
+      // records whose text isn't extracted yet don't match
+      let textJoin = '';
+      if (textQuery) {
+        textJoin = 'JOIN evidence_text t ON t.record_id = r.id';
+        whereClause += ` AND t.search_vector @@ ${searchQuerySql(paramIndex)}`;
+        whereParams.push(textQuery);
+        paramIndex++;
+      }
+
+      // Deleted records are hidden unless explicitly requested
+      if (deleted === 'exclude') {
+        whereClause += ' AND r.deleted_at IS NULL';
+      } else if (deleted === 'only') {
+        whereClause += ' AND r.deleted_at IS NOT NULL';
+      }
+
+      // Global search across multiple fields. Each table is matched on its
+      // own, so the trigram indexes of migration 021 can serve every field.
+      if (search) {
+        whereClause += ` AND r.id IN (
+          SELECT id FROM pdf_records
+          WHERE organization_id = $1 AND (
+            company_name ILIKE $${paramIndex} OR
+            username ILIKE $${paramIndex} OR
+            pdf_filename ILIKE $${paramIndex} OR
+            file_id ILIKE $${paramIndex} OR
+            id::text ILIKE $${paramIndex}
+          )
+          UNION
+          SELECT record_id FROM captures
+          WHERE organization_id = $1 AND (
+            source_url ILIKE $${paramIndex} OR
+            evidence_id ILIKE $${paramIndex}
+          )
+        )`;
+        whereParams.push(`%${search}%`);
+        paramIndex++;
+      }
+
+      // Specific field filters
+      if (company_name) {
+        whereClause += ` AND r.company_name ILIKE $${paramIndex}`;
+        whereParams.push(`%${company_name}%`);
+        paramIndex++;
+      }
+
+      if (username) {
+        whereClause += ` AND r.username ILIKE $${paramIndex}`;
+        whereParams.push(`%${username}%`);
+        paramIndex++;
+      }
+
+      if (source_url) {
+        whereClause += ` AND c.source_url ILIKE $${paramIndex}`;
+        whereParams.push(`%${source_url}%`);
+        paramIndex++;
+      }
+
+      if (evidence_id) {
+        whereClause += ` AND c.evidence_id = $${paramIndex}`;
+        whereParams.push(evidence_id);
+        paramIndex++;
+      }
+
+      // Date range filtering: date_* on the server receipt time,
+      // captured_* on the client's capture time
+      if (date_from) {
+        whereClause += ` AND r.created_at >= $${paramIndex}`;
+        whereParams.push(date_from);
+        paramIndex++;
+      }
+
+      if (date_to) {
+        whereClause += ` AND r.created_at <= $${paramIndex}`;
+        whereParams.push(date_to);
+        paramIndex++;
+      }
+
+      if (captured_from) {
+        whereClause += ` AND c.captured_at >= $${paramIndex}`;
+        whereParams.push(captured_from);
+        paramIndex++;
+      }
+
+      if (captured_to) {
+        whereClause += ` AND c.captured_at <= $${paramIndex}`;
+        whereParams.push(captured_to);
+        paramIndex++;
+      }
+
+      // Total count: exact, the planner's estimate (cheap on large
+      // organizations), or none
+      const fromClause = `FROM pdf_records r LEFT JOIN captures c ON c.record_id = r.id ${textJoin} ${whereClause}`;
+      let totalCount = null;
+      if (count === 'exact') {
+        const countResult = await client.query(`SELECT COUNT(*) ${fromClause}`, whereParams);
+        totalCount = parseInt(countResult.rows[0].count);
+      } else if (count === 'estimated') {
+        totalCount = await estimateRowCount(client, `SELECT 1 ${fromClause}`, whereParams);
+      }
+
+      // Rows after (or, for a prev cursor, before) the cursor's row
+      let pageClause = whereClause;
+      const queryParams = [...whereParams];
+      if (pageCursor) {
+        const keyset = keysetCondition(sortColumn, sortDirection, pageCursor, paramIndex);
+        pageClause += ` AND ${keyset.condition}`;
+        queryParams.push(...keyset.params);
+        paramIndex += keyset.params.length;
+      }
+
+      // One row more than the page tells whether another page follows
+      queryParams.push(limitNum + 1, offset);
+      if (textQuery) {
+        queryParams.push(HEADLINE_OPTIONS);
+      }
+
+      const query = `
+        SELECT r.id, r.organization_id, r.company_name, r.username, r.pdf_filename, r.pdf_hash, 
+               r.file_size, 
+               'verified' as status, 
+               r.created_at,
+               r.created_at as updated_at,
+               r.created_at as received_at,
+               c.evidence_id,
+               c.source_url,
+               c.captured_at,
+               c.capture_timezone,
+               r.blockchain_status,
+               r.blockchain_submitted_at,
+               r.blockchain_verified_at,
+               r.blockchain_tx_id,
+               r.digital_evidence_status,
+               r.legal_hold,
+               r.deleted_at,
+               r.purged_at,
+               (${sortColumn.sql})::text AS cursor_value${textQuery ? `,${searchColumnsSql('t', 2, paramIndex + 2)}` : ''}
+        FROM pdf_records r
+        LEFT JOIN captures c ON c.record_id = r.id
+        ${textJoin}
+        ${pageClause}
+        ORDER BY ${keysetOrderBy(sortColumn, sortDirection, readBackwards)}
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `;
+      
+      const result = await client.query(query, queryParams);
+
+      client.release();
+
+      const hasMore = result.rows.length > limitNum;
+      const rows = result.rows.slice(0, limitNum);
+      if (readBackwards) {
+        rows.reverse();
+      }
+
+      // Past a cursor there is always a page on the side it came from
+      const hasNextPage = readBackwards || hasMore;
+      const hasPrevPage = pageCursor ? !readBackwards || hasMore : pageNum > 1;
+
+      // Snippets come back as escaped HTML with the matches in <mark>
+      const records = rows.map(({ cursor_value, ...row }) => (textQuery
+        ? { ...row, search_snippet: highlightSnippet(row.search_snippet) }
+        : row));
+
+      res.status(200).json({
+        success: true,
+        status: 'success',
+        data: records,
+        pagination: {
+          current_page: pageNum,
+          per_page: limitNum,
+          total_count: totalCount,
+          total_count_estimated: count === 'estimated',
+          total_pages: totalCount === null ? null : Math.ceil(totalCount / limitNum),
+          has_next_page: hasNextPage,
+          has_prev_page: hasPrevPage,
+          next_cursor: hasNextPage && rows.length > 0 ? encodeCursor(sort, rows[rows.length - 1], 'next') : null,
+          prev_cursor: hasPrevPage && rows.length > 0 ? encodeCursor(sort, rows[0], 'prev') : null
+        },
+        filters: {
+          search: search || null,
+          q: textQuery || null,
+          company_name: company_name || null,
+          username: username || null,
+          source_url: source_url || null,
+          evidence_id: evidence_id || null,
+          date_from: date_from || null,
+          date_to: date_to || null,
+          captured_from: captured_from || null,
+          captured_to: captured_to || null,
+          deleted
+        },
+        sorting: {
+          sort_by: sortField,
+          sort_order: sortDirection
+        }
+      });
+
+    } catch (dbError) {
+      client.release();
+      throw dbError;
+    }
+
+  } catch (error) {
+    console.error('Error getting PDF list:', error);
+    next(error);
+  }
+};
+
+// Get PDF by ID (download)
+const getPDFById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { download = 'false' } = req.query;
+
+    // Validate UUID format
+    if (!uuidRegex.test(id)) {
+      return next(new APIError('Invalid PDF ID format', 400));
+    }
+
+    const client = await pool.connect();
+    let record;
+    let delivery;
+
+    try {
+      const result = await client.query(
+        `SELECT r.*, deleter.username AS deleted_by_username, holder.username AS legal_hold_set_by_username,
+                c.evidence_id, c.source_url, c.captured_at, c.capture_timezone,
+                w.watch_job_id, w.id AS watch_run_id,
+                ${artifactHashesSql('r')}
+         FROM pdf_records r
+         LEFT JOIN captures c ON c.record_id = r.id
+         LEFT JOIN watch_runs w ON w.record_id = r.id
+         LEFT JOIN users deleter ON deleter.id = r.deleted_by_user_id
+         LEFT JOIN users holder ON holder.id = r.legal_hold_set_by_user_id
+         WHERE r.id = $1 AND r.organization_id = $2
+           AND (r.deleted_at IS NULL OR $3::boolean)`,
+        [id, req.auth.organization.id, canReadDeleted(req)]
+      );
+
+      if (result.rows.length === 0) {
+        client.release();
+        return next(new APIError('PDF not found', 404));
+      }
+
+      record = result.rows[0];
+
+      if (download === 'true' && record.purged_at) {
+        client.release();
+        return next(new APIError('PDF content was purged; only its hash and fingerprint remain', 410));
+      }
+
+      if (download === 'true') {
+        delivery = negotiateDownload(req, pdfEtag(record), pdfContentSize(record));
+
+        if (delivery.status === 416) {
+          client.release();
+          res.setHeader('Content-Range', `bytes */${delivery.size}`);
+          return next(new APIError('Requested range not satisfiable', 416));
+        }
+
+        await recordCustodyEvent(client, req, id, 'downloaded', {
+          ...(delivery.range && { range: `bytes=${delivery.range.start}-${delivery.range.end}` }),
+          ...(delivery.status === 304 && { not_modified: true })
+        });
+      } else {
+        await recordCustodyEvent(client, req, id, 'viewed');
+      }
+      client.release();
+
+    } catch (dbError) {
+      client.release();
+      throw dbError;
+    }
+
+    // If download parameter is true, send the PDF file
+    if (download === 'true') {
+      return await sendPdfContent(res, record, delivery);
+    }
+
+    // Otherwise, return metadata only
+    // Refresh the Digital Evidence status if the fingerprint isn't final yet
+    let fingerprintStatus = { status: record.digital_evidence_status, blockchainStatus: record.blockchain_status, verifiedAt: record.blockchain_verified_at };
+
+    try {
+      fingerprintStatus = await refreshFingerprintStatus(record);
+    } catch (error) {
+      console.warn('Could not verify Digital Evidence status:', error.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: {
+        id: record.id,
+        organization_id: record.organization_id,
+        company_name: record.company_name,
+        username: record.username,
+        pdf_filename: record.pdf_filename,
+        pdf_hash: record.pdf_hash,
+        client_expected_hash: record.client_expected_hash,
+        transit_verified: record.client_expected_hash === record.pdf_hash,
+        capture_manifest: record.capture_manifest,
+        capture_manifest_hash: record.capture_manifest_hash,
+        fingerprint_document_ref: evidenceDocumentRef(record.pdf_hash, record.capture_manifest_hash, record.artifacts),
+        file_size: record.file_size,
+        status: record.status || 'verified',
+        created_at: record.created_at,
+        updated_at: record.updated_at,
+        received_at: record.created_at,
+        evidence_id: record.evidence_id,
+        source_url: record.source_url,
+        captured_at: record.captured_at,
+        capture_timezone: record.capture_timezone,
+        artifacts: await listArtifacts(pool, id),
+        watch_job_id: record.watch_job_id,
+        watch_run_id: record.watch_run_id,
+        file_id: record.file_id,
+        blockchain_status: fingerprintStatus.blockchainStatus || 'unknown',
+        blockchain_tx_id: record.blockchain_tx_id,
+        blockchain_verified: fingerprintStatus.status === 'FINALIZED_COMMITMENT',
+        blockchain_submitted_at: record.blockchain_submitted_at,
+        blockchain_verified_at: fingerprintStatus.verifiedAt,
+        digital_evidence_status: fingerprintStatus.status,
+        legal_hold: record.legal_hold,
+        legal_hold_reason: record.legal_hold_reason,
+        legal_hold_set_at: record.legal_hold_set_at,
+        legal_hold_set_by: record.legal_hold_set_by_username,
+        deleted_at: record.deleted_at,
+        deleted_by: record.deleted_by_username,
+        deletion_reason: record.deletion_reason,
+        purged_at: record.purged_at,
+        download_url: record.purged_at ? null : `/api/pdf/${id}?download=true`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting PDF by ID:', error);
+    next(error);
+  }
+};
+
+// Soft delete a PDF. The record stays (hidden) so its chain of custody and
+// fingerprint remain; records under legal hold can't be deleted.
+const deletePDFById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const reason = readReason(req);
+
+    if (!uuidRegex.test(id)) {
+      return next(new APIError('Invalid PDF ID format', 400));
+    }
+
+    if (!reason) {
+      return next(new APIError('A reason is required to delete evidence', 400));
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const record = await lockRecord(client, req);
+
+      if (!record || record.deleted_at) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('PDF not found', 404));
+      }
+
+      if (record.legal_hold) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError(`PDF is under legal hold and cannot be deleted${record.legal_hold_reason ? `: ${record.legal_hold_reason}` : ''}`, 409));
+      }
+
+      const result = await client.query(
+        `UPDATE pdf_records SET
+           deleted_at = NOW(),
+           deleted_by_user_id = $1,
+           deletion_reason = $2
+         WHERE id = $3
+         RETURNING deleted_at`,
+        [req.auth.user ? req.auth.user.id : null, reason, id]
+      );
+
+      await recordCustodyEvent(client, req, id, 'deleted', { reason });
+
+      await client.query('COMMIT');
+      client.release();
+
+      res.status(200).json({
+        success: true,
+        status: 'success',
+        message: 'PDF deleted successfully',
+        data: {
+          deleted_record: {
+            id: record.id,
+            pdf_filename: record.pdf_filename,
+            company_name: record.company_name,
+            username: record.username,
+            deleted_at: result.rows[0].deleted_at,
+            deleted_by: req.auth.user ? req.auth.user.username : null,
+            deletion_reason: reason
+          }
+        }
+      });
+
+    } catch (dbError) {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+      throw dbError;
+    }
+
+  } catch (error) {
+    console.error('Error deleting PDF:', error);
+    next(error);
+  }
+};
+
+// Restore a soft-deleted PDF that hasn't been purged
+const restorePDFById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!uuidRegex.test(id)) {
+      return next(new APIError('Invalid PDF ID format', 400));
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const record = await lockRecord(client, req);
+
+      if (!record || !record.deleted_at) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('Deleted PDF not found', 404));
+      }
+
+      if (record.purged_at) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('PDF content was purged and cannot be restored', 410));
+      }
+
+      await client.query(
+        `UPDATE pdf_records SET
+           deleted_at = NULL,
+           deleted_by_user_id = NULL,
+           deletion_reason = NULL
+         WHERE id = $1`,
+        [id]
+      );
+
+      await recordCustodyEvent(client, req, id, 'restored');
+
+      await client.query('COMMIT');
+      client.release();
+
+      res.status(200).json({
+        success: true,
+        status: 'success',
+        message: 'PDF restored successfully',
+        data: { id: record.id, pdf_filename: record.pdf_filename }
+      });
+
+    } catch (dbError) {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+      throw dbError;
+    }
+
+  } catch (error) {
+    console.error('Error restoring PDF:', error);
+    next(error);
+  }
+};
+
+// Purge a soft-deleted PDF: drop its content and keep the row as a
+// tombstone, so verification can still report that it existed
+const purgePDFById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!uuidRegex.test(id)) {
+      return next(new APIError('Invalid PDF ID format', 400));
+    }
+
+    const client = await pool.connect();
+    let blobKey = null;
+
+    try {
+      await client.query('BEGIN');
+
+      const record = await lockRecord(client, req);
+
+      if (!record) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('PDF not found', 404));
+      }
+
+      if (!record.deleted_at) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('Only deleted PDFs can be purged; delete it first', 409));
+      }
+
+      if (record.purged_at) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('PDF has already been purged', 409));
+      }
+
+      if (record.legal_hold) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('PDF is under legal hold and cannot be purged', 409));
+      }
+
+      // Held until the blob is removed, so an upload of the same PDF in
+      // another organization either commits first or stores it again after
+      if (record.storage_key) {
+        await lockBlob(client, record.storage_key);
+        blobKey = record.storage_key;
+      }
+
+      const result = await client.query(
+        `UPDATE pdf_records SET
+           pdf_data = NULL,
+           storage_backend = NULL,
+           storage_key = NULL,
+           purged_at = NOW(),
+           purged_by_user_id = $1
+         WHERE id = $2
+         RETURNING purged_at`,
+        [req.auth.user ? req.auth.user.id : null, id]
+      );
+
+      // Content-addressed: another organization's copy of the PDF shares
+      // the blob
+      const sharedBlob = record.storage_key
+        ? (await client.query(
+          'SELECT 1 FROM pdf_records WHERE storage_key = $1 AND id <> $2 LIMIT 1',
+          [record.storage_key, id]
+        )).rows.length > 0
+        : false;
+
+      const purgedArtifacts = await purgeArtifacts(client, id);
+      await client.query('DELETE FROM evidence_text WHERE record_id = $1', [id]);
+
+      await recordCustodyEvent(client, req, id, 'purged');
+
+      await client.query('COMMIT');
+
+      // The record no longer points at the blob; an orphan left by a failed
+      // removal holds nothing the vault still references
+      if (record.storage_key && !sharedBlob) {
+        try {
+          await getBlobStorage(record.storage_backend).remove(record.storage_key);
+        } catch (storageError) {
+          console.warn(`Could not remove purged blob ${record.storage_key}:`, storageError.message);
+        }
+      }
+
+      if (blobKey) {
+        await unlockBlob(client, blobKey);
+        blobKey = null;
+      }
+      client.release();
+
+      for (const artifact of purgedArtifacts) {
+        try {
+          await getBlobStorage(artifact.storage_backend).remove(artifact.storage_key);
+        } catch (storageError) {
+          console.warn(`Could not remove purged artifact blob ${artifact.storage_key}:`, storageError.message);
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        status: 'success',
+        message: 'PDF content purged; hash and fingerprint kept as a tombstone',
+        data: {
+          id: record.id,
+          pdf_hash: record.pdf_hash,
+          purged_at: result.rows[0].purged_at
+        }
+      });
+
+    } catch (dbError) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (blobKey) {
+        await unlockBlob(client, blobKey).catch(() => {});
+      }
+      client.release();
+      throw dbError;
+    }
+
+  } catch (error) {
+    console.error('Error purging PDF:', error);
+    next(error);
+  }
+};
+
+// Place a record under legal hold, or release it
+const setLegalHold = (enabled) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const reason = readReason(req);
+
+    if (!uuidRegex.test(id)) {
+      return next(new APIError('Invalid PDF ID format', 400));
+    }
+
+    if (enabled && !reason) {
+      return next(new APIError('A reason is required to place a legal hold', 400));
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const record = await lockRecord(client, req);
+
+      if (!record) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('PDF not found', 404));
+      }
+
+      if (enabled && record.purged_at) {
+        await client.query('ROLLBACK');
+        client.release();
+        return next(new APIError('PDF content was purged; there is nothing left to hold', 410));
+      }
+
+      const result = await client.query(
+        `UPDATE pdf_records SET
+           legal_hold = $1,
+           legal_hold_reason = $2,
+           legal_hold_set_at = NOW(),
+           legal_hold_set_by_user_id = $3
+         WHERE id = $4
+         RETURNING legal_hold, legal_hold_reason, legal_hold_set_at`,
+        [enabled, enabled ? reason : (reason || null), req.auth.user ? req.auth.user.id : null, id]
+      );
+
+      await recordCustodyEvent(client, req, id, enabled ? 'legal_hold_placed' : 'legal_hold_released', reason ? { reason } : {});
+
+      await client.query('COMMIT');
+      client.release();
+
+      res.status(200).json({
+        success: true,
+        status: 'success',
+        message: enabled ? 'Legal hold placed' : 'Legal hold released',
+        data: { id: record.id, ...result.rows[0] }
+      });
+
+    } catch (dbError) {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+      throw dbError;
+    }
+
+  } catch (error) {
+    console.error('Error updating legal hold:', error);
+    next(error);
+  }
+};
+
+// Chain-of-custody timeline of a PDF, with the hash chain re-verified
+const getPDFCustody = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!uuidRegex.test(id)) {
+      return next(new APIError('Invalid PDF ID format', 400));
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT id, pdf_filename, pdf_hash FROM pdf_records
+         WHERE id = $1 AND organization_id = $2
+           AND (deleted_at IS NULL OR $3::boolean)`,
+        [id, req.auth.organization.id, canReadDeleted(req)]
+      );
+
+      if (result.rows.length === 0) {
+        client.release();
+        return next(new APIError('PDF not found', 404));
+      }
+
+      // Reading the custody log is itself an access to the record
+      await recordCustodyEvent(client, req, id, 'custody_viewed');
+      client.release();
+
+    } catch (dbError) {
+      client.release();
+      throw dbError;
+    }
+
+    const timeline = await getCustodyTimeline(id);
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: {
+        record_id: id,
+        integrity: timeline.integrity,
+        events: timeline.events
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting PDF custody timeline:', error);
+    next(error);
+  }
+};
+
+// Capture manifest of a PDF as the canonical JSON its hash was computed over
+const getPDFManifest = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!uuidRegex.test(id)) {
+      return next(new APIError('Invalid PDF ID format', 400));
+    }
+
+    const client = await pool.connect();
+    let record;
+
+    try {
+      const result = await client.query(
+        `SELECT r.id, r.pdf_hash, r.capture_manifest, r.capture_manifest_hash, ${artifactHashesSql('r')}
+         FROM pdf_records r
+         WHERE r.id = $1 AND r.organization_id = $2
+           AND (r.deleted_at IS NULL OR $3::boolean)`,
+        [id, req.auth.organization.id, canReadDeleted(req)]
+      );
+
+      if (result.rows.length === 0) {
+        client.release();
+        return next(new APIError('PDF not found', 404));
+      }
 
-// Upload PDF file
-const uploadPDF = async (req, res, next) => {
+      record = result.rows[0];
+      if (!record.capture_manifest) {
+        client.release();
+        return next(new APIError('No capture manifest was recorded for this PDF', 404));
+      }
+
+      await recordCustodyEvent(client, req, id, 'viewed', { part: 'capture_manifest' });
+      client.release();
+
+    } catch (dbError) {
+      client.release();
+      throw dbError;
+    }
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('X-Capture-Manifest-SHA256', record.capture_manifest_hash);
+    res.setHeader('X-Fingerprint-Document-Ref', evidenceDocumentRef(record.pdf_hash, record.capture_manifest_hash, record.artifacts));
+    res.status(200).send(canonicalJson(record.capture_manifest));
+
+  } catch (error) {
+    console.error('Error getting capture manifest:', error);
+    next(error);
+  }
+};
+
+// Artifacts captured with a PDF (e.g. its MHTML snapshot)
+const getPDFArtifacts = async (req, res, next) => {
   try {
-    const { company_name, username } = req.body;
-    const file = req.file;
-    const fileHash = req.fileHash;
+    const { id } = req.params;
 
-    if (!file) {
-      return next(new APIError('No file uploaded', 400));
+    if (!uuidRegex.test(id)) {
+      return next(new APIError('Invalid PDF ID format', 400));
     }
 
     const client = await pool.connect();
-    
+    let artifacts;
+
     try {
-      // Check if PDF with same hash already exists
-      const existingPDF = await client.query(
-        'SELECT id, pdf_filename, company_name, username, created_at FROM pdf_records WHERE pdf_hash = $1',
-        [fileHash]
+      const result = await client.query(
+        `SELECT id FROM pdf_records
+         WHERE id = $1 AND organization_id = $2
+           AND (deleted_at IS NULL OR $3::boolean)`,
+        [id, req.auth.organization.id, canReadDeleted(req)]
       );
 
-      if (existingPDF.rows.length > 0) {
-        const existing = existingPDF.rows[0];
+      if (result.rows.length === 0) {
         client.release();
-        
-        return res.status(409).json({
-          success: false,
-          status: 'error',
-          message: 'PDF file already exists',
-          data: {
-            existing_record: {
-              id: existing.id,
-              filename: existing.pdf_filename,
-              company_name: existing.company_name,
-              username: existing.username,
-              created_at: existing.created_at
-            }
-          }
-        });
+        return next(new APIError('PDF not found', 404));
       }
 
-      // Generate file_id in format "company-year-month"
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = now.toLocaleString('en-US', { month: 'long' });
-      const file_id = `${company_name}-${year}-${month}`;
-
-      // Generate a UUID for the record
-      const recordId = uuidv4();
-      
-      // Insert new PDF record (only columns that exist in the table)
-      const result = await client.query(
-        `INSERT INTO pdf_records (id, company_name, username, pdf_filename, pdf_hash, pdf_data, file_id)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
-         RETURNING id, company_name, username, pdf_filename, pdf_hash, created_at, file_id`,
-        [recordId, company_name, username, file.originalname, fileHash, file.buffer, file_id]
-      );
-
+      artifacts = await listArtifacts(client, id);
+      await recordCustodyEvent(client, req, id, 'viewed', { part: 'artifacts' });
       client.release();
 
-      const newRecord = result.rows[0];
-
-      // Submit hash to blockchain and wait for confirmation
-      try {
-        console.log('Submitting PDF hash to blockchain for confirmation...');
-        const blockchainResult = await submitToBlockchain(
-          newRecord.id,
-          fileHash,
-          file.originalname,
-          company_name
-        );
-
-        if (blockchainResult.success) {
-          res.status(201).json({
-            success: true,
-            status: 'success',
-            message: 'PDF uploaded and blockchain verified successfully',
-            data: {
-              id: newRecord.id,
-              company_name: newRecord.company_name,
-              username: newRecord.username,
-              filename: newRecord.pdf_filename,
-              pdf_hash: newRecord.pdf_hash,
-              file_size: file.size,
-              status: 'blockchain_verified', // Confirmed on blockchain
-              blockchain_status: 'confirmed',
-              blockchain_tx_id: blockchainResult.fingerprintHash,
-              created_at: newRecord.created_at,
-              file_id: newRecord.file_id
-            }
-          });
-        } else {
-          throw new Error('Blockchain confirmation failed');
-        }
-      } catch (blockchainError) {
-        // If blockchain fails, still return success but indicate blockchain pending
-        console.error('Blockchain submission error:', blockchainError);
-        
-        res.status(201).json({
-          success: true,
-          status: 'success',
-          message: 'PDF uploaded successfully (blockchain verification pending)',
-          data: {
-            id: newRecord.id,
-            company_name: newRecord.company_name,
-            username: newRecord.username,
-            filename: newRecord.pdf_filename,
-            pdf_hash: newRecord.pdf_hash,
-            file_size: file.size,
-            status: 'pending_blockchain', // Blockchain verification pending
-            blockchain_status: 'pending',
-            blockchain_error: blockchainError.message,
-            created_at: newRecord.created_at,
-            file_id: newRecord.file_id
-          }
-        });
-      }
-
     } catch (dbError) {
       client.release();
       throw dbError;
     }
 
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: {
+        record_id: id,
+        artifacts
+      }
+    });
+
   } catch (error) {
-    console.error('Error uploading PDF:', error);
+    console.error('Error listing PDF artifacts:', error);
     next(error);
   }
 };
 
-// Get list of PDFs with pagination and filtering
-const getPDFList = async (req, res, next) => {
+// Download one artifact of a PDF; like the PDF itself, tagged with its
+// SHA-256 and served in ranges
+const getPDFArtifact = async (req, res, next) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      company_name,
-      username,
-      search,
-      date_from,
-      date_to,
-      sort_by = 'created_at',
-      sort_order = 'DESC'
-    } = req.query;
+    const { id, artifactId } = req.params;
 
-    // Validate pagination parameters
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit))); // Max 100 items per page
-    const offset = (pageNum - 1) * limitNum;
-
-    // Validate sort parameters - only use existing columns
-    const allowedSortFields = ['created_at', 'company_name', 'username', 'pdf_filename', 'file_id'];
-    const sortField = allowedSortFields.includes(sort_by) ? sort_by : 'created_at';
-    const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    if (!uuidRegex.test(id) || !uuidRegex.test(artifactId)) {
+      return next(new APIError('Invalid PDF or artifact ID format', 400));
+    }
 
     const client = await pool.connect();
+    let artifact;
+    let delivery;
 
     try {
-      // Build WHERE clause
-      let whereClause = '';
-      let whereParams = [];
-      let paramIndex = 1;
+      const result = await client.query(
+        `SELECT a.* FROM evidence_artifacts a
+         JOIN pdf_records r ON r.id = a.record_id
+         WHERE a.id = $1 AND a.record_id = $2 AND r.organization_id = $3
+           AND (r.deleted_at IS NULL OR $4::boolean)`,
+        [artifactId, id, req.auth.organization.id, canReadDeleted(req)]
+      );
 
-      // Global search across multiple fields
-      if (search) {
-        whereClause += `WHERE (
-          company_name ILIKE $${paramIndex} OR 
-          username ILIKE $${paramIndex} OR 
-          pdf_filename ILIKE $${paramIndex} OR 
-          file_id ILIKE $${paramIndex} OR 
-          id::text ILIKE $${paramIndex}
-        )`;
-        whereParams.push(`%${search}%`);
-        paramIndex++;
+      if (result.rows.length === 0) {
+        client.release();
+        return next(new APIError('Artifact not found', 404));
       }
 
-      // Specific field filters
-      if (company_name) {
-        whereClause += whereClause ? ' AND ' : 'WHERE ';
-        whereClause += `company_name ILIKE $${paramIndex}`;
-        whereParams.push(`%${company_name}%`);
-        paramIndex++;
-      }
+      artifact = result.rows[0];
 
-      if (username) {
-        whereClause += whereClause ? ' AND ' : 'WHERE ';
-        whereClause += `username ILIKE $${paramIndex}`;
-        whereParams.push(`%${username}%`);
-        paramIndex++;
+      if (artifact.purged_at) {
+        client.release();
+        return next(new APIError('Artifact content was purged; only its hash remains', 410));
       }
 
-      // Date range filtering
-      if (date_from) {
-        whereClause += whereClause ? ' AND ' : 'WHERE ';
-        whereClause += `created_at >= $${paramIndex}`;
-        whereParams.push(date_from);
-        paramIndex++;
-      }
+      delivery = negotiateDownload(req, `"${artifact.sha256}"`, parseInt(artifact.file_size));
 
-      if (date_to) {
-        whereClause += whereClause ? ' AND ' : 'WHERE ';
-        whereClause += `created_at <= $${paramIndex}`;
-        whereParams.push(date_to);
-        paramIndex++;
+      if (delivery.status === 416) {
+        client.release();
+        res.setHeader('Content-Range', `bytes */${delivery.size}`);
+        return next(new APIError('Requested range not satisfiable', 416));
       }
 
-      // Get total count
-      const countQuery = `SELECT COUNT(*) FROM pdf_records ${whereClause}`;
-      const countResult = await client.query(countQuery, whereParams);
-      const totalCount = parseInt(countResult.rows[0].count);
-
-      // Get paginated results - handle missing columns gracefully
-      const query = `
-        SELECT id, company_name, username, pdf_filename, pdf_hash, 
-               LENGTH(pdf_data) as file_size, 
-               'verified' as status, 
-               created_at,
-               created_at as updated_at,
-               blockchain_status,
-               blockchain_verified_at,
-               blockchain_tx_id
-        FROM pdf_records 
-        ${whereClause}
-        ORDER BY ${sortField} ${sortDirection}
-        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-      `;
-      
-      const queryParams = [...whereParams, limitNum, offset];
-      const result = await client.query(query, queryParams);
-
-      client.release();
-
-      // Calculate pagination info
-      const totalPages = Math.ceil(totalCount / limitNum);
-      const hasNextPage = pageNum < totalPages;
-      const hasPrevPage = pageNum > 1;
-
-      res.status(200).json({
-        success: true,
-        status: 'success',
-        data: result.rows,
-        pagination: {
-          current_page: pageNum,
-          per_page: limitNum,
-          total_count: totalCount,
-          total_pages: totalPages,
-          has_next_page: hasNextPage,
-          has_prev_page: hasPrevPage
-        },
-        filters: {
-          search: search || null,
-          company_name: company_name || null,
-          username: username || null,
-          date_from: date_from || null,
-          date_to: date_to || null
-        },
-        sorting: {
-          sort_by: sortField,
-          sort_order: sortDirection
-        }
+      await recordCustodyEvent(client, req, id, 'downloaded', {
+        artifact_id: artifact.id,
+        kind: artifact.kind,
+        ...(delivery.range && { range: `bytes=${delivery.range.start}-${delivery.range.end}` }),
+        ...(delivery.status === 304 && { not_modified: true })
       });
+      client.release();
 
     } catch (dbError) {
       client.release();
       throw dbError;
     }
 
+    const { status, size, range } = delivery;
+    res.setHeader('ETag', `"${artifact.sha256}"`);
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    if (status === 304) {
+      return res.status(304).end();
+    }
+
+    const content = await getBlobStorage(artifact.storage_backend).get(artifact.storage_key, range);
+
+    res.setHeader('Content-Type', artifact.content_type);
+    res.setHeader('Content-Disposition', `attachment; filename="${artifact.filename}"`);
+
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.setHeader('Content-Length', size);
+    }
+
+    await pipeline(content, res);
+
   } catch (error) {
-    console.error('Error getting PDF list:', error);
+    console.error('Error downloading PDF artifact:', error);
     next(error);
   }
 };
 
-// Get PDF by ID (download)
-const getPDFById = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const { download = 'false' } = req.query;
+// Records a and b of a diff request, with their screenshot artifacts.
+// Throws 404 unless both are records of the caller's organization.
+const findDiffRecords = async (client, req) => {
+  const { a, b } = req.query;
 
-    // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(id)) {
-      return next(new APIError('Invalid PDF ID format', 400));
-    }
+  if (!uuidRegex.test(a || '') || !uuidRegex.test(b || '')) {
+    throw new APIError('a and b must be PDF IDs', 400);
+  }
+  if (a.toLowerCase() === b.toLowerCase()) {
+    throw new APIError('a and b must be two different records', 400);
+  }
+
+  const result = await client.query(
+    `SELECT r.id, r.pdf_filename, r.pdf_hash, r.file_size, r.storage_backend, r.storage_key, r.pdf_data,
+            r.created_at, r.deleted_at, r.purged_at,
+            c.evidence_id, c.source_url, c.captured_at,
+            (SELECT row_to_json(s) FROM evidence_artifacts s
+             WHERE s.record_id = r.id AND s.kind = 'screenshot') AS screenshot
+     FROM pdf_records r
+     LEFT JOIN captures c ON c.record_id = r.id
+     WHERE r.id = ANY($1::uuid[]) AND r.organization_id = $2
+       AND (r.deleted_at IS NULL OR $3::boolean)`,
+    [[a, b], req.auth.organization.id, canReadDeleted(req)]
+  );
+
+  const recordA = result.rows.find(row => row.id === a.toLowerCase());
+  const recordB = result.rows.find(row => row.id === b.toLowerCase());
+  if (!recordA || !recordB) {
+    throw new APIError(`PDF ${recordA ? b : a} not found`, 404);
+  }
+
+  return { a: recordA, b: recordB };
+};
 
+// A diff's record as returned to clients
+const diffRecordResponse = (record) => ({
+  id: record.id,
+  evidence_id: record.evidence_id,
+  source_url: record.source_url,
+  captured_at: record.captured_at,
+  created_at: record.created_at,
+  pdf_filename: record.pdf_filename,
+  pdf_hash: record.pdf_hash,
+  screenshot_sha256: record.screenshot ? record.screenshot.sha256 : null
+});
+
+// Compare two records, typically captures of the same URL: the text of
+// their PDFs line by line, their page counts and, when both have a
+// screenshot, its pages pixel by pixel
+// Query parameters: a, b - PDF IDs; the diff shows what changed from a to b
+const getPDFDiff = async (req, res, next) => {
+  try {
     const client = await pool.connect();
+    let records;
 
     try {
-      const result = await client.query(
-        'SELECT * FROM pdf_records WHERE id = $1',
-        [id]
-      );
+      records = await findDiffRecords(client, req);
 
+      await recordCustodyEvent(client, req, records.a.id, 'viewed', { part: 'diff', compared_with: records.b.id });
+      await recordCustodyEvent(client, req, records.b.id, 'viewed', { part: 'diff', compared_with: records.a.id });
       client.release();
 
-      if (result.rows.length === 0) {
-        return next(new APIError('PDF not found', 404));
-      }
+    } catch (dbError) {
+      client.release();
+      throw dbError;
+    }
 
-      const record = result.rows[0];
+    const { a, b } = records;
+    const { page_count, text } = await diffPdfText(a, b);
 
-      // If download parameter is true, send the PDF file
-      if (download === 'true') {
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="${record.pdf_filename}"`);
-        res.setHeader('Content-Length', record.pdf_data.length);
-        return res.send(record.pdf_data);
+    let visual;
+    if (a.screenshot && b.screenshot) {
+      visual = { available: true, ...await diffScreenshots(a.screenshot, b.screenshot) };
+      visual.pages.forEach(page => {
+        page.diff_image_url = ['identical', 'changed'].includes(page.status)
+          ? `/api/pdf/diff/image?a=${a.id}&b=${b.id}&page=${page.page}`
+          : null;
+      });
+    } else {
+      const missing = [a, b].filter(record => !record.screenshot).map(record => record.id);
+      visual = { available: false, reason: `No screenshot was captured with ${missing.join(' and ')}` };
+    }
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: {
+        a: diffRecordResponse(a),
+        b: diffRecordResponse(b),
+        same_source_url: Boolean(a.source_url) && a.source_url === b.source_url,
+        identical_pdf: a.pdf_hash === b.pdf_hash,
+        page_count,
+        text,
+        visual
       }
+    });
+
+  } catch (error) {
+    console.error('Error comparing PDFs:', error);
+    next(error);
+  }
+};
 
-      // Otherwise, return metadata only
-      // Get Digital Evidence status dynamically if fingerprint hash exists
-      let blockchainStatus = record.blockchain_status || 'unknown';
-      let blockchainVerified = false;
+// One page of a visual diff as a PNG: record a's screenshot page faded,
+// with the pixels that differ in record b marked
+// Query parameters: a, b - PDF IDs; page - screenshot page, from 1
+const getPDFDiffImage = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      return next(new APIError('page must be a page number, from 1', 400));
+    }
 
-      if (record.blockchain_tx_id && record.blockchain_status === 'submitted') {
-        try {
-          // Check Digital Evidence API status
-          const statusResult = await digitalEvidenceClient.checkFingerprintStatus(record.blockchain_tx_id);
-          if (statusResult.status === 'FINALIZED_COMMITMENT') {
-            blockchainStatus = 'verified';
-            blockchainVerified = true;
-          } else if (statusResult.status === 'PENDING') {
-            blockchainStatus = 'pending';
-            blockchainVerified = false;
-          } else {
-            blockchainStatus = 'error';
-            blockchainVerified = false;
-          }
-        } catch (error) {
-          console.warn('Could not verify Digital Evidence status:', error.message);
-          blockchainStatus = record.blockchain_status || 'unknown';
-        }
-      } else if (!record.blockchain_tx_id) {
-        blockchainStatus = 'not_submitted';
+    const client = await pool.connect();
+    let records;
+
+    try {
+      records = await findDiffRecords(client, req);
+
+      if (!records.a.screenshot || !records.b.screenshot) {
+        client.release();
+        return next(new APIError('Both records need a screenshot for a visual diff', 404));
       }
 
-      res.status(200).json({
-        success: true,
-        status: 'success',
-        data: {
-          id: record.id,
-          company_name: record.company_name,
-          username: record.username,
-          pdf_filename: record.pdf_filename,
-          pdf_hash: record.pdf_hash,
-          file_size: record.file_size || record.pdf_data.length,
-          status: record.status || 'verified',
-          created_at: record.created_at,
-          updated_at: record.updated_at,
-          file_id: record.file_id,
-          blockchain_status: record.blockchain_status || blockchainStatus,
-          blockchain_tx_id: record.blockchain_tx_id,
-          blockchain_verified: blockchainVerified,
-          blockchain_verified_at: record.blockchain_verified_at,
-          download_url: `/api/pdf/${id}?download=true`
-        }
-      });
+      const details = { part: 'diff_image', page };
+      await recordCustodyEvent(client, req, records.a.id, 'viewed', { ...details, compared_with: records.b.id });
+      await recordCustodyEvent(client, req, records.b.id, 'viewed', { ...details, compared_with: records.a.id });
+      client.release();
 
     } catch (dbError) {
       client.release();
       throw dbError;
     }
 
+    const image = await renderScreenshotDiff(records.a.screenshot, records.b.screenshot, page);
+
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Length', image.length);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.status(200).end(image);
+
   } catch (error) {
-    console.error('Error getting PDF by ID:', error);
+    console.error('Error rendering PDF diff image:', error);
     next(error);
   }
 };
 
-// Delete PDF by ID
-const deletePDFById = async (req, res, next) => {
+// Signed verification certificate of a PDF, rendered as a PDF
+const getPDFCertificate = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
     if (!uuidRegex.test(id)) {
       return next(new APIError('Invalid PDF ID format', 400));
     }
 
+    const issuedAt = new Date();
+    const certificateId = createCertificateId(issuedAt);
     const client = await pool.connect();
+    let record;
 
     try {
-      // First check if the record exists
-      const checkResult = await client.query(
-        'SELECT id, pdf_filename, company_name, username FROM pdf_records WHERE id = $1',
-        [id]
+      const result = await client.query(
+        `SELECT r.id, r.company_name, r.username, r.pdf_filename, r.pdf_hash, r.client_expected_hash,
+                r.capture_manifest, r.capture_manifest_hash, r.created_at,
+                r.blockchain_tx_id, r.blockchain_status, r.blockchain_verified_at, r.digital_evidence_status,
+                r.signer_id, r.fingerprint_signature, r.fingerprint_content, r.deleted_at, r.purged_at,
+                o.name AS organization_name,
+                c.evidence_id, c.source_url, c.captured_at AS client_captured_at, c.capture_timezone,
+                ${artifactHashesSql('r')}
+         FROM pdf_records r
+         JOIN organizations o ON o.id = r.organization_id
+         LEFT JOIN captures c ON c.record_id = r.id
+         WHERE r.id = $1 AND r.organization_id = $2
+           AND (r.deleted_at IS NULL OR $3::boolean)`,
+        [id, req.auth.organization.id, canReadDeleted(req)]
       );
 
-      if (checkResult.rows.length === 0) {
+      if (result.rows.length === 0) {
         client.release();
         return next(new APIError('PDF not found', 404));
       }
 
-      const record = checkResult.rows[0];
-
-      // Delete the record
-      await client.query(
-        'DELETE FROM pdf_records WHERE id = $1',
-        [id]
-      );
+      record = result.rows[0];
 
+      // Logged first, so the certificate's custody summary covers its own issue
+      await recordCustodyEvent(client, req, id, 'certificate_issued', { certificate_id: certificateId });
       client.release();
 
-      res.status(200).json({
-        success: true,
-        status: 'success',
-        message: 'PDF deleted successfully',
-        data: {
-          deleted_record: {
-            id: record.id,
-            pdf_filename: record.pdf_filename,
-            company_name: record.company_name,
-            username: record.username
-          }
-        }
-      });
-
     } catch (dbError) {
       client.release();
       throw dbError;
     }
 
+    if (record.blockchain_tx_id) {
+      try {
+        // Keep the stored status if the Digital Evidence API can't be reached
+        const fingerprintStatus = await refreshFingerprintStatus(record);
+        if (!fingerprintStatus.error) {
+          record.digital_evidence_status = fingerprintStatus.status;
+          record.blockchain_verified_at = fingerprintStatus.verifiedAt;
+        }
+      } catch (error) {
+        console.warn('Could not refresh Digital Evidence status:', error.message);
+      }
+    }
+
+    record.fingerprint_signature_valid = null;
+    if (record.signer_id && record.fingerprint_signature && record.fingerprint_content) {
+      record.fingerprint_signature_valid = digitalEvidenceClient.verifySignature(
+        record.fingerprint_content,
+        record.fingerprint_signature,
+        record.signer_id
+      ) && record.fingerprint_content.documentRef === evidenceDocumentRef(record.pdf_hash, record.capture_manifest_hash, record.artifacts);
+    }
+
+    const custody = await getCustodyTimeline(id);
+    const statement = buildCertificateStatement(record, custody, {
+      certificateId,
+      issuedAt,
+      issuedBy: req.auth.user ? req.auth.user.username : `api-key:${req.auth.apiKey.name}`,
+      verifyUrl: getPublicVerifyUrl(req, record.pdf_hash)
+    });
+    const signed = signCertificateStatement(statement);
+    const pdf = await renderCertificatePdf(statement, signed, custody.events);
+
+    console.log(`📜 Issued certificate ${certificateId} for record ${id}`);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="ProofVault_Certificate_${certificateId}.pdf"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.setHeader('X-Certificate-Id', certificateId);
+    res.setHeader('X-Certificate-Signature', signed.signature);
+    res.send(pdf);
+
   } catch (error) {
-    console.error('Error deleting PDF:', error);
+    console.error('Error generating PDF certificate:', error);
     next(error);
   }
 };
@@ -433,6 +2000,7 @@ const deletePDFById = async (req, res, next) => {
 // Get PDF statistics
 const getPDFStats = async (req, res, next) => {
   try {
+    const organizationParams = [req.auth.organization.id];
     const client = await pool.connect();
 
     try {
@@ -442,37 +2010,44 @@ const getPDFStats = async (req, res, next) => {
           COUNT(*) as total_pdfs,
           COUNT(DISTINCT company_name) as unique_companies,
           COUNT(DISTINCT username) as unique_users,
-          SUM(LENGTH(pdf_data)) as total_storage_bytes,
-          AVG(LENGTH(pdf_data)) as avg_file_size_bytes,
+          SUM(file_size) as total_storage_bytes,
+          AVG(file_size) as avg_file_size_bytes,
           MIN(created_at) as oldest_record,
-          MAX(created_at) as newest_record
+          MAX(created_at) as newest_record,
+          COUNT(*) FILTER (WHERE legal_hold) as legal_hold_count,
+          (SELECT COUNT(*) FROM pdf_records WHERE organization_id = $1 AND deleted_at IS NOT NULL) as deleted_count
         FROM pdf_records
+        WHERE organization_id = $1 AND deleted_at IS NULL
       `;
 
-      const statsResult = await client.query(statsQuery);
+      const statsResult = await client.query(statsQuery, organizationParams);
       const stats = statsResult.rows[0];
 
-      // Get top companies by PDF count
+      // Get top companies by PDF count (grouped by organization, so
+      // spelling variants of a company name are counted together)
       const topCompaniesQuery = `
-        SELECT company_name, COUNT(*) as pdf_count
-        FROM pdf_records
-        GROUP BY company_name
+        SELECT o.name as company_name, COUNT(*) as pdf_count
+        FROM pdf_records r
+        JOIN organizations o ON o.id = r.organization_id
+        WHERE r.organization_id = $1 AND r.deleted_at IS NULL
+        GROUP BY o.name
         ORDER BY pdf_count DESC
         LIMIT 10
       `;
 
-      const topCompaniesResult = await client.query(topCompaniesQuery);
+      const topCompaniesResult = await client.query(topCompaniesQuery, organizationParams);
 
       // Get top users by PDF count
       const topUsersQuery = `
         SELECT username, COUNT(*) as pdf_count
         FROM pdf_records
+        WHERE organization_id = $1 AND deleted_at IS NULL
         GROUP BY username
         ORDER BY pdf_count DESC
         LIMIT 10
       `;
 
-      const topUsersResult = await client.query(topUsersQuery);
+      const topUsersResult = await client.query(topUsersQuery, organizationParams);
 
       // Get records by month for the last 12 months
       const monthlyStatsQuery = `
@@ -480,12 +2055,14 @@ const getPDFStats = async (req, res, next) => {
           DATE_TRUNC('month', created_at) as month,
           COUNT(*) as pdf_count
         FROM pdf_records
-        WHERE created_at >= NOW() - INTERVAL '12 months'
+        WHERE organization_id = $1
+          AND deleted_at IS NULL
+          AND created_at >= NOW() - INTERVAL '12 months'
         GROUP BY DATE_TRUNC('month', created_at)
         ORDER BY month DESC
       `;
 
-      const monthlyStatsResult = await client.query(monthlyStatsQuery);
+      const monthlyStatsResult = await client.query(monthlyStatsQuery, organizationParams);
 
       client.release();
 
@@ -502,7 +2079,9 @@ const getPDFStats = async (req, res, next) => {
             avg_file_size_bytes: Math.round(parseFloat(stats.avg_file_size_bytes)),
             avg_file_size_mb: Math.round(parseFloat(stats.avg_file_size_bytes) / (1024 * 1024) * 100) / 100,
             oldest_record: stats.oldest_record,
-            newest_record: stats.newest_record
+            newest_record: stats.newest_record,
+            legal_hold_count: parseInt(stats.legal_hold_count),
+            deleted_count: parseInt(stats.deleted_count)
           },
           top_companies: topCompaniesResult.rows,
           top_users: topUsersResult.rows,
@@ -521,74 +2100,12 @@ const getPDFStats = async (req, res, next) => {
   }
 };
 
-// Submit hash to Constellation Digital Evidence API for tamper-proof verification
-const submitToBlockchain = async (recordId, pdfHash, filename, companyName) => {
-  try {
-    console.log(`📄 Submitting PDF evidence to Digital Evidence API for record: ${recordId}`);
-
-    const result = await digitalEvidenceClient.submitFingerprint({
-      documentRef: pdfHash,
-      eventId: recordId,
-      documentId: filename,
-      metadata: {
-        company: companyName,
-        filename: filename
-      }
-    });
-
-    // Update database with Digital Evidence fingerprint information
-    const client = await pool.connect();
-    try {
-      await client.query(
-        `UPDATE pdf_records SET
-         blockchain_tx_id = $1,
-         blockchain_status = $2,
-         blockchain_verified_at = NOW()
-         WHERE id = $3`,
-        [result.fingerprintHash, 'submitted', recordId]
-      );
-
-      console.log(`✅ Digital Evidence submission successful for record ${recordId}`);
-      console.log(`🔍 Explorer URL: ${result.explorerUrl}`);
-      console.log(`🆔 Fingerprint Hash: ${result.fingerprintHash}`);
-
-      return { success: true, fingerprintHash: result.fingerprintHash };
-
-    } catch (dbError) {
-      console.error('Failed to update database with Digital Evidence info:', dbError);
-      return { success: false };
-    } finally {
-      client.release();
-    }
-
-  } catch (error) {
-    console.error('❌ Digital Evidence submission failed:', error);
-
-    // Mark as failed in database
-    const client = await pool.connect();
-    try {
-      await client.query(
-        'UPDATE pdf_records SET blockchain_status = $1 WHERE id = $2',
-        ['failed', recordId]
-      );
-    } catch (dbError) {
-      console.error('Failed to update failure status:', dbError);
-    } finally {
-      client.release();
-    }
-
-    throw error;
-  }
-};
-
-
 // Verify PDF hash using Digital Evidence API
 const verifyPDFOnBlockchain = async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
     if (!uuidRegex.test(id)) {
       return next(new APIError('Invalid PDF ID format', 400));
     }
@@ -598,10 +2115,15 @@ const verifyPDFOnBlockchain = async (req, res, next) => {
     try {
       // Get PDF record from database
       const result = await client.query(
-        `SELECT id, pdf_hash, pdf_filename, company_name, blockchain_tx_id,
-                blockchain_status, blockchain_verified_at, created_at
-         FROM pdf_records WHERE id = $1`,
-        [id]
+        `SELECT r.id, r.pdf_hash, r.pdf_filename, r.company_name, r.blockchain_tx_id,
+                r.blockchain_status, r.blockchain_submitted_at, r.blockchain_verified_at,
+                r.digital_evidence_status, r.created_at, r.capture_manifest_hash,
+                r.signer_id, r.fingerprint_signature, r.fingerprint_content, r.deleted_at, r.purged_at,
+                ${artifactHashesSql('r')}
+         FROM pdf_records r
+         WHERE r.id = $1 AND r.organization_id = $2
+           AND (r.deleted_at IS NULL OR $3::boolean)`,
+        [id, req.auth.organization.id, canReadDeleted(req)]
       );
 
       if (result.rows.length === 0) {
@@ -610,6 +2132,8 @@ const verifyPDFOnBlockchain = async (req, res, next) => {
       }
 
       const record = result.rows[0];
+
+      await recordCustodyEvent(client, req, id, 'verified');
       client.release();
 
       let verificationData = {
@@ -618,35 +2142,50 @@ const verifyPDFOnBlockchain = async (req, res, next) => {
         filename: record.pdf_filename,
         company_name: record.company_name,
         blockchain_status: record.blockchain_status,
+        blockchain_submitted_at: record.blockchain_submitted_at,
         blockchain_verified_at: record.blockchain_verified_at,
         created_at: record.created_at,
         fingerprint_hash: record.blockchain_tx_id,
         verification_status: 'pending',
         verification_message: 'Evidence pending Digital Evidence submission',
-        explorer_url: null
+        explorer_url: null,
+        signer_id: record.signer_id,
+        signature_valid: null,
+        deleted_at: record.deleted_at,
+        purged_at: record.purged_at
       };
 
+      // Re-verify the stored attestation against the signer that produced it,
+      // which may be a retired key
+      if (record.signer_id && record.fingerprint_signature && record.fingerprint_content) {
+        verificationData.signature_valid = digitalEvidenceClient.verifySignature(
+          record.fingerprint_content,
+          record.fingerprint_signature,
+          record.signer_id
+        ) && record.fingerprint_content.documentRef === evidenceDocumentRef(record.pdf_hash, record.capture_manifest_hash, record.artifacts);
+      }
+
       // Check Digital Evidence API status if we have a fingerprint hash
-      if (record.blockchain_tx_id && record.blockchain_status === 'submitted') {
+      if (record.blockchain_tx_id) {
         try {
-          const statusResult = await digitalEvidenceClient.checkFingerprintStatus(record.blockchain_tx_id);
+          const fingerprintStatus = await refreshFingerprintStatus(record);
+          const verificationStatus = toVerificationStatus(fingerprintStatus.status);
 
-          if (statusResult.status === 'FINALIZED_COMMITMENT') {
-            verificationData.verification_status = 'verified';
+          if (verificationStatus === 'verified') {
             verificationData.verification_message = 'Evidence verified on Constellation Digital Evidence API';
-            verificationData.blockchain_verified = true;
-          } else if (statusResult.status === 'PENDING') {
-            verificationData.verification_status = 'pending';
+          } else if (verificationStatus === 'pending') {
             verificationData.verification_message = 'Evidence submitted, awaiting consensus finalization';
-            verificationData.blockchain_verified = false;
           } else {
-            verificationData.verification_status = 'error';
-            verificationData.verification_message = statusResult.error || 'Unknown status';
-            verificationData.blockchain_verified = false;
+            verificationData.verification_message = fingerprintStatus.error || `Digital Evidence status: ${fingerprintStatus.status || 'Unknown status'}`;
           }
 
-          verificationData.explorer_url = statusResult.explorerUrl;
-          verificationData.digital_evidence_status = statusResult.status;
+          verificationData.verification_status = verificationStatus;
+          verificationData.blockchain_verified = verificationStatus === 'verified';
+          verificationData.blockchain_status = fingerprintStatus.blockchainStatus;
+          verificationData.blockchain_verified_at = fingerprintStatus.verifiedAt;
+          verificationData.explorer_url = fingerprintStatus.explorerUrl;
+          verificationData.digital_evidence_status = fingerprintStatus.status;
+          verificationData.status_history = await getFingerprintStatusHistory(record.id);
 
         } catch (statusError) {
           console.error('Error checking Digital Evidence status:', statusError);
@@ -680,10 +2219,27 @@ const verifyPDFOnBlockchain = async (req, res, next) => {
 };
 
 module.exports = {
+  storeEvidence,
   uploadPDF,
+  createUploadSession,
+  getUploadSession,
+  putUploadChunk,
+  completeUploadSession,
+  abortUploadSession,
   getPDFList,
   getPDFById,
   deletePDFById,
+  restorePDFById,
+  purgePDFById,
+  placeLegalHold: setLegalHold(true),
+  releaseLegalHold: setLegalHold(false),
+  getPDFCustody,
+  getPDFManifest,
+  getPDFArtifacts,
+  getPDFArtifact,
+  getPDFDiff,
+  getPDFDiffImage,
+  getPDFCertificate,
   getPDFStats,
   verifyPDFOnBlockchain
 };
\ No newline at end of file
@@ -0,0 +1,56 @@
+const { APIError } = require('../middleware/errorHandler');
+const { getSigningKeys, findSigningKey } = require('../utils/signing-key-registry');
+
+// Get active and historical signing keys
+const getSigners = async (req, res, next) => {
+  try {
+    const { active, retired } = await getSigningKeys();
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: {
+        active_signer_id: active ? active.signer_id : null,
+        signer_ids: [active, ...retired].filter(Boolean).map(key => key.signer_id),
+        active,
+        retired
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting signing keys:', error);
+    next(error);
+  }
+};
+
+// Get a single signing key by signerId
+const getSignerById = async (req, res, next) => {
+  try {
+    const { signerId } = req.params;
+
+    if (!/^04[0-9a-f]{128}$/i.test(signerId)) {
+      return next(new APIError('Invalid signer ID format', 400));
+    }
+
+    const signer = await findSigningKey(signerId.toLowerCase());
+
+    if (!signer) {
+      return next(new APIError('Signer not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: signer
+    });
+
+  } catch (error) {
+    console.error('Error getting signing key:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getSigners,
+  getSignerById
+};
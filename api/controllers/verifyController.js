@@ -0,0 +1,196 @@
+const { pool } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const digitalEvidenceClient = require('../utils/digital-evidence-client');
+const { toVerificationStatus, refreshFingerprintStatus } = require('../utils/fingerprint-status');
+const { recordThrottledCustodyEvent } = require('../utils/custody-log');
+const { evidenceDocumentRef } = require('../utils/capture-manifest');
+const { artifactHashesSql } = require('../utils/evidence-artifacts');
+
+const sha256Regex = /^[0-9a-f]{64}$/i;
+
+// A client verifying the same record again within this window adds no
+// further publicly_verified custody event
+const CUSTODY_WINDOW_SECONDS = parseInt(process.env.VERIFY_CUSTODY_WINDOW_SECONDS) || 60 * 60;
+// Live Digital Evidence statuses are reused this long across requests
+const STATUS_CACHE_MS = parseInt(process.env.VERIFY_STATUS_CACHE_MS) || 30 * 1000;
+const STATUS_CACHE_MAX_ENTRIES = 1000;
+
+const statusCache = new Map();
+
+// refreshFingerprintStatus, asking the Digital Evidence API at most once
+// per STATUS_CACHE_MS for each fingerprint
+const cachedFingerprintStatus = async (record) => {
+  const cached = statusCache.get(record.blockchain_tx_id);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.status;
+  }
+
+  const status = await refreshFingerprintStatus(record);
+
+  if (record.blockchain_tx_id) {
+    statusCache.delete(record.blockchain_tx_id);
+    // Maps iterate in insertion order: the first key is the oldest entry
+    if (statusCache.size >= STATUS_CACHE_MAX_ENTRIES) {
+      statusCache.delete(statusCache.keys().next().value);
+    }
+    statusCache.set(record.blockchain_tx_id, { status, expiresAt: Date.now() + STATUS_CACHE_MS });
+  }
+
+  return status;
+};
+
+// Look up a vault record by the SHA-256 of its PDF or of one of its
+// artifacts (e.g. the MHTML snapshot) and send the verification result.
+// Several organizations may hold the same file: a PDF match comes before
+// an artifact match, a record that wasn't deleted before a tombstone, and
+// otherwise the earliest capture is reported.
+const sendVerificationForHash = async (req, pdfHash, res, method) => {
+  const result = await pool.query(
+    `SELECT r.id, r.company_name, r.username, r.pdf_filename, r.pdf_hash, r.created_at, r.file_id,
+            r.blockchain_tx_id, r.blockchain_status, r.blockchain_submitted_at, r.blockchain_verified_at,
+            r.digital_evidence_status, r.signer_id, r.fingerprint_signature, r.fingerprint_content,
+            r.capture_manifest_hash, r.deleted_at, r.purged_at,
+            COALESCE(deleter.display_name, deleter.username) AS deleted_by,
+            ${artifactHashesSql('r')}
+     FROM pdf_records r
+     LEFT JOIN users deleter ON deleter.id = r.deleted_by_user_id
+     WHERE r.pdf_hash = $1
+        OR r.id IN (SELECT record_id FROM evidence_artifacts WHERE sha256 = $1)
+     ORDER BY (r.pdf_hash = $1) DESC, (r.deleted_at IS NULL) DESC, r.created_at, r.id
+     LIMIT 1`,
+    [pdfHash]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({
+      success: true,
+      status: 'success',
+      data: {
+        found: false,
+        pdf_hash: pdfHash,
+        message: 'No evidence record in ProofVault matches this SHA-256 hash. The document was not captured with ProofVault, or it has been altered since capture.'
+      }
+    });
+  }
+
+  const record = result.rows[0];
+  const matchedArtifact = record.pdf_hash === pdfHash
+    ? null
+    : record.artifacts.find(artifact => artifact.sha256 === pdfHash);
+
+  await recordThrottledCustodyEvent(pool, req, record.id, 'publicly_verified', {
+    method,
+    ...(matchedArtifact && { matched: matchedArtifact.kind })
+  }, CUSTODY_WINDOW_SECONDS);
+
+  let fingerprintStatus = {
+    status: record.digital_evidence_status,
+    blockchainStatus: record.blockchain_status,
+    verifiedAt: record.blockchain_verified_at,
+    explorerUrl: record.blockchain_tx_id
+      ? digitalEvidenceClient.getVerificationCertificateUrl(record.blockchain_tx_id)
+      : null
+  };
+
+  try {
+    fingerprintStatus = await cachedFingerprintStatus(record);
+  } catch (error) {
+    console.warn('Could not refresh Digital Evidence status:', error.message);
+  }
+
+  let signatureValid = null;
+  if (record.signer_id && record.fingerprint_signature && record.fingerprint_content) {
+    signatureValid = digitalEvidenceClient.verifySignature(
+      record.fingerprint_content,
+      record.fingerprint_signature,
+      record.signer_id
+    ) && record.fingerprint_content.documentRef === evidenceDocumentRef(record.pdf_hash, record.capture_manifest_hash, record.artifacts);
+  }
+
+  const verificationStatus = record.blockchain_tx_id ? toVerificationStatus(fingerprintStatus.status) : 'pending';
+
+  // Deleted and purged records remain as tombstones. The deletion reason
+  // is internal to the organization and isn't disclosed here.
+  const matchedWhat = matchedArtifact
+    ? `This ${matchedArtifact.kind.toUpperCase()} file matches an artifact of`
+    : 'This document matches';
+  let message = verificationStatus === 'verified'
+    ? `${matchedWhat} a ProofVault evidence record anchored on the Constellation Digital Evidence API.`
+    : `${matchedWhat} a ProofVault evidence record. Its Digital Evidence fingerprint is not finalized yet.`;
+  let removed = null;
+
+  if (record.deleted_at) {
+    removed = {
+      removed_at: record.deleted_at,
+      removed_by: record.deleted_by,
+      purged_at: record.purged_at,
+      content_available: !record.purged_at
+    };
+    message = `This document existed in ProofVault and was removed on ${record.deleted_at.toISOString()}${record.deleted_by ? ` by ${record.deleted_by}` : ''}. Its hash and fingerprint are kept as a tombstone.`;
+  }
+
+  res.status(200).json({
+    success: true,
+    status: 'success',
+    data: {
+      found: true,
+      pdf_hash: record.pdf_hash,
+      capture_manifest_hash: record.capture_manifest_hash,
+      matched: matchedArtifact ? matchedArtifact.kind : 'pdf',
+      artifacts: record.artifacts,
+      fingerprint_document_ref: evidenceDocumentRef(record.pdf_hash, record.capture_manifest_hash, record.artifacts),
+      message,
+      removed,
+      capture: {
+        id: record.id,
+        filename: record.pdf_filename,
+        company_name: record.company_name,
+        username: record.username,
+        file_id: record.file_id,
+        created_at: record.created_at
+      },
+      fingerprint_hash: record.blockchain_tx_id,
+      verification_status: verificationStatus,
+      digital_evidence_status: fingerprintStatus.status,
+      blockchain_status: fingerprintStatus.blockchainStatus,
+      blockchain_submitted_at: record.blockchain_submitted_at,
+      blockchain_verified_at: fingerprintStatus.verifiedAt,
+      explorer_url: fingerprintStatus.explorerUrl,
+      signer_id: record.signer_id,
+      signature_valid: signatureValid
+    }
+  });
+};
+
+// Verify an uploaded PDF against the vault (file is hashed, not stored)
+const verifyFile = async (req, res, next) => {
+  try {
+    await sendVerificationForHash(req, req.fileHash, res, 'file');
+
+  } catch (error) {
+    console.error('Error verifying uploaded PDF:', error);
+    next(error);
+  }
+};
+
+// Verify a SHA-256 hash computed by the caller
+const verifyHash = async (req, res, next) => {
+  try {
+    const { sha256 } = req.params;
+
+    if (!sha256Regex.test(sha256)) {
+      return next(new APIError('Invalid SHA-256 hash format. Expected 64 hexadecimal characters.', 400));
+    }
+
+    await sendVerificationForHash(req, sha256.toLowerCase(), res, 'hash');
+
+  } catch (error) {
+    console.error('Error verifying PDF hash:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  verifyFile,
+  verifyHash
+};
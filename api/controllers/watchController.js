@@ -0,0 +1,278 @@
+const { pool } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { parseCaptureUrl, assertPublicUrl } = require('../utils/headless-capture');
+const { MIN_INTERVAL_MINUTES, parseWatchInterval } = require('../utils/watch-jobs');
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const WATCH_COLUMNS = `
+  w.id, w.url, w.label, w.interval_minutes, w.is_active, w.next_run_at, w.last_run_at,
+  w.last_status, w.last_error, w.consecutive_failures, w.created_at, w.updated_at,
+  w.created_by_user_id, creator.username AS created_by_username,
+  w.created_by_api_key_id, k.name AS created_by_api_key_name,
+  (SELECT COUNT(*) FROM watch_runs r WHERE r.watch_job_id = w.id AND r.status = 'captured') AS capture_count`;
+
+const WATCH_JOINS = `
+  LEFT JOIN users creator ON creator.id = w.created_by_user_id
+  LEFT JOIN api_keys k ON k.id = w.created_by_api_key_id`;
+
+// Watch job as returned to clients
+const watchJobResponse = (row) => ({
+  ...row,
+  capture_count: parseInt(row.capture_count),
+  runs_url: `/api/watches/${row.id}/runs`
+});
+
+const parseLabel = (label) => {
+  if (label === undefined || label === null || label === '') {
+    return null;
+  }
+  if (typeof label !== 'string' || label.length > 255) {
+    throw new APIError('label must be a string of at most 255 characters', 400);
+  }
+  return label.trim();
+};
+
+// Load one of the caller's organization's watch jobs
+const findWatchJob = async (req) => {
+  const { id } = req.params;
+
+  if (!uuidRegex.test(id)) {
+    throw new APIError('Invalid watch job ID format', 400);
+  }
+
+  const result = await pool.query(
+    `SELECT ${WATCH_COLUMNS} FROM watch_jobs w ${WATCH_JOINS}
+     WHERE w.id = $1 AND w.organization_id = $2 AND w.deleted_at IS NULL`,
+    [id, req.auth.organization.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new APIError('Watch job not found', 404);
+  }
+
+  return result.rows[0];
+};
+
+// List the organization's watch jobs
+// Query parameters: active=true|false
+const getWatchJobs = async (req, res, next) => {
+  try {
+    const params = [req.auth.organization.id];
+    let activeFilter = '';
+
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      params.push(req.query.active === 'true');
+      activeFilter = `AND w.is_active = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT ${WATCH_COLUMNS} FROM watch_jobs w ${WATCH_JOINS}
+       WHERE w.organization_id = $1 AND w.deleted_at IS NULL ${activeFilter}
+       ORDER BY w.created_at DESC`,
+      params
+    );
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: result.rows.map(watchJobResponse),
+      min_interval_minutes: MIN_INTERVAL_MINUTES
+    });
+
+  } catch (error) {
+    console.error('Error listing watch jobs:', error);
+    next(error);
+  }
+};
+
+// Create a watch job; its first run is due immediately
+// Body: { url, interval_minutes, label? }
+const createWatchJob = async (req, res, next) => {
+  try {
+    const { url, interval_minutes, label } = req.body || {};
+
+    const watchUrl = parseCaptureUrl(url);
+    const interval = parseWatchInterval(interval_minutes);
+    await assertPublicUrl(watchUrl);
+
+    // API keys tied to a user capture as that user; other keys as themselves
+    const byApiKey = req.auth.apiKey && !req.auth.user;
+
+    const inserted = await pool.query(
+      `INSERT INTO watch_jobs (organization_id, url, label, interval_minutes, created_by_user_id, created_by_api_key_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [
+        req.auth.organization.id, watchUrl, parseLabel(label), interval,
+        req.auth.user ? req.auth.user.id : null,
+        byApiKey ? req.auth.apiKey.id : null
+      ]
+    );
+
+    req.params.id = inserted.rows[0].id;
+    const job = await findWatchJob(req);
+
+    res.status(201).json({
+      success: true,
+      status: 'success',
+      message: 'Watch job created; the first capture runs shortly',
+      data: watchJobResponse(job)
+    });
+
+  } catch (error) {
+    console.error('Error creating watch job:', error);
+    next(error);
+  }
+};
+
+// Get a watch job
+const getWatchJob = async (req, res, next) => {
+  try {
+    const job = await findWatchJob(req);
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: watchJobResponse(job)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change a watch job's interval, label or whether it runs. Resuming a
+// paused job clears its failure count.
+// Body: { interval_minutes?, label?, is_active? }
+const updateWatchJob = async (req, res, next) => {
+  try {
+    const job = await findWatchJob(req);
+    const { interval_minutes, label, is_active } = req.body || {};
+
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+      return next(new APIError('is_active must be a boolean', 400));
+    }
+
+    const interval = interval_minutes !== undefined ? parseWatchInterval(interval_minutes) : job.interval_minutes;
+    const newLabel = label !== undefined ? parseLabel(label) : job.label;
+    const active = is_active !== undefined ? is_active : job.is_active;
+
+    // The next run moves with the interval, counted from the last run
+    await pool.query(
+      `UPDATE watch_jobs SET
+         interval_minutes = $2, label = $3, is_active = $4,
+         consecutive_failures = CASE WHEN $4 AND NOT is_active THEN 0 ELSE consecutive_failures END,
+         next_run_at = CASE
+           WHEN $2 <> interval_minutes AND last_run_at IS NOT NULL
+             THEN GREATEST(last_run_at + $2 * INTERVAL '1 minute', NOW())
+           ELSE next_run_at
+         END
+       WHERE id = $1`,
+      [job.id, interval, newLabel, active]
+    );
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      message: 'Watch job updated',
+      data: watchJobResponse(await findWatchJob(req))
+    });
+
+  } catch (error) {
+    console.error('Error updating watch job:', error);
+    next(error);
+  }
+};
+
+// Capture a watch job's URL as soon as possible, outside its schedule
+const runWatchJobNow = async (req, res, next) => {
+  try {
+    const job = await findWatchJob(req);
+
+    if (!job.is_active) {
+      return next(new APIError('Watch job is paused; resume it first', 409));
+    }
+
+    await pool.query('UPDATE watch_jobs SET next_run_at = NOW() WHERE id = $1', [job.id]);
+
+    res.status(202).json({
+      success: true,
+      status: 'success',
+      message: 'Capture scheduled',
+      data: watchJobResponse(await findWatchJob(req))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a watch job. Its runs and the evidence they produced are kept.
+const deleteWatchJob = async (req, res, next) => {
+  try {
+    const job = await findWatchJob(req);
+
+    await pool.query(
+      'UPDATE watch_jobs SET is_active = false, deleted_at = NOW() WHERE id = $1',
+      [job.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      message: 'Watch job deleted; its captures remain in the evidence list',
+      data: { id: job.id }
+    });
+
+  } catch (error) {
+    console.error('Error deleting watch job:', error);
+    next(error);
+  }
+};
+
+// Runs of a watch job, newest first, with the records they produced
+// Query parameters:
+// - changed_only: only runs whose visible text differs from the run before
+// - limit: max runs (default: 100, max: 1000)
+const getWatchRuns = async (req, res, next) => {
+  try {
+    const job = await findWatchJob(req);
+    const params = [job.id, Math.min(1000, Math.max(1, parseInt(req.query.limit) || 100))];
+    const changedFilter = req.query.changed_only === 'true' ? 'AND r.content_changed' : '';
+
+    const result = await pool.query(
+      `SELECT r.id, r.status, r.started_at, r.finished_at, r.http_status, r.final_url,
+              r.content_hash, r.content_changed, r.error, r.record_id,
+              p.pdf_hash, p.blockchain_status, p.deleted_at
+       FROM watch_runs r
+       LEFT JOIN pdf_records p ON p.id = r.record_id
+       WHERE r.watch_job_id = $1 ${changedFilter}
+       ORDER BY r.started_at DESC
+       LIMIT $2`,
+      params
+    );
+
+    res.status(200).json({
+      success: true,
+      status: 'success',
+      data: result.rows.map(run => ({
+        ...run,
+        record_url: run.record_id ? `/api/pdf/${run.record_id}` : null
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getWatchJobs,
+  createWatchJob,
+  getWatchJob,
+  updateWatchJob,
+  runWatchJobNow,
+  deleteWatchJob,
+  getWatchRuns
+};
@@ -0,0 +1,125 @@
+const { APIError } = require('./errorHandler');
+const {
+  SESSION_COOKIE,
+  isApiKey,
+  verifySessionToken,
+  findApiKeyPrincipal,
+  findUserPrincipal
+} = require('../utils/auth');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+
+// Read a single cookie without pulling in cookie-parser
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+
+  return null;
+};
+
+// Credentials in order of precedence: X-API-Key, Authorization: Bearer, session cookie
+const readCredential = (req) => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) return apiKey.trim();
+
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  return readCookie(req, SESSION_COOKIE);
+};
+
+// Require an API key or a dashboard session; sets req.auth to the principal
+const authenticate = async (req, res, next) => {
+  try {
+    const credential = readCredential(req);
+
+    if (!credential) {
+      return next(new APIError('Authentication required', 401));
+    }
+
+    let principal;
+
+    if (isApiKey(credential)) {
+      principal = await findApiKeyPrincipal(credential);
+      if (!principal) {
+        return next(new APIError('Invalid or revoked API key', 401));
+      }
+    } else {
+      // Invalid and expired tokens are turned into 401s by errorHandler
+      const payload = verifySessionToken(credential);
+      principal = await findUserPrincipal(payload.sub, payload.org);
+      if (!principal) {
+        return next(new APIError('User account is disabled or no longer a member of this organization', 401));
+      }
+    }
+
+    req.auth = principal;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require a ProofVault operator (used for /api/admin)
+const requireAdmin = (req, res, next) => {
+  if (!req.auth || !req.auth.user || !req.auth.user.is_admin) {
+    return next(new APIError('Administrator access required', 403));
+  }
+
+  next();
+};
+
+// Require a permission from the caller's organization role.
+// Denials get a structured 403 so clients can explain what is missing.
+const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.auth) {
+      return next(new APIError('Authentication required', 401));
+    }
+
+    const { role } = req.auth.organization;
+
+    if (hasPermission(role, permission)) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      status: 'error',
+      message: `Your role (${role}) does not allow this action`,
+      error: {
+        code: 'PERMISSION_DENIED',
+        permission,
+        role,
+        allowed_roles: PERMISSIONS[permission],
+        organization_id: req.auth.organization.id
+      },
+      timestamp: new Date().toISOString()
+    });
+  };
+};
+
+// Like requirePermission, but only when the request matches (e.g. ?download=true)
+const requirePermissionWhen = (predicate, permission) => {
+  const check = requirePermission(permission);
+  return (req, res, next) => (predicate(req) ? check(req, res, next) : next());
+};
+
+module.exports = {
+  authenticate,
+  requireAdmin,
+  requirePermission,
+  requirePermissionWhen
+};
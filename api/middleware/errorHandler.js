@@ -131,6 +131,12 @@ const handleMulterError = (err) => {
 
 // Main error handling middleware
 const errorHandler = (err, req, res, next) => {
+  // A streamed response (e.g. a PDF download) failed midway; let Express
+  // close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
   let error = { ...err };
   error.message = err.message;
 
@@ -139,6 +145,9 @@ const errorHandler = (err, req, res, next) => {
     error = handleValidationError(error);
   } else if (err.code && err.code.startsWith('23')) {
     error = handleDatabaseError(error);
+  } else if (err.code === 'P0001') {
+    // Raised by database triggers guarding evidence (legal hold, no hard deletes)
+    error = new APIError(err.message, 409);
   } else if (err.name === 'MulterError' || err.code === 'INVALID_FILE_TYPE') {
     error = handleMulterError(error);
   } else if (err.name === 'CastError') {
@@ -0,0 +1,43 @@
+const { APIError } = require('./errorHandler');
+
+// Limit each client IP to max requests per fixed window. Counts are kept in
+// memory, so each API process limits on its own.
+const rateLimit = ({ windowMs, max, message }) => {
+  const windows = new Map();
+
+  // Drop finished windows so one-off clients don't accumulate
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, ip) => {
+      if (window.resetAt <= now) windows.delete(ip);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const ip = req.ip || 'unknown';
+    let window = windows.get(ip);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(ip, window);
+    }
+
+    window.count++;
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - window.count)));
+    res.set('RateLimit-Reset', String(Math.ceil((window.resetAt - now) / 1000)));
+
+    if (window.count > max) {
+      res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+      return next(new APIError(message || 'Too many requests; retry later', 429));
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit
+};
@@ -1,10 +1,92 @@
 const multer = require('multer');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { pool } = require('../config/database');
 const { APIError } = require('./errorHandler');
 
-// Configure multer for memory storage (we'll store in database)
-const storage = multer.memoryStorage();
+// Server-wide file size limit; organizations may override it (max_upload_bytes)
+const DEFAULT_MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024;
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'proofvault-uploads');
+
+const PDF_SIGNATURE = Buffer.from([0x25, 0x50, 0x44, 0x46]); // %PDF
+
+const uploadError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Multer storage engine that hashes and checks each file while it streams,
+// so uploads never sit in memory. Files are spooled to UPLOAD_TMP_DIR
+// (keep: true) until the controller moves them to blob storage, or
+// discarded after hashing (keep: false, for verification).
+class HashingStorage {
+  constructor({ keep }) {
+    this.keep = keep;
+  }
+
+  _handleFile(req, file, cb) {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    let head = Buffer.alloc(0);
+
+    const inspect = new Transform({
+      transform(chunk, encoding, done) {
+        if (head.length < PDF_SIGNATURE.length) {
+          head = Buffer.concat([head, chunk]).subarray(0, PDF_SIGNATURE.length);
+          if (head.length === PDF_SIGNATURE.length && !head.equals(PDF_SIGNATURE)) {
+            return done(uploadError('Invalid PDF file format', 'INVALID_PDF'));
+          }
+        }
+        hash.update(chunk);
+        size += chunk.length;
+        done(null, chunk);
+      },
+      flush(done) {
+        if (size === 0) {
+          return done(uploadError('Uploaded file is empty', 'INVALID_PDF'));
+        }
+        if (!head.equals(PDF_SIGNATURE)) {
+          return done(uploadError('Invalid PDF file format', 'INVALID_PDF'));
+        }
+        done();
+      }
+    });
+
+    const tempPath = this.keep
+      ? path.join(UPLOAD_TMP_DIR, `${crypto.randomBytes(16).toString('hex')}.part`)
+      : null;
+
+    const spool = async () => {
+      if (tempPath) {
+        await fs.promises.mkdir(UPLOAD_TMP_DIR, { recursive: true });
+      }
+      const destination = tempPath
+        ? fs.createWriteStream(tempPath, { flags: 'wx' })
+        : new Writable({ write: (chunk, encoding, done) => done() });
+      await pipeline(file.stream, inspect, destination);
+    };
+
+    spool()
+      .then(() => cb(null, { path: tempPath, size, hash: hash.digest('hex') }))
+      .catch(error => {
+        if (tempPath) fs.unlink(tempPath, () => {});
+        cb(error);
+      });
+  }
+
+  _removeFile(req, file, cb) {
+    if (!file.path) return cb(null);
+    fs.unlink(file.path, () => cb(null));
+  }
+}
+
+const spoolStorage = new HashingStorage({ keep: true });
+const hashOnlyStorage = new HashingStorage({ keep: false });
 
 // File filter to only allow PDF files
 const fileFilter = (req, file, cb) => {
@@ -30,60 +112,98 @@ const fileFilter = (req, file, cb) => {
 };
 
 // Configure multer
-const upload = multer({
+const createUpload = (storage, fileSize, files = 1) => multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 1, // Only allow 1 file per request
+    fileSize: fileSize,
+    files: files, // Only allow 1 file per request unless stated
     fields: 10, // Limit number of fields
     fieldNameSize: 100, // Limit field name size
     fieldSize: 1 * 1024 * 1024 // 1MB limit for field values
   }
 });
 
-// Middleware to validate PDF file content
-const validatePDFContent = (req, res, next) => {
-  if (!req.file) {
-    return next(new APIError('No file uploaded', 400));
+/**
+ * Largest upload allowed for an organization
+ * @param {string} organizationId - Organization ID (null for public endpoints)
+ * @returns {Promise<number>} Limit in bytes
+ */
+const getUploadLimit = async (organizationId) => {
+  if (!organizationId) {
+    return DEFAULT_MAX_FILE_SIZE;
   }
 
-  const buffer = req.file.buffer;
-  
-  // Check if file starts with PDF signature
-  const pdfSignature = Buffer.from([0x25, 0x50, 0x44, 0x46]); // %PDF
-  if (!buffer.subarray(0, 4).equals(pdfSignature)) {
-    return next(new APIError('Invalid PDF file format', 400));
+  const result = await pool.query('SELECT max_upload_bytes FROM organizations WHERE id = $1', [organizationId]);
+  const limit = result.rows[0] && result.rows[0].max_upload_bytes;
+  return limit ? parseInt(limit) : DEFAULT_MAX_FILE_SIZE;
+};
+
+// Receive files with the caller's organization limit
+const receiveFiles = (storage, field, maxCount) => async (req, res, next) => {
+  try {
+    req.uploadLimit = await getUploadLimit(req.auth ? req.auth.organization.id : null);
+    const upload = createUpload(storage, req.uploadLimit, maxCount || 1);
+    const receive = maxCount ? upload.array(field, maxCount) : upload.single(field);
+
+    // Spooled files are removed once the response is done, whatever happened
+    res.on('close', () => {
+      const files = req.files || (req.file ? [req.file] : []);
+      files.filter(file => file.path).forEach(file => fs.unlink(file.path, () => {}));
+    });
+
+    receive(req, res, next);
+  } catch (error) {
+    next(error);
   }
+};
 
-  // Check if file is not empty
-  if (buffer.length === 0) {
-    return next(new APIError('Uploaded file is empty', 400));
+// Middleware to validate the received PDF. Signature and emptiness are
+// checked while streaming (HashingStorage); this exposes the hash.
+const validatePDFContent = (req, res, next) => {
+  if (!req.file) {
+    return next(new APIError('No file uploaded', 400));
   }
 
   // Add file hash to request for deduplication
-  const hash = crypto.createHash('sha256');
-  hash.update(buffer);
-  req.fileHash = hash.digest('hex');
+  req.fileHash = req.file.hash;
 
   next();
 };
 
-// Middleware to validate required fields
-const validateUploadFields = (req, res, next) => {
-  const { company_name, username } = req.body;
+// Middleware to check the SHA-256 the client computed before sending
+// (optional expected_hash field) against the hash of the bytes received.
+// A mismatch means the file was altered in transit.
+const checkExpectedHash = (req, res, next) => {
+  const expectedHash = req.body.expected_hash;
+  if (expectedHash === undefined || expectedHash === '') {
+    return next();
+  }
 
-  if (!company_name || typeof company_name !== 'string' || company_name.trim().length === 0) {
-    return next(new APIError('Company name is required and must be a non-empty string', 400));
+  if (typeof expectedHash !== 'string' || !/^[0-9a-fA-F]{64}$/.test(expectedHash)) {
+    return next(new APIError('expected_hash must be the 64 character hex SHA-256 of the file', 400));
   }
 
-  if (!username || typeof username !== 'string' || username.trim().length === 0) {
-    return next(new APIError('Username is required and must be a non-empty string', 400));
+  req.expectedHash = expectedHash.toLowerCase();
+  if (req.expectedHash !== req.fileHash) {
+    console.warn(`⚠️ Upload rejected: expected_hash ${req.expectedHash} does not match received ${req.fileHash}`);
+    return next(new APIError(`SHA-256 mismatch: expected ${req.expectedHash}, received ${req.fileHash}`, 422));
   }
 
-  // Sanitize input fields
-  req.body.company_name = company_name.trim().substring(0, 255);
-  req.body.username = username.trim().substring(0, 255);
+  next();
+};
+
+// Middleware to attribute the upload to the authenticated principal.
+// company_name/username sent by the client are ignored so they can't be spoofed.
+const attributeUpload = (req, res, next) => {
+  if (!req.auth) {
+    return next(new APIError('Authentication required', 401));
+  }
+
+  const { user, organization, apiKey } = req.auth;
+
+  req.body.company_name = organization.name.substring(0, 255);
+  req.body.username = (user ? user.username : `api-key:${apiKey.name}`).substring(0, 255);
 
   next();
 };
@@ -92,7 +212,8 @@ const validateUploadFields = (req, res, next) => {
 const handleFileSizeError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return next(new APIError('File size exceeds the maximum limit of 10MB', 413));
+      const limitMb = Math.round((req.uploadLimit || DEFAULT_MAX_FILE_SIZE) / (1024 * 1024) * 100) / 100;
+      return next(new APIError(`File size exceeds the maximum limit of ${limitMb}MB`, 413));
     }
     if (err.code === 'LIMIT_FILE_COUNT') {
       return next(new APIError('Only one file can be uploaded at a time', 400));
@@ -102,7 +223,7 @@ const handleFileSizeError = (err, req, res, next) => {
     }
   }
   
-  if (err.code === 'INVALID_FILE_TYPE') {
+  if (err.code === 'INVALID_FILE_TYPE' || err.code === 'INVALID_PDF') {
     return next(new APIError(err.message, 400));
   }
 
@@ -111,48 +232,47 @@ const handleFileSizeError = (err, req, res, next) => {
 
 // Single file upload middleware with all validations
 const uploadSinglePDF = [
-  upload.single('pdf'), // Field name should be 'pdf'
+  receiveFiles(spoolStorage, 'pdf'), // Field name should be 'pdf'
+  handleFileSizeError,
+  attributeUpload,
+  validatePDFContent,
+  checkExpectedHash
+];
+
+// Single file upload for verification only: the file is hashed, never stored
+const verifySinglePDF = [
+  receiveFiles(hashOnlyStorage, 'pdf'),
   handleFileSizeError,
-  validateUploadFields,
   validatePDFContent
 ];
 
 // Multiple files upload middleware (for future use)
 const uploadMultiplePDFs = [
-  upload.array('pdfs', 5), // Field name should be 'pdfs', max 5 files
+  receiveFiles(spoolStorage, 'pdfs', 5), // Field name should be 'pdfs', max 5 files
   handleFileSizeError,
-  validateUploadFields,
+  attributeUpload,
   (req, res, next) => {
     if (!req.files || req.files.length === 0) {
       return next(new APIError('No files uploaded', 400));
     }
 
-    // Validate each file and generate hashes
-    req.fileHashes = [];
-    for (const file of req.files) {
-      const buffer = file.buffer;
-      
-      // Check PDF signature
-      const pdfSignature = Buffer.from([0x25, 0x50, 0x44, 0x46]); // %PDF
-      if (!buffer.subarray(0, 4).equals(pdfSignature)) {
-        return next(new APIError(`Invalid PDF file format: ${file.originalname}`, 400));
-      }
-
-      // Generate hash
-      const hash = crypto.createHash('sha256');
-      hash.update(buffer);
-      req.fileHashes.push(hash.digest('hex'));
-    }
+    // Files were checked and hashed while streaming
+    req.fileHashes = req.files.map(file => file.hash);
 
     next();
   }
 ];
 
 module.exports = {
-  upload,
+  DEFAULT_MAX_FILE_SIZE,
+  UPLOAD_TMP_DIR,
+  PDF_SIGNATURE,
+  getUploadLimit,
   uploadSinglePDF,
+  verifySinglePDF,
   uploadMultiplePDFs,
   validatePDFContent,
-  validateUploadFields,
+  checkExpectedHash,
+  attributeUpload,
   handleFileSizeError
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+-- ================================================
+-- ProofVault Database Migration: Signing Key Registry
+-- File: 002_signing_key_registry.sql
+-- Description: Track active and retired Digital Evidence signing keys
+--              and store the signed attestation alongside each record
+-- ================================================
+
+-- Step 1: Registry of every key ProofVault has signed fingerprints with
+CREATE TABLE IF NOT EXISTS signing_keys (
+    id SERIAL PRIMARY KEY,
+    signer_id TEXT NOT NULL UNIQUE,
+    algorithm VARCHAR(50) NOT NULL DEFAULT 'SECP256K1_RFC8785_V1',
+    key_source TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    activated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    retired_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT signing_keys_status_check CHECK (status IN ('active', 'retired'))
+);
+
+-- Only one key may be active at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_signing_keys_single_active
+ON signing_keys(status)
+WHERE status = 'active';
+
+-- Step 2: Keep the signed attestation so it can be re-verified later
+ALTER TABLE pdf_records
+ADD COLUMN IF NOT EXISTS signer_id TEXT,
+ADD COLUMN IF NOT EXISTS fingerprint_signature TEXT,
+ADD COLUMN IF NOT EXISTS fingerprint_content JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_pdf_records_signer_id ON pdf_records(signer_id);
+
+-- Step 3: Add comments for documentation
+COMMENT ON TABLE signing_keys IS 'Active and retired secp256k1 keys used to sign Digital Evidence fingerprints';
+COMMENT ON COLUMN signing_keys.signer_id IS 'Uncompressed secp256k1 public key (hex) used as signerId in attestations';
+COMMENT ON COLUMN signing_keys.key_source IS 'Keystore file the key was loaded from (file name only)';
+COMMENT ON COLUMN pdf_records.signer_id IS 'signerId of the key that signed this record''s fingerprint';
+COMMENT ON COLUMN pdf_records.fingerprint_signature IS 'DER-encoded ECDSA signature (hex) submitted with the fingerprint';
+COMMENT ON COLUMN pdf_records.fingerprint_content IS 'Exact fingerprint content that was signed';
+
+-- Step 4: Grant permissions
+GRANT SELECT, INSERT, UPDATE ON signing_keys TO proofvaultuser;
+GRANT USAGE, SELECT ON SEQUENCE signing_keys_id_seq TO proofvaultuser;
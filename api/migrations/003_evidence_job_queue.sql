@@ -0,0 +1,74 @@
+-- ================================================
+-- ProofVault Database Migration: Evidence Job Queue
+-- File: 003_evidence_job_queue.sql
+-- Description: Durable, Postgres-backed queue for Digital Evidence
+--              submissions with retry history
+-- ================================================
+
+-- Step 1: One job per record and job type
+CREATE TABLE IF NOT EXISTS evidence_jobs (
+    id SERIAL PRIMARY KEY,
+    record_id UUID NOT NULL REFERENCES pdf_records(id) ON DELETE CASCADE,
+    job_type VARCHAR(50) NOT NULL DEFAULT 'submit_fingerprint',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 8,
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP WITH TIME ZONE,
+    locked_by TEXT,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT evidence_jobs_status_check CHECK (status IN ('queued', 'running', 'submitted', 'completed', 'finalized', 'errored')),
+    CONSTRAINT evidence_jobs_record_type_unique UNIQUE (record_id, job_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_evidence_jobs_runnable
+ON evidence_jobs(run_at)
+WHERE status IN ('queued', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_evidence_jobs_status ON evidence_jobs(status);
+
+-- Step 2: Every attempt and its outcome
+CREATE TABLE IF NOT EXISTS evidence_job_attempts (
+    id SERIAL PRIMARY KEY,
+    job_id INTEGER NOT NULL REFERENCES evidence_jobs(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    worker_id TEXT,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    finished_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    succeeded BOOLEAN NOT NULL,
+    error TEXT,
+    result JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_evidence_job_attempts_job_id ON evidence_job_attempts(job_id);
+
+-- Step 3: Keep updated_at current
+DROP TRIGGER IF EXISTS update_evidence_jobs_updated_at ON evidence_jobs;
+CREATE TRIGGER update_evidence_jobs_updated_at
+    BEFORE UPDATE ON evidence_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 4: Re-drive records that were left failed or pending by inline submission
+INSERT INTO evidence_jobs (record_id, job_type)
+SELECT id, 'submit_fingerprint'
+FROM pdf_records
+WHERE blockchain_tx_id IS NULL
+  AND COALESCE(blockchain_status, 'pending') IN ('pending', 'pending_blockchain', 'failed')
+ON CONFLICT (record_id, job_type) DO NOTHING;
+
+UPDATE pdf_records
+SET blockchain_status = 'queued'
+WHERE blockchain_tx_id IS NULL
+  AND COALESCE(blockchain_status, 'pending') IN ('pending', 'pending_blockchain', 'failed');
+
+-- Step 5: Add comments for documentation
+COMMENT ON TABLE evidence_jobs IS 'Background jobs for evidence records (Digital Evidence submission, etc.)';
+COMMENT ON COLUMN evidence_jobs.status IS 'queued -> running -> submitted/completed -> finalized, or errored after max_attempts';
+COMMENT ON COLUMN evidence_jobs.run_at IS 'Earliest time the job may run (exponential backoff between attempts)';
+COMMENT ON TABLE evidence_job_attempts IS 'Every attempt made for an evidence job, with its error if it failed';
+
+-- Step 6: Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON evidence_jobs, evidence_job_attempts TO proofvaultuser;
+GRANT USAGE, SELECT ON SEQUENCE evidence_jobs_id_seq, evidence_job_attempts_id_seq TO proofvaultuser;
@@ -0,0 +1,50 @@
+-- ================================================
+-- ProofVault Database Migration: Fingerprint Status History
+-- File: 004_fingerprint_status_history.sql
+-- Description: Persist the Digital Evidence status lifecycle and make
+--              blockchain_verified_at mean "finalized", not "submitted"
+-- ================================================
+
+-- Step 1: Every status observed for a fingerprint, in order
+CREATE TABLE IF NOT EXISTS fingerprint_status_history (
+    id SERIAL PRIMARY KEY,
+    record_id UUID NOT NULL REFERENCES pdf_records(id) ON DELETE CASCADE,
+    fingerprint_hash TEXT NOT NULL,
+    status VARCHAR(30) NOT NULL,
+    observed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    raw_response JSONB,
+    CONSTRAINT fingerprint_status_history_status_check CHECK (status IN (
+        'NEW', 'QUEUED', 'PROCESSING', 'PENDING_COMMITMENT', 'FINALIZED_COMMITMENT', 'ERRORED_COMMITMENT'
+    ))
+);
+
+CREATE INDEX IF NOT EXISTS idx_fingerprint_status_history_record
+ON fingerprint_status_history(record_id, observed_at);
+
+-- Step 2: Latest known status on the record itself
+ALTER TABLE pdf_records
+ADD COLUMN IF NOT EXISTS blockchain_submitted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS digital_evidence_status VARCHAR(30),
+ADD COLUMN IF NOT EXISTS digital_evidence_checked_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_pdf_records_awaiting_finalization
+ON pdf_records(digital_evidence_checked_at NULLS FIRST)
+WHERE blockchain_status = 'submitted';
+
+-- Step 3: blockchain_verified_at used to be set on submission; move it
+UPDATE pdf_records
+SET blockchain_submitted_at = blockchain_verified_at,
+    blockchain_verified_at = NULL
+WHERE blockchain_status = 'submitted'
+  AND blockchain_submitted_at IS NULL;
+
+-- Step 4: Add comments for documentation
+COMMENT ON TABLE fingerprint_status_history IS 'Digital Evidence status lifecycle of each fingerprint, with the time each status was first observed';
+COMMENT ON COLUMN pdf_records.blockchain_submitted_at IS 'When the fingerprint was accepted by the Digital Evidence API';
+COMMENT ON COLUMN pdf_records.blockchain_verified_at IS 'When the fingerprint was observed as FINALIZED_COMMITMENT';
+COMMENT ON COLUMN pdf_records.digital_evidence_status IS 'Latest Digital Evidence status (NEW ... FINALIZED_COMMITMENT / ERRORED_COMMITMENT)';
+COMMENT ON COLUMN pdf_records.digital_evidence_checked_at IS 'When the Digital Evidence status was last polled';
+
+-- Step 5: Grant permissions
+GRANT SELECT, INSERT ON fingerprint_status_history TO proofvaultuser;
+GRANT USAGE, SELECT ON SEQUENCE fingerprint_status_history_id_seq TO proofvaultuser;
@@ -0,0 +1,77 @@
+-- ================================================
+-- ProofVault Database Migration: Authentication
+-- File: 005_authentication.sql
+-- Description: Organizations, user accounts and hashed API keys, and
+--              attribution of uploads to the authenticated principal
+-- ================================================
+
+-- Step 1: Organizations own API keys and evidence
+CREATE TABLE IF NOT EXISTS organizations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Step 2: Dashboard user accounts (password hashed with scrypt)
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    username TEXT NOT NULL UNIQUE,
+    email TEXT UNIQUE,
+    display_name TEXT,
+    password_hash TEXT,
+    is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_organization_id ON users(organization_id);
+
+-- Step 3: API keys for the Chrome extension and integrations.
+-- Only a SHA-256 of the key is stored; key_prefix identifies it in listings.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    user_id UUID REFERENCES users(id),
+    name TEXT NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL UNIQUE,
+    key_hash CHAR(64) NOT NULL,
+    created_by_user_id UUID REFERENCES users(id),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_organization_id ON api_keys(organization_id);
+
+-- Step 4: Attribute uploads to the authenticated principal
+ALTER TABLE pdf_records
+ADD COLUMN IF NOT EXISTS uploaded_by_user_id UUID REFERENCES users(id),
+ADD COLUMN IF NOT EXISTS uploaded_via_api_key_id UUID REFERENCES api_keys(id);
+
+-- Step 5: Keep updated_at current
+DROP TRIGGER IF EXISTS update_organizations_updated_at ON organizations;
+CREATE TRIGGER update_organizations_updated_at
+    BEFORE UPDATE ON organizations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+CREATE TRIGGER update_users_updated_at
+    BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 6: Add comments for documentation
+COMMENT ON TABLE organizations IS 'Organizations that own API keys and evidence';
+COMMENT ON TABLE users IS 'User accounts for dashboard login and upload attribution';
+COMMENT ON COLUMN users.is_admin IS 'ProofVault operator: may use /api/admin endpoints';
+COMMENT ON TABLE api_keys IS 'Hashed API keys for the Chrome extension and integrations';
+COMMENT ON COLUMN api_keys.key_hash IS 'SHA-256 (hex) of the full API key; the key itself is shown once at creation';
+COMMENT ON COLUMN pdf_records.uploaded_by_user_id IS 'Authenticated user who uploaded the record';
+COMMENT ON COLUMN pdf_records.uploaded_via_api_key_id IS 'API key the upload was made with, if any';
+
+-- Step 7: Grant permissions
+GRANT SELECT, INSERT, UPDATE ON organizations, users, api_keys TO proofvaultuser;
@@ -0,0 +1,116 @@
+-- ================================================
+-- ProofVault Database Migration: Organization Membership
+-- File: 006_organization_membership.sql
+-- Description: Organization memberships with roles, organization-scoped
+--              evidence, and mapping of free-text company_name values
+--              onto organizations
+-- ================================================
+
+-- Step 1: Normalize organization names so "Acme", "ACME Inc" and
+-- "Acme, Inc." are recognized as the same organization
+CREATE OR REPLACE FUNCTION normalize_organization_name(name TEXT)
+RETURNS TEXT AS $$
+    SELECT COALESCE(
+        NULLIF(btrim(regexp_replace(
+            regexp_replace(
+                regexp_replace(lower(name), '[^[:alnum:]]+', ' ', 'g'),
+                '\m(incorporated|inc|llc|llp|ltd|limited|corp|corporation|co|company|gmbh|plc|sa|ag|bv)\M', ' ', 'g'
+            ),
+            '\s+', ' ', 'g'
+        )), ''),
+        lower(btrim(name))
+    );
+$$ LANGUAGE SQL IMMUTABLE;
+
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS normalized_name TEXT GENERATED ALWAYS AS (normalize_organization_name(name)) STORED;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organizations_normalized_name ON organizations(normalized_name);
+
+-- Step 2: Users can belong to several organizations, with a role in each
+CREATE TABLE IF NOT EXISTS memberships (
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (organization_id, user_id),
+    CONSTRAINT memberships_role_check CHECK (role IN ('admin', 'member'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_memberships_user_id ON memberships(user_id);
+
+DROP TRIGGER IF EXISTS update_memberships_updated_at ON memberships;
+CREATE TRIGGER update_memberships_updated_at
+    BEFORE UPDATE ON memberships
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Existing accounts administer the organization they were created in
+INSERT INTO memberships (organization_id, user_id, role)
+SELECT organization_id, id, 'admin' FROM users
+ON CONFLICT DO NOTHING;
+
+-- Step 3: Evidence belongs to an organization
+ALTER TABLE pdf_records
+ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_records_organization_created
+ON pdf_records(organization_id, created_at DESC);
+
+-- Step 4: Map existing company_name values onto organizations.
+-- Each group of equivalent spellings becomes one organization named after
+-- its most used spelling; names matching an existing organization join it.
+INSERT INTO organizations (name)
+SELECT DISTINCT ON (normalize_organization_name(company_name)) btrim(company_name)
+FROM (
+    SELECT company_name, COUNT(*) AS record_count, MIN(created_at) AS first_seen
+    FROM pdf_records
+    WHERE organization_id IS NULL
+      AND company_name IS NOT NULL
+      AND btrim(company_name) <> ''
+    GROUP BY company_name
+) spellings
+ORDER BY normalize_organization_name(company_name), record_count DESC, first_seen
+ON CONFLICT DO NOTHING;
+
+UPDATE pdf_records r
+SET organization_id = o.id
+FROM organizations o
+WHERE r.organization_id IS NULL
+  AND o.normalized_name = normalize_organization_name(r.company_name);
+
+-- Records without a company name go to an "Unassigned" organization, for an
+-- admin to move. Every record then has an owner.
+INSERT INTO organizations (name)
+SELECT 'Unassigned'
+WHERE EXISTS (SELECT 1 FROM pdf_records WHERE organization_id IS NULL)
+ON CONFLICT DO NOTHING;
+
+UPDATE pdf_records
+SET organization_id = (SELECT id FROM organizations WHERE normalized_name = normalize_organization_name('Unassigned'))
+WHERE organization_id IS NULL;
+
+ALTER TABLE pdf_records ALTER COLUMN organization_id SET NOT NULL;
+
+-- Step 5: The same PDF can be evidence of several organizations; its hash
+-- is unique within each one. Public verification still looks records up by
+-- hash alone.
+ALTER TABLE pdf_records DROP CONSTRAINT IF EXISTS pdf_records_pdf_hash_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pdf_records_organization_hash
+ON pdf_records(organization_id, pdf_hash);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_records_pdf_hash ON pdf_records(pdf_hash);
+
+-- Step 6: Add comments for documentation
+COMMENT ON FUNCTION normalize_organization_name(TEXT) IS 'Case, punctuation and legal-suffix insensitive organization name key';
+COMMENT ON COLUMN organizations.normalized_name IS 'normalize_organization_name(name); unique so spelling variants cannot create duplicates';
+COMMENT ON TABLE memberships IS 'Organization membership and role of each user';
+COMMENT ON COLUMN memberships.role IS 'admin: manages members and API keys; member: captures and reviews evidence';
+COMMENT ON COLUMN users.organization_id IS 'Default organization selected at login';
+COMMENT ON COLUMN pdf_records.organization_id IS 'Owning organization; every evidence query is scoped to it';
+COMMENT ON INDEX idx_pdf_records_organization_hash IS 'A PDF is stored once per organization; other organizations may hold the same PDF';
+COMMENT ON COLUMN pdf_records.company_name IS 'Organization name at capture time (display only; use organization_id)';
+
+-- Step 7: Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON memberships TO proofvaultuser;
@@ -0,0 +1,82 @@
+-- ================================================
+-- ProofVault Database Migration: Role Permissions
+-- File: 007_role_permissions.sql
+-- Description: Evidence roles (viewer, capturer, reviewer, admin, auditor)
+--              and an append-only audit log of role changes
+-- ================================================
+
+-- Step 1: Replace the admin/member roles with evidence roles.
+-- Existing members could upload, so they become capturers.
+ALTER TABLE memberships DROP CONSTRAINT IF EXISTS memberships_role_check;
+
+UPDATE memberships SET role = 'capturer' WHERE role = 'member';
+
+ALTER TABLE memberships ALTER COLUMN role SET DEFAULT 'viewer';
+
+ALTER TABLE memberships
+ADD CONSTRAINT memberships_role_check CHECK (role IN ('viewer', 'capturer', 'reviewer', 'admin', 'auditor'));
+
+-- Step 2: Audit log of every membership grant, role change and removal.
+-- User IDs are not foreign keys: deleting a user revokes their memberships,
+-- and the log keeps those entries (and the user's ID) after the user is gone.
+CREATE TABLE IF NOT EXISTS role_audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    user_id UUID NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    old_role VARCHAR(20),
+    new_role VARCHAR(20),
+    changed_by_user_id UUID,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT role_audit_log_action_check CHECK (action IN ('granted', 'changed', 'revoked'))
+);
+
+ALTER TABLE role_audit_log DROP CONSTRAINT IF EXISTS role_audit_log_user_id_fkey;
+ALTER TABLE role_audit_log DROP CONSTRAINT IF EXISTS role_audit_log_changed_by_user_id_fkey;
+
+CREATE INDEX IF NOT EXISTS idx_role_audit_log_organization
+ON role_audit_log(organization_id, created_at DESC);
+
+-- Step 3: Record changes from a trigger so no code path (or manual SQL) can
+-- skip the log. The acting user and reason are read from transaction-local
+-- settings set by the API (see controllers/organizationController.js).
+CREATE OR REPLACE FUNCTION log_membership_role_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    actor UUID := NULLIF(current_setting('proofvault.actor_user_id', true), '')::UUID;
+    change_reason TEXT := NULLIF(current_setting('proofvault.change_reason', true), '');
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO role_audit_log (organization_id, user_id, action, old_role, new_role, changed_by_user_id, reason)
+        VALUES (NEW.organization_id, NEW.user_id, 'granted', NULL, NEW.role, actor, change_reason);
+        RETURN NEW;
+    ELSIF TG_OP = 'UPDATE' THEN
+        IF NEW.role IS DISTINCT FROM OLD.role THEN
+            INSERT INTO role_audit_log (organization_id, user_id, action, old_role, new_role, changed_by_user_id, reason)
+            VALUES (NEW.organization_id, NEW.user_id, 'changed', OLD.role, NEW.role, actor, change_reason);
+        END IF;
+        RETURN NEW;
+    ELSE
+        INSERT INTO role_audit_log (organization_id, user_id, action, old_role, new_role, changed_by_user_id, reason)
+        VALUES (OLD.organization_id, OLD.user_id, 'revoked', OLD.role, NULL, actor, change_reason);
+        RETURN OLD;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS memberships_role_audit ON memberships;
+CREATE TRIGGER memberships_role_audit
+    AFTER INSERT OR UPDATE OF role OR DELETE ON memberships
+    FOR EACH ROW EXECUTE FUNCTION log_membership_role_change();
+
+-- Step 4: Add comments for documentation
+COMMENT ON COLUMN memberships.role IS 'viewer, capturer, reviewer, admin or auditor; see utils/permissions.js for the permission matrix';
+COMMENT ON TABLE role_audit_log IS 'Append-only log of membership grants, role changes and removals';
+COMMENT ON COLUMN role_audit_log.user_id IS 'Member the entry is about; may refer to a since deleted user';
+COMMENT ON COLUMN role_audit_log.changed_by_user_id IS 'Acting user; NULL for changes made outside the API (scripts, migrations)';
+
+-- Step 5: Grant permissions (the log is append-only for the application)
+GRANT SELECT, INSERT ON role_audit_log TO proofvaultuser;
+GRANT USAGE, SELECT ON SEQUENCE role_audit_log_id_seq TO proofvaultuser;
+REVOKE UPDATE, DELETE, TRUNCATE ON role_audit_log FROM proofvaultuser;
@@ -0,0 +1,74 @@
+-- ================================================
+-- ProofVault Database Migration: Soft Delete and Legal Hold
+-- File: 008_soft_delete_legal_hold.sql
+-- Description: Evidence is soft deleted, can be placed on legal hold, and
+--              leaves a tombstone (hash and fingerprint) when purged
+-- ================================================
+
+-- Step 1: Soft delete
+ALTER TABLE pdf_records
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deleted_by_user_id UUID REFERENCES users(id),
+ADD COLUMN IF NOT EXISTS deletion_reason TEXT;
+
+-- Step 2: Legal hold blocks deletion and purging
+ALTER TABLE pdf_records
+ADD COLUMN IF NOT EXISTS legal_hold BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS legal_hold_reason TEXT,
+ADD COLUMN IF NOT EXISTS legal_hold_set_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS legal_hold_set_by_user_id UUID REFERENCES users(id);
+
+-- Step 3: Purging removes the PDF content but keeps the row as a tombstone,
+-- so the hash, fingerprint and status history still resolve
+ALTER TABLE pdf_records
+ADD COLUMN IF NOT EXISTS purged_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS purged_by_user_id UUID REFERENCES users(id);
+
+ALTER TABLE pdf_records ALTER COLUMN pdf_data DROP NOT NULL;
+
+ALTER TABLE pdf_records DROP CONSTRAINT IF EXISTS pdf_records_purge_check;
+ALTER TABLE pdf_records
+ADD CONSTRAINT pdf_records_purge_check CHECK (purged_at IS NULL OR deleted_at IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_records_active
+ON pdf_records(organization_id, created_at DESC)
+WHERE deleted_at IS NULL;
+
+-- Step 4: Enforce legal hold and forbid hard deletes in the database,
+-- so no code path can destroy held or anchored evidence
+CREATE OR REPLACE FUNCTION protect_evidence_records()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        RAISE EXCEPTION 'Evidence records cannot be deleted; soft delete and purge instead'
+            USING ERRCODE = 'P0001', HINT = 'legal_evidence_protected';
+    END IF;
+
+    IF OLD.legal_hold AND (
+        (NEW.deleted_at IS NOT NULL AND OLD.deleted_at IS NULL) OR
+        (NEW.purged_at IS NOT NULL AND OLD.purged_at IS NULL) OR
+        (NEW.pdf_data IS NULL AND OLD.pdf_data IS NOT NULL)
+    ) THEN
+        RAISE EXCEPTION 'Evidence record % is under legal hold', OLD.id
+            USING ERRCODE = 'P0001', HINT = 'legal_hold';
+    END IF;
+
+    IF OLD.purged_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+        RAISE EXCEPTION 'Purged evidence record % cannot be restored', OLD.id
+            USING ERRCODE = 'P0001', HINT = 'purged';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_evidence_records ON pdf_records;
+CREATE TRIGGER protect_evidence_records
+    BEFORE UPDATE OR DELETE ON pdf_records
+    FOR EACH ROW EXECUTE FUNCTION protect_evidence_records();
+
+-- Step 5: Add comments for documentation
+COMMENT ON COLUMN pdf_records.deleted_at IS 'Soft delete time; deleted records are hidden from lists and stats';
+COMMENT ON COLUMN pdf_records.deletion_reason IS 'Reason given when the record was deleted';
+COMMENT ON COLUMN pdf_records.legal_hold IS 'When true the record cannot be deleted or purged';
+COMMENT ON COLUMN pdf_records.purged_at IS 'When the PDF content was removed; the row remains as a tombstone';
@@ -0,0 +1,109 @@
+-- ================================================
+-- ProofVault Database Migration: Chain of Custody
+-- File: 009_custody_events.sql
+-- Description: Append-only, hash-chained log of every access to and
+--              change of an evidence record
+-- ================================================
+
+-- Step 1: One row per access or change of an evidence record
+CREATE TABLE IF NOT EXISTS custody_events (
+    id BIGSERIAL PRIMARY KEY,
+    record_id UUID NOT NULL REFERENCES pdf_records(id),
+    organization_id UUID REFERENCES organizations(id),
+    action VARCHAR(30) NOT NULL,
+    actor_user_id UUID REFERENCES users(id),
+    actor_api_key_id UUID REFERENCES api_keys(id),
+    actor_label VARCHAR(255),
+    actor_role VARCHAR(20),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    request_id VARCHAR(64),
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    previous_hash CHAR(64),
+    event_hash CHAR(64) NOT NULL,
+    CONSTRAINT custody_events_action_check CHECK (action IN (
+        'uploaded', 'viewed', 'downloaded', 'verified', 'publicly_verified',
+        'deleted', 'restored', 'purged', 'legal_hold_placed', 'legal_hold_released',
+        'custody_viewed'
+    ))
+);
+
+CREATE INDEX IF NOT EXISTS idx_custody_events_record
+ON custody_events(record_id, id);
+
+-- Step 2: Hash of an event: its fields plus the hash of the record's
+-- previous event. Also used to re-verify the chain when it is read.
+-- created_at is formatted in UTC, so the hash doesn't depend on the
+-- session time zone; STABLE because to_char is.
+CREATE OR REPLACE FUNCTION custody_event_hash(e custody_events)
+RETURNS CHAR(64) AS $$
+    SELECT encode(sha256(convert_to(concat_ws('|',
+        COALESCE(e.previous_hash, ''),
+        e.record_id::TEXT,
+        e.action,
+        COALESCE(e.actor_user_id::TEXT, ''),
+        COALESCE(e.actor_api_key_id::TEXT, ''),
+        COALESCE(e.actor_label, ''),
+        COALESCE(e.actor_role, ''),
+        COALESCE(e.ip_address, ''),
+        COALESCE(e.user_agent, ''),
+        COALESCE(e.request_id, ''),
+        e.details::TEXT,
+        to_char(e.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')
+    ), 'UTF8')), 'hex');
+$$ LANGUAGE SQL STABLE;
+
+-- Step 3: Chain each new event to the previous one in the database, so no
+-- code path can write an unchained event. Locking the evidence row orders
+-- concurrent events for the same record.
+CREATE OR REPLACE FUNCTION chain_custody_event()
+RETURNS TRIGGER AS $$
+BEGIN
+    SELECT organization_id INTO NEW.organization_id
+    FROM pdf_records WHERE id = NEW.record_id
+    FOR NO KEY UPDATE;
+
+    NEW.created_at := COALESCE(NEW.created_at, CURRENT_TIMESTAMP);
+    NEW.previous_hash := (
+        SELECT event_hash FROM custody_events
+        WHERE record_id = NEW.record_id
+        ORDER BY id DESC
+        LIMIT 1
+    );
+    NEW.event_hash := custody_event_hash(NEW);
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS custody_events_chain ON custody_events;
+CREATE TRIGGER custody_events_chain
+    BEFORE INSERT ON custody_events
+    FOR EACH ROW EXECUTE FUNCTION chain_custody_event();
+
+-- Step 4: Events can't be changed or removed, not even by the table owner
+CREATE OR REPLACE FUNCTION forbid_custody_event_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Custody events are append-only'
+        USING ERRCODE = 'P0001', HINT = 'custody_append_only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS custody_events_append_only ON custody_events;
+CREATE TRIGGER custody_events_append_only
+    BEFORE UPDATE OR DELETE ON custody_events
+    FOR EACH ROW EXECUTE FUNCTION forbid_custody_event_changes();
+
+-- Step 5: Add comments for documentation
+COMMENT ON TABLE custody_events IS 'Append-only chain of custody: who accessed or changed each evidence record, when and from where';
+COMMENT ON COLUMN custody_events.actor_label IS 'Username, or api-key:<name> for keys without a user, at the time of the event';
+COMMENT ON COLUMN custody_events.request_id IS 'X-Request-ID of the API request';
+COMMENT ON COLUMN custody_events.previous_hash IS 'event_hash of the previous event for the same record; NULL for the first';
+COMMENT ON COLUMN custody_events.event_hash IS 'custody_event_hash() of this row; recomputed when the chain is read to detect tampering';
+
+-- Step 6: Grant permissions (the log is append-only for the application)
+GRANT SELECT, INSERT ON custody_events TO proofvaultuser;
+GRANT USAGE, SELECT ON SEQUENCE custody_events_id_seq TO proofvaultuser;
+REVOKE UPDATE, DELETE, TRUNCATE ON custody_events FROM proofvaultuser;
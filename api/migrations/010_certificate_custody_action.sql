@@ -0,0 +1,15 @@
+-- ================================================
+-- ProofVault Database Migration: Certificate Custody Events
+-- File: 010_certificate_custody_action.sql
+-- Description: Record issued verification certificates in the chain of custody
+-- ================================================
+
+-- Step 1: Allow the certificate_issued action
+ALTER TABLE custody_events DROP CONSTRAINT IF EXISTS custody_events_action_check;
+
+ALTER TABLE custody_events
+ADD CONSTRAINT custody_events_action_check CHECK (action IN (
+    'uploaded', 'viewed', 'downloaded', 'verified', 'publicly_verified',
+    'deleted', 'restored', 'purged', 'legal_hold_placed', 'legal_hold_released',
+    'custody_viewed', 'certificate_issued'
+));
@@ -0,0 +1,60 @@
+-- ================================================
+-- ProofVault Database Migration: Blob Storage
+-- File: 011_blob_storage.sql
+-- Description: PDF bytes move out of pdf_data into content-addressed blob
+--              storage (local filesystem or S3); file_size is always set
+-- ================================================
+
+-- Step 1: Where each record's PDF is stored. Rows with a NULL storage_key
+-- still hold their bytes in pdf_data until scripts/migrate-pdf-storage.js
+-- moves them.
+ALTER TABLE pdf_records
+ADD COLUMN IF NOT EXISTS storage_backend VARCHAR(20),
+ADD COLUMN IF NOT EXISTS storage_key TEXT;
+
+ALTER TABLE pdf_records DROP CONSTRAINT IF EXISTS pdf_records_storage_check;
+ALTER TABLE pdf_records
+ADD CONSTRAINT pdf_records_storage_check CHECK (
+    (storage_key IS NULL AND storage_backend IS NULL) OR
+    (storage_key IS NOT NULL AND storage_backend IN ('local', 's3'))
+);
+
+-- Step 2: Lists and stats read file_size instead of LENGTH(pdf_data)
+UPDATE pdf_records
+SET file_size = LENGTH(pdf_data)
+WHERE file_size IS NULL AND pdf_data IS NOT NULL;
+
+-- Step 3: Legal hold protects the content wherever it is stored. Moving a
+-- held record's bytes from pdf_data to blob storage is allowed.
+CREATE OR REPLACE FUNCTION protect_evidence_records()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        RAISE EXCEPTION 'Evidence records cannot be deleted; soft delete and purge instead'
+            USING ERRCODE = 'P0001', HINT = 'legal_evidence_protected';
+    END IF;
+
+    IF OLD.legal_hold AND (
+        (NEW.deleted_at IS NOT NULL AND OLD.deleted_at IS NULL) OR
+        (NEW.purged_at IS NOT NULL AND OLD.purged_at IS NULL) OR
+        (NEW.pdf_data IS NULL AND NEW.storage_key IS NULL AND
+         (OLD.pdf_data IS NOT NULL OR OLD.storage_key IS NOT NULL))
+    ) THEN
+        RAISE EXCEPTION 'Evidence record % is under legal hold', OLD.id
+            USING ERRCODE = 'P0001', HINT = 'legal_hold';
+    END IF;
+
+    IF OLD.purged_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+        RAISE EXCEPTION 'Purged evidence record % cannot be restored', OLD.id
+            USING ERRCODE = 'P0001', HINT = 'purged';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 4: Add comments for documentation
+COMMENT ON COLUMN pdf_records.storage_backend IS 'Blob storage holding the PDF (local or s3); NULL while the bytes are still in pdf_data';
+COMMENT ON COLUMN pdf_records.storage_key IS 'Content-addressed key of the PDF in blob storage, derived from pdf_hash';
+COMMENT ON COLUMN pdf_records.pdf_data IS 'Legacy in-database PDF bytes; NULL once moved to blob storage or purged';
+COMMENT ON COLUMN pdf_records.file_size IS 'PDF size in bytes, set on upload';
@@ -0,0 +1,16 @@
+-- ================================================
+-- ProofVault Database Migration: Organization Upload Limits
+-- File: 012_organization_upload_limits.sql
+-- Description: Per-organization maximum evidence file size
+-- ================================================
+
+-- Step 1: NULL uses the server default (MAX_FILE_SIZE)
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS max_upload_bytes BIGINT;
+
+ALTER TABLE organizations DROP CONSTRAINT IF EXISTS organizations_max_upload_bytes_check;
+ALTER TABLE organizations
+ADD CONSTRAINT organizations_max_upload_bytes_check CHECK (max_upload_bytes IS NULL OR max_upload_bytes > 0);
+
+-- Step 2: Add comments for documentation
+COMMENT ON COLUMN organizations.max_upload_bytes IS 'Largest PDF this organization may upload, in bytes; NULL for the server default (MAX_FILE_SIZE)';
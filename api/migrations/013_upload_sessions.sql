@@ -0,0 +1,39 @@
+-- ================================================
+-- ProofVault Database Migration: Resumable Upload Sessions
+-- File: 013_upload_sessions.sql
+-- Description: Chunked uploads that survive slow and dropped connections;
+--              chunks are appended to a spool file until the session is
+--              finalized with the expected SHA-256
+-- ================================================
+
+-- Step 1: One row per upload session
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    user_id UUID REFERENCES users(id),
+    api_key_id UUID REFERENCES api_keys(id),
+    filename VARCHAR(255) NOT NULL,
+    total_size BIGINT NOT NULL CHECK (total_size > 0),
+    received_bytes BIGINT NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    record_id UUID REFERENCES pdf_records(id),
+    error_message TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT upload_sessions_status_check CHECK (status IN ('open', 'finalizing', 'completed', 'failed', 'aborted')),
+    CONSTRAINT upload_sessions_received_check CHECK (received_bytes >= 0 AND received_bytes <= total_size)
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_open_expiry
+ON upload_sessions(expires_at) WHERE status = 'open';
+
+DROP TRIGGER IF EXISTS update_upload_sessions_updated_at ON upload_sessions;
+CREATE TRIGGER update_upload_sessions_updated_at
+    BEFORE UPDATE ON upload_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 2: Add comments for documentation
+COMMENT ON TABLE upload_sessions IS 'Resumable chunked uploads; the bytes are spooled in UPLOAD_TMP_DIR until finalized';
+COMMENT ON COLUMN upload_sessions.received_bytes IS 'Bytes received so far; the next chunk must start at this offset';
+COMMENT ON COLUMN upload_sessions.record_id IS 'Evidence record created when the session was finalized';
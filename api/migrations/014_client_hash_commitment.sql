@@ -0,0 +1,19 @@
+-- ================================================
+-- ProofVault Database Migration: Client Hash Commitment
+-- File: 014_client_hash_commitment.sql
+-- Description: SHA-256 computed by the capture client before upload, kept
+--              next to the server-computed pdf_hash as proof the bytes
+--              weren't altered in transit
+-- ================================================
+
+-- Step 1: Hash the client committed to. Uploads are rejected unless it
+-- matches pdf_hash, so a stored value always equals pdf_hash.
+ALTER TABLE pdf_records
+ADD COLUMN IF NOT EXISTS client_expected_hash CHAR(64);
+
+ALTER TABLE upload_sessions
+ADD COLUMN IF NOT EXISTS expected_hash CHAR(64);
+
+-- Step 2: Add comments for documentation
+COMMENT ON COLUMN pdf_records.client_expected_hash IS 'SHA-256 the capture client computed and sent as expected_hash; NULL for uploads without one';
+COMMENT ON COLUMN upload_sessions.expected_hash IS 'SHA-256 the client committed to when opening the session';
@@ -0,0 +1,27 @@
+-- ================================================
+-- ProofVault Database Migration: Capture Manifests
+-- File: 015_capture_manifests.sql
+-- Description: Forensic page context collected by the capture client,
+--              stored with the PDF and bound into the fingerprint
+-- ================================================
+
+-- Step 1: The manifest and the SHA-256 of its canonical JSON (keys sorted
+-- at every level). With a manifest, the fingerprint's documentRef is
+-- SHA-256 of {"capture_manifest_sha256":...,"pdf_sha256":...}.
+ALTER TABLE pdf_records
+ADD COLUMN IF NOT EXISTS capture_manifest JSONB,
+ADD COLUMN IF NOT EXISTS capture_manifest_hash CHAR(64);
+
+ALTER TABLE pdf_records DROP CONSTRAINT IF EXISTS pdf_records_capture_manifest_check;
+ALTER TABLE pdf_records
+ADD CONSTRAINT pdf_records_capture_manifest_check CHECK (
+    (capture_manifest IS NULL) = (capture_manifest_hash IS NULL)
+);
+
+-- Step 2: Resumable uploads carry the manifest until they are finalized
+ALTER TABLE upload_sessions
+ADD COLUMN IF NOT EXISTS capture_manifest JSONB;
+
+-- Step 3: Add comments for documentation
+COMMENT ON COLUMN pdf_records.capture_manifest IS 'Page context at capture: title, final URL, HTTP response, TLS chain, server IP, browser, viewport, navigation history';
+COMMENT ON COLUMN pdf_records.capture_manifest_hash IS 'SHA-256 of the canonical JSON of capture_manifest; bound into the fingerprint documentRef';
@@ -0,0 +1,47 @@
+-- ================================================
+-- ProofVault Database Migration: Capture Metadata
+-- File: 016_captures.sql
+-- Description: What the capture client reports about a capture (source
+--              URL, client evidence ID, capture time and timezone), kept
+--              apart from the server's receipt time (pdf_records.created_at)
+-- ================================================
+
+-- Step 1: One row per evidence record captured by a client that sent metadata
+CREATE TABLE IF NOT EXISTS captures (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    record_id UUID NOT NULL UNIQUE REFERENCES pdf_records(id),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    evidence_id VARCHAR(100),
+    source_url TEXT,
+    captured_at TIMESTAMP WITH TIME ZONE,
+    capture_timezone VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_captures_org_evidence_id ON captures(organization_id, evidence_id);
+CREATE INDEX IF NOT EXISTS idx_captures_org_captured_at ON captures(organization_id, captured_at DESC);
+
+-- Step 2: Capture metadata is part of the evidence and never changes
+CREATE OR REPLACE FUNCTION forbid_capture_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Capture metadata cannot be changed or removed'
+        USING ERRCODE = 'P0001', HINT = 'legal_evidence_protected';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS captures_immutable ON captures;
+CREATE TRIGGER captures_immutable
+    BEFORE UPDATE OR DELETE ON captures
+    FOR EACH ROW EXECUTE FUNCTION forbid_capture_changes();
+
+-- Step 3: Resumable uploads carry the metadata until they are finalized
+ALTER TABLE upload_sessions
+ADD COLUMN IF NOT EXISTS capture_metadata JSONB;
+
+-- Step 4: Add comments for documentation
+COMMENT ON TABLE captures IS 'Capture metadata reported by the client; the server receipt time is pdf_records.created_at';
+COMMENT ON COLUMN captures.evidence_id IS 'Evidence ID generated by the capture client (PV_...)';
+COMMENT ON COLUMN captures.source_url IS 'URL of the captured page as reported by the client';
+COMMENT ON COLUMN captures.captured_at IS 'Capture time by the client clock';
+COMMENT ON COLUMN captures.capture_timezone IS 'IANA timezone of the capturing browser, e.g. Europe/Berlin';
@@ -0,0 +1,68 @@
+-- ================================================
+-- ProofVault Database Migration: Evidence Artifacts
+-- File: 017_evidence_artifacts.sql
+-- Description: Files captured alongside the PDF (e.g. an MHTML snapshot of
+--              the page), stored in blob storage, linked to the evidence
+--              record and bound into its fingerprint
+-- ================================================
+
+-- Step 1: One row per artifact of a record
+CREATE TABLE IF NOT EXISTS evidence_artifacts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    record_id UUID NOT NULL REFERENCES pdf_records(id),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    kind VARCHAR(20) NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    file_size BIGINT NOT NULL,
+    storage_backend VARCHAR(20),
+    storage_key TEXT,
+    purged_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT evidence_artifacts_kind_check CHECK (kind IN ('mhtml')),
+    CONSTRAINT evidence_artifacts_record_kind_unique UNIQUE (record_id, kind),
+    CONSTRAINT evidence_artifacts_storage_check CHECK (
+        (storage_key IS NULL AND storage_backend IS NULL AND purged_at IS NOT NULL) OR
+        (storage_key IS NOT NULL AND storage_backend IN ('local', 's3'))
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_evidence_artifacts_sha256 ON evidence_artifacts(sha256);
+
+-- Step 2: Artifacts can only lose their content when their record is purged
+CREATE OR REPLACE FUNCTION protect_evidence_artifacts()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        RAISE EXCEPTION 'Evidence artifacts cannot be deleted; purge their record instead'
+            USING ERRCODE = 'P0001', HINT = 'legal_evidence_protected';
+    END IF;
+
+    IF NEW.record_id <> OLD.record_id OR NEW.kind <> OLD.kind OR NEW.sha256 <> OLD.sha256 OR
+       NEW.file_size <> OLD.file_size OR NEW.filename <> OLD.filename OR
+       NOT (NEW.purged_at IS NOT NULL AND NEW.storage_key IS NULL) THEN
+        RAISE EXCEPTION 'Evidence artifact % can only be purged', OLD.id
+            USING ERRCODE = 'P0001', HINT = 'legal_evidence_protected';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS evidence_artifacts_protect ON evidence_artifacts;
+CREATE TRIGGER evidence_artifacts_protect
+    BEFORE UPDATE OR DELETE ON evidence_artifacts
+    FOR EACH ROW EXECUTE FUNCTION protect_evidence_artifacts();
+
+-- Step 3: Artifacts are uploaded through upload sessions of their own and
+-- wait, hashed and in the spool directory, until the PDF's upload links them
+ALTER TABLE upload_sessions
+ADD COLUMN IF NOT EXISTS artifact_kind VARCHAR(20),
+ADD COLUMN IF NOT EXISTS received_hash CHAR(64);
+
+-- Step 4: Add comments for documentation
+COMMENT ON TABLE evidence_artifacts IS 'Files captured with an evidence record, bound into its fingerprint documentRef';
+COMMENT ON COLUMN evidence_artifacts.kind IS 'mhtml: MHTML snapshot of the page (Page.captureSnapshot)';
+COMMENT ON COLUMN upload_sessions.artifact_kind IS 'Set for artifact uploads; NULL for the evidence PDF';
+COMMENT ON COLUMN upload_sessions.received_hash IS 'SHA-256 of a completed artifact upload, kept until the PDF upload links it';
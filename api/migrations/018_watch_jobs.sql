@@ -0,0 +1,74 @@
+-- ================================================
+-- ProofVault Database Migration: Watch Jobs
+-- File: 018_watch_jobs.sql
+-- Description: Monitored URLs captured on an interval by a headless
+--              browser, and the runs that captured them, each linked to
+--              the evidence record it produced
+-- ================================================
+
+-- Step 1: One row per monitored URL
+CREATE TABLE IF NOT EXISTS watch_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    url TEXT NOT NULL,
+    label VARCHAR(255),
+    interval_minutes INTEGER NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    next_run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by_user_id UUID REFERENCES users(id),
+    created_by_api_key_id UUID REFERENCES api_keys(id),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    locked_by TEXT,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_status VARCHAR(20),
+    last_error TEXT,
+    last_content_hash CHAR(64),
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT watch_jobs_interval_check CHECK (interval_minutes > 0),
+    CONSTRAINT watch_jobs_creator_check CHECK (created_by_user_id IS NOT NULL OR created_by_api_key_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watch_jobs_due
+ON watch_jobs(next_run_at)
+WHERE is_active AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_watch_jobs_organization ON watch_jobs(organization_id, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_watch_jobs_updated_at ON watch_jobs;
+CREATE TRIGGER update_watch_jobs_updated_at
+    BEFORE UPDATE ON watch_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 2: Every run of a watch job and the record it produced
+CREATE TABLE IF NOT EXISTS watch_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    watch_job_id UUID NOT NULL REFERENCES watch_jobs(id),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    worker_id TEXT,
+    record_id UUID UNIQUE REFERENCES pdf_records(id),
+    http_status INTEGER,
+    final_url TEXT,
+    content_hash CHAR(64),
+    content_changed BOOLEAN,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT watch_runs_status_check CHECK (status IN ('running', 'captured', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_watch_runs_job_started ON watch_runs(watch_job_id, started_at DESC);
+
+-- Step 3: Grant permissions to the application user
+GRANT SELECT, INSERT, UPDATE ON watch_jobs TO proofvaultuser;
+GRANT SELECT, INSERT, UPDATE ON watch_runs TO proofvaultuser;
+
+-- Step 4: Add comments for documentation
+COMMENT ON TABLE watch_jobs IS 'URLs captured on an interval by the monitor worker (workers/watchScheduler.js)';
+COMMENT ON COLUMN watch_jobs.created_by_user_id IS 'Runs are attributed to the creator and stop when they lose evidence:upload';
+COMMENT ON COLUMN watch_jobs.last_content_hash IS 'SHA-256 of the visible text of the last captured run';
+COMMENT ON TABLE watch_runs IS 'One capture attempt of a watch job; record_id is the evidence record it produced';
+COMMENT ON COLUMN watch_runs.content_changed IS 'Whether the visible text differs from the previous captured run (NULL for the first)';
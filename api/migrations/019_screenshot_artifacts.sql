@@ -0,0 +1,15 @@
+-- ================================================
+-- ProofVault Database Migration: Screenshot Artifacts
+-- File: 019_screenshot_artifacts.sql
+-- Description: The PNG screenshot behind a screenshot-mode capture is kept
+--              as an artifact of its record, so captures of the same page
+--              can be compared pixel by pixel (GET /api/pdf/diff)
+-- ================================================
+
+-- Step 1: Allow the screenshot artifact kind
+ALTER TABLE evidence_artifacts DROP CONSTRAINT IF EXISTS evidence_artifacts_kind_check;
+ALTER TABLE evidence_artifacts
+ADD CONSTRAINT evidence_artifacts_kind_check CHECK (kind IN ('mhtml', 'screenshot'));
+
+-- Step 2: Add comments for documentation
+COMMENT ON COLUMN evidence_artifacts.kind IS 'mhtml: MHTML snapshot of the page (Page.captureSnapshot); screenshot: PNG the screenshot pages were rendered from (Page.captureScreenshot)';
@@ -0,0 +1,43 @@
+-- ================================================
+-- ProofVault Database Migration: Evidence Text Search
+-- File: 020_evidence_text_search.sql
+-- Description: Text extracted from each evidence PDF by the background
+--              worker (extract_text jobs), indexed for full-text search
+--              with GET /api/pdf/list?q=
+-- ================================================
+
+-- Step 1: One row per record whose PDF text was extracted. The search
+-- configuration ('english') must match TEXT_SEARCH_CONFIG in
+-- utils/evidence-text.js, or the index isn't used.
+CREATE TABLE IF NOT EXISTS evidence_text (
+    record_id UUID PRIMARY KEY REFERENCES pdf_records(id),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    title TEXT,
+    content TEXT NOT NULL,
+    page_count INTEGER NOT NULL,
+    truncated BOOLEAN NOT NULL DEFAULT false,
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english'::regconfig, COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english'::regconfig, content), 'B')
+    ) STORED,
+    extracted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_evidence_text_search ON evidence_text USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_evidence_text_organization ON evidence_text(organization_id);
+
+-- Step 2: Extract the text of the records stored before this migration
+INSERT INTO evidence_jobs (record_id, job_type)
+SELECT id, 'extract_text'
+FROM pdf_records
+WHERE purged_at IS NULL
+ON CONFLICT (record_id, job_type) DO NOTHING;
+
+-- Step 3: Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON evidence_text TO proofvaultuser;
+
+-- Step 4: Add comments for documentation
+COMMENT ON TABLE evidence_text IS 'Text layer of each evidence PDF, extracted by extract_text jobs; deleted when the record is purged';
+COMMENT ON COLUMN evidence_text.title IS 'Page title from the capture manifest, ranked above the content';
+COMMENT ON COLUMN evidence_text.content IS 'Text of every page, pages separated by form feeds (\f)';
+COMMENT ON COLUMN evidence_text.truncated IS 'Content was cut at TEXT_INDEX_MAX_CHARS characters';
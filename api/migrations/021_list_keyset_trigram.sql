@@ -0,0 +1,46 @@
+-- ================================================
+-- ProofVault Database Migration: Keyset Pagination and Trigram Filters
+-- File: 021_list_keyset_trigram.sql
+-- Description: Indexes behind GET /api/pdf/list: trigram indexes so the
+--              partial-match filters (ILIKE '%...%') don't scan every
+--              record, and (sort field, id) indexes for cursor pagination
+-- ================================================
+
+-- Step 1: Trigram matching (a trusted extension since PostgreSQL 13, so the
+-- database owner can create it)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Step 2: Trigram indexes for the partial-match filters and the global search
+CREATE INDEX IF NOT EXISTS idx_pdf_records_company_name_trgm ON pdf_records USING GIN (company_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_pdf_records_username_trgm ON pdf_records USING GIN (username gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_pdf_records_filename_trgm ON pdf_records USING GIN (pdf_filename gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_pdf_records_file_id_trgm ON pdf_records USING GIN (file_id gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_pdf_records_id_trgm ON pdf_records USING GIN ((id::text) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_captures_source_url_trgm ON captures USING GIN (source_url gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_captures_evidence_id_trgm ON captures USING GIN (evidence_id gin_trgm_ops);
+
+-- Step 3: Every record has a receipt time; keyset conditions on created_at
+-- don't have to allow for NULLs. Legacy rows without one get their last
+-- update time (protect_evidence_records allows this update, including on
+-- deleted and held records).
+UPDATE pdf_records SET created_at = COALESCE(updated_at, NOW()) WHERE created_at IS NULL;
+
+ALTER TABLE pdf_records ALTER COLUMN created_at SET NOT NULL;
+
+-- Step 4: Keyset indexes in list order (newest first, ties by id). They
+-- replace the (organization_id, created_at DESC) indexes of migrations 006
+-- and 008.
+CREATE INDEX IF NOT EXISTS idx_pdf_records_org_created_id
+ON pdf_records(organization_id, created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_records_active_created_id
+ON pdf_records(organization_id, created_at DESC, id DESC)
+WHERE deleted_at IS NULL;
+
+DROP INDEX IF EXISTS idx_pdf_records_organization_created;
+DROP INDEX IF EXISTS idx_pdf_records_active;
+
+-- Step 5: Add comments for documentation
+COMMENT ON INDEX idx_pdf_records_org_created_id IS 'GET /api/pdf/list default order; serves next_cursor/prev_cursor pages';
+COMMENT ON INDEX idx_pdf_records_active_created_id IS 'GET /api/pdf/list default order without deleted records';
+COMMENT ON INDEX idx_captures_source_url_trgm IS 'Partial-match source_url filter and global search of GET /api/pdf/list';
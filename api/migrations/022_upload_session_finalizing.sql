@@ -0,0 +1,22 @@
+-- ================================================
+-- ProofVault Database Migration: Stale Upload Finalizations
+-- File: 022_upload_session_finalizing.sql
+-- Description: Record when an upload session was claimed for finalizing,
+--              so a session whose finalize died with its process can be
+--              reopened instead of staying 'finalizing' forever
+-- ================================================
+
+-- Step 1: When the current finalize started
+ALTER TABLE upload_sessions
+ADD COLUMN IF NOT EXISTS finalizing_at TIMESTAMP WITH TIME ZONE;
+
+-- Sessions already stuck count from their last update
+UPDATE upload_sessions SET finalizing_at = updated_at
+WHERE status = 'finalizing' AND finalizing_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_finalizing
+ON upload_sessions(finalizing_at) WHERE status = 'finalizing';
+
+-- Step 2: Add comments for documentation
+COMMENT ON COLUMN upload_sessions.finalizing_at IS 'When the session was last claimed for finalizing; reopened once UPLOAD_FINALIZE_TIMEOUT_MINUTES have passed';
+COMMENT ON COLUMN upload_sessions.received_hash IS 'SHA-256 of the verified bytes: kept for an artifact upload until the PDF upload links it, and for a PDF so a failed finalize can be retried from storage';
@@ -0,0 +1,37 @@
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const {
+  getJobs,
+  getJobById,
+  retryJobById,
+  retryStuckJobs,
+  setOrganizationUploadLimit
+} = require('../controllers/adminController');
+
+const router = express.Router();
+
+// Operator-only: the job queue and limits span every organization
+router.use(authenticate, requireAdmin);
+
+// GET /api/admin/jobs - List evidence jobs
+// Query parameters:
+// - status: queued, running, submitted, completed, finalized, errored
+// - job_type: e.g. submit_fingerprint
+// - stuck: true to only list errored, overdue or abandoned jobs
+// - limit: max jobs to return (default: 50, max: 500)
+router.get('/jobs', getJobs);
+
+// POST /api/admin/jobs/retry-stuck - Re-drive every stuck job
+router.post('/jobs/retry-stuck', retryStuckJobs);
+
+// GET /api/admin/jobs/:id - Get a job with its attempt history
+router.get('/jobs/:id', getJobById);
+
+// POST /api/admin/jobs/:id/retry - Re-drive a single job
+router.post('/jobs/:id/retry', retryJobById);
+
+// PUT /api/admin/organizations/:id/upload-limit - Set an organization's upload limit
+// Body: { "max_upload_bytes": 104857600 } or { "max_upload_bytes": null } for the server default
+router.put('/organizations/:id/upload-limit', setOrganizationUploadLimit);
+
+module.exports = router;
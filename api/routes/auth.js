@@ -0,0 +1,47 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  login,
+  logout,
+  getCurrentPrincipal,
+  switchOrganization,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/authController');
+
+const router = express.Router();
+
+// Login attempts per client IP, against password guessing
+const loginRateLimit = rateLimit({
+  windowMs: parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+  message: 'Too many login attempts; retry later'
+});
+
+// POST /api/auth/login - Log in to the dashboard
+// Body: { username, password } (username may also be the account email)
+router.post('/login', loginRateLimit, login);
+
+// POST /api/auth/logout - Clear the session cookie
+router.post('/logout', logout);
+
+// GET /api/auth/me - Current user/API key, organization, role and memberships
+router.get('/me', authenticate, getCurrentPrincipal);
+
+// POST /api/auth/switch-organization - Scope the session to another organization
+// Body: { organization_id }
+router.post('/switch-organization', authenticate, switchOrganization);
+
+// GET /api/auth/api-keys - List your API keys (admins: every key in the organization)
+router.get('/api-keys', authenticate, getApiKeys);
+
+// POST /api/auth/api-keys - Create an API key (returned once)
+// Body: { name, expires_in_days? }
+router.post('/api-keys', authenticate, createApiKey);
+
+// DELETE /api/auth/api-keys/:id - Revoke your API key (admins: any key in the organization)
+router.delete('/api-keys/:id', authenticate, revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { attributeUpload } = require('../middleware/upload');
+const { captureUrl } = require('../controllers/captureController');
+
+const router = express.Router();
+
+// POST /api/capture - Capture a URL server-side in headless Chromium and
+// store it as evidence of the caller's organization, attributed to the
+// caller like an upload
+// Body: { url, evidence_id?, timezone? }
+router.post('/', authenticate, requirePermission('evidence:upload'), attributeUpload, captureUrl);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  getMembers,
+  addMember,
+  changeMemberRole,
+  removeMember,
+  getRoleAuditLog
+} = require('../controllers/organizationController');
+
+const router = express.Router();
+
+// All endpoints act on the caller's current organization
+router.use(authenticate);
+
+// GET /api/organizations/members - List members and their roles
+router.get('/members', requirePermission('members:read'), getMembers);
+
+// POST /api/organizations/members - Add an existing user
+// Body: { username, role, reason? }
+router.post('/members', requirePermission('members:manage'), addMember);
+
+// PATCH /api/organizations/members/:userId - Change a member's role
+// Body: { role, reason? }
+router.patch('/members/:userId', requirePermission('members:manage'), changeMemberRole);
+
+// DELETE /api/organizations/members/:userId - Remove a member
+// Body: { reason? }
+router.delete('/members/:userId', requirePermission('members:manage'), removeMember);
+
+// GET /api/organizations/role-audit-log - Membership and role changes
+// Query parameters:
+// - user_id: only changes to this member
+// - limit: max entries (default: 100, max: 1000)
+router.get('/role-audit-log', requirePermission('members:read'), getRoleAuditLog);
+
+module.exports = router;
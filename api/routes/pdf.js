@@ -1,44 +1,132 @@
 const express = require('express');
-const { uploadSinglePDF } = require('../middleware/upload');
+const { authenticate, requirePermission, requirePermissionWhen } = require('../middleware/auth');
+const { uploadSinglePDF, attributeUpload } = require('../middleware/upload');
 const {
   uploadPDF,
+  createUploadSession,
+  getUploadSession,
+  putUploadChunk,
+  completeUploadSession,
+  abortUploadSession,
   getPDFList,
   getPDFById,
   deletePDFById,
+  restorePDFById,
+  purgePDFById,
+  placeLegalHold,
+  releaseLegalHold,
+  getPDFCustody,
+  getPDFManifest,
+  getPDFArtifacts,
+  getPDFArtifact,
+  getPDFDiff,
+  getPDFDiffImage,
+  getPDFCertificate,
   getPDFStats,
   verifyPDFOnBlockchain
 } = require('../controllers/pdfController');
 
 const router = express.Router();
 
+// Every PDF endpoint requires an API key or a dashboard session, and a role
+// allowing the action (see utils/permissions.js)
+router.use(authenticate);
+
+const isDownload = (req) => req.query.download === 'true';
+
 // POST /api/pdf/upload - Upload a PDF file
-router.post('/upload', uploadSinglePDF, uploadPDF);
+router.post('/upload', requirePermission('evidence:upload'), uploadSinglePDF, uploadPDF);
+
+// Resumable uploads for large files and slow connections:
+// POST /api/pdf/uploads - Open a session. Body: { filename, size }
+router.post('/uploads', requirePermission('evidence:upload'), createUploadSession);
+
+// GET /api/pdf/uploads/:uploadId - Session state, including the offset to resume from
+router.get('/uploads/:uploadId', requirePermission('evidence:upload'), getUploadSession);
+
+// PUT /api/pdf/uploads/:uploadId/chunks - Append a chunk (raw bytes)
+// Header: Content-Range: bytes <start>-<end>/<total>
+router.put('/uploads/:uploadId/chunks', requirePermission('evidence:upload'), putUploadChunk);
+
+// POST /api/pdf/uploads/:uploadId/complete - Check the SHA-256 and store the evidence
+// Body: { sha256 }
+router.post('/uploads/:uploadId/complete', requirePermission('evidence:upload'), attributeUpload, completeUploadSession);
+
+// DELETE /api/pdf/uploads/:uploadId - Abort a session
+router.delete('/uploads/:uploadId', requirePermission('evidence:upload'), abortUploadSession);
 
 // GET /api/pdf/list - Get list of PDFs with pagination and filtering
 // Query parameters:
 // - page: page number (default: 1)
 // - limit: items per page (default: 10, max: 100)
-// - search: global search across company_name, username, pdf_filename, and id
+// - cursor: next_cursor or prev_cursor of an earlier page, instead of page (keyset pagination)
+// - count: exact (default), estimated (planner estimate) or none; sets pagination.total_count
+// - search: global search across company_name, username, pdf_filename, file_id, id, source_url and evidence_id
+// - q: full-text search of the PDF text (websearch syntax: "phrase", OR, -word); adds search_rank and search_snippet
 // - company_name: filter by company name (partial match)
 // - username: filter by username (partial match)
-// - date_from: filter by created date from (ISO 8601 format)
-// - date_to: filter by created date to (ISO 8601 format)
-// - sort_by: sort field (created_at, company_name, username, pdf_filename)
+// - source_url: filter by captured page URL (partial match)
+// - evidence_id: filter by client evidence ID (exact match)
+// - date_from: filter by server receipt date from (ISO 8601 format)
+// - date_to: filter by server receipt date to (ISO 8601 format)
+// - captured_from, captured_to: filter by client capture time (ISO 8601 format)
+// - sort_by: sort field (created_at, received_at, captured_at, company_name, username, pdf_filename, file_id, source_url,
+//   relevance with q; default: relevance with q, else created_at)
 // - sort_order: ASC or DESC (default: DESC)
-router.get('/list', getPDFList);
+// - deleted: exclude (default), include or only (needs evidence:read_deleted)
+router.get('/list', requirePermission('evidence:read'), getPDFList);
 
 // GET /api/pdf/stats - Get PDF statistics
-router.get('/stats', getPDFStats);
+router.get('/stats', requirePermission('evidence:stats'), getPDFStats);
+
+// GET /api/pdf/diff - Compare two records: text, page count and, when both
+// have a screenshot, a per-page pixel diff
+// Query parameters: a, b - PDF IDs; the diff shows what changed from a to b
+router.get('/diff', requirePermission('evidence:download'), getPDFDiff);
+
+// GET /api/pdf/diff/image - One page of the pixel diff as a PNG
+// Query parameters: a, b - PDF IDs; page - screenshot page, from 1
+router.get('/diff/image', requirePermission('evidence:download'), getPDFDiffImage);
 
 // GET /api/pdf/:id - Get PDF metadata by ID
 // Query parameters:
-// - download: true/false - if true, downloads the PDF file
-router.get('/:id', getPDFById);
+// - download: true/false - if true, downloads the PDF file (needs evidence:download)
+router.get('/:id', requirePermission('evidence:read'), requirePermissionWhen(isDownload, 'evidence:download'), getPDFById);
+
+// GET /api/pdf/:id/custody - Chain-of-custody timeline with hash chain check
+router.get('/:id/custody', requirePermission('evidence:custody'), getPDFCustody);
+
+// GET /api/pdf/:id/manifest - Capture manifest (canonical JSON) with its SHA-256
+router.get('/:id/manifest', requirePermission('evidence:read'), getPDFManifest);
+
+// GET /api/pdf/:id/artifacts - Artifacts captured with the PDF (e.g. its MHTML snapshot)
+router.get('/:id/artifacts', requirePermission('evidence:read'), getPDFArtifacts);
+
+// GET /api/pdf/:id/artifacts/:artifactId - Download an artifact (supports Range)
+router.get('/:id/artifacts/:artifactId', requirePermission('evidence:download'), getPDFArtifact);
+
+// GET /api/pdf/:id/certificate - Signed verification certificate (PDF)
+router.get('/:id/certificate', requirePermission('evidence:certificate'), getPDFCertificate);
 
 // GET /api/pdf/:id/verify - Verify PDF hash on blockchain
-router.get('/:id/verify', verifyPDFOnBlockchain);
+router.get('/:id/verify', requirePermission('evidence:verify'), verifyPDFOnBlockchain);
+
+// DELETE /api/pdf/:id - Soft delete PDF by ID
+// Body or query: { reason } (required)
+router.delete('/:id', requirePermission('evidence:delete'), deletePDFById);
+
+// POST /api/pdf/:id/restore - Undo a soft delete (not after a purge)
+router.post('/:id/restore', requirePermission('evidence:delete'), restorePDFById);
+
+// POST /api/pdf/:id/purge - Remove a deleted record's PDF content, keeping
+// its hash and fingerprint as a tombstone
+router.post('/:id/purge', requirePermission('evidence:purge'), purgePDFById);
+
+// PUT /api/pdf/:id/legal-hold - Place a legal hold (blocks delete and purge)
+// Body: { reason } (required)
+router.put('/:id/legal-hold', requirePermission('evidence:legal_hold'), placeLegalHold);
 
-// DELETE /api/pdf/:id - Delete PDF by ID
-router.delete('/:id', deletePDFById);
+// DELETE /api/pdf/:id/legal-hold - Release a legal hold
+router.delete('/:id/legal-hold', requirePermission('evidence:legal_hold'), releaseLegalHold);
 
 module.exports = router;
\ No newline at end of file
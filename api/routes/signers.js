@@ -0,0 +1,12 @@
+const express = require('express');
+const { getSigners, getSignerById } = require('../controllers/signerController');
+
+const router = express.Router();
+
+// GET /api/signers - Get active and retired Digital Evidence signer IDs
+router.get('/', getSigners);
+
+// GET /api/signers/:signerId - Get a signing key by its signerId (public key hex)
+router.get('/:signerId', getSignerById);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const { verifySinglePDF } = require('../middleware/upload');
+const { rateLimit } = require('../middleware/rateLimit');
+const { verifyFile, verifyHash } = require('../controllers/verifyController');
+
+const router = express.Router();
+
+// Public endpoints: anyone holding a PDF can check it against the vault
+// without an account or record ID. Limited per client IP, before a file
+// is received.
+router.use(rateLimit({
+  windowMs: parseInt(process.env.VERIFY_RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+  max: parseInt(process.env.VERIFY_RATE_LIMIT_MAX) || 30,
+  message: 'Too many verification requests; retry later'
+}));
+
+// POST /api/verify/file - Verify an uploaded PDF (multipart field "pdf")
+router.post('/file', verifySinglePDF, verifyFile);
+
+// GET /api/verify/hash/:sha256 - Verify a SHA-256 hash computed by the caller
+router.get('/hash/:sha256', verifyHash);
+
+module.exports = router;
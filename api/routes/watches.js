@@ -0,0 +1,47 @@
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  getWatchJobs,
+  createWatchJob,
+  getWatchJob,
+  updateWatchJob,
+  runWatchJobNow,
+  deleteWatchJob,
+  getWatchRuns
+} = require('../controllers/watchController');
+
+const router = express.Router();
+
+// Watch jobs of the caller's current organization: URLs captured on an
+// interval by the monitor worker (MONITOR_WORKER_ENABLED=true)
+router.use(authenticate);
+
+// GET /api/watches - List watch jobs
+// Query parameters:
+// - active: true|false
+router.get('/', requirePermission('monitor:read'), getWatchJobs);
+
+// POST /api/watches - Start monitoring a URL
+// Body: { url, interval_minutes, label? }
+router.post('/', requirePermission('monitor:manage'), requirePermission('evidence:upload'), createWatchJob);
+
+// GET /api/watches/:id - Get a watch job
+router.get('/:id', requirePermission('monitor:read'), getWatchJob);
+
+// PATCH /api/watches/:id - Change the interval or label, pause or resume
+// Body: { interval_minutes?, label?, is_active? }
+router.patch('/:id', requirePermission('monitor:manage'), updateWatchJob);
+
+// POST /api/watches/:id/run - Capture now, outside the schedule
+router.post('/:id/run', requirePermission('monitor:manage'), runWatchJobNow);
+
+// DELETE /api/watches/:id - Stop monitoring; captures are kept
+router.delete('/:id', requirePermission('monitor:manage'), deleteWatchJob);
+
+// GET /api/watches/:id/runs - Runs and the evidence records they produced
+// Query parameters:
+// - changed_only: true to list only runs where the content changed
+// - limit: max runs (default: 100, max: 1000)
+router.get('/:id/runs', requirePermission('monitor:read'), getWatchRuns);
+
+module.exports = router;
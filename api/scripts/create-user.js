@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Create a user (and its organization, if new) and optionally issue an API key.
+ * Running it for an existing username adds that user to another organization.
+ *
+ * Usage:
+ *   node scripts/create-user.js <organization> <username> [--email <email>] [--role <role>] [--admin] [--api-key <name>]
+ *
+ * Organizations are matched on their normalized name, so "ACME Inc" joins an
+ * existing "Acme". Roles are viewer, capturer, reviewer, admin and auditor;
+ * the first member of a new organization defaults to admin, later members to
+ * capturer. --admin makes the user a ProofVault operator (/api/admin).
+ *
+ * The password is read from PROOFVAULT_PASSWORD or prompted for (new users
+ * only). The API key is printed once; only its hash is stored.
+ */
+const readline = require('readline');
+const { pool } = require('../config/database');
+const { hashPassword, generateApiKey } = require('../utils/auth');
+const { ROLES } = require('../utils/permissions');
+
+const args = process.argv.slice(2);
+const positional = [];
+const options = { admin: false };
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--admin') {
+    options.admin = true;
+  } else if (args[i] === '--email') {
+    options.email = args[++i];
+  } else if (args[i] === '--role') {
+    options.role = args[++i];
+  } else if (args[i] === '--api-key') {
+    options.apiKeyName = args[++i];
+  } else {
+    positional.push(args[i]);
+  }
+}
+
+const [organizationName, username] = positional;
+
+if (!organizationName || !username) {
+  console.error('Usage: node scripts/create-user.js <organization> <username> [--email <email>] [--role <role>] [--admin] [--api-key <name>]');
+  process.exit(1);
+}
+
+if (options.role && !ROLES.includes(options.role)) {
+  console.error(`--role must be one of: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+const promptPassword = () => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.question('Password: ', (answer) => {
+    rl.close();
+    resolve(answer);
+  });
+});
+
+const main = async () => {
+  const existingUser = await pool.query('SELECT id, username FROM users WHERE username = $1', [username.trim()]);
+  let passwordHash = null;
+
+  if (existingUser.rows.length === 0) {
+    const password = process.env.PROOFVAULT_PASSWORD || await promptPassword();
+
+    if (!password || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+    passwordHash = await hashPassword(password);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    let orgResult = await client.query(
+      'SELECT id, name FROM organizations WHERE normalized_name = normalize_organization_name($1)',
+      [organizationName.trim()]
+    );
+    const isNewOrganization = orgResult.rows.length === 0;
+
+    if (isNewOrganization) {
+      orgResult = await client.query(
+        'INSERT INTO organizations (name) VALUES ($1) RETURNING id, name',
+        [organizationName.trim()]
+      );
+    }
+    const organization = orgResult.rows[0];
+
+    let user = existingUser.rows[0];
+    if (!user) {
+      const userResult = await client.query(
+        `INSERT INTO users (organization_id, username, email, password_hash, is_admin)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, username`,
+        [organization.id, username.trim(), options.email || null, passwordHash, options.admin]
+      );
+      user = userResult.rows[0];
+    } else if (options.admin) {
+      await client.query('UPDATE users SET is_admin = TRUE WHERE id = $1', [user.id]);
+    }
+
+    // An existing membership keeps its role unless --role is given
+    const membershipResult = await client.query(
+      `INSERT INTO memberships (organization_id, user_id, role) VALUES ($1, $2, $3)
+       ON CONFLICT (organization_id, user_id) DO UPDATE SET role = COALESCE($4, memberships.role)
+       RETURNING role`,
+      [organization.id, user.id, options.role || (isNewOrganization ? 'admin' : 'capturer'), options.role || null]
+    );
+    const { role } = membershipResult.rows[0];
+
+    let apiKey = null;
+    if (options.apiKeyName) {
+      const { key, prefix, hash } = generateApiKey();
+      await client.query(
+        `INSERT INTO api_keys (organization_id, user_id, name, key_prefix, key_hash, created_by_user_id)
+         VALUES ($1, $2, $3, $4, $5, $2)`,
+        [organization.id, user.id, options.apiKeyName, prefix, hash]
+      );
+      apiKey = key;
+    }
+
+    await client.query('COMMIT');
+
+    console.log(`✅ ${existingUser.rows.length ? 'Added' : 'Created'} user ${user.username} (${user.id}) in organization ${organization.name} as ${role}${options.admin ? ' [operator]' : ''}`);
+    if (apiKey) {
+      console.log(`🔑 API key (shown once): ${apiKey}`);
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌ Could not create user:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Generate a new secp256k1 signing key for the Digital Evidence client.
+ *
+ * Usage:
+ *   node scripts/generate-signing-key.js <output.pem> [passphrase]
+ *
+ * Point DE_SIGNING_KEY_PATH (and DE_SIGNING_KEY_PASSPHRASE) at the new file
+ * and restart the API to rotate keys. The previous key is kept in the
+ * signing_keys table as retired.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+
+const [outputPath, passphrase] = process.argv.slice(2);
+
+if (!outputPath) {
+  console.error('Usage: node scripts/generate-signing-key.js <output.pem> [passphrase]');
+  process.exit(1);
+}
+
+if (fs.existsSync(outputPath)) {
+  console.error(`Refusing to overwrite existing key file: ${outputPath}`);
+  process.exit(1);
+}
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+
+const pem = privateKey.export({
+  type: 'pkcs8',
+  format: 'pem',
+  ...(passphrase ? { cipher: 'aes-256-cbc', passphrase } : {})
+});
+
+fs.writeFileSync(outputPath, pem, { mode: 0o600 });
+
+const jwk = publicKey.export({ format: 'jwk' });
+const signerId = '04' + Buffer.from(jwk.x, 'base64url').toString('hex') + Buffer.from(jwk.y, 'base64url').toString('hex');
+
+console.log(`🔐 Wrote ${passphrase ? 'encrypted ' : ''}signing key to ${outputPath}`);
+console.log(`🆔 signerId: ${signerId}`);
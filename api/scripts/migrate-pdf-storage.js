@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Move PDF bytes out of pdf_records.pdf_data into blob storage.
+ *
+ * Usage:
+ *   node scripts/migrate-pdf-storage.js [--backend local|s3] [--batch-size <n>] [--chunk-size <bytes>] [--limit <n>] [--dry-run]
+ *
+ * Each PDF is read from Postgres in chunks (substring of the BYTEA) and
+ * streamed to storage, so no file is ever held in memory whole. The stream
+ * is hashed on the way and must match pdf_hash before the row is pointed at
+ * the blob and its pdf_data cleared. Safe to re-run: only rows still holding
+ * their bytes in pdf_data are picked up.
+ *
+ * Run VACUUM FULL pdf_records afterwards to give the space back to the OS.
+ */
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pool } = require('../config/database');
+const { DEFAULT_BACKEND, blobKeyForHash, getBlobStorage } = require('../utils/blob-storage');
+
+const args = process.argv.slice(2);
+const options = {
+  backend: DEFAULT_BACKEND,
+  batchSize: 50,
+  chunkSize: 1024 * 1024,
+  limit: Infinity,
+  dryRun: false
+};
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--backend') {
+    options.backend = args[++i];
+  } else if (args[i] === '--batch-size') {
+    options.batchSize = parseInt(args[++i]);
+  } else if (args[i] === '--chunk-size') {
+    options.chunkSize = parseInt(args[++i]);
+  } else if (args[i] === '--limit') {
+    options.limit = parseInt(args[++i]);
+  } else if (args[i] === '--dry-run') {
+    options.dryRun = true;
+  } else {
+    console.error('Usage: node scripts/migrate-pdf-storage.js [--backend local|s3] [--batch-size <n>] [--chunk-size <bytes>] [--limit <n>] [--dry-run]');
+    process.exit(1);
+  }
+}
+
+if (!(options.batchSize > 0) || !(options.chunkSize > 0) || !(options.limit > 0)) {
+  console.error('--batch-size, --chunk-size and --limit must be positive numbers');
+  process.exit(1);
+}
+
+/**
+ * Stream a record's pdf_data in chunks, failing at the end if the bytes
+ * don't hash to the expected SHA-256 (so nothing is stored under a wrong key)
+ * @param {string} recordId - PDF record ID
+ * @param {number} size - Byte length of pdf_data
+ * @param {string} expectedHash - pdf_hash of the record
+ * @returns {Readable}
+ */
+const streamPdfData = (recordId, size, expectedHash) => {
+  async function* chunks() {
+    const hash = crypto.createHash('sha256');
+
+    // substring() on BYTEA is 1-based
+    for (let offset = 0; offset < size; offset += options.chunkSize) {
+      const result = await pool.query(
+        'SELECT substring(pdf_data FROM $2::int FOR $3::int) AS chunk FROM pdf_records WHERE id = $1',
+        [recordId, offset + 1, options.chunkSize]
+      );
+      const chunk = result.rows[0].chunk;
+      hash.update(chunk);
+      yield chunk;
+    }
+
+    const actualHash = hash.digest('hex');
+    if (actualHash !== expectedHash) {
+      throw new Error(`SHA-256 mismatch for record ${recordId}: stored ${expectedHash}, content ${actualHash}`);
+    }
+  }
+
+  return Readable.from(chunks());
+};
+
+const main = async () => {
+  const storage = getBlobStorage(options.backend);
+  const totals = { moved: 0, bytes: 0, failed: 0 };
+  let lastId = '00000000-0000-0000-0000-000000000000';
+
+  console.log(`📦 Moving PDF bytes from Postgres to ${storage.name} storage${options.dryRun ? ' (dry run)' : ''}`);
+
+  while (totals.moved + totals.failed < options.limit) {
+    // Only ids and sizes per batch; the bytes are read chunk by chunk
+    const batch = await pool.query(
+      `SELECT id, pdf_hash, octet_length(pdf_data) AS size
+       FROM pdf_records
+       WHERE pdf_data IS NOT NULL AND storage_key IS NULL AND id > $1
+       ORDER BY id
+       LIMIT $2`,
+      [lastId, Math.min(options.batchSize, options.limit - totals.moved - totals.failed)]
+    );
+
+    if (batch.rows.length === 0) {
+      break;
+    }
+
+    for (const row of batch.rows) {
+      lastId = row.id;
+      const size = parseInt(row.size);
+      const key = blobKeyForHash(row.pdf_hash);
+
+      if (options.dryRun) {
+        console.log(`  would move ${row.id} (${size} bytes) to ${key}`);
+        totals.moved++;
+        totals.bytes += size;
+        continue;
+      }
+
+      try {
+        await storage.put(key, streamPdfData(row.id, size, row.pdf_hash), 'application/pdf');
+
+        const storedSize = await storage.size(key);
+        if (storedSize !== size) {
+          throw new Error(`stored blob is ${storedSize} bytes, expected ${size}`);
+        }
+
+        await pool.query(
+          `UPDATE pdf_records SET
+             storage_backend = $1,
+             storage_key = $2,
+             file_size = COALESCE(file_size, $3),
+             pdf_data = NULL
+           WHERE id = $4 AND storage_key IS NULL`,
+          [storage.name, key, size, row.id]
+        );
+
+        totals.moved++;
+        totals.bytes += size;
+        console.log(`  ✅ ${row.id} (${size} bytes) → ${key}`);
+      } catch (error) {
+        totals.failed++;
+        console.error(`  ❌ ${row.id}: ${error.message}`);
+      }
+    }
+  }
+
+  console.log(`📊 ${options.dryRun ? 'Would move' : 'Moved'} ${totals.moved} PDF(s), ${(totals.bytes / (1024 * 1024)).toFixed(2)} MB; ${totals.failed} failed`);
+  if (totals.moved > 0 && !options.dryRun) {
+    console.log('💡 Run VACUUM FULL pdf_records to reclaim the freed space');
+  }
+
+  return totals;
+};
+
+main()
+  .then(async (totals) => {
+    await pool.end();
+    process.exit(totals.failed > 0 ? 1 : 0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Storage migration failed:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
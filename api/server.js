@@ -15,9 +15,20 @@ const {
 // Import routes
 const pdfRoutes = require('./routes/pdf');
 const healthRoutes = require('./routes/health');
+const authRoutes = require('./routes/auth');
+const organizationRoutes = require('./routes/organizations');
+const signerRoutes = require('./routes/signers');
+const adminRoutes = require('./routes/admin');
+const verifyRoutes = require('./routes/verify');
+const watchRoutes = require('./routes/watches');
+const captureRoutes = require('./routes/capture');
 
 // Import database
 const { testConnection, initializeTables } = require('./config/database');
+const { registerActiveSigningKey } = require('./utils/signing-key-registry');
+const { startEvidenceWorker, stopEvidenceWorker } = require('./workers/evidenceWorker');
+const { startFinalizationPoller, stopFinalizationPoller } = require('./workers/finalizationPoller');
+const { startWatchScheduler, stopWatchScheduler } = require('./workers/watchScheduler');
 
 // Handle uncaught exceptions and unhandled rejections
 handleUncaughtException();
@@ -83,9 +94,9 @@ const corsOptions = {
     callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Disposition'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'Range', 'If-Range', 'If-None-Match', 'Content-Range'],
+  exposedHeaders: ['Content-Disposition', 'Content-Range', 'Accept-Ranges', 'ETag', 'X-Capture-Manifest-SHA256', 'X-Fingerprint-Document-Ref', 'X-Certificate-Id', 'X-Certificate-Signature'],
   maxAge: 86400 // 24 hours
 };
 
@@ -129,12 +140,41 @@ app.get('/', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       health: '/api/health',
+      auth_login: 'POST /api/auth/login',
+      auth_me: 'GET /api/auth/me',
+      auth_switch_organization: 'POST /api/auth/switch-organization',
+      auth_api_keys: 'GET|POST /api/auth/api-keys',
+      organization_members: 'GET|POST /api/organizations/members',
+      organization_member_role: 'PATCH /api/organizations/members/:userId',
+      role_audit_log: 'GET /api/organizations/role-audit-log',
       pdf_upload: 'POST /api/pdf/upload',
+      pdf_upload_session: 'POST /api/pdf/uploads, PUT /api/pdf/uploads/:uploadId/chunks, POST /api/pdf/uploads/:uploadId/complete',
       pdf_list: 'GET /api/pdf/list?search=query&company_name=filter&username=filter&date_from=YYYY-MM-DD&date_to=YYYY-MM-DD&page=1&limit=10&sort_by=created_at&sort_order=DESC',
+      pdf_list_cursor: 'GET /api/pdf/list?cursor=:next_cursor&limit=10&count=none',
       pdf_get: 'GET /api/pdf/:id',
       pdf_download: 'GET /api/pdf/:id?download=true',
       pdf_delete: 'DELETE /api/pdf/:id',
-      pdf_stats: 'GET /api/pdf/stats'
+      pdf_restore: 'POST /api/pdf/:id/restore',
+      pdf_purge: 'POST /api/pdf/:id/purge',
+      pdf_legal_hold: 'PUT|DELETE /api/pdf/:id/legal-hold',
+      pdf_custody: 'GET /api/pdf/:id/custody',
+      pdf_manifest: 'GET /api/pdf/:id/manifest',
+      pdf_artifacts: 'GET /api/pdf/:id/artifacts',
+      pdf_artifact_download: 'GET /api/pdf/:id/artifacts/:artifactId',
+      pdf_diff: 'GET /api/pdf/diff?a=:id&b=:id',
+      pdf_certificate: 'GET /api/pdf/:id/certificate',
+      pdf_stats: 'GET /api/pdf/stats',
+      capture: 'POST /api/capture',
+      watches: 'GET|POST /api/watches',
+      watch: 'GET|PATCH|DELETE /api/watches/:id',
+      watch_run_now: 'POST /api/watches/:id/run',
+      watch_runs: 'GET /api/watches/:id/runs?changed_only=true',
+      verify_file: 'POST /api/verify/file',
+      verify_hash: 'GET /api/verify/hash/:sha256',
+      signers: 'GET /api/signers',
+      admin_jobs: 'GET /api/admin/jobs?status=errored&stuck=true',
+      admin_job_retry: 'POST /api/admin/jobs/:id/retry',
+      admin_upload_limit: 'PUT /api/admin/organizations/:id/upload-limit'
     },
     documentation: 'See README.md for detailed API documentation'
   });
@@ -142,7 +182,14 @@ app.get('/', (req, res) => {
 
 // API routes
 app.use('/api/health', healthRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/organizations', organizationRoutes);
 app.use('/api/pdf', pdfRoutes);
+app.use('/api/verify', verifyRoutes);
+app.use('/api/capture', captureRoutes);
+app.use('/api/watches', watchRoutes);
+app.use('/api/signers', signerRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Handle 404 errors
 app.use(notFoundHandler);
@@ -157,8 +204,11 @@ const HOST = process.env.HOST || '0.0.0.0';
 // Graceful shutdown handler
 let server;
 
-const gracefulShutdown = (signal) => {
+const gracefulShutdown = async (signal) => {
   console.log(`\nReceived ${signal}. Starting graceful shutdown...`);
+
+  // Let the job in progress finish so its attempt is recorded
+  await Promise.all([stopEvidenceWorker(), stopFinalizationPoller(), stopWatchScheduler()]);
   
   if (server) {
     server.close((err) => {
@@ -202,6 +252,13 @@ const startServer = async () => {
     // Initialize database tables
     console.log('Initializing database tables...');
     await initializeTables();
+
+    // Register the configured Digital Evidence signing key (handles rotation)
+    try {
+      await registerActiveSigningKey();
+    } catch (error) {
+      console.error('Could not register signing key:', error.message);
+    }
     
     // Start the server
     server = app.listen(PORT, HOST, () => {
@@ -214,6 +271,17 @@ const startServer = async () => {
       console.log(`📋 API Documentation: http://${HOST}:${PORT}/`);
       console.log('=========================================');
     });
+
+    // Process queued Digital Evidence submissions in the background
+    if (process.env.EVIDENCE_WORKER_ENABLED !== 'false') {
+      startEvidenceWorker();
+      startFinalizationPoller();
+    }
+
+    // Scheduled captures of watched URLs need Chromium; opt-in
+    if (process.env.MONITOR_WORKER_ENABLED === 'true') {
+      startWatchScheduler();
+    }
     
     // Handle server errors
     server.on('error', (error) => {
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { RUN_INTEGRATION_TESTS } = require('./helpers');
+const { blobKeyForHash, LocalBlobStorage, S3BlobStorage } = require('../utils/blob-storage');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const CONTENT = Buffer.from('%PDF-1.4\nblob storage round trip\n%%EOF\n');
+const KEY = blobKeyForHash('ab'.repeat(32));
+
+// The same round trip on every backend. S3 runs against the bucket in
+// S3_BUCKET (e.g. on MinIO, with S3_ENDPOINT) in integration runs.
+const backends = [['local', () => new LocalBlobStorage(fs.mkdtempSync(path.join(os.tmpdir(), 'pv-storage-')))]];
+if (RUN_INTEGRATION_TESTS && process.env.S3_BUCKET) {
+  backends.push(['s3', () => new S3BlobStorage()]);
+}
+
+describe.each(backends)('%s blob storage', (name, createStorage) => {
+  let storage;
+
+  beforeAll(() => {
+    storage = createStorage();
+  });
+
+  afterAll(async () => {
+    await storage.remove(KEY);
+    if (storage.rootPath) {
+      await fs.promises.rm(storage.rootPath, { recursive: true, force: true });
+    }
+  });
+
+  test('stores, reads, sizes and removes a blob', async () => {
+    await storage.put(KEY, CONTENT);
+
+    expect(await storage.size(KEY)).toBe(CONTENT.length);
+    expect(await readAll(await storage.get(KEY))).toEqual(CONTENT);
+
+    await storage.remove(KEY);
+    expect(await storage.size(KEY)).toBeNull();
+  });
+
+  test('reads an inclusive byte range', async () => {
+    await storage.put(KEY, Readable.from([CONTENT.subarray(0, 10), CONTENT.subarray(10)]));
+
+    expect(await readAll(await storage.get(KEY, { start: 5, end: 12 }))).toEqual(CONTENT.subarray(5, 13));
+  });
+
+  test('stores a file from disk', async () => {
+    const sourcePath = path.join(os.tmpdir(), `pv-storage-source-${process.pid}.pdf`);
+    await fs.promises.writeFile(sourcePath, CONTENT);
+
+    try {
+      await storage.putFile(KEY, sourcePath);
+      expect(await readAll(await storage.get(KEY))).toEqual(CONTENT);
+    } finally {
+      await fs.promises.rm(sourcePath, { force: true });
+    }
+  });
+
+  test('reports a missing blob', async () => {
+    const missing = blobKeyForHash('cd'.repeat(32));
+
+    expect(await storage.size(missing)).toBeNull();
+    await expect(storage.remove(missing)).resolves.toBeUndefined();
+  });
+});
+
+describe('LocalBlobStorage.resolve', () => {
+  const storage = new LocalBlobStorage(path.join(os.tmpdir(), 'pv-storage-root'));
+
+  test('maps keys under the storage root', () => {
+    expect(storage.resolve(KEY)).toBe(path.join(storage.rootPath, KEY));
+  });
+
+  test.each([
+    ['a parent directory', '../outside.pdf'],
+    ['a traversal inside the key', 'pdfs/../../outside.pdf'],
+    ['a sibling directory sharing the prefix', '../pv-storage-root-evil/a.pdf'],
+    ['an absolute path', '/etc/passwd'],
+    ['the root itself', '.']
+  ])('refuses %s', (description, key) => {
+    expect(() => storage.resolve(key)).toThrow(/escapes the storage root/);
+  });
+
+  test('refuses to write outside the root', async () => {
+    await expect(storage.put('../outside.pdf', CONTENT)).rejects.toThrow(/escapes the storage root/);
+    expect(fs.existsSync(path.join(os.tmpdir(), 'outside.pdf'))).toBe(false);
+  });
+});
+
+describe('blobKeyForHash', () => {
+  test('rejects anything but a SHA-256', () => {
+    expect(() => blobKeyForHash('../../etc/passwd')).toThrow(/Invalid PDF hash/);
+    expect(() => blobKeyForHash('AB'.repeat(32))).toThrow(/Invalid PDF hash/);
+  });
+});
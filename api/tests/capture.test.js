@@ -0,0 +1,157 @@
+const { describeIntegration, createTestPrincipal, listen, startApi } = require('./helpers');
+
+/**
+ * POST /api/capture against a fixture site on 127.0.0.1. Needs Chromium
+ * (PUPPETEER_EXECUTABLE_PATH, or Puppeteer's own download) besides the
+ * integration database.
+ */
+
+// The fixture site is on loopback, so the API under test allows private
+// networks; one capture slot so a held capture makes the next one 503
+process.env.CAPTURE_ALLOW_PRIVATE_NETWORKS = 'true';
+process.env.CAPTURE_MAX_CONCURRENT = '1';
+
+const FIXTURE_PAGES = 3;
+const FIXTURE_HTML = `<!doctype html><html><head><title>Capture fixture</title>
+<style>section { break-after: page; } section:last-child { break-after: auto; }</style></head>
+<body>${Array.from({ length: FIXTURE_PAGES }, (_, i) => `<section>Fixture page ${i + 1}</section>`).join('')}</body></html>`;
+
+describeIntegration('POST /api/capture', () => {
+  let pool;
+  let api;
+  let site;
+  let principal;
+  let closeBrowser;
+  let releaseSlowPage;
+  let slowPageRequested;
+
+  const capture = (url, apiUrl = api.url) => fetch(`${apiUrl}/api/capture`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': principal.apiKey },
+    body: JSON.stringify({ url })
+  });
+
+  const storedRecord = async (id) => {
+    const result = await pool.query(
+      `SELECT id, file_size, storage_backend, storage_key, pdf_data, purged_at, capture_manifest
+       FROM pdf_records WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  };
+
+  beforeAll(async () => {
+    ({ pool } = require('../config/database'));
+    ({ closeBrowser } = require('../utils/headless-capture'));
+
+    let markSlowPageRequested;
+    slowPageRequested = new Promise(resolve => { markSlowPageRequested = resolve; });
+    const slowPageGate = new Promise(resolve => { releaseSlowPage = resolve; });
+
+    site = await listen(async (req, res) => {
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: '/page.html' });
+        return res.end();
+      }
+      if (req.url === '/slow.html') {
+        markSlowPageRequested();
+        await slowPageGate;
+      } else if (req.url !== '/page.html') {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(FIXTURE_HTML);
+    });
+
+    principal = await createTestPrincipal(pool, { role: 'capturer' });
+    api = await startApi({ '/api/capture': require('../routes/capture') });
+  });
+
+  afterAll(async () => {
+    if (releaseSlowPage) releaseSlowPage();
+    if (api) await api.close();
+    if (site) await site.close();
+    if (closeBrowser) await closeBrowser();
+    if (pool) await pool.end();
+  });
+
+  test('stores the cover page followed by the printed pages', async () => {
+    const response = await capture(`${site.url}/page.html`);
+    const body = await response.json();
+
+    expect(response.status).toBe(201);
+
+    const { readRecordPdf, extractPdfText } = require('../utils/pdf-text');
+    const text = await extractPdfText(await readRecordPdf(await storedRecord(body.data.id)));
+
+    expect(text.page_count).toBe(1 + FIXTURE_PAGES);
+    expect(text.pages[0]).toContain(`${site.url}/page.html`);
+    text.pages.slice(1).forEach((page, i) => expect(page).toContain(`Fixture page ${i + 1}`));
+  });
+
+  test('records where a redirect led in the manifest', async () => {
+    const response = await capture(`${site.url}/redirect`);
+    const body = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(body.data.final_url).toBe(`${site.url}/page.html`);
+    expect(body.data.http_status).toBe(200);
+
+    const { capture_manifest: manifest } = await storedRecord(body.data.id);
+    expect(manifest.http.final_url).toBe(`${site.url}/page.html`);
+    expect(manifest.http.status).toBe(200);
+    expect(manifest.http.redirects).toEqual([
+      expect.objectContaining({ url: `${site.url}/redirect`, status: 302, location: '/page.html' })
+    ]);
+  });
+
+  test('refuses private addresses unless they are allowed', async () => {
+    let restrictedApi;
+    let restrictedPool;
+
+    jest.isolateModules(() => {
+      process.env.CAPTURE_ALLOW_PRIVATE_NETWORKS = 'false';
+      restrictedPool = require('../config/database').pool;
+      restrictedApi = startApi({ '/api/capture': require('../routes/capture') });
+    });
+    process.env.CAPTURE_ALLOW_PRIVATE_NETWORKS = 'true';
+    restrictedApi = await restrictedApi;
+
+    try {
+      const response = await capture(`${site.url}/page.html`, restrictedApi.url);
+      const body = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(body.message).toMatch(/private/i);
+    } finally {
+      await restrictedApi.close();
+      await restrictedPool.end();
+    }
+  });
+
+  test("refuses captures over the organization's upload limit", async () => {
+    await pool.query('UPDATE organizations SET max_upload_bytes = 1024 WHERE id = $1', [principal.organizationId]);
+
+    try {
+      const response = await capture(`${site.url}/page.html`);
+      const body = await response.json();
+
+      expect(response.status).toBe(413);
+      expect(body.message).toMatch(/upload limit of 1024 bytes/);
+    } finally {
+      await pool.query('UPDATE organizations SET max_upload_bytes = NULL WHERE id = $1', [principal.organizationId]);
+    }
+  });
+
+  test('answers 503 while every capture slot is busy', async () => {
+    const held = capture(`${site.url}/slow.html`);
+    await slowPageRequested;
+
+    const refused = await capture(`${site.url}/page.html`);
+    expect(refused.status).toBe(503);
+
+    releaseSlowPage();
+    expect((await held).status).toBe(201);
+  });
+});
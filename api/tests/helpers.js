@@ -0,0 +1,106 @@
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const { generateApiKey } = require('../utils/auth');
+
+/**
+ * Test Helpers
+ *
+ * Integration tests run against the database named by DB_HOST, DB_NAME,
+ * etc., which must have every migration applied. Evidence records can't be
+ * deleted (see migration 008), so point them at a scratch database. They
+ * only run with RUN_INTEGRATION_TESTS=true (npm run test:integration);
+ * otherwise they are reported as skipped.
+ */
+
+const RUN_INTEGRATION_TESTS = process.env.RUN_INTEGRATION_TESTS === 'true';
+
+const describeIntegration = RUN_INTEGRATION_TESTS ? describe : describe.skip;
+
+/**
+ * Create an organization with one member and an API key for them
+ * @param {Object} pool - Database pool
+ * @param {Object} options - { role, maxUploadBytes }
+ * @returns {Promise<Object>} { organizationId, userId, apiKey }
+ */
+const createTestPrincipal = async (pool, options = {}) => {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orgResult = await client.query(
+      'INSERT INTO organizations (name, max_upload_bytes) VALUES ($1, $2) RETURNING id',
+      [`Test Organization ${suffix}`, options.maxUploadBytes || null]
+    );
+    const organizationId = orgResult.rows[0].id;
+
+    const userResult = await client.query(
+      'INSERT INTO users (organization_id, username) VALUES ($1, $2) RETURNING id',
+      [organizationId, `test-${suffix}`]
+    );
+    const userId = userResult.rows[0].id;
+
+    await client.query(
+      'INSERT INTO memberships (organization_id, user_id, role) VALUES ($1, $2, $3)',
+      [organizationId, userId, options.role || 'capturer']
+    );
+
+    const { key, prefix, hash } = generateApiKey();
+    await client.query(
+      `INSERT INTO api_keys (organization_id, user_id, name, key_prefix, key_hash, created_by_user_id)
+       VALUES ($1, $2, 'test', $3, $4, $2)`,
+      [organizationId, userId, prefix, hash]
+    );
+
+    await client.query('COMMIT');
+    return { organizationId, userId, apiKey: key };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Start an HTTP server on a free loopback port
+ * @param {Function} handler - Request listener
+ * @returns {Promise<Object>} { url, close }
+ */
+const listen = (handler) => new Promise((resolve, reject) => {
+  const server = http.createServer(handler);
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+/**
+ * Start the API with only the given routes mounted, as server.js mounts them
+ * @param {Object} routes - { '/api/capture': router, ... }
+ * @returns {Promise<Object>} { url, close }
+ */
+const startApi = (routes) => {
+  const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+  const app = express();
+
+  app.use(express.json());
+  Object.entries(routes).forEach(([mountPath, router]) => app.use(mountPath, router));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return listen(app);
+};
+
+module.exports = {
+  RUN_INTEGRATION_TESTS,
+  describeIntegration,
+  createTestPrincipal,
+  listen,
+  startApi
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { describeIntegration, createTestPrincipal } = require('./helpers');
+
+/**
+ * scripts/migrate-pdf-storage.js against legacy rows (bytes in pdf_data)
+ * of a test organization, moving them to a temporary local storage root.
+ */
+
+const SCRIPT = path.join(__dirname, '../scripts/migrate-pdf-storage.js');
+
+const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex');
+
+describeIntegration('migrate-pdf-storage', () => {
+  let pool;
+  let storage;
+  let principal;
+  const rows = {};
+
+  // Runs the script to completion; it exits 1 when any record failed
+  const migrate = () => new Promise((resolve) => {
+    execFile(process.execPath, [SCRIPT, '--backend', 'local', '--batch-size', '2', '--chunk-size', '7'], {
+      env: { ...process.env, STORAGE_LOCAL_PATH: storage.rootPath }
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+
+  const insertLegacyRecord = async (content, pdfHash = sha256(content)) => {
+    const result = await pool.query(
+      `INSERT INTO pdf_records (organization_id, company_name, username, pdf_filename, pdf_hash, pdf_data)
+       VALUES ($1, 'Test Organization', 'test', 'legacy.pdf', $2, $3)
+       RETURNING id`,
+      [principal.organizationId, pdfHash, content]
+    );
+    return { id: result.rows[0].id, content, pdfHash };
+  };
+
+  const storedRecord = async (id) => {
+    const result = await pool.query(
+      'SELECT pdf_data, storage_backend, storage_key, file_size, updated_at FROM pdf_records WHERE id = $1',
+      [id]
+    );
+    return result.rows[0];
+  };
+
+  const readBlob = async (key) => {
+    const chunks = [];
+    for await (const chunk of await storage.get(key)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  beforeAll(async () => {
+    ({ pool } = require('../config/database'));
+    const { LocalBlobStorage } = require('../utils/blob-storage');
+
+    // The script moves every legacy row, not only this test's
+    const legacy = await pool.query('SELECT COUNT(*) FROM pdf_records WHERE pdf_data IS NOT NULL AND storage_key IS NULL');
+    if (parseInt(legacy.rows[0].count) > 0) {
+      throw new Error(`The test database holds ${legacy.rows[0].count} PDF(s) still in pdf_data, which this test would move to a temporary directory`);
+    }
+
+    storage = new LocalBlobStorage(await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pv-migrate-')));
+    principal = await createTestPrincipal(pool);
+
+    rows.first = await insertLegacyRecord(Buffer.from(`%PDF-1.4\nfirst ${crypto.randomUUID()}\n%%EOF\n`));
+    rows.second = await insertLegacyRecord(Buffer.from(`%PDF-1.4\nsecond ${crypto.randomUUID()}\n%%EOF\n`));
+    // Bytes that don't match their recorded hash
+    rows.corrupted = await insertLegacyRecord(
+      Buffer.from(`%PDF-1.4\naltered ${crypto.randomUUID()}\n%%EOF\n`),
+      sha256(crypto.randomUUID())
+    );
+  });
+
+  afterAll(async () => {
+    if (pool) {
+      // Retire the corrupted row so later runs of the script skip it
+      if (rows.corrupted) {
+        await pool.query(
+          'UPDATE pdf_records SET deleted_at = NOW(), purged_at = NOW(), pdf_data = NULL WHERE id = $1',
+          [rows.corrupted.id]
+        );
+      }
+      await pool.end();
+    }
+    if (storage) {
+      await fs.promises.rm(storage.rootPath, { recursive: true, force: true });
+    }
+  });
+
+  test('moves verified PDFs to storage and leaves a corrupted one in place', async () => {
+    const run = await migrate();
+
+    expect(run.code).toBe(1);
+    expect(run.stdout).toMatch(/Moved 2 PDF\(s\).*; 1 failed/);
+    expect(run.stderr).toContain(`SHA-256 mismatch for record ${rows.corrupted.id}`);
+
+    for (const row of [rows.first, rows.second]) {
+      const record = await storedRecord(row.id);
+      expect(record.pdf_data).toBeNull();
+      expect(record.storage_backend).toBe('local');
+      expect(record.storage_key).toBe(`pdfs/${row.pdfHash.slice(0, 2)}/${row.pdfHash}.pdf`);
+      expect(parseInt(record.file_size)).toBe(row.content.length);
+      expect(await readBlob(record.storage_key)).toEqual(row.content);
+    }
+
+    const corrupted = await storedRecord(rows.corrupted.id);
+    expect(corrupted.pdf_data).toEqual(rows.corrupted.content);
+    expect(corrupted.storage_key).toBeNull();
+    expect(await storage.size(`pdfs/${rows.corrupted.pdfHash.slice(0, 2)}/${rows.corrupted.pdfHash}.pdf`)).toBeNull();
+    // No half-written temporary files either
+    const leftovers = await fs.promises.readdir(path.join(storage.rootPath, 'pdfs'), { recursive: true });
+    expect(leftovers.filter(name => name.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('picks up only rows still in pdf_data when re-run', async () => {
+    const before = await storedRecord(rows.first.id);
+    rows.added = await insertLegacyRecord(Buffer.from(`%PDF-1.4\nadded ${crypto.randomUUID()}\n%%EOF\n`));
+
+    const run = await migrate();
+
+    expect(run.stdout).toMatch(/Moved 1 PDF\(s\).*; 1 failed/);
+    expect(run.stdout).toContain(rows.added.id);
+    expect(run.stdout).not.toContain(rows.first.id);
+    expect((await storedRecord(rows.first.id)).updated_at).toEqual(before.updated_at);
+    expect(await readBlob((await storedRecord(rows.added.id)).storage_key)).toEqual(rows.added.content);
+    expect((await storedRecord(rows.corrupted.id)).pdf_data).toEqual(rows.corrupted.content);
+  });
+});
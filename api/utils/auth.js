@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+
+/**
+ * Authentication helpers
+ *
+ * Passwords are hashed with scrypt, API keys are stored as SHA-256 digests
+ * (they are random, so a slow hash adds nothing), and dashboard sessions are
+ * JWTs signed with JWT_SECRET.
+ */
+
+const API_KEY_PREFIX = 'pv_';
+const SESSION_COOKIE = 'pv_session';
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} scrypt$<salt>$<hash>
+ */
+const hashPassword = (password) => new Promise((resolve, reject) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+
+  crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derived) => {
+    if (err) return reject(err);
+    resolve(`scrypt$${salt}$${derived.toString('hex')}`);
+  });
+});
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plaintext password
+ * @param {string} stored - Value produced by hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+const verifyPassword = (password, stored) => new Promise((resolve, reject) => {
+  const [scheme, salt, hash] = (stored || '').split('$');
+
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return resolve(false);
+  }
+
+  crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derived) => {
+    if (err) return reject(err);
+
+    const expected = Buffer.from(hash, 'hex');
+    resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+  });
+});
+
+/**
+ * SHA-256 digest of an API key
+ * @param {string} key - Full API key
+ * @returns {string} Hex digest
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Generate a new API key. Only the prefix and hash are stored.
+ * @returns {Object} { key, prefix, hash }
+ */
+const generateApiKey = () => {
+  const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  return { key, prefix, hash: hashApiKey(key) };
+};
+
+/**
+ * Whether a bearer credential looks like an API key rather than a JWT
+ */
+const isApiKey = (credential) => typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Sign a dashboard session token for a user acting in one organization
+ * @param {Object} user - User row
+ * @param {string} organizationId - Organization the session is scoped to
+ * @returns {string} JWT
+ */
+const signSessionToken = (user, organizationId) => jwt.sign(
+  { sub: user.id, org: organizationId },
+  getJwtSecret(),
+  { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+);
+
+/**
+ * Verify a session token. Throws JsonWebTokenError / TokenExpiredError.
+ * @param {string} token - JWT
+ * @returns {Object} Decoded payload
+ */
+const verifySessionToken = (token) => jwt.verify(token, getJwtSecret());
+
+const PRINCIPAL_COLUMNS = `
+  u.id AS user_id, u.username, u.email, u.display_name, u.is_admin, u.is_active,
+  o.id AS organization_id, o.name AS organization_name, m.role`;
+
+const toPrincipal = (row, type, apiKey = null) => ({
+  type,
+  user: row.user_id ? {
+    id: row.user_id,
+    username: row.username,
+    email: row.email,
+    display_name: row.display_name,
+    is_admin: row.is_admin
+  } : null,
+  organization: {
+    id: row.organization_id,
+    name: row.organization_name,
+    role: row.role
+  },
+  apiKey
+});
+
+/**
+ * Resolve an API key to its principal
+ * @param {string} key - Full API key
+ * @returns {Object|null} Principal, or null if the key is unknown, revoked or expired
+ */
+const findApiKeyPrincipal = async (key) => {
+  const prefix = key.split('_').slice(0, 2).join('_');
+
+  const result = await pool.query(
+    `SELECT k.id AS api_key_id, k.name AS api_key_name, k.key_prefix, k.key_hash,
+            k.organization_id, o.name AS organization_name,
+            u.id AS user_id, u.username, u.email, u.display_name, u.is_admin, u.is_active,
+            m.role
+     FROM api_keys k
+     JOIN organizations o ON o.id = k.organization_id
+     LEFT JOIN users u ON u.id = k.user_id
+     LEFT JOIN memberships m ON m.user_id = k.user_id AND m.organization_id = k.organization_id
+     WHERE k.key_prefix = $1
+       AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+    [prefix]
+  );
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  const expected = Buffer.from(row.key_hash, 'hex');
+  const actual = Buffer.from(hashApiKey(key), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  // Keys stop working when their user is deactivated or leaves the organization
+  if (row.user_id && (!row.is_active || !row.role)) return null;
+
+  // Keys not tied to a user can only capture
+  row.role = row.role || 'capturer';
+
+  await pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [row.api_key_id]);
+
+  return toPrincipal(row, 'api_key', { id: row.api_key_id, name: row.api_key_name, prefix: row.key_prefix });
+};
+
+/**
+ * Resolve an API key by ID, for work done on the key's behalf later
+ * (e.g. watch job runs); same rules as findApiKeyPrincipal
+ * @param {string} apiKeyId - API key ID
+ * @returns {Object|null} Principal, or null if the key is revoked or expired
+ */
+const findApiKeyPrincipalById = async (apiKeyId) => {
+  const result = await pool.query(
+    `SELECT k.id AS api_key_id, k.name AS api_key_name, k.key_prefix,
+            k.organization_id, o.name AS organization_name,
+            u.id AS user_id, u.username, u.email, u.display_name, u.is_admin, u.is_active,
+            m.role
+     FROM api_keys k
+     JOIN organizations o ON o.id = k.organization_id
+     LEFT JOIN users u ON u.id = k.user_id
+     LEFT JOIN memberships m ON m.user_id = k.user_id AND m.organization_id = k.organization_id
+     WHERE k.id = $1
+       AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+    [apiKeyId]
+  );
+
+  const row = result.rows[0];
+  if (!row) return null;
+  if (row.user_id && (!row.is_active || !row.role)) return null;
+  row.role = row.role || 'capturer';
+
+  return toPrincipal(row, 'api_key', { id: row.api_key_id, name: row.api_key_name, prefix: row.key_prefix });
+};
+
+/**
+ * Resolve a session (user + organization) to its principal
+ * @param {string} userId - User ID
+ * @param {string} organizationId - Organization the session is scoped to
+ * @returns {Object|null} Principal, or null if the user is inactive or not a member
+ */
+const findUserPrincipal = async (userId, organizationId) => {
+  const result = await pool.query(
+    `SELECT ${PRINCIPAL_COLUMNS}
+     FROM users u
+     JOIN memberships m ON m.user_id = u.id
+     JOIN organizations o ON o.id = m.organization_id
+     WHERE u.id = $1 AND m.organization_id = $2 AND u.is_active`,
+    [userId, organizationId]
+  );
+
+  return result.rows[0] ? toPrincipal(result.rows[0], 'session') : null;
+};
+
+/**
+ * Look up a user for login
+ * @param {string} login - Username or email
+ * @returns {Object|null} User row including password_hash
+ */
+const findUserForLogin = async (login) => {
+  const result = await pool.query(
+    `SELECT * FROM users
+     WHERE (username = $1 OR LOWER(email) = LOWER($1)) AND is_active`,
+    [login]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * List a user's organizations, default organization first
+ * @param {string} userId - User ID
+ * @returns {Array} [{ id, name, role, is_default }]
+ */
+const listMemberships = async (userId) => {
+  const result = await pool.query(
+    `SELECT o.id, o.name, m.role, (o.id = u.organization_id) AS is_default
+     FROM memberships m
+     JOIN organizations o ON o.id = m.organization_id
+     JOIN users u ON u.id = m.user_id
+     WHERE m.user_id = $1
+     ORDER BY (o.id = u.organization_id) DESC, o.name`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+module.exports = {
+  SESSION_COOKIE,
+  hashPassword,
+  verifyPassword,
+  hashApiKey,
+  generateApiKey,
+  isApiKey,
+  signSessionToken,
+  verifySessionToken,
+  findApiKeyPrincipal,
+  findApiKeyPrincipalById,
+  findUserPrincipal,
+  findUserForLogin,
+  listMemberships
+};
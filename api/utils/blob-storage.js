@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+
+/**
+ * Blob Storage
+ *
+ * PDF bytes live outside Postgres, content-addressed by their SHA-256
+ * (pdf_hash). Two backends: a local directory and any S3-compatible
+ * service (AWS S3, MinIO). Records store which backend holds their blob,
+ * so a vault can be moved between backends without rewriting old rows.
+ */
+
+const DEFAULT_BACKEND = process.env.STORAGE_BACKEND || 'local';
+
+/**
+ * Storage key of a PDF, e.g. pdfs/a7/a7b8c9...pdf
+ * @param {string} pdfHash - SHA-256 of the PDF
+ * @returns {string}
+ */
+const blobKeyForHash = (pdfHash) => {
+  if (!/^[0-9a-f]{64}$/.test(pdfHash)) {
+    throw new Error(`Invalid PDF hash for a storage key: ${pdfHash}`);
+  }
+  return `pdfs/${pdfHash.slice(0, 2)}/${pdfHash}.pdf`;
+};
+
+/**
+ * Storage key of an evidence artifact, e.g. artifacts/mhtml/3f/3f9a...mhtml
+ * @param {string} kind - Artifact kind
+ * @param {string} sha256 - SHA-256 of the artifact
+ * @param {string} extension - File extension
+ * @returns {string}
+ */
+const blobKeyForArtifact = (kind, sha256, extension) => {
+  if (!/^[0-9a-f]{64}$/.test(sha256)) {
+    throw new Error(`Invalid artifact hash for a storage key: ${sha256}`);
+  }
+  return `artifacts/${kind}/${sha256.slice(0, 2)}/${sha256}.${extension}`;
+};
+
+class LocalBlobStorage {
+  constructor(rootPath) {
+    this.name = 'local';
+    this.rootPath = path.resolve(rootPath || process.env.STORAGE_LOCAL_PATH || path.join(__dirname, '../storage'));
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootPath, key);
+    if (!filePath.startsWith(this.rootPath + path.sep)) {
+      throw new Error(`Storage key escapes the storage root: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store a blob. Written to a temporary file and renamed, so a blob is
+   * either complete or absent.
+   * @param {string} key - Storage key
+   * @param {Buffer|Readable} body - Content
+   * @param {string} contentType - MIME type (kept by backends that store one)
+   * @returns {Promise<void>}
+   */
+  async put(key, body, contentType) {
+    const filePath = this.resolve(key);
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      await pipeline(Buffer.isBuffer(body) ? Readable.from([body]) : body, fs.createWriteStream(tempPath, { flags: 'wx' }));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Store a file already on disk (e.g. a spooled upload). The file is
+   * moved when it's on the same filesystem, copied otherwise.
+   * @param {string} key - Storage key
+   * @param {string} sourcePath - Path of the file
+   * @param {string} contentType - MIME type (kept by backends that store one)
+   * @returns {Promise<void>}
+   */
+  async putFile(key, sourcePath, contentType) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      await fs.promises.rename(sourcePath, filePath);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      await this.put(key, fs.createReadStream(sourcePath), contentType);
+    }
+  }
+
+  /**
+   * Read a blob, or a byte range of it
+   * @param {string} key - Storage key
+   * @param {Object} range - Optional { start, end }, inclusive offsets
+   * @returns {Promise<Readable>}
+   */
+  async get(key, range) {
+    const filePath = this.resolve(key);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath, range ? { start: range.start, end: range.end } : undefined);
+  }
+
+  /**
+   * Size of a blob, or null if it doesn't exist
+   * @param {string} key - Storage key
+   * @returns {Promise<number|null>}
+   */
+  async size(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.size;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await fs.promises.unlink(this.resolve(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+}
+
+class S3BlobStorage {
+  constructor() {
+    // Loaded lazily so deployments on local storage don't need the AWS SDK
+    const { S3Client } = require('@aws-sdk/client-s3');
+
+    this.name = 's3';
+    this.bucket = process.env.S3_BUCKET;
+    this.prefix = (process.env.S3_PREFIX || '').replace(/^\/+|\/+$/g, '');
+
+    if (!this.bucket) {
+      throw new Error('S3 storage not configured. Set S3_BUCKET (and S3_ENDPOINT for MinIO).');
+    }
+
+    this.client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO and most self-hosted S3 services need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || Boolean(process.env.S3_ENDPOINT),
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  async put(key, body, contentType) {
+    const { Upload } = require('@aws-sdk/lib-storage');
+
+    // Multipart upload, so streams of unknown length are never buffered whole
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: body,
+        ContentType: contentType || 'application/octet-stream'
+      }
+    });
+
+    await upload.done();
+  }
+
+  async putFile(key, sourcePath, contentType) {
+    await this.put(key, fs.createReadStream(sourcePath), contentType);
+  }
+
+  async get(key, range) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Range: range ? `bytes=${range.start}-${range.end}` : undefined
+    }));
+    return response.Body;
+  }
+
+  async size(key) {
+    const { HeadObjectCommand } = require('@aws-sdk/client-s3');
+
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return response.ContentLength;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+  }
+}
+
+const BACKENDS = {
+  local: LocalBlobStorage,
+  s3: S3BlobStorage
+};
+
+const instances = {};
+
+/**
+ * Storage backend by name (default: STORAGE_BACKEND, or local)
+ * @param {string} backend - local or s3
+ * @returns {LocalBlobStorage|S3BlobStorage}
+ */
+const getBlobStorage = (backend = DEFAULT_BACKEND) => {
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown storage backend: ${backend}. Must be one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  if (!instances[backend]) {
+    instances[backend] = new BACKENDS[backend]();
+  }
+
+  return instances[backend];
+};
+
+module.exports = {
+  DEFAULT_BACKEND,
+  blobKeyForHash,
+  blobKeyForArtifact,
+  getBlobStorage,
+  LocalBlobStorage,
+  S3BlobStorage
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { APIError } = require('../middleware/errorHandler');
+
+/**
+ * Capture Manifest
+ *
+ * Forensic page context collected by the capture client (page title, final
+ * URL, HTTP response, TLS certificate chain, server IP, browser, viewport,
+ * navigation history). Stored with the record and bound into the Digital
+ * Evidence fingerprint: when a record has a manifest (or artifacts, see
+ * evidence-artifacts.js), the fingerprint's documentRef is the SHA-256 of
+ * all their hashes instead of the PDF hash alone.
+ */
+
+const MAX_MANIFEST_BYTES = 512 * 1024;
+
+/**
+ * Canonical JSON with keys sorted at every level, so a manifest hashes the
+ * same after a round trip through JSONB (which reorders keys)
+ * @param {*} value - JSON value
+ * @returns {string}
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * SHA-256 of a manifest's canonical JSON
+ * @param {Object} manifest - Capture manifest
+ * @returns {string} Hex hash
+ */
+const computeManifestHash = (manifest) =>
+  crypto.createHash('sha256').update(canonicalJson(manifest), 'utf8').digest('hex');
+
+/**
+ * Parse a capture manifest sent as a JSON string (multipart field) or an
+ * object (JSON body). Missing manifests are allowed.
+ * @param {string|Object|undefined} value - capture_manifest as received
+ * @returns {Object|null} { manifest, hash } or null
+ */
+const parseCaptureManifest = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let manifest = value;
+  if (typeof value === 'string') {
+    try {
+      manifest = JSON.parse(value);
+    } catch (error) {
+      throw new APIError('capture_manifest must be valid JSON', 400);
+    }
+  }
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new APIError('capture_manifest must be a JSON object', 400);
+  }
+
+  const canonical = canonicalJson(manifest);
+  if (Buffer.byteLength(canonical, 'utf8') > MAX_MANIFEST_BYTES) {
+    throw new APIError(`capture_manifest exceeds ${MAX_MANIFEST_BYTES / 1024}KB`, 413);
+  }
+
+  return {
+    manifest,
+    hash: crypto.createHash('sha256').update(canonical, 'utf8').digest('hex')
+  };
+};
+
+/**
+ * documentRef a record's fingerprint commits to: the PDF hash alone, or
+ * SHA-256 of the canonical JSON of {"artifacts":[{"kind":...,"sha256":...}],
+ * "capture_manifest_sha256":...,"pdf_sha256":...}, where artifacts and the
+ * manifest hash are only present if the record has them
+ * @param {string} pdfHash - SHA-256 of the PDF
+ * @param {string|null} manifestHash - SHA-256 of the capture manifest
+ * @param {Array} [artifacts] - [{ kind, sha256 }] of the record's artifacts
+ * @returns {string}
+ */
+const evidenceDocumentRef = (pdfHash, manifestHash, artifacts = []) => {
+  if (!manifestHash && (!artifacts || artifacts.length === 0)) {
+    return pdfHash;
+  }
+
+  const parts = { pdf_sha256: pdfHash };
+  if (manifestHash) {
+    parts.capture_manifest_sha256 = manifestHash;
+  }
+  if (artifacts && artifacts.length > 0) {
+    parts.artifacts = artifacts
+      .map(({ kind, sha256 }) => ({ kind, sha256 }))
+      .sort((a, b) => a.kind.localeCompare(b.kind) || a.sha256.localeCompare(b.sha256));
+  }
+
+  return crypto.createHash('sha256')
+    .update(canonicalJson(parts), 'utf8')
+    .digest('hex');
+};
+
+module.exports = {
+  MAX_MANIFEST_BYTES,
+  canonicalJson,
+  computeManifestHash,
+  parseCaptureManifest,
+  evidenceDocumentRef
+};
@@ -0,0 +1,97 @@
+const { APIError } = require('../middleware/errorHandler');
+
+/**
+ * Capture Metadata
+ *
+ * What the capture client reports about a capture: its evidence ID
+ * (PV_...), the source URL, the capture time by the client clock and the
+ * browser's timezone. Stored in `captures` (see migrations/016_captures.sql);
+ * the server's receipt time stays in pdf_records.created_at.
+ */
+
+const MAX_EVIDENCE_ID_LENGTH = 100;
+const MAX_SOURCE_URL_LENGTH = 8192;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Read capture metadata from an upload body. The field names the Chrome
+ * extension has always sent (id, url, timestamp) are accepted as well.
+ * @param {Object} body - Multipart fields or JSON body
+ * @returns {Object|null} { evidence_id, source_url, captured_at, timezone }, or null if none was sent
+ */
+const parseCaptureMetadata = (body = {}) => {
+  const evidenceId = body.evidence_id || body.id || null;
+  const sourceUrl = body.source_url || body.url || null;
+  const capturedAt = body.captured_at || body.timestamp || null;
+  const timezone = body.timezone || null;
+
+  if (!evidenceId && !sourceUrl && !capturedAt && !timezone) {
+    return null;
+  }
+
+  if (evidenceId !== null && (typeof evidenceId !== 'string' || evidenceId.length > MAX_EVIDENCE_ID_LENGTH)) {
+    throw new APIError(`evidence_id must be a string of at most ${MAX_EVIDENCE_ID_LENGTH} characters`, 400);
+  }
+
+  if (sourceUrl !== null) {
+    let parsed = null;
+    try {
+      parsed = typeof sourceUrl === 'string' && sourceUrl.length <= MAX_SOURCE_URL_LENGTH ? new URL(sourceUrl) : null;
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed) {
+      throw new APIError('source_url must be an absolute URL', 400);
+    }
+  }
+
+  let capturedDate = null;
+  if (capturedAt !== null) {
+    capturedDate = new Date(capturedAt);
+    if (typeof capturedAt !== 'string' || isNaN(capturedDate.getTime())) {
+      throw new APIError('captured_at must be an ISO 8601 timestamp', 400);
+    }
+  }
+
+  if (timezone !== null && (typeof timezone !== 'string' || timezone.length > 64 || !isValidTimezone(timezone))) {
+    throw new APIError('timezone must be an IANA timezone name, e.g. Europe/Berlin', 400);
+  }
+
+  return {
+    evidence_id: evidenceId,
+    source_url: sourceUrl,
+    captured_at: capturedDate ? capturedDate.toISOString() : null,
+    timezone
+  };
+};
+
+/**
+ * Store the capture metadata of a new evidence record
+ * @param {Object} client - Database client (inside the upload transaction)
+ * @param {string} recordId - PDF record ID
+ * @param {string} organizationId - Organization ID
+ * @param {Object} metadata - parseCaptureMetadata() result
+ * @returns {Promise<Object>} captures row
+ */
+const insertCapture = async (client, recordId, organizationId, metadata) => {
+  const result = await client.query(
+    `INSERT INTO captures (record_id, organization_id, evidence_id, source_url, captured_at, capture_timezone)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING evidence_id, source_url, captured_at, capture_timezone`,
+    [recordId, organizationId, metadata.evidence_id, metadata.source_url, metadata.captured_at, metadata.timezone]
+  );
+  return result.rows[0];
+};
+
+module.exports = {
+  parseCaptureMetadata,
+  insertCapture
+};
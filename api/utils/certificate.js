@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const digitalEvidenceClient = require('./digital-evidence-client');
+const { evidenceDocumentRef } = require('./capture-manifest');
+
+/**
+ * Verification Certificate
+ *
+ * Builds a signed statement about an evidence record and renders it as a
+ * PDF a lawyer can file. The statement is signed with the ProofVault
+ * signing key using the same ECDSA scheme as fingerprints, and printed in
+ * full on the last page so the signature can be checked independently.
+ */
+
+const MONO = 'Courier';
+const SANS = 'Helvetica';
+const SANS_BOLD = 'Helvetica-Bold';
+
+/**
+ * Public verification URL for a document hash
+ * @param {Object} req - Express request (fallback base URL)
+ * @param {string} pdfHash - SHA-256 of the PDF
+ * @returns {string} URL of GET /api/verify/hash/:sha256
+ */
+const getPublicVerifyUrl = (req, pdfHash) => {
+  const baseUrl = (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return `${baseUrl}/api/verify/hash/${pdfHash}`;
+};
+
+/**
+ * Capture manifest fields printed on the certificate, as flat statement keys
+ * @param {Object|null} manifest - pdf_records.capture_manifest
+ * @returns {Object}
+ */
+const captureContext = (manifest) => {
+  if (!manifest) {
+    return {};
+  }
+
+  const page = manifest.page || {};
+  const http = manifest.http || {};
+  const tls = manifest.tls || {};
+  const browser = manifest.browser || {};
+
+  return {
+    capture_page_title: page.title || null,
+    capture_final_url: http.final_url || page.url || null,
+    capture_server_ip: http.remote_ip || null,
+    capture_tls_subject: tls.subject_name || null,
+    capture_tls_issuer: tls.issuer || null,
+    capture_user_agent: browser.user_agent || null
+  };
+};
+
+// Printed names of artifact kinds (see evidence-artifacts.js)
+const ARTIFACT_LABELS = {
+  mhtml: 'MHTML snapshot',
+  screenshot: 'Screenshot (PNG)'
+};
+
+/**
+ * Artifact hashes as flat statement keys, e.g. artifact_mhtml_sha256
+ * @param {Array} artifacts - [{ kind, sha256 }] of the record's artifacts
+ * @returns {Object}
+ */
+const artifactHashes = (artifacts) => (artifacts || []).reduce((acc, artifact) => {
+  acc[`artifact_${artifact.kind}_sha256`] = artifact.sha256;
+  return acc;
+}, {});
+
+/**
+ * Flat statement of everything the certificate attests. Kept flat because
+ * the signing canonicalization only sorts top-level keys.
+ * @param {Object} record - pdf_records row (with organization_name)
+ * @param {Object} custody - getCustodyTimeline() result
+ * @param {Object} options - { certificateId, issuedAt, issuedBy, verifyUrl }
+ * @returns {Object} Certificate statement
+ */
+const buildCertificateStatement = (record, custody, { certificateId, issuedAt, issuedBy, verifyUrl }) => {
+  const events = custody.events;
+  const firstEvent = events[0];
+  const lastEvent = events[events.length - 1];
+
+  return {
+    certificate_id: certificateId,
+    issued_at: issuedAt.toISOString(),
+    issued_by: issuedBy,
+    record_id: record.id,
+    organization: record.organization_name || record.company_name,
+    captured_by: record.username,
+    captured_at: new Date(record.created_at).toISOString(),
+    client_evidence_id: record.evidence_id || null,
+    client_captured_at: record.client_captured_at ? new Date(record.client_captured_at).toISOString() : null,
+    capture_timezone: record.capture_timezone || null,
+    source_url: record.source_url || null,
+    filename: record.pdf_filename,
+    pdf_sha256: record.pdf_hash,
+    client_sha256: record.client_expected_hash || null,
+    capture_manifest_sha256: record.capture_manifest_hash || null,
+    ...captureContext(record.capture_manifest),
+    ...artifactHashes(record.artifacts),
+    fingerprint_document_ref: evidenceDocumentRef(record.pdf_hash, record.capture_manifest_hash, record.artifacts),
+    fingerprint_hash: record.blockchain_tx_id || null,
+    fingerprint_content_hash: record.fingerprint_content
+      ? digitalEvidenceClient.computeFingerprintContentHash(record.fingerprint_content)
+      : null,
+    signer_public_key: record.signer_id || null,
+    fingerprint_signature: record.fingerprint_signature || null,
+    fingerprint_signature_valid: record.fingerprint_signature_valid,
+    digital_evidence_status: record.digital_evidence_status || null,
+    finalized_at: record.blockchain_verified_at ? new Date(record.blockchain_verified_at).toISOString() : null,
+    explorer_url: record.blockchain_tx_id
+      ? digitalEvidenceClient.getVerificationCertificateUrl(record.blockchain_tx_id)
+      : null,
+    custody_event_count: custody.integrity.event_count,
+    custody_first_event_at: firstEvent ? new Date(firstEvent.created_at).toISOString() : null,
+    custody_last_event_at: lastEvent ? new Date(lastEvent.created_at).toISOString() : null,
+    custody_head_hash: custody.integrity.head_hash,
+    custody_chain_valid: custody.integrity.valid,
+    removed_at: record.deleted_at ? new Date(record.deleted_at).toISOString() : null,
+    content_purged_at: record.purged_at ? new Date(record.purged_at).toISOString() : null,
+    verify_url: verifyUrl
+  };
+};
+
+/**
+ * Sign a certificate statement with the ProofVault signing key
+ * @param {Object} statement - buildCertificateStatement() result
+ * @returns {Object} { statementHash, signature, signerId }
+ */
+const signCertificateStatement = (statement) => ({
+  statementHash: digitalEvidenceClient.computeFingerprintContentHash(statement),
+  signature: digitalEvidenceClient.createSignature(statement),
+  signerId: digitalEvidenceClient.signerId
+});
+
+/**
+ * Summarize custody events by action, e.g. "downloaded: 2, viewed: 5"
+ * @param {Array<Object>} events - Custody events
+ * @returns {string}
+ */
+const summarizeCustodyActions = (events) => {
+  const counts = events.reduce((acc, event) => {
+    acc[event.action] = (acc[event.action] || 0) + 1;
+    return acc;
+  }, {});
+
+  return Object.keys(counts).sort().map(action => `${action}: ${counts[action]}`).join(', ') || 'none';
+};
+
+/**
+ * Render the certificate PDF
+ * @param {Object} statement - Certificate statement
+ * @param {Object} signed - signCertificateStatement() result
+ * @param {Array<Object>} custodyEvents - Custody events, oldest first
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderCertificatePdf = async (statement, signed, custodyEvents) => {
+  const qrPng = await QRCode.toBuffer(statement.verify_url, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `ProofVault Verification Certificate ${statement.certificate_id}`,
+      Author: 'ProofVault',
+      Subject: `Evidence record ${statement.record_id}`,
+      Keywords: `sha256:${statement.pdf_sha256}`
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const section = (title) => {
+    doc.moveDown(0.6);
+    doc.font(SANS_BOLD).fontSize(12).fillColor('#1f2937').text(title);
+    doc.moveTo(doc.page.margins.left, doc.y + 2).lineTo(doc.page.width - doc.page.margins.right, doc.y + 2)
+      .strokeColor('#d1d5db').stroke();
+    doc.moveDown(0.3);
+  };
+
+  const field = (label, value, { mono = false } = {}) => {
+    doc.font(SANS_BOLD).fontSize(8).fillColor('#4b5563').text(label);
+    doc.font(mono ? MONO : SANS).fontSize(mono ? 7.5 : 9.5).fillColor('#111827')
+      .text(value === null || value === undefined || value === '' ? '—' : String(value));
+    doc.moveDown(0.15);
+  };
+
+  // Header with QR code to the public verification endpoint
+  const qrSize = 100;
+  const qrX = doc.page.width - doc.page.margins.right - qrSize;
+  const headerTop = doc.y;
+  doc.image(qrPng, qrX, headerTop, { width: qrSize, height: qrSize });
+  doc.font(SANS).fontSize(7).fillColor('#6b7280')
+    .text('Scan to verify', qrX, headerTop + qrSize + 2, { width: qrSize, align: 'center' });
+
+  const headerWidth = qrX - doc.page.margins.left - 15;
+  doc.font(SANS_BOLD).fontSize(20).fillColor('#111827')
+    .text('Evidence Verification Certificate', doc.page.margins.left, headerTop, { width: headerWidth });
+  doc.moveDown(0.3);
+  doc.font(SANS).fontSize(10).fillColor('#374151')
+    .text(`Certificate ${statement.certificate_id}`, { width: headerWidth })
+    .text(`Issued ${statement.issued_at}${statement.issued_by ? ` by ${statement.issued_by}` : ''}`, { width: headerWidth });
+  doc.moveDown(0.5);
+  doc.fontSize(9).fillColor('#4b5563').text(
+    'ProofVault certifies that the document identified below was captured into its evidence vault and fingerprinted on the Constellation Digital Evidence API, with the chain of custody summarized below.',
+    { width: headerWidth }
+  );
+  doc.y = Math.max(doc.y, headerTop + qrSize + 14);
+  doc.x = doc.page.margins.left;
+
+  if (statement.removed_at) {
+    doc.moveDown(0.5);
+    doc.font(SANS_BOLD).fontSize(10).fillColor('#b91c1c').text(
+      `This record was removed from the vault on ${statement.removed_at}` +
+      (statement.content_purged_at ? ` and its content was purged on ${statement.content_purged_at}.` : '.')
+    );
+  }
+
+  section('Evidence');
+  field('Record ID', statement.record_id, { mono: true });
+  field('Organization', statement.organization);
+  field('Captured by', statement.captured_by);
+  field('Received by ProofVault', statement.captured_at);
+  if (statement.client_captured_at) {
+    field('Captured at (client clock)', `${statement.client_captured_at}${statement.capture_timezone ? ` (${statement.capture_timezone})` : ''}`);
+  }
+  if (statement.source_url) {
+    field('Source URL', statement.source_url, { mono: true });
+  }
+  if (statement.client_evidence_id) {
+    field('Client evidence ID', statement.client_evidence_id, { mono: true });
+  }
+  field('Filename', statement.filename);
+  field('Document SHA-256', statement.pdf_sha256, { mono: true });
+  field('SHA-256 computed by the capture client', statement.client_sha256 || 'Not provided', { mono: !!statement.client_sha256 });
+  Object.keys(ARTIFACT_LABELS)
+    .filter(kind => statement[`artifact_${kind}_sha256`])
+    .forEach(kind => field(`${ARTIFACT_LABELS[kind]} SHA-256`, statement[`artifact_${kind}_sha256`], { mono: true }));
+
+  if (statement.capture_manifest_sha256) {
+    section('Capture context');
+    field('Page title', statement.capture_page_title || 'Not recorded');
+    field('Final URL', statement.capture_final_url || 'Not recorded', { mono: !!statement.capture_final_url });
+    field('Server IP', statement.capture_server_ip || 'Not recorded', { mono: !!statement.capture_server_ip });
+    field('TLS certificate', statement.capture_tls_subject
+      ? `${statement.capture_tls_subject} (issued by ${statement.capture_tls_issuer || 'unknown'})`
+      : 'Not recorded');
+    field('Browser', statement.capture_user_agent || 'Not recorded');
+    field('Capture manifest SHA-256', statement.capture_manifest_sha256, { mono: true });
+  }
+
+  section('Digital Evidence fingerprint');
+  field('Status', statement.digital_evidence_status || 'Not submitted yet');
+  field('Finalized at', statement.finalized_at || 'Not finalized');
+  field('Fingerprint hash', statement.fingerprint_hash, { mono: true });
+  field('Document reference', statement.fingerprint_document_ref, { mono: true });
+  field('Fingerprint content hash', statement.fingerprint_content_hash, { mono: true });
+  field('Explorer', statement.explorer_url, { mono: true });
+
+  section('Signer attestation');
+  field('Signer public key (secp256k1)', statement.signer_public_key, { mono: true });
+  field('Fingerprint signature (DER)', statement.fingerprint_signature, { mono: true });
+  field('Signature valid', statement.fingerprint_signature_valid === null ? 'Not signed yet' : (statement.fingerprint_signature_valid ? 'Yes' : 'NO'));
+
+  section('Chain of custody');
+  field('Events', `${statement.custody_event_count} (${summarizeCustodyActions(custodyEvents)})`);
+  field('First event', statement.custody_first_event_at);
+  field('Latest event', statement.custody_last_event_at);
+  field('Hash chain', statement.custody_chain_valid ? 'Intact' : 'BROKEN: an event was altered or removed');
+  field('Head hash', statement.custody_head_hash, { mono: true });
+
+  section('Verify this document');
+  field('Public verification', statement.verify_url, { mono: true });
+  doc.font(SANS).fontSize(9).fillColor('#4b5563').text(
+    'Compute the SHA-256 of the document (e.g. sha256sum document.pdf) and compare it with the hash above, or open the verification URL.'
+  );
+
+  // Signed statement, printed in full so the signature can be re-checked
+  doc.addPage();
+  doc.font(SANS_BOLD).fontSize(14).fillColor('#111827').text('Certificate signature');
+  doc.moveDown(0.5);
+  doc.font(SANS).fontSize(9).fillColor('#4b5563').text(
+    'The statement below is signed with the ProofVault signing key using the Digital Evidence scheme: ' +
+    'SHA-256 of the canonical JSON (keys sorted), its hex digest hashed with SHA-512 and truncated to 32 bytes, ' +
+    'signed with ECDSA secp256k1 and DER-encoded.'
+  );
+  doc.moveDown(0.5);
+  field('Statement SHA-256', signed.statementHash, { mono: true });
+  field('Signature (DER)', signed.signature, { mono: true });
+  field('Signer public key', signed.signerId, { mono: true });
+  doc.moveDown(0.5);
+  doc.font(SANS_BOLD).fontSize(9).fillColor('#4b5563').text('Signed statement');
+  doc.font(MONO).fontSize(7).fillColor('#111827')
+    .text(digitalEvidenceClient.canonicalizeJson(statement));
+
+  doc.end();
+  return finished;
+};
+
+/**
+ * New certificate ID, e.g. PVC-20240115-3f2a9c1b
+ * @param {Date} issuedAt - Issue time
+ * @returns {string}
+ */
+const createCertificateId = (issuedAt) =>
+  `PVC-${issuedAt.toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+
+module.exports = {
+  getPublicVerifyUrl,
+  buildCertificateStatement,
+  signCertificateStatement,
+  renderCertificatePdf,
+  createCertificateId
+};
@@ -0,0 +1,140 @@
+const { pool } = require('../config/database');
+
+/**
+ * Chain of Custody
+ *
+ * Records every access to and change of an evidence record in the
+ * custody_events table. Hash chaining happens in the database (see
+ * migrations/009_custody_events.sql), so callers only describe the event.
+ */
+
+/**
+ * Actor, client and request fields of a custody event
+ * @param {Object} req - Express request (req.auth is absent on public routes)
+ * @returns {Object} Column values
+ */
+const describeRequest = (req) => {
+  const auth = req.auth || {};
+
+  let actorLabel = null;
+  if (auth.user) {
+    actorLabel = auth.user.username;
+  } else if (auth.apiKey) {
+    actorLabel = `api-key:${auth.apiKey.name}`;
+  }
+
+  return {
+    actorUserId: auth.user ? auth.user.id : null,
+    actorApiKeyId: auth.apiKey ? auth.apiKey.id : null,
+    actorLabel,
+    actorRole: auth.organization ? auth.organization.role : null,
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+    requestId: req.id || null
+  };
+};
+
+/**
+ * Append a custody event for a record
+ * @param {Object} db - Pool or a client inside the caller's transaction
+ * @param {Object} req - Express request
+ * @param {string} recordId - Evidence record ID
+ * @param {string} action - uploaded, viewed, downloaded, verified, ...
+ * @param {Object} details - Action-specific details (reason, filename, ...)
+ * @returns {Promise<Object>} The stored event with its hashes
+ */
+const recordCustodyEvent = async (db, req, recordId, action, details = {}) => {
+  const request = describeRequest(req);
+
+  const result = await (db || pool).query(
+    `INSERT INTO custody_events (
+       record_id, action, actor_user_id, actor_api_key_id,
+       actor_label, actor_role, ip_address, user_agent, request_id, details
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id, created_at, previous_hash, event_hash`,
+    [
+      recordId,
+      action,
+      request.actorUserId,
+      request.actorApiKeyId,
+      request.actorLabel,
+      request.actorRole,
+      request.ipAddress,
+      request.userAgent ? request.userAgent.substring(0, 1000) : null,
+      request.requestId,
+      JSON.stringify(details)
+    ]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Append a custody event unless the same client (IP address) caused one
+ * with this action for the record within the window. For events public
+ * requests cause, so repeated requests don't flood the timeline.
+ * @param {Object} db - Pool or a client inside the caller's transaction
+ * @param {Object} req - Express request
+ * @param {string} recordId - Evidence record ID
+ * @param {string} action - Action of the event
+ * @param {Object} details - Action-specific details
+ * @param {number} windowSeconds - How long one event covers a client
+ * @returns {Promise<Object|null>} The stored event, or null if one was recent
+ */
+const recordThrottledCustodyEvent = async (db, req, recordId, action, details, windowSeconds) => {
+  const recent = await (db || pool).query(
+    `SELECT 1 FROM custody_events
+     WHERE record_id = $1 AND action = $2 AND ip_address IS NOT DISTINCT FROM $3
+       AND created_at > NOW() - make_interval(secs => $4)
+     LIMIT 1`,
+    [recordId, action, req.ip || null, windowSeconds]
+  );
+
+  if (recent.rows.length > 0) {
+    return null;
+  }
+
+  return recordCustodyEvent(db, req, recordId, action, details);
+};
+
+/**
+ * Custody timeline of a record, oldest first, with each event's hash and
+ * link to its predecessor re-verified
+ * @param {string} recordId - Evidence record ID
+ * @returns {Promise<Object>} { events, integrity: { valid, event_count, first_invalid_event_id } }
+ */
+const getCustodyTimeline = async (recordId) => {
+  const result = await pool.query(
+    `SELECT e.id, e.action, e.actor_user_id, e.actor_api_key_id, e.actor_label, e.actor_role,
+            e.ip_address, e.user_agent, e.request_id, e.details, e.created_at,
+            e.previous_hash, e.event_hash,
+            e.event_hash = custody_event_hash(e) AS hash_valid,
+            e.previous_hash IS NOT DISTINCT FROM LAG(e.event_hash) OVER (ORDER BY e.id) AS link_valid
+     FROM custody_events e
+     WHERE e.record_id = $1
+     ORDER BY e.id`,
+    [recordId]
+  );
+
+  const events = result.rows.map(({ hash_valid, link_valid, ...event }) => ({
+    ...event,
+    valid: hash_valid && link_valid
+  }));
+  const firstInvalid = events.find(event => !event.valid);
+
+  return {
+    events,
+    integrity: {
+      valid: !firstInvalid,
+      event_count: events.length,
+      first_invalid_event_id: firstInvalid ? firstInvalid.id : null,
+      head_hash: events.length > 0 ? events[events.length - 1].event_hash : null
+    }
+  };
+};
+
+module.exports = {
+  recordCustodyEvent,
+  recordThrottledCustodyEvent,
+  getCustodyTimeline
+};
@@ -1,4 +1,6 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const secp256k1 = require('secp256k1');
 const { sha256 } = require('js-sha256');
@@ -16,32 +18,84 @@ class DigitalEvidenceClient {
     this.organizationId = process.env.DE_ORGANIZATION_ID;
     this.tenantId = process.env.DE_TENANT_ID;
     this.baseUrl = 'https://de-api.constellationnetwork.io/v1';
+    this.keyPath = process.env.DE_SIGNING_KEY_PATH || path.join(__dirname, '../config/dag4-key.json');
+    this.keyPassphrase = process.env.DE_SIGNING_KEY_PASSPHRASE;
 
     if (!this.apiKey || !this.organizationId || !this.tenantId) {
       throw new Error('Digital Evidence API credentials not configured. Check environment variables.');
     }
 
-    // Generate or load ECDSA key pair for signing
+    // Load the ECDSA key pair used for signing from the configured keystore
     this.initializeKeys();
   }
 
   initializeKeys() {
-    // Generate a new secp256k1 key pair for ProofVault system signing
-    // In production, you'd want to store and reuse this key
-    let privateKey;
-    do {
-      privateKey = crypto.randomBytes(32);
-    } while (!secp256k1.privateKeyVerify(privateKey));
+    // The signing key must be stable across restarts, otherwise past
+    // attestations can no longer be tied back to a ProofVault signer.
+    const privateKey = this.loadSigningKey(this.keyPath, this.keyPassphrase);
+
+    if (!secp256k1.privateKeyVerify(privateKey)) {
+      throw new Error(`Invalid secp256k1 private key in ${this.keyPath}`);
+    }
 
     this.privateKey = privateKey;
     this.publicKey = secp256k1.publicKeyCreate(privateKey, false); // uncompressed format
-    this.signerId = 'ProofVault-System'; // Human-readable signer ID
     this.publicKeyHex = Buffer.from(this.publicKey).toString('hex');
+    this.signerId = this.publicKeyHex; // signerId in attestations is the uncompressed public key
 
-    console.log(`🔐 Digital Evidence signing initialized`);
+    console.log(`🔐 Digital Evidence signing initialized from ${path.basename(this.keyPath)}`);
     console.log(`📋 Public Key: ${this.publicKeyHex.slice(0, 20)}...`);
   }
 
+  /**
+   * Load a secp256k1 private key from a keystore file
+   *
+   * Supported formats:
+   * - PKCS#8 / SEC1 PEM, optionally encrypted (DE_SIGNING_KEY_PASSPHRASE)
+   * - JWK ({ "kty": "EC", "crv": "secp256k1", "d": ... })
+   * - dag4 key JSON ({ "privateKey": "<hex>" }), as in config/dag4-key.json
+   * @param {string} keyPath - Path to the keystore file
+   * @param {string} passphrase - Passphrase for encrypted PEM keys (optional)
+   * @returns {Buffer} 32-byte private key
+   */
+  loadSigningKey(keyPath, passphrase) {
+    let raw;
+    try {
+      raw = fs.readFileSync(keyPath, 'utf8').trim();
+    } catch (error) {
+      throw new Error(`Digital Evidence signing key not readable at ${keyPath}: ${error.message}`);
+    }
+
+    if (raw.startsWith('-----BEGIN')) {
+      const keyObject = crypto.createPrivateKey({ key: raw, format: 'pem', passphrase });
+      const jwk = keyObject.export({ format: 'jwk' });
+      if (jwk.crv !== 'secp256k1') {
+        throw new Error(`Signing key must be on secp256k1, got ${jwk.crv}`);
+      }
+      return Buffer.from(jwk.d, 'base64url');
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Unrecognized signing key format in ${keyPath}`);
+    }
+
+    if (parsed.kty) {
+      if (parsed.kty !== 'EC' || parsed.crv !== 'secp256k1' || !parsed.d) {
+        throw new Error('JWK signing key must be an EC secp256k1 private key');
+      }
+      return Buffer.from(parsed.d, 'base64url');
+    }
+
+    if (typeof parsed.privateKey === 'string' && /^[0-9a-f]{64}$/i.test(parsed.privateKey)) {
+      return Buffer.from(parsed.privateKey, 'hex');
+    }
+
+    throw new Error(`Unrecognized signing key format in ${keyPath}`);
+  }
+
   /**
    * Compute the fingerprint content hash (SHA-256 of canonical JSON)
    * @param {Object} content - The fingerprint content
@@ -67,6 +121,27 @@ class DigitalEvidenceClient {
     }
   }
 
+  /**
+   * Compute the 32-byte digest that is signed for a fingerprint
+   * @param {Object} content - The fingerprint content
+   * @returns {Uint8Array} Truncated SHA-512 of the SHA-256 hex of the canonical JSON
+   */
+  computeSigningDigest(content) {
+    // Step 1-3: SHA-256 of the canonical JSON (RFC 8785)
+    const sha256Hex = this.computeFingerprintContentHash(content);
+
+    // Step 4: Convert hash hex to UTF-8 bytes
+    const hashBytes = Buffer.from(sha256Hex, 'utf8');
+
+    // Step 5: Compute SHA-512 hash
+    const sha512Hash = sha512.create();
+    sha512Hash.update(hashBytes);
+    const sha512Bytes = sha512Hash.arrayBuffer();
+
+    // Step 6: Truncate to 32 bytes
+    return new Uint8Array(sha512Bytes, 0, 32);
+  }
+
   /**
    * Create ECDSA signature according to Digital Evidence specification
    * @param {Object} content - The fingerprint content to sign
@@ -74,30 +149,10 @@ class DigitalEvidenceClient {
    */
   createSignature(content) {
     try {
-      // Step 1: Canonicalize JSON according to RFC 8785
-      const canonicalJson = this.canonicalizeJson(content);
-
-      // Step 2: Convert to UTF-8 bytes
-      const utf8Bytes = Buffer.from(canonicalJson, 'utf8');
-
-      // Step 3: Compute SHA-256 hash
-      const sha256Hash = sha256.create();
-      sha256Hash.update(utf8Bytes);
-      const sha256Hex = sha256Hash.hex();
-
-      // Step 4: Convert hash hex to UTF-8 bytes
-      const hashBytes = Buffer.from(sha256Hex, 'utf8');
-
-      // Step 5: Compute SHA-512 hash
-      const sha512Hash = sha512.create();
-      sha512Hash.update(hashBytes);
-      const sha512Bytes = sha512Hash.arrayBuffer();
-
-      // Step 6: Truncate to 32 bytes
-      const truncatedHash = new Uint8Array(sha512Bytes, 0, 32);
+      const digest = this.computeSigningDigest(content);
 
       // Step 7: Sign with ECDSA secp256k1
-      const signObj = secp256k1.ecdsaSign(truncatedHash, this.privateKey);
+      const signObj = secp256k1.ecdsaSign(digest, this.privateKey);
 
       // Step 8: Convert to DER format
       const derSignature = this.toDER(signObj.signature);
@@ -109,6 +164,24 @@ class DigitalEvidenceClient {
     }
   }
 
+  /**
+   * Verify a fingerprint signature against a (possibly retired) signer
+   * @param {Object} content - The signed fingerprint content
+   * @param {string} signatureHex - DER-encoded signature in hex format
+   * @param {string} signerId - Uncompressed public key hex of the signer
+   * @returns {boolean} Whether the signature is valid
+   */
+  verifySignature(content, signatureHex, signerId) {
+    try {
+      const digest = this.computeSigningDigest(content);
+      const signature = secp256k1.signatureNormalize(this.fromDER(Buffer.from(signatureHex, 'hex')));
+      return secp256k1.ecdsaVerify(signature, digest, Buffer.from(signerId, 'hex'));
+    } catch (error) {
+      console.warn('Signature verification failed:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Canonicalize JSON according to RFC 8785
    * @param {Object} obj - Object to canonicalize
@@ -149,6 +222,33 @@ class DigitalEvidenceClient {
     return der;
   }
 
+  /**
+   * Convert a DER-encoded ECDSA signature back to the 64-byte compact form
+   * @param {Uint8Array} der - DER-encoded signature
+   * @returns {Uint8Array} Compact signature (r || s)
+   */
+  fromDER(der) {
+    if (der[0] !== 0x30 || der[2] !== 0x02) {
+      throw new Error('Malformed DER signature');
+    }
+
+    const rLen = der[3];
+    const r = der.slice(4, 4 + rLen);
+    if (der[4 + rLen] !== 0x02) {
+      throw new Error('Malformed DER signature');
+    }
+    const sLen = der[5 + rLen];
+    const s = der.slice(6 + rLen, 6 + rLen + sLen);
+
+    const compact = new Uint8Array(64);
+    const rTrimmed = r.slice(Math.max(0, r.length - 32));
+    const sTrimmed = s.slice(Math.max(0, s.length - 32));
+    compact.set(rTrimmed, 32 - rTrimmed.length);
+    compact.set(sTrimmed, 64 - sTrimmed.length);
+
+    return compact;
+  }
+
   /**
    * Remove leading zeros from byte array
    * @param {Uint8Array} bytes - Input bytes
@@ -187,7 +287,7 @@ class DigitalEvidenceClient {
         orgId: this.organizationId,
         tenantId: this.tenantId,
         eventId: eventId,
-        signerId: this.publicKeyHex,
+        signerId: this.signerId,
         documentId: documentId,
         documentRef: documentRef,
         timestamp: new Date().toISOString(),
@@ -207,7 +307,7 @@ class DigitalEvidenceClient {
         attestation: {
           content: fingerprintContent,
           proofs: [{
-            id: this.publicKeyHex,
+            id: this.signerId,
             signature: signature,
             algorithm: "SECP256K1_RFC8785_V1"
           }]
@@ -289,6 +389,9 @@ class DigitalEvidenceClient {
         submittedAt: new Date().toISOString(),
         accepted: responseData?.accepted || true,
         eventId: responseData?.eventId || eventId,
+        signerId: this.signerId,
+        signature: signature,
+        fingerprintContent: fingerprintContent,
         rawResponse: result
       };
 
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const { pool } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { blobKeyForArtifact, getBlobStorage } = require('./blob-storage');
+const { spoolPath, removeSpoolFile } = require('./upload-sessions');
+
+/**
+ * Evidence Artifacts
+ *
+ * Files captured alongside the PDF, e.g. an MHTML snapshot that keeps the
+ * page's markup, hidden text and link targets. An artifact is uploaded
+ * through an upload session with an artifact_kind; once complete it waits
+ * in the spool directory until the PDF's upload names it in
+ * artifact_upload_ids. It is then moved to blob storage and linked to the
+ * new record in the same transaction that queues the fingerprint, so the
+ * fingerprint's documentRef always covers it (see evidenceDocumentRef).
+ */
+
+const ARTIFACT_KINDS = {
+  mhtml: {
+    extensions: ['.mhtml', '.mht'],
+    contentType: 'multipart/related',
+    // Chrome's snapshots start with a MIME header block
+    isValid: (head) => /^MIME-Version:/im.test(head.toString('latin1'))
+  },
+  screenshot: {
+    extensions: ['.png'],
+    contentType: 'image/png',
+    // PNG signature followed by the IHDR chunk
+    isValid: (head) => head.length >= 24 &&
+      head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) &&
+      head.toString('latin1', 12, 16) === 'IHDR'
+  }
+};
+
+const MAX_ARTIFACTS_PER_RECORD = Object.keys(ARTIFACT_KINDS).length;
+
+/**
+ * SQL expression selecting the [{ kind, sha256 }] of a record's artifacts,
+ * for evidenceDocumentRef()
+ * @param {string} recordAlias - Alias of pdf_records in the query
+ * @returns {string}
+ */
+const artifactHashesSql = (recordAlias) => `(
+  SELECT COALESCE(json_agg(json_build_object('kind', a.kind, 'sha256', a.sha256) ORDER BY a.kind), '[]'::json)
+  FROM evidence_artifacts a WHERE a.record_id = ${recordAlias}.id
+) AS artifacts`;
+
+/**
+ * Parse artifact_upload_ids from a JSON body (array) or a multipart field
+ * (comma-separated)
+ * @param {Array|string|undefined} value - artifact_upload_ids as received
+ * @returns {string[]}
+ */
+const parseArtifactUploadIds = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const ids = Array.isArray(value) ? value : String(value).split(',').map(id => id.trim()).filter(Boolean);
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  if (ids.length > MAX_ARTIFACTS_PER_RECORD || !ids.every(id => typeof id === 'string' && uuidRegex.test(id))) {
+    throw new APIError(`artifact_upload_ids must list at most ${MAX_ARTIFACTS_PER_RECORD} upload session IDs`, 400);
+  }
+
+  return [...new Set(ids.map(id => id.toLowerCase()))];
+};
+
+/**
+ * Completed, not yet linked artifact uploads of the caller
+ * @param {Object} req - Request (req.auth)
+ * @param {string[]} uploadIds - parseArtifactUploadIds() result
+ * @returns {Promise<Array>} upload_sessions rows
+ */
+const findLinkableArtifacts = async (req, uploadIds) => {
+  if (uploadIds.length === 0) {
+    return [];
+  }
+
+  const result = await pool.query(
+    `SELECT * FROM upload_sessions
+     WHERE id = ANY($1::uuid[]) AND organization_id = $2
+       AND user_id IS NOT DISTINCT FROM $3 AND api_key_id IS NOT DISTINCT FROM $4
+       AND artifact_kind IS NOT NULL AND status = 'completed' AND record_id IS NULL`,
+    [
+      uploadIds,
+      req.auth.organization.id,
+      req.auth.user ? req.auth.user.id : null,
+      req.auth.apiKey ? req.auth.apiKey.id : null
+    ]
+  );
+
+  if (result.rows.length !== uploadIds.length) {
+    const found = result.rows.map(row => row.id);
+    const missing = uploadIds.filter(id => !found.includes(id));
+    throw new APIError(`Artifact upload ${missing.join(', ')} is not a completed, unlinked artifact upload of yours`, 400);
+  }
+
+  const kinds = result.rows.map(row => row.artifact_kind);
+  if (new Set(kinds).size !== kinds.length) {
+    throw new APIError('A record can have only one artifact of each kind', 400);
+  }
+
+  return result.rows;
+};
+
+/**
+ * Move artifact uploads from the spool directory to blob storage. A spool
+ * file already moved by an earlier, failed attempt is found in storage.
+ * @param {Array} sessions - findLinkableArtifacts() result
+ * @returns {Promise<Array>} [{ session, storage, storageKey }]
+ */
+const moveArtifactsToStorage = async (sessions) => {
+  const storage = getBlobStorage();
+  const stored = [];
+
+  for (const session of sessions) {
+    const kind = ARTIFACT_KINDS[session.artifact_kind];
+    const storageKey = blobKeyForArtifact(session.artifact_kind, session.received_hash, kind.extensions[0].slice(1));
+
+    if (fs.existsSync(spoolPath(session.id))) {
+      await storage.putFile(storageKey, spoolPath(session.id), kind.contentType);
+    } else if (await storage.size(storageKey) !== parseInt(session.total_size)) {
+      throw new APIError(`The bytes of artifact upload ${session.id} are gone; upload it again`, 410);
+    }
+
+    stored.push({ session, storage, storageKey });
+  }
+
+  return stored;
+};
+
+/**
+ * Link stored artifact uploads to a new record. Runs inside the record's
+ * insert transaction.
+ * @param {Object} client - Database client
+ * @param {string} recordId - PDF record ID
+ * @param {string} organizationId - Organization ID
+ * @param {Array} stored - moveArtifactsToStorage() result
+ * @returns {Promise<Array>} evidence_artifacts rows
+ */
+const linkArtifacts = async (client, recordId, organizationId, stored) => {
+  if (stored.length === 0) {
+    return [];
+  }
+
+  // Claimed here, so two PDF uploads can't link the same artifact
+  const claimed = await client.query(
+    `UPDATE upload_sessions SET record_id = $1
+     WHERE id = ANY($2::uuid[]) AND status = 'completed' AND record_id IS NULL
+     RETURNING id`,
+    [recordId, stored.map(item => item.session.id)]
+  );
+  if (claimed.rows.length !== stored.length) {
+    throw new APIError('An artifact upload was linked to another record or expired meanwhile', 409);
+  }
+
+  const artifacts = [];
+  for (const { session, storage, storageKey } of stored) {
+    const result = await client.query(
+      `INSERT INTO evidence_artifacts (record_id, organization_id, kind, filename, content_type, sha256, file_size,
+                                       storage_backend, storage_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, kind, filename, content_type, sha256, file_size, created_at`,
+      [
+        recordId, organizationId, session.artifact_kind, session.filename,
+        ARTIFACT_KINDS[session.artifact_kind].contentType, session.received_hash, session.total_size,
+        storage.name, storageKey
+      ]
+    );
+    artifacts.push(result.rows[0]);
+  }
+
+  return artifacts;
+};
+
+/**
+ * Remove the spool files of linked artifact uploads
+ * @param {Array} stored - moveArtifactsToStorage() result
+ * @returns {Promise<void>}
+ */
+const cleanUpArtifactSpools = async (stored) => {
+  for (const { session } of stored) {
+    await removeSpoolFile(session.id).catch(() => {});
+  }
+};
+
+/**
+ * Artifacts of a record, as returned to clients
+ * @param {Object} client - Database client or pool
+ * @param {string} recordId - PDF record ID
+ * @returns {Promise<Array>}
+ */
+const listArtifacts = async (client, recordId) => {
+  const result = await client.query(
+    `SELECT id, kind, filename, content_type, sha256, file_size, created_at, purged_at
+     FROM evidence_artifacts WHERE record_id = $1 ORDER BY kind`,
+    [recordId]
+  );
+
+  return result.rows.map(artifact => ({
+    ...artifact,
+    file_size: parseInt(artifact.file_size),
+    download_url: artifact.purged_at ? null : `/api/pdf/${recordId}/artifacts/${artifact.id}`
+  }));
+};
+
+/**
+ * Drop the content of a purged record's artifacts. Runs inside the purge
+ * transaction; returns the blobs to remove once it has committed.
+ * @param {Object} client - Database client
+ * @param {string} recordId - PDF record ID
+ * @returns {Promise<Array>} [{ storage_backend, storage_key }]
+ */
+const purgeArtifacts = async (client, recordId) => {
+  const artifacts = await client.query(
+    `SELECT id, storage_backend, storage_key FROM evidence_artifacts
+     WHERE record_id = $1 AND purged_at IS NULL`,
+    [recordId]
+  );
+
+  if (artifacts.rows.length > 0) {
+    await client.query(
+      `UPDATE evidence_artifacts SET storage_backend = NULL, storage_key = NULL, purged_at = NOW()
+       WHERE record_id = $1 AND purged_at IS NULL`,
+      [recordId]
+    );
+  }
+
+  // Content-addressed: another record's identical artifact shares the blob
+  const removable = [];
+  for (const artifact of artifacts.rows) {
+    const shared = await client.query(
+      'SELECT 1 FROM evidence_artifacts WHERE storage_key = $1 AND purged_at IS NULL LIMIT 1',
+      [artifact.storage_key]
+    );
+    if (shared.rows.length === 0) {
+      removable.push(artifact);
+    }
+  }
+
+  return removable;
+};
+
+module.exports = {
+  ARTIFACT_KINDS,
+  artifactHashesSql,
+  parseArtifactUploadIds,
+  findLinkableArtifacts,
+  moveArtifactsToStorage,
+  linkArtifacts,
+  cleanUpArtifactSpools,
+  listArtifacts,
+  purgeArtifacts
+};
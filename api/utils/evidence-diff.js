@@ -0,0 +1,292 @@
+const { APIError } = require('../middleware/errorHandler');
+const { readBlob, readRecordPdf, extractPdfText } = require('./pdf-text');
+const { diffLines } = require('./text-diff');
+
+/**
+ * Evidence Diff
+ *
+ * Compares two evidence records, typically captures of the same URL taken
+ * at different times: the text of both PDFs line by line, their page
+ * counts and, when both have a screenshot artifact, the screenshots pixel
+ * by pixel (pngjs and pixelmatch, loaded on first use). Screenshots are
+ * compared in the page-high slices the extension's PdfGenerator cuts them
+ * into, so "page 3" of the visual diff is the third screenshot page of
+ * the PDF. A pair of screenshots is decoded once: the diff images of all
+ * its pages are rendered with the comparison and cached.
+ */
+
+// Screenshots larger than this are not decoded (4 bytes per pixel, twice)
+const MAX_SCREENSHOT_PIXELS = parseInt(process.env.DIFF_MAX_SCREENSHOT_PIXELS) || 16 * 1024 * 1024;
+// Rendered screenshot comparisons are kept this long, within this many
+// bytes of diff images
+const DIFF_CACHE_TTL_MS = parseInt(process.env.DIFF_CACHE_TTL_MS) || 10 * 60 * 1000;
+const DIFF_CACHE_MAX_BYTES = parseInt(process.env.DIFF_CACHE_MAX_BYTES) || 64 * 1024 * 1024;
+// pixelmatch's per-pixel color tolerance, 0 (exact) to 1
+const PIXEL_THRESHOLD = Number.isFinite(parseFloat(process.env.DIFF_PIXEL_THRESHOLD))
+  ? parseFloat(process.env.DIFF_PIXEL_THRESHOLD)
+  : 0.1;
+
+let png = null;
+
+const loadImageLibraries = () => {
+  if (!png) {
+    try {
+      png = { PNG: require('pngjs').PNG, pixelmatch: require('pixelmatch') };
+    } catch (error) {
+      throw new APIError('Visual diffs are not available on this server (pngjs or pixelmatch is not installed)', 503);
+    }
+  }
+  return png;
+};
+
+/**
+ * Height in pixels of one screenshot page, as in PdfGenerator's
+ * addScreenshotPages (A4, 10 mm margins, 30 mm header, scaled to width)
+ * @param {number} width - Screenshot width in pixels
+ * @returns {number}
+ */
+const screenshotPageHeight = (width) => {
+  const mmPerPx = Math.min((210 - 2 * 10) / width, 1);
+  return Math.floor((297 - 30 - 10) / mmPerPx);
+};
+
+// Document lines with the page each comes from
+const documentLines = ({ pages }) => {
+  const lines = [];
+  const pageOf = [];
+  pages.forEach((text, index) => {
+    text.split('\n').filter(Boolean).forEach(line => {
+      lines.push(line);
+      pageOf.push(index + 1);
+    });
+  });
+  return { lines, pageOf };
+};
+
+/**
+ * Text and page count diff of two PDFs
+ * @param {Object} recordA - pdf_records row (see readRecordPdf)
+ * @param {Object} recordB - pdf_records row
+ * @returns {Promise<Object>} { page_count, text }
+ */
+const diffPdfText = async (recordA, recordB) => {
+  const textA = await extractPdfText(await readRecordPdf(recordA));
+  const textB = await extractPdfText(await readRecordPdf(recordB));
+  const a = documentLines(textA);
+  const b = documentLines(textB);
+  const diff = diffLines(a.lines, b.lines);
+
+  diff.hunks.forEach(hunk => hunk.lines.forEach(line => {
+    line.a_page = line.a_line === null ? null : a.pageOf[line.a_line - 1];
+    line.b_page = line.b_line === null ? null : b.pageOf[line.b_line - 1];
+  }));
+
+  return {
+    page_count: {
+      a: textA.page_count,
+      b: textB.page_count,
+      delta: textB.page_count - textA.page_count
+    },
+    text: {
+      ...diff,
+      pages_with_text: {
+        a: textA.pages.filter(Boolean).length,
+        b: textB.pages.filter(Boolean).length
+      }
+    }
+  };
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Signature plus the IHDR chunk, which must come first
+const PNG_HEADER_LENGTH = 33;
+
+/**
+ * Decode a screenshot artifact
+ * @param {Object} artifact - evidence_artifacts row of kind 'screenshot'
+ * @returns {Promise<Object>} pngjs image { width, height, data }
+ */
+const readScreenshot = async (artifact) => {
+  const { PNG } = loadImageLibraries();
+  const bytes = await readBlob(artifact.storage_backend, artifact.storage_key);
+
+  if (bytes.length < PNG_HEADER_LENGTH || !bytes.subarray(0, 8).equals(PNG_SIGNATURE) ||
+      bytes.toString('latin1', 12, 16) !== 'IHDR') {
+    throw new APIError(`Screenshot ${artifact.sha256} is not a valid PNG`, 422);
+  }
+
+  // Dimensions from the IHDR chunk, before decoding
+  const width = bytes.readUInt32BE(16);
+  const height = bytes.readUInt32BE(20);
+  if (width === 0 || height === 0) {
+    throw new APIError(`Screenshot ${artifact.sha256} is not a valid PNG`, 422);
+  }
+  if (width * height > MAX_SCREENSHOT_PIXELS) {
+    throw new APIError(`Screenshot of ${width}×${height} px is too large to compare (max ${MAX_SCREENSHOT_PIXELS} px)`, 413);
+  }
+
+  try {
+    return PNG.sync.read(bytes);
+  } catch (error) {
+    throw new APIError(`Screenshot ${artifact.sha256} is not a valid PNG: ${error.message}`, 422);
+  }
+};
+
+// Rows [start, start + height) of an image, without copying
+const imageRows = (image, start, height) => image.data.subarray(start * image.width * 4, (start + height) * image.width * 4);
+
+/**
+ * Compare two screenshots page by page, rendering the diff image of each
+ * page both have
+ * @param {Object} artifactA - Screenshot artifact of record a
+ * @param {Object} artifactB - Screenshot artifact of record b
+ * @returns {Promise<Object>} { result, images: [PNG Buffer, or null per page] }
+ */
+const renderComparison = async (artifactA, artifactB) => {
+  const { PNG, pixelmatch } = loadImageLibraries();
+  const a = await readScreenshot(artifactA);
+  const b = await readScreenshot(artifactB);
+
+  const result = {
+    comparable: a.width === b.width,
+    reason: null,
+    width: a.width,
+    height: { a: a.height, b: b.height },
+    page_height: screenshotPageHeight(a.width),
+    threshold: PIXEL_THRESHOLD,
+    pages: []
+  };
+  const images = [];
+
+  // The layout reflows at another width; pixels can't be lined up
+  if (!result.comparable) {
+    result.reason = `The screenshots differ in width (${a.width} px and ${b.width} px)`;
+    return { result, images };
+  }
+
+  const pageCount = (image) => Math.max(1, Math.ceil(image.height / result.page_height));
+  const pagesA = pageCount(a);
+  const pagesB = pageCount(b);
+
+  for (let index = 0; index < Math.max(pagesA, pagesB); index++) {
+    const top = index * result.page_height;
+    const page = { page: index + 1, status: null, mismatched_pixels: null, mismatch_ratio: null };
+    let image = null;
+
+    if (index >= pagesA) {
+      page.status = 'added';
+    } else if (index >= pagesB) {
+      page.status = 'removed';
+    } else {
+      const heightA = Math.min(result.page_height, a.height - top);
+      const heightB = Math.min(result.page_height, b.height - top);
+      const height = Math.min(heightA, heightB);
+      // a's page faded, with the pixels that differ in b marked in red
+      const output = new PNG({ width: a.width, height });
+
+      // Rows only one screenshot reaches count as mismatched
+      page.mismatched_pixels = pixelmatch(
+        imageRows(a, top, height), imageRows(b, top, height), output.data, a.width, height, { threshold: PIXEL_THRESHOLD }
+      ) + Math.abs(heightA - heightB) * a.width;
+      page.mismatch_ratio = page.mismatched_pixels / (Math.max(heightA, heightB) * a.width);
+      page.status = page.mismatched_pixels === 0 ? 'identical' : 'changed';
+      image = PNG.sync.write(output);
+    }
+
+    result.pages.push(page);
+    images.push(image);
+  }
+
+  return { result, images };
+};
+
+// Comparisons by the two artifacts' hashes, so the diff image requests
+// following a diff reuse its render instead of decoding both screenshots
+// again. Pending renders are shared too.
+const comparisons = new Map();
+
+const evictComparisons = () => {
+  const now = Date.now();
+  let bytes = 0;
+  comparisons.forEach((entry, key) => {
+    if (entry.expiresAt <= now) {
+      comparisons.delete(key);
+    } else {
+      bytes += entry.bytes;
+    }
+  });
+
+  // Maps iterate in insertion order: drop the oldest first
+  for (const [key, entry] of comparisons) {
+    if (bytes <= DIFF_CACHE_MAX_BYTES || comparisons.size === 1) break;
+    comparisons.delete(key);
+    bytes -= entry.bytes;
+  }
+};
+
+const compareScreenshots = (artifactA, artifactB) => {
+  if (artifactA.purged_at || artifactB.purged_at) {
+    return Promise.reject(new APIError('Screenshot content was purged; only its hash remains', 410));
+  }
+
+  const key = `${artifactA.sha256}:${artifactB.sha256}`;
+  const cached = comparisons.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.promise;
+  }
+
+  const entry = { bytes: 0, expiresAt: Date.now() + DIFF_CACHE_TTL_MS };
+  entry.promise = renderComparison(artifactA, artifactB).then(comparison => {
+    entry.bytes = comparison.images.reduce((sum, image) => sum + (image ? image.length : 0), 0);
+    evictComparisons();
+    return comparison;
+  }, error => {
+    if (comparisons.get(key) === entry) comparisons.delete(key);
+    throw error;
+  });
+
+  comparisons.delete(key);
+  comparisons.set(key, entry);
+  return entry.promise;
+};
+
+/**
+ * Per-page pixel diff of two screenshots
+ * @param {Object} artifactA - Screenshot artifact of record a
+ * @param {Object} artifactB - Screenshot artifact of record b
+ * @returns {Promise<Object>} { comparable, reason, width, page_height,
+ *   threshold, pages: [{ page, status, mismatched_pixels, mismatch_ratio }] }
+ */
+const diffScreenshots = async (artifactA, artifactB) => {
+  const { result } = await compareScreenshots(artifactA, artifactB);
+  // Callers annotate the pages; the cached ones stay as rendered
+  return { ...result, pages: result.pages.map(page => ({ ...page })) };
+};
+
+/**
+ * Diff image of one screenshot page: record a's page faded, with the
+ * pixels that differ in record b marked in red
+ * @param {Object} artifactA - Screenshot artifact of record a
+ * @param {Object} artifactB - Screenshot artifact of record b
+ * @param {number} pageNumber - Page, from 1
+ * @returns {Promise<Buffer>} PNG
+ */
+const renderScreenshotDiff = async (artifactA, artifactB, pageNumber) => {
+  const { result, images } = await compareScreenshots(artifactA, artifactB);
+
+  if (!result.comparable) {
+    throw new APIError(result.reason, 422);
+  }
+  if (!images[pageNumber - 1]) {
+    throw new APIError(`Page ${pageNumber} is not in both screenshots`, 404);
+  }
+
+  return images[pageNumber - 1];
+};
+
+module.exports = {
+  screenshotPageHeight,
+  diffPdfText,
+  diffScreenshots,
+  renderScreenshotDiff
+};
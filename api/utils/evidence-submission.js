@@ -0,0 +1,96 @@
+const { pool } = require('../config/database');
+const digitalEvidenceClient = require('./digital-evidence-client');
+const { evidenceDocumentRef } = require('./capture-manifest');
+const { artifactHashesSql } = require('./evidence-artifacts');
+
+// Submit hash to Constellation Digital Evidence API for tamper-proof verification.
+// Called by the evidence worker; failures are thrown so the queue can retry them.
+// documentRef is the PDF hash, or with a capture manifest or artifacts the
+// evidenceDocumentRef() committing to all of them together.
+const submitToBlockchain = async (recordId, documentRef, filename, companyName) => {
+  console.log(`📄 Submitting PDF evidence to Digital Evidence API for record: ${recordId}`);
+
+  const result = await digitalEvidenceClient.submitFingerprint({
+    documentRef,
+    eventId: recordId,
+    documentId: filename,
+    metadata: {
+      company: companyName,
+      filename: filename
+    }
+  });
+
+  // Update database with Digital Evidence fingerprint information
+  await pool.query(
+    `UPDATE pdf_records SET
+     blockchain_tx_id = $1,
+     blockchain_status = $2,
+     blockchain_submitted_at = NOW(),
+     signer_id = $3,
+     fingerprint_signature = $4,
+     fingerprint_content = $5
+     WHERE id = $6`,
+    [result.fingerprintHash, 'submitted', result.signerId, result.signature, result.fingerprintContent, recordId]
+  );
+
+  console.log(`✅ Digital Evidence submission successful for record ${recordId}`);
+  console.log(`🔍 Explorer URL: ${result.explorerUrl}`);
+  console.log(`🆔 Fingerprint Hash: ${result.fingerprintHash}`);
+
+  return {
+    success: true,
+    fingerprintHash: result.fingerprintHash,
+    explorerUrl: result.explorerUrl,
+    signerId: result.signerId
+  };
+};
+
+// Queue handler for submit_fingerprint jobs
+const handleSubmitFingerprintJob = async (job) => {
+  const recordResult = await pool.query(
+    `SELECT r.id, r.pdf_hash, r.capture_manifest_hash, r.pdf_filename, r.company_name, r.blockchain_tx_id,
+            ${artifactHashesSql('r')}
+     FROM pdf_records r WHERE r.id = $1`,
+    [job.record_id]
+  );
+
+  if (recordResult.rows.length === 0) {
+    throw new Error(`PDF record ${job.record_id} not found`);
+  }
+
+  const record = recordResult.rows[0];
+
+  // A previous attempt may have reached the API but died before the job was
+  // updated; put a record left queued back where the finalization poller
+  // picks it up
+  if (record.blockchain_tx_id) {
+    await pool.query(
+      `UPDATE pdf_records SET blockchain_status = 'submitted' WHERE id = $1 AND blockchain_status = 'queued'`,
+      [record.id]
+    );
+    return { status: 'submitted', result: { fingerprintHash: record.blockchain_tx_id, alreadySubmitted: true } };
+  }
+
+  const result = await submitToBlockchain(
+    record.id,
+    evidenceDocumentRef(record.pdf_hash, record.capture_manifest_hash, record.artifacts),
+    record.pdf_filename,
+    record.company_name
+  );
+
+  return { status: 'submitted', result };
+};
+
+// Called when a submit_fingerprint job has used up its attempts
+const markSubmissionErrored = async (job) => {
+  await pool.query(
+    'UPDATE pdf_records SET blockchain_status = $1 WHERE id = $2',
+    ['errored', job.record_id]
+  );
+};
+
+module.exports = {
+  submitToBlockchain,
+  handleSubmitFingerprintJob,
+  markSubmissionErrored
+};
@@ -0,0 +1,140 @@
+const { pool } = require('../config/database');
+const { readRecordPdf, extractPdfText } = require('./pdf-text');
+
+/**
+ * Evidence Text
+ *
+ * Full-text search over what captured pages said. Each stored PDF gets an
+ * extract_text job; the evidence worker extracts its text layer (see
+ * pdf-text.js) into evidence_text, whose generated tsvector is indexed
+ * (see migrations/020_evidence_text_search.sql). GET /api/pdf/list?q=
+ * matches, ranks and highlights against it.
+ */
+
+// Must match the configuration of evidence_text.search_vector
+const TEXT_SEARCH_CONFIG = 'english';
+// tsvectors are limited to 1 MB; longer documents are indexed up to here
+const MAX_INDEXED_CHARS = parseInt(process.env.TEXT_INDEX_MAX_CHARS) || 500 * 1000;
+
+// Match markers for ts_headline, replaced once the snippet is escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxFragments=2, MinWords=5, MaxWords=20, FragmentDelimiter=" … "`;
+
+/**
+ * SQL of the tsquery for a search string (websearch syntax: quoted
+ * phrases, OR, -excluded)
+ * @param {number} paramIndex - Placeholder number of the search string
+ * @returns {string}
+ */
+const searchQuerySql = (paramIndex) => `websearch_to_tsquery('${TEXT_SEARCH_CONFIG}', $${paramIndex})`;
+
+/**
+ * SQL of a matched record's rank (ts_rank_cd, higher is better)
+ * @param {string} textAlias - Alias of evidence_text in the query
+ * @param {number} queryParam - Placeholder number of the search string
+ * @returns {string}
+ */
+const searchRankSql = (textAlias, queryParam) => `ts_rank_cd(${textAlias}.search_vector, ${searchQuerySql(queryParam)})`;
+
+/**
+ * SQL selecting the rank and the highlighted snippet of a matched record
+ * @param {string} textAlias - Alias of evidence_text in the query
+ * @param {number} queryParam - Placeholder number of the search string
+ * @param {number} optionsParam - Placeholder number of HEADLINE_OPTIONS
+ * @returns {string}
+ */
+const searchColumnsSql = (textAlias, queryParam, optionsParam) => `
+  ${searchRankSql(textAlias, queryParam)} AS search_rank,
+  ts_headline('${TEXT_SEARCH_CONFIG}', ${textAlias}.content, ${searchQuerySql(queryParam)}, $${optionsParam}) AS search_snippet`;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * A ts_headline snippet as HTML: the captured text escaped, matches in
+ * <mark>, pages separated by " … "
+ * @param {string|null} snippet - search_snippet as selected
+ * @returns {string|null}
+ */
+const highlightSnippet = (snippet) => {
+  if (snippet === null || snippet === undefined) {
+    return null;
+  }
+
+  return escapeHtml(snippet.replace(/\f+/g, ' … ').replace(/\s+/g, ' ').trim())
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+};
+
+// Queue handler for extract_text jobs
+const handleExtractTextJob = async (job) => {
+  const recordResult = await pool.query(
+    `SELECT id, organization_id, file_size, storage_backend, storage_key, pdf_data, purged_at,
+            capture_manifest #>> '{page,title}' AS title
+     FROM pdf_records WHERE id = $1`,
+    [job.record_id]
+  );
+
+  if (recordResult.rows.length === 0) {
+    throw new Error(`PDF record ${job.record_id} not found`);
+  }
+
+  const record = recordResult.rows[0];
+
+  // Nothing left to read; a purged record's text is deleted with it
+  if (record.purged_at) {
+    return { status: 'completed', result: { skipped: 'purged' } };
+  }
+
+  let text;
+  try {
+    text = await extractPdfText(await readRecordPdf(record));
+  } catch (error) {
+    // A PDF pdf.js can't parse or that is too large won't change on retry
+    if ([413, 422].includes(error.statusCode)) {
+      return { status: 'completed', result: { skipped: error.message } };
+    }
+    throw error;
+  }
+
+  const content = text.pages.join('\f');
+  const truncated = content.length > MAX_INDEXED_CHARS;
+
+  // Runs again after a purge only if the purge hasn't happened meanwhile
+  await pool.query(
+    `INSERT INTO evidence_text (record_id, organization_id, title, content, page_count, truncated)
+     SELECT $1, $2, $3, $4, $5, $6
+     WHERE EXISTS (SELECT 1 FROM pdf_records WHERE id = $1 AND purged_at IS NULL)
+     ON CONFLICT (record_id) DO UPDATE SET
+       title = EXCLUDED.title,
+       content = EXCLUDED.content,
+       page_count = EXCLUDED.page_count,
+       truncated = EXCLUDED.truncated,
+       extracted_at = NOW()`,
+    [
+      record.id, record.organization_id, record.title ? record.title.substring(0, 1000) : null,
+      truncated ? content.substring(0, MAX_INDEXED_CHARS) : content,
+      text.page_count, truncated
+    ]
+  );
+
+  return {
+    status: 'completed',
+    result: { page_count: text.page_count, characters: content.length, truncated }
+  };
+};
+
+module.exports = {
+  TEXT_SEARCH_CONFIG,
+  HEADLINE_OPTIONS,
+  searchQuerySql,
+  searchRankSql,
+  searchColumnsSql,
+  highlightSnippet,
+  handleExtractTextJob
+};
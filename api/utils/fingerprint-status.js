@@ -0,0 +1,196 @@
+const { pool } = require('../config/database');
+const digitalEvidenceClient = require('./digital-evidence-client');
+
+/**
+ * Fingerprint Status
+ *
+ * Persists Digital Evidence status checks so the database, not the
+ * external API, is the source of truth for finalization.
+ */
+
+// Lifecycle reported by the Digital Evidence API, in order
+const LIFECYCLE_STATUSES = [
+  'NEW',
+  'QUEUED',
+  'PROCESSING',
+  'PENDING_COMMITMENT',
+  'FINALIZED_COMMITMENT',
+  'ERRORED_COMMITMENT'
+];
+
+const FINAL_STATUSES = ['FINALIZED_COMMITMENT', 'ERRORED_COMMITMENT'];
+
+/**
+ * Map a Digital Evidence status to the record's blockchain_status
+ * @param {string} status - Digital Evidence status
+ * @returns {string} blockchain_status value
+ */
+const toBlockchainStatus = (status) => {
+  if (status === 'FINALIZED_COMMITMENT') return 'finalized';
+  if (status === 'ERRORED_COMMITMENT') return 'errored';
+  return 'submitted';
+};
+
+/**
+ * Map a Digital Evidence status to the verification status shown to clients
+ * @param {string} status - Digital Evidence status
+ * @returns {string} verified, pending or error
+ */
+const toVerificationStatus = (status) => {
+  if (status === 'FINALIZED_COMMITMENT') return 'verified';
+  if (LIFECYCLE_STATUSES.includes(status) && status !== 'ERRORED_COMMITMENT') return 'pending';
+  return 'error';
+};
+
+/**
+ * Store the result of a status check for a record
+ *
+ * A history row is written only when the status changes. Final statuses
+ * update blockchain_status, blockchain_verified_at and the submission job.
+ * @param {Object} record - { id, blockchain_tx_id }
+ * @param {Object} statusResult - Result of digitalEvidenceClient.checkFingerprintStatus
+ * @returns {Object} { status, changed }
+ */
+const recordFingerprintStatus = async (record, statusResult) => {
+  const status = statusResult.status;
+
+  // NOT_FOUND / ERROR are check failures, not lifecycle states
+  if (!LIFECYCLE_STATUSES.includes(status)) {
+    await pool.query(
+      'UPDATE pdf_records SET digital_evidence_checked_at = NOW() WHERE id = $1',
+      [record.id]
+    );
+    return { status, changed: false };
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT blockchain_status, digital_evidence_status FROM pdf_records WHERE id = $1 FOR UPDATE`,
+      [record.id]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status, changed: false };
+    }
+
+    const changed = current.rows[0].digital_evidence_status !== status;
+
+    if (changed) {
+      await client.query(
+        `INSERT INTO fingerprint_status_history (record_id, fingerprint_hash, status, raw_response)
+         VALUES ($1, $2, $3, $4)`,
+        [record.id, record.blockchain_tx_id, status, statusResult.rawResponse || null]
+      );
+    }
+
+    const blockchainStatus = toBlockchainStatus(status);
+
+    await client.query(
+      `UPDATE pdf_records SET
+         digital_evidence_status = $1::varchar,
+         digital_evidence_checked_at = NOW(),
+         blockchain_status = $2,
+         blockchain_verified_at = CASE
+           WHEN $1::varchar = 'FINALIZED_COMMITMENT' THEN COALESCE(blockchain_verified_at, NOW())
+           ELSE blockchain_verified_at
+         END
+       WHERE id = $3`,
+      [status, blockchainStatus, record.id]
+    );
+
+    if (FINAL_STATUSES.includes(status)) {
+      await client.query(
+        `UPDATE evidence_jobs SET status = $1, last_error = $2
+         WHERE record_id = $3 AND job_type = 'submit_fingerprint'`,
+        [
+          blockchainStatus,
+          status === 'ERRORED_COMMITMENT' ? 'Digital Evidence reported ERRORED_COMMITMENT' : null,
+          record.id
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    if (changed) {
+      console.log(`📊 Record ${record.id} fingerprint status -> ${status}`);
+    }
+
+    return { status, changed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get the current Digital Evidence status of a record
+ *
+ * Final statuses are served from the database. Non-final fingerprints are
+ * checked live and the result is written back.
+ * @param {Object} record - { id, blockchain_tx_id, blockchain_status, digital_evidence_status, blockchain_verified_at }
+ * @returns {Object} { status, blockchainStatus, verifiedAt, explorerUrl, error }
+ */
+const refreshFingerprintStatus = async (record) => {
+  if (!record.blockchain_tx_id) {
+    return { status: null, blockchainStatus: record.blockchain_status || 'not_submitted', verifiedAt: null, explorerUrl: null };
+  }
+
+  const explorerUrl = digitalEvidenceClient.getVerificationCertificateUrl(record.blockchain_tx_id);
+
+  if (FINAL_STATUSES.includes(record.digital_evidence_status)) {
+    return {
+      status: record.digital_evidence_status,
+      blockchainStatus: record.blockchain_status,
+      verifiedAt: record.blockchain_verified_at,
+      explorerUrl
+    };
+  }
+
+  const statusResult = await digitalEvidenceClient.checkFingerprintStatus(record.blockchain_tx_id);
+  await recordFingerprintStatus(record, statusResult);
+
+  const known = LIFECYCLE_STATUSES.includes(statusResult.status);
+
+  return {
+    status: statusResult.status,
+    blockchainStatus: known ? toBlockchainStatus(statusResult.status) : record.blockchain_status,
+    verifiedAt: statusResult.status === 'FINALIZED_COMMITMENT'
+      ? (record.blockchain_verified_at || new Date())
+      : record.blockchain_verified_at,
+    explorerUrl,
+    error: statusResult.error
+  };
+};
+
+/**
+ * Get the status history of a record's fingerprint
+ * @param {string} recordId - PDF record ID
+ * @returns {Array} History rows, oldest first
+ */
+const getFingerprintStatusHistory = async (recordId) => {
+  const result = await pool.query(
+    `SELECT status, observed_at FROM fingerprint_status_history
+     WHERE record_id = $1 ORDER BY observed_at, id`,
+    [recordId]
+  );
+
+  return result.rows;
+};
+
+module.exports = {
+  LIFECYCLE_STATUSES,
+  FINAL_STATUSES,
+  toBlockchainStatus,
+  toVerificationStatus,
+  recordFingerprintStatus,
+  refreshFingerprintStatus,
+  getFingerprintStatusHistory
+};
@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { APIError } = require('../middleware/errorHandler');
+const { buildCoverHtml, PV_PRINT_OPTIONS } = require('../../chrome-extension/coverTemplate');
+
+/**
+ * Headless Capture
+ *
+ * Server-side counterpart of the Chrome extension's print capture, used by
+ * POST /api/capture and the monitor worker: the cover page
+ * (chrome-extension/coverTemplate.js) and the page itself are printed by
+ * headless Chromium (Puppeteer) with the same Page.printToPDF options and
+ * merged into one PDF, cover first, along with a capture manifest in the
+ * extension's format. Puppeteer and pdf-lib are loaded on first use, so
+ * API instances that never capture don't need Chromium.
+ *
+ * Only public http(s) URLs are captured: hosts resolving to loopback,
+ * private or link-local addresses are refused, unless
+ * CAPTURE_ALLOW_PRIVATE_NETWORKS=true. That covers everything the page
+ * loads, not just the URL: frames, images, scripts, fetch/XHR and their
+ * redirects (see restrictToPublicNetworks).
+ */
+
+const NAVIGATION_TIMEOUT_MS = parseInt(process.env.CAPTURE_NAVIGATION_TIMEOUT_MS) || 60 * 1000;
+// Captures rendering at once in this process; more are refused with 503
+const MAX_CONCURRENT_CAPTURES = parseInt(process.env.CAPTURE_MAX_CONCURRENT) || 2;
+const ALLOW_PRIVATE_NETWORKS = process.env.CAPTURE_ALLOW_PRIVATE_NETWORKS === 'true';
+const MAX_URL_LENGTH = 8192;
+const VIEWPORT = { width: 1366, height: 900 };
+const HIDDEN_HEADERS = ['set-cookie', 'set-cookie2'];
+const COLLECTOR = {
+  name: 'ProofVault Headless Capture',
+  version: require('../package.json').version,
+  method: 'puppeteer'
+};
+
+const privateNetworks = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateNetworks.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateNetworks.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return privateNetworks.check(mapped[1], 'ipv4');
+  }
+  return privateNetworks.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Parse a URL to capture: absolute http(s), no credentials
+ * @param {string} value - URL as received
+ * @returns {string} Normalized URL
+ */
+const parseCaptureUrl = (value) => {
+  let url = null;
+  try {
+    url = typeof value === 'string' && value.length <= MAX_URL_LENGTH ? new URL(value) : null;
+  } catch (error) {
+    url = null;
+  }
+
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw new APIError('url must be an absolute http or https URL', 400);
+  }
+  if (url.username || url.password) {
+    throw new APIError('url must not contain credentials', 400);
+  }
+
+  return url.toString();
+};
+
+/**
+ * Refuse URLs whose host resolves to a non-public address
+ * @param {string} value - URL to capture
+ * @param {Map} [lookups] - Host -> pending lookup, shared by one page's requests
+ * @returns {Promise<void>}
+ */
+const assertPublicUrl = async (value, lookups = null) => {
+  if (ALLOW_PRIVATE_NETWORKS) {
+    return;
+  }
+
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  const lookup = () => (net.isIP(host)
+    ? Promise.resolve([{ address: host }])
+    : dns.promises.lookup(host, { all: true }));
+  if (lookups && !lookups.has(host)) {
+    lookups.set(host, lookup());
+  }
+
+  const addresses = await (lookups ? lookups.get(host) : lookup()).catch(() => {
+    throw new APIError(`Could not resolve ${host}`, 422);
+  });
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new APIError(`${host} resolves to a private network address and can't be captured`, 422);
+  }
+};
+
+// Schemes a page loads without the network
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+/**
+ * Keep a page off non-public networks. Every request it makes, whatever
+ * its frame or resource type, is checked with assertPublicUrl before it is
+ * sent and aborted if the host isn't public. Chromium resolves the host
+ * again when it connects, so a host that changes its answer in between
+ * (DNS rebinding) is caught by the remote address of the response: the
+ * capture fails if any response came from a non-public address. Service
+ * workers and WebSockets, which request interception doesn't see, are
+ * turned off.
+ * @param {Object} page - Puppeteer page, before navigating
+ * @returns {Promise<Object>} { assertNoPrivateResponses() }
+ */
+const restrictToPublicNetworks = async (page) => {
+  const lookups = new Map();
+  let violation = null;
+
+  await page.setBypassServiceWorker(true);
+  await page.evaluateOnNewDocument(() => {
+    delete window.WebSocket;
+    delete window.WebTransport;
+    delete window.RTCPeerConnection;
+  });
+
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    let protocol = null;
+    try {
+      protocol = new URL(request.url()).protocol;
+    } catch (error) {
+      protocol = null;
+    }
+
+    if (LOCAL_SCHEMES.includes(protocol)) {
+      request.continue();
+    } else if (!['http:', 'https:'].includes(protocol)) {
+      request.abort('blockedbyclient');
+    } else {
+      assertPublicUrl(request.url(), lookups)
+        .then(() => request.continue(), () => request.abort('addressunreachable'));
+    }
+  });
+
+  page.on('response', (response) => {
+    const { ip } = response.remoteAddress();
+    if (ip && isPrivateAddress(ip.replace(/^\[|\]$/g, '')) && !violation) {
+      violation = `${response.url()} was answered from the private network address ${ip}`;
+    }
+  });
+
+  return {
+    assertNoPrivateResponses: () => {
+      if (violation) {
+        throw new APIError(`${violation}; the capture was discarded`, 422);
+      }
+    }
+  };
+};
+
+let browserPromise = null;
+
+// One browser per process, started on first use and restarted if it crashed
+const getBrowser = async () => {
+  if (browserPromise) {
+    const browser = await browserPromise.catch(() => null);
+    if (browser && browser.connected) {
+      return browser;
+    }
+  }
+
+  let puppeteer;
+  try {
+    puppeteer = require('puppeteer');
+  } catch (error) {
+    throw new APIError('Headless capture is not available on this server (Puppeteer is not installed)', 503);
+  }
+
+  browserPromise = puppeteer.launch({
+    headless: true,
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+    // Containers usually can't provide Chromium's sandbox
+    args: process.env.CHROMIUM_NO_SANDBOX === 'true' ? ['--no-sandbox', '--disable-setuid-sandbox'] : []
+  });
+  return browserPromise;
+};
+
+/**
+ * Close the shared browser, if one was started
+ * @returns {Promise<void>}
+ */
+const closeBrowser = async () => {
+  if (!browserPromise) return;
+
+  const browser = await browserPromise.catch(() => null);
+  browserPromise = null;
+  if (browser) {
+    await browser.close().catch(() => {});
+  }
+};
+
+const filterHeaders = (headers) => {
+  const out = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (!HIDDEN_HEADERS.includes(name.toLowerCase())) out[name.toLowerCase()] = value;
+  }
+  return out;
+};
+
+// Page state as seen by the page itself (see PV_PAGE_INFO_EXPR in background.js)
+const readPageInfo = () => {
+  const nav = performance.getEntriesByType('navigation')[0];
+  return {
+    title: document.title,
+    url: location.href,
+    referrer: document.referrer || null,
+    content_type: document.contentType,
+    charset: document.characterSet,
+    last_modified: document.lastModified,
+    language: navigator.language,
+    user_agent: navigator.userAgent,
+    text: document.body ? document.body.innerText : '',
+    viewport: {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      device_pixel_ratio: window.devicePixelRatio,
+      screen_width: screen.width,
+      screen_height: screen.height,
+      content_width: document.documentElement.scrollWidth,
+      content_height: document.documentElement.scrollHeight
+    },
+    navigation: nav ? {
+      type: nav.type,
+      redirect_count: nav.redirectCount,
+      next_hop_protocol: nav.nextHopProtocol,
+      transfer_size: nav.transferSize
+    } : null
+  };
+};
+
+// Capture manifest in the extension's format (see collectCaptureManifest in
+// background.js), from the navigation response instead of a re-request
+const buildManifest = async (browser, url, response, info) => {
+  const manifest = {
+    manifest_version: 1,
+    collector: COLLECTOR,
+    capture_mode: 'print',
+    page: null,
+    browser: null,
+    viewport: null,
+    navigation: null,
+    http: null,
+    tls: null,
+    content: null,
+    errors: []
+  };
+
+  manifest.page = {
+    title: info.title,
+    url: info.url,
+    referrer: info.referrer,
+    content_type: info.content_type,
+    charset: info.charset,
+    last_modified: info.last_modified
+  };
+  manifest.viewport = info.viewport;
+  manifest.browser = {
+    product: await browser.version(),
+    user_agent: info.user_agent,
+    language: info.language
+  };
+  manifest.navigation = { ...info.navigation, referrer: info.referrer };
+
+  // Visible text, normalized, so a watch job can tell when the content changed
+  const text = info.text.replace(/\s+/g, ' ').trim();
+  manifest.content = {
+    text_sha256: crypto.createHash('sha256').update(text, 'utf8').digest('hex'),
+    text_length: text.length
+  };
+
+  if (!response) {
+    manifest.errors.push({ part: 'http', message: 'No response to the navigation' });
+    return manifest;
+  }
+
+  const redirects = response.request().redirectChain().map(request => {
+    const redirect = request.response();
+    return {
+      url: request.url(),
+      status: redirect ? redirect.status() : null,
+      location: redirect ? redirect.headers().location || null : null,
+      remote_ip: redirect ? redirect.remoteAddress().ip || null : null
+    };
+  });
+  const remote = response.remoteAddress();
+  manifest.http = {
+    source: 'navigation',
+    requested_url: url,
+    final_url: response.url(),
+    redirects,
+    status: response.status(),
+    status_text: response.statusText(),
+    remote_ip: remote.ip || null,
+    remote_port: remote.port || null,
+    from_cache: response.fromCache() || response.fromServiceWorker(),
+    headers: filterHeaders(response.headers())
+  };
+
+  const tls = response.securityDetails();
+  if (tls) {
+    manifest.tls = {
+      protocol: tls.protocol(),
+      subject_name: tls.subjectName(),
+      san_list: tls.subjectAlternativeNames(),
+      issuer: tls.issuer(),
+      valid_from: new Date(tls.validFrom() * 1000).toISOString(),
+      valid_to: new Date(tls.validTo() * 1000).toISOString()
+    };
+  }
+
+  return manifest;
+};
+
+let activeCaptures = 0;
+
+/**
+ * Capture a URL the way the extension's print mode does: cover page plus
+ * the page printed with Page.printToPDF, merged into one PDF
+ * @param {string} url - parseCaptureUrl() result
+ * @param {Object} meta - Cover fields: { id, organization, user, timestamp }
+ * @returns {Promise<Object>} { pdf (Buffer), manifest }
+ */
+const capturePage = async (url, meta) => {
+  if (activeCaptures >= MAX_CONCURRENT_CAPTURES) {
+    throw new APIError('All capture slots are busy; retry shortly', 503);
+  }
+
+  activeCaptures++;
+  let context = null;
+
+  try {
+    await assertPublicUrl(url);
+
+    const browser = await getBrowser();
+    context = await browser.createBrowserContext();
+
+    const page = await context.newPage();
+    await page.setViewport(VIEWPORT);
+
+    const network = ALLOW_PRIVATE_NETWORKS ? null : await restrictToPublicNetworks(page);
+
+    let response;
+    try {
+      response = await page.goto(url, { waitUntil: 'networkidle2', timeout: NAVIGATION_TIMEOUT_MS });
+    } catch (error) {
+      throw new APIError(`Could not load ${url}: ${error.message}`, 502);
+    }
+    const info = await page.evaluate(readPageInfo);
+    const manifest = await buildManifest(browser, url, response, info);
+    const bodyPdf = await page.pdf(PV_PRINT_OPTIONS);
+    // Also covers anything that arrived while printing
+    if (network) {
+      network.assertNoPrivateResponses();
+    }
+
+    const coverPage = await context.newPage();
+    await coverPage.setContent(buildCoverHtml({ ...meta, url }), { waitUntil: 'load' });
+    const coverPdf = await coverPage.pdf(PV_PRINT_OPTIONS);
+
+    // Cover page first, then every printed page (as popup.js merges them)
+    const { PDFDocument } = require('pdf-lib');
+    const merged = await PDFDocument.create();
+    const cover = await PDFDocument.load(coverPdf);
+    const [coverFirstPage] = await merged.copyPages(cover, [0]);
+    merged.addPage(coverFirstPage);
+    const body = await PDFDocument.load(bodyPdf);
+    const pages = await merged.copyPages(body, body.getPageIndices());
+    pages.forEach(p => merged.addPage(p));
+
+    return { pdf: Buffer.from(await merged.save()), manifest };
+  } finally {
+    activeCaptures--;
+    if (context) {
+      await context.close().catch(() => {});
+    }
+  }
+};
+
+module.exports = {
+  parseCaptureUrl,
+  assertPublicUrl,
+  capturePage,
+  closeBrowser
+};
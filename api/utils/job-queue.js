@@ -0,0 +1,291 @@
+const { pool } = require('../config/database');
+
+/**
+ * Evidence Job Queue
+ *
+ * Durable, Postgres-backed queue for work that must not block an HTTP
+ * request (e.g. Digital Evidence submission). Jobs are claimed with
+ * FOR UPDATE SKIP LOCKED so several workers can share the table, retried
+ * with exponential backoff, and every attempt is recorded.
+ */
+
+const BASE_BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000;
+const MAX_BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_MAX_MS) || 60 * 60 * 1000;
+const STALE_LOCK_MS = parseInt(process.env.JOB_STALE_LOCK_MS) || 10 * 60 * 1000;
+
+/**
+ * Compute the delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const computeBackoff = (attempts) => {
+  const exponential = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, Math.max(0, attempts - 1)));
+  // Up to 20% jitter so retries from an outage don't all fire at once
+  return Math.round(exponential * (1 + Math.random() * 0.2));
+};
+
+/**
+ * Enqueue a job for a record. Re-enqueueing an existing job re-drives it.
+ * @param {Object} client - pg client (so the job commits with the record)
+ * @param {string} recordId - PDF record ID
+ * @param {string} jobType - Job type (default: submit_fingerprint)
+ * @returns {Object} Job row
+ */
+const enqueueJob = async (client, recordId, jobType = 'submit_fingerprint') => {
+  const result = await client.query(
+    `INSERT INTO evidence_jobs (record_id, job_type, status, run_at)
+     VALUES ($1, $2, 'queued', NOW())
+     ON CONFLICT (record_id, job_type) DO UPDATE SET
+       status = 'queued',
+       attempts = 0,
+       run_at = NOW(),
+       locked_at = NULL,
+       locked_by = NULL
+     RETURNING *`,
+    [recordId, jobType]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Claim the next runnable job. Jobs whose worker died mid-run are
+ * reclaimed once their lock is stale.
+ * @param {string} workerId - Identifier of the claiming worker
+ * @returns {Object|null} Claimed job row
+ */
+const claimNextJob = async (workerId) => {
+  const result = await pool.query(
+    `UPDATE evidence_jobs SET
+       status = 'running',
+       attempts = attempts + 1,
+       locked_at = NOW(),
+       locked_by = $1
+     WHERE id = (
+       SELECT id FROM evidence_jobs
+       WHERE (status = 'queued' AND run_at <= NOW())
+          OR (status = 'running' AND locked_at < NOW() - $2 * INTERVAL '1 millisecond')
+       ORDER BY run_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [workerId, STALE_LOCK_MS]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Record the outcome of an attempt
+ */
+const recordAttempt = async (client, job, startedAt, { succeeded, error = null, result = null }) => {
+  await client.query(
+    `INSERT INTO evidence_job_attempts (job_id, attempt, worker_id, started_at, succeeded, error, result)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [job.id, job.attempts, job.locked_by, startedAt, succeeded, error, result]
+  );
+};
+
+/**
+ * Mark a job as done
+ * @param {Object} job - Claimed job row
+ * @param {Date} startedAt - When the attempt started
+ * @param {string} status - Final status for this stage (submitted, completed, ...)
+ * @param {Object} result - Attempt result to keep in history
+ */
+const completeJob = async (job, startedAt, status, result = null) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await recordAttempt(client, job, startedAt, { succeeded: true, result });
+    await client.query(
+      `UPDATE evidence_jobs SET
+         status = $1,
+         last_error = NULL,
+         locked_at = NULL,
+         locked_by = NULL
+       WHERE id = $2`,
+      [status, job.id]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Mark an attempt as failed and schedule a retry, or give up
+ * @param {Object} job - Claimed job row
+ * @param {Date} startedAt - When the attempt started
+ * @param {Error} error - The failure
+ * @returns {Object} { status, retryInMs }
+ */
+const failJob = async (job, startedAt, error) => {
+  const exhausted = job.attempts >= job.max_attempts;
+  const retryInMs = exhausted ? null : computeBackoff(job.attempts);
+  const status = exhausted ? 'errored' : 'queued';
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await recordAttempt(client, job, startedAt, { succeeded: false, error: error.message });
+    await client.query(
+      `UPDATE evidence_jobs SET
+         status = $1,
+         last_error = $2,
+         run_at = CASE WHEN $3::bigint IS NULL THEN run_at ELSE NOW() + $3 * INTERVAL '1 millisecond' END,
+         locked_at = NULL,
+         locked_by = NULL
+       WHERE id = $4`,
+      [status, error.message, retryInMs, job.id]
+    );
+    await client.query('COMMIT');
+  } catch (dbError) {
+    await client.query('ROLLBACK');
+    throw dbError;
+  } finally {
+    client.release();
+  }
+
+  return { status, retryInMs };
+};
+
+/**
+ * List jobs, optionally only the ones that are stuck
+ * @param {Object} filters - { status, job_type, stuck, limit }
+ * @returns {Array} Job rows
+ */
+const listJobs = async ({ status, jobType, stuck = false, limit = 50 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`j.status = $${params.length}`);
+  }
+
+  if (jobType) {
+    params.push(jobType);
+    conditions.push(`j.job_type = $${params.length}`);
+  }
+
+  if (stuck) {
+    // Errored, overdue by more than the stale window, or held by a dead worker
+    params.push(STALE_LOCK_MS);
+    conditions.push(`(
+      j.status = 'errored' OR
+      (j.status = 'queued' AND j.run_at < NOW() - $${params.length} * INTERVAL '1 millisecond') OR
+      (j.status = 'running' AND j.locked_at < NOW() - $${params.length} * INTERVAL '1 millisecond')
+    )`);
+  }
+
+  params.push(limit);
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const result = await pool.query(
+    `SELECT j.*, r.pdf_filename, r.company_name, r.blockchain_status
+     FROM evidence_jobs j
+     JOIN pdf_records r ON r.id = j.record_id
+     ${whereClause}
+     ORDER BY j.updated_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return result.rows;
+};
+
+/**
+ * Get a job with its attempt history
+ * @param {number} jobId - Job ID
+ * @returns {Object|null} Job row with attempts
+ */
+const getJob = async (jobId) => {
+  const jobResult = await pool.query('SELECT * FROM evidence_jobs WHERE id = $1', [jobId]);
+
+  if (jobResult.rows.length === 0) {
+    return null;
+  }
+
+  const attemptsResult = await pool.query(
+    `SELECT attempt, worker_id, started_at, finished_at, succeeded, error, result
+     FROM evidence_job_attempts WHERE job_id = $1 ORDER BY id`,
+    [jobId]
+  );
+
+  return { ...jobResult.rows[0], attempt_history: attemptsResult.rows };
+};
+
+/**
+ * Re-drive a job: queue it to run now with a fresh attempt budget
+ * @param {number} jobId - Job ID
+ * @returns {Object|null} Updated job row
+ */
+const retryJob = async (jobId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE evidence_jobs SET
+         status = 'queued',
+         attempts = 0,
+         run_at = NOW(),
+         locked_at = NULL,
+         locked_by = NULL
+       WHERE id = $1 AND status IN ('queued', 'running', 'errored')
+       RETURNING *`,
+      [jobId]
+    );
+
+    if (result.rows.length > 0 && result.rows[0].job_type === 'submit_fingerprint') {
+      const recordId = result.rows[0].record_id;
+
+      // Digital Evidence rejected the commitment: drop the fingerprint so
+      // the document is submitted afresh
+      await client.query(
+        `UPDATE pdf_records SET
+           blockchain_tx_id = NULL,
+           blockchain_submitted_at = NULL,
+           digital_evidence_status = NULL,
+           signer_id = NULL,
+           fingerprint_signature = NULL,
+           fingerprint_content = NULL
+         WHERE id = $1 AND digital_evidence_status = 'ERRORED_COMMITMENT'`,
+        [recordId]
+      );
+
+      // A record that already has a fingerprint keeps its status; the job
+      // won't submit it again
+      await client.query(
+        `UPDATE pdf_records SET blockchain_status = 'queued' WHERE id = $1 AND blockchain_tx_id IS NULL`,
+        [recordId]
+      );
+    }
+
+    await client.query('COMMIT');
+    return result.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  computeBackoff,
+  enqueueJob,
+  claimNextJob,
+  completeJob,
+  failJob,
+  listJobs,
+  getJob,
+  retryJob
+};
@@ -0,0 +1,130 @@
+const { APIError } = require('../middleware/errorHandler');
+
+/**
+ * List Pagination
+ *
+ * Keyset (cursor) pagination for GET /api/pdf/list. A page is ordered by
+ * (sort field, id), so the rows after a page are found by comparing with
+ * its last row instead of skipping OFFSET rows. Cursors are opaque to
+ * clients: the sort they were issued for, the boundary row's sort value
+ * (as Postgres prints it, so timestamps keep their microseconds) and id,
+ * and whether they point forward or back. Filters aren't part of the
+ * cursor; a client passes the same ones with every page.
+ */
+
+const COUNT_MODES = ['exact', 'estimated', 'none'];
+
+/**
+ * Encode a cursor
+ * @param {Object} sort - { sortBy, sortOrder }
+ * @param {Object} row - Boundary row with cursor_value and id
+ * @param {string} direction - 'next' (rows after row) or 'prev' (rows before)
+ * @returns {string}
+ */
+const encodeCursor = ({ sortBy, sortOrder }, row, direction) => Buffer.from(JSON.stringify({
+  s: sortBy,
+  o: sortOrder,
+  v: row.cursor_value,
+  id: row.id,
+  d: direction
+})).toString('base64url');
+
+/**
+ * Decode a cursor and check it was issued for the requested sort
+ * @param {string} cursor - next_cursor or prev_cursor of an earlier page
+ * @param {Object} sort - { sortBy, sortOrder } of this request
+ * @returns {Object} { value, id, direction }
+ */
+const decodeCursor = (cursor, { sortBy, sortOrder }) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!decoded || typeof decoded !== 'object' || !uuidRegex.test(decoded.id) ||
+      !['next', 'prev'].includes(decoded.d) || (decoded.v !== null && typeof decoded.v !== 'string')) {
+    throw new APIError('Invalid cursor', 400);
+  }
+
+  if (decoded.s !== sortBy || decoded.o !== sortOrder) {
+    throw new APIError(`The cursor is for sort_by=${decoded.s}&sort_order=${decoded.o}; pass the same sort as the page it came from`, 400);
+  }
+
+  return { value: decoded.v, id: decoded.id, direction: decoded.d };
+};
+
+/**
+ * ORDER BY clause for a sort column, ties broken by id in the same
+ * direction so (column, id) can be compared as a row
+ * @param {Object} column - { sql, nullable }
+ * @param {string} sortOrder - ASC or DESC
+ * @param {boolean} reverse - Read backwards (for prev cursors)
+ * @returns {string}
+ */
+const keysetOrderBy = (column, sortOrder, reverse = false) => {
+  const ascending = (sortOrder === 'ASC') !== reverse;
+  const direction = ascending ? 'ASC' : 'DESC';
+  // NULLs sort last in list order, so first when reading backwards
+  const nulls = column.nullable ? (reverse ? ' NULLS FIRST' : ' NULLS LAST') : '';
+  return `${column.sql} ${direction}${nulls}, r.id ${direction}`;
+};
+
+/**
+ * WHERE condition selecting the rows on the cursor's side of its boundary
+ * row
+ * @param {Object} column - { sql, type, nullable }
+ * @param {string} sortOrder - ASC or DESC
+ * @param {Object} cursor - decodeCursor() result
+ * @param {number} paramIndex - Placeholder number of the first parameter
+ * @returns {Object} { condition, params }
+ */
+const keysetCondition = (column, sortOrder, cursor, paramIndex) => {
+  const forward = cursor.direction === 'next';
+  const operator = (sortOrder === 'DESC') === forward ? '<' : '>';
+
+  // The boundary row sorts among the NULLs: only its id is compared
+  if (cursor.value === null) {
+    if (!column.nullable) {
+      throw new APIError('Invalid cursor', 400);
+    }
+    const id = `$${paramIndex}::uuid`;
+    return {
+      condition: forward
+        ? `(${column.sql} IS NULL AND r.id ${operator} ${id})`
+        : `(${column.sql} IS NOT NULL OR r.id ${operator} ${id})`,
+      params: [cursor.id]
+    };
+  }
+
+  let condition = `(${column.sql}, r.id) ${operator} ($${paramIndex}::${column.type}, $${paramIndex + 1}::uuid)`;
+  // NULLs come after every value
+  if (column.nullable && forward) {
+    condition = `(${condition} OR ${column.sql} IS NULL)`;
+  }
+
+  return { condition, params: [cursor.value, cursor.id] };
+};
+
+/**
+ * Row count the planner estimates for a query, without running it
+ * @param {Object} client - Database client
+ * @param {string} query - SELECT whose rows to estimate
+ * @param {Array} params - Query parameters
+ * @returns {Promise<number>}
+ */
+const estimateRowCount = async (client, query, params) => {
+  const result = await client.query(`EXPLAIN (FORMAT JSON) ${query}`, params);
+  return Math.round(result.rows[0]['QUERY PLAN'][0].Plan['Plan Rows']);
+};
+
+module.exports = {
+  COUNT_MODES,
+  encodeCursor,
+  decodeCursor,
+  keysetOrderBy,
+  keysetCondition,
+  estimateRowCount
+};
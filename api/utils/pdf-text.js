@@ -0,0 +1,112 @@
+const { APIError } = require('../middleware/errorHandler');
+const { getBlobStorage } = require('./blob-storage');
+
+/**
+ * PDF Text
+ *
+ * Reads a stored evidence PDF and extracts its text page by page with
+ * pdf.js (pdfjs-dist), loaded on first use. Only the text layer is read:
+ * pages printed from the browser have one, screenshot pages don't (see
+ * evidence-diff.js for comparing those).
+ */
+
+// Larger PDFs are not read into memory for extraction
+const MAX_PDF_BYTES = parseInt(process.env.TEXT_EXTRACT_MAX_BYTES) || 100 * 1024 * 1024;
+
+let pdfjs = null;
+
+const loadPdfjs = () => {
+  if (!pdfjs) {
+    try {
+      // The legacy build runs in Node without a DOM or worker
+      pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+    } catch (error) {
+      throw new APIError('Text extraction is not available on this server (pdfjs-dist is not installed)', 503);
+    }
+  }
+  return pdfjs;
+};
+
+/**
+ * Read a blob from storage into memory
+ * @param {string} backend - Storage backend name
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer>}
+ */
+const readBlob = async (backend, key) => {
+  const chunks = [];
+  for await (const chunk of await getBlobStorage(backend).get(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * The PDF bytes of an evidence record, from blob storage or the legacy
+ * pdf_data column
+ * @param {Object} record - pdf_records row (storage_backend, storage_key,
+ *   pdf_data, file_size, purged_at)
+ * @returns {Promise<Buffer>}
+ */
+const readRecordPdf = async (record) => {
+  if (record.purged_at) {
+    throw new APIError(`PDF content of record ${record.id} was purged; only its hash remains`, 410);
+  }
+  if (parseInt(record.file_size) > MAX_PDF_BYTES) {
+    throw new APIError(`PDF of record ${record.id} is too large to read (${record.file_size} bytes, max ${MAX_PDF_BYTES})`, 413);
+  }
+
+  return record.storage_key
+    ? readBlob(record.storage_backend, record.storage_key)
+    : Buffer.from(record.pdf_data);
+};
+
+// Text items joined into lines as pdf.js lays them out
+const pageText = (content) => content.items
+  .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+  .join('')
+  .split('\n')
+  .map(line => line.replace(/\s+/g, ' ').trim())
+  .filter(Boolean)
+  .join('\n');
+
+/**
+ * Extract the text of a PDF, page by page
+ * @param {Buffer} pdf - PDF bytes
+ * @returns {Promise<Object>} { page_count, pages: [string] }
+ */
+const extractPdfText = async (pdf) => {
+  const { getDocument } = loadPdfjs();
+
+  let document;
+  try {
+    document = await getDocument({
+      data: new Uint8Array(pdf.buffer, pdf.byteOffset, pdf.byteLength),
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false,
+      verbosity: 0
+    }).promise;
+  } catch (error) {
+    throw new APIError(`Could not read the PDF: ${error.message}`, 422);
+  }
+
+  try {
+    const pages = [];
+    for (let number = 1; number <= document.numPages; number++) {
+      const page = await document.getPage(number);
+      pages.push(pageText(await page.getTextContent()));
+      page.cleanup();
+    }
+
+    return { page_count: document.numPages, pages };
+  } finally {
+    await document.destroy();
+  }
+};
+
+module.exports = {
+  readBlob,
+  readRecordPdf,
+  extractPdfText
+};
@@ -0,0 +1,74 @@
+/**
+ * Role Permissions
+ *
+ * Permission matrix for organization roles. Routes declare the permission
+ * they need (see middleware/auth.js requirePermission); roles are granted
+ * per organization in the memberships table.
+ */
+
+const ROLES = ['viewer', 'capturer', 'reviewer', 'admin', 'auditor'];
+
+const PERMISSIONS = {
+  // List evidence and read its metadata
+  'evidence:read': ['viewer', 'capturer', 'reviewer', 'admin', 'auditor'],
+  // Check an evidence record against the Digital Evidence API
+  'evidence:verify': ['viewer', 'capturer', 'reviewer', 'admin', 'auditor'],
+  // Upload new evidence
+  'evidence:upload': ['capturer', 'admin'],
+  // Download the raw PDF
+  'evidence:download': ['reviewer', 'admin', 'auditor'],
+  // Soft delete and restore evidence
+  'evidence:delete': ['admin'],
+  // See soft-deleted and purged records
+  'evidence:read_deleted': ['admin', 'auditor'],
+  // Remove a deleted record's PDF content, leaving a tombstone
+  'evidence:purge': ['admin'],
+  // Place and release legal holds
+  'evidence:legal_hold': ['admin'],
+  // Read a record's chain-of-custody timeline
+  'evidence:custody': ['reviewer', 'admin', 'auditor'],
+  // Download a signed verification certificate
+  'evidence:certificate': ['capturer', 'reviewer', 'admin', 'auditor'],
+  // Organization statistics (GET /api/pdf/stats)
+  'evidence:stats': ['reviewer', 'admin', 'auditor'],
+  // List watch jobs (monitored URLs) and their runs
+  'monitor:read': ['capturer', 'reviewer', 'admin', 'auditor'],
+  // Create, change and remove watch jobs
+  'monitor:manage': ['capturer', 'admin'],
+  // Add and remove members and change their roles
+  'members:manage': ['admin'],
+  // List members and read the role audit log
+  'members:read': ['admin', 'auditor'],
+  // List and revoke every API key in the organization
+  'api_keys:manage': ['admin']
+};
+
+/**
+ * Whether a role has a permission
+ * @param {string} role - Organization role
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  const allowed = PERMISSIONS[permission];
+
+  if (!allowed) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return allowed.includes(role);
+};
+
+/**
+ * Every permission a role has
+ * @param {string} role - Organization role
+ * @returns {Array<string>} Permission names
+ */
+const permissionsFor = (role) => Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  permissionsFor
+};
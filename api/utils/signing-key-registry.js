@@ -0,0 +1,105 @@
+const path = require('path');
+const { pool } = require('../config/database');
+const digitalEvidenceClient = require('./digital-evidence-client');
+
+/**
+ * Signing Key Registry
+ *
+ * Keeps a history of every key ProofVault has signed Digital Evidence
+ * fingerprints with, so attestations made before a key rotation can still
+ * be tied back to a known signer.
+ */
+
+/**
+ * Register the currently configured signing key as the active key.
+ * If a different key was active, it is retired (key rotation).
+ * @returns {Object} The active signing key row
+ */
+const registerActiveSigningKey = async () => {
+  const signerId = digitalEvidenceClient.signerId;
+  const keySource = path.basename(digitalEvidenceClient.keyPath);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT id, signer_id FROM signing_keys WHERE status = 'active' FOR UPDATE`
+    );
+
+    if (current.rows.length > 0 && current.rows[0].signer_id === signerId) {
+      await client.query('COMMIT');
+      console.log(`🔑 Signing key ${signerId.slice(0, 20)}... already active`);
+      return current.rows[0];
+    }
+
+    if (current.rows.length > 0) {
+      await client.query(
+        `UPDATE signing_keys SET status = 'retired', retired_at = NOW() WHERE id = $1`,
+        [current.rows[0].id]
+      );
+      console.log(`🔄 Retired signing key ${current.rows[0].signer_id.slice(0, 20)}...`);
+    }
+
+    // A previously retired key can be re-activated by configuring it again
+    const result = await client.query(
+      `INSERT INTO signing_keys (signer_id, key_source, status, activated_at)
+       VALUES ($1, $2, 'active', NOW())
+       ON CONFLICT (signer_id) DO UPDATE SET
+         status = 'active',
+         key_source = EXCLUDED.key_source,
+         activated_at = NOW(),
+         retired_at = NULL
+       RETURNING *`,
+      [signerId, keySource]
+    );
+
+    await client.query('COMMIT');
+    console.log(`✅ Registered active signing key ${signerId.slice(0, 20)}...`);
+
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get the active and retired signing keys
+ * @returns {Object} { active, retired }
+ */
+const getSigningKeys = async () => {
+  const result = await pool.query(
+    `SELECT signer_id, algorithm, key_source, status, activated_at, retired_at
+     FROM signing_keys
+     ORDER BY activated_at DESC`
+  );
+
+  return {
+    active: result.rows.find(row => row.status === 'active') || null,
+    retired: result.rows.filter(row => row.status === 'retired')
+  };
+};
+
+/**
+ * Look up a signer by its signerId
+ * @param {string} signerId - Uncompressed public key hex
+ * @returns {Object|null} Signing key row
+ */
+const findSigningKey = async (signerId) => {
+  const result = await pool.query(
+    `SELECT signer_id, algorithm, key_source, status, activated_at, retired_at
+     FROM signing_keys WHERE signer_id = $1`,
+    [signerId]
+  );
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  registerActiveSigningKey,
+  getSigningKeys,
+  findSigningKey
+};
@@ -0,0 +1,158 @@
+/**
+ * Text Diff
+ *
+ * Line diff (Myers' O(ND) algorithm) grouped into hunks with context
+ * lines, as in a unified diff. Lines are compared exactly; callers
+ * normalize whitespace first (see pdf-text.js).
+ */
+
+const CONTEXT_LINES = 3;
+// Past this many differing lines the middle is reported as one replacement
+// instead of searched for the shortest edit script
+const MAX_EDIT_DISTANCE = parseInt(process.env.DIFF_MAX_EDIT_DISTANCE) || 2000;
+
+// Shortest edit script between a and b as [{ type, aIndex, bIndex }], or
+// null past maxD edits. Keeps one copy of the frontier per step to walk back.
+const myers = (a, b, maxD) => {
+  const n = a.length;
+  const m = b.length;
+  const offset = maxD + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+
+  for (let d = 0; d <= maxD; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, offset, n, m);
+      }
+    }
+  }
+
+  return null;
+};
+
+const backtrack = (trace, offset, n, m) => {
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ type: 'context', aIndex: x, bIndex: y });
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'added', aIndex: null, bIndex: prevY });
+      } else {
+        ops.push({ type: 'removed', aIndex: prevX, bIndex: null });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Diff two lists of lines
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @param {Object} options - { context } lines of context around changes
+ * @returns {Object} { identical, added, removed, truncated, hunks: [{ a_start,
+ *   a_count, b_start, b_count, lines: [{ type, text, a_line, b_line }] }] };
+ *   line numbers start at 1
+ */
+const diffLines = (a, b, { context = CONTEXT_LINES } = {}) => {
+  // Common head and tail are matched without searching
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const aMiddle = a.slice(head, a.length - tail);
+  const bMiddle = b.slice(head, b.length - tail);
+  let middle = myers(aMiddle, bMiddle, MAX_EDIT_DISTANCE);
+  const truncated = middle === null;
+  if (truncated) {
+    middle = [
+      ...aMiddle.map((line, i) => ({ type: 'removed', aIndex: i, bIndex: null })),
+      ...bMiddle.map((line, i) => ({ type: 'added', aIndex: null, bIndex: i }))
+    ];
+  }
+
+  const ops = [];
+  for (let i = 0; i < head; i++) ops.push({ type: 'context', aIndex: i, bIndex: i });
+  middle.forEach(op => ops.push({
+    type: op.type,
+    aIndex: op.aIndex === null ? null : op.aIndex + head,
+    bIndex: op.bIndex === null ? null : op.bIndex + head
+  }));
+  for (let i = tail; i > 0; i--) ops.push({ type: 'context', aIndex: a.length - i, bIndex: b.length - i });
+
+  // Changes closer than twice the context share a hunk
+  const ranges = [];
+  ops.forEach((op, index) => {
+    if (op.type === 'context') return;
+
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.lastChange <= 2 * context) {
+      last.lastChange = index;
+    } else {
+      ranges.push({ from: Math.max(0, index - context), lastChange: index });
+    }
+  });
+
+  const hunks = ranges.map(({ from, lastChange }) => {
+    const hunkOps = ops.slice(from, Math.min(ops.length, lastChange + context + 1));
+    const lines = hunkOps.map(op => ({
+      type: op.type,
+      text: op.type === 'added' ? b[op.bIndex] : a[op.aIndex],
+      a_line: op.aIndex === null ? null : op.aIndex + 1,
+      b_line: op.bIndex === null ? null : op.bIndex + 1
+    }));
+    const aLines = lines.filter(line => line.a_line !== null);
+    const bLines = lines.filter(line => line.b_line !== null);
+
+    // A side without lines starts where its text would be inserted
+    const before = ops.slice(0, from);
+    return {
+      a_start: aLines.length > 0 ? aLines[0].a_line : before.filter(op => op.aIndex !== null).length + 1,
+      a_count: aLines.length,
+      b_start: bLines.length > 0 ? bLines[0].b_line : before.filter(op => op.bIndex !== null).length + 1,
+      b_count: bLines.length,
+      lines
+    };
+  });
+
+  return {
+    identical: hunks.length === 0,
+    added: ops.filter(op => op.type === 'added').length,
+    removed: ops.filter(op => op.type === 'removed').length,
+    truncated,
+    hunks
+  };
+};
+
+module.exports = {
+  diffLines
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { pool } = require('../config/database');
+const { UPLOAD_TMP_DIR, PDF_SIGNATURE } = require('../middleware/upload');
+
+/**
+ * Resumable Upload Sessions
+ *
+ * A client opens a session with the file's size, PUTs it in chunks at the
+ * offset the server reports, and finalizes it with the SHA-256 it expects.
+ * Chunks are written into a spool file in UPLOAD_TMP_DIR; sessions are
+ * tracked in upload_sessions (see migrations/013_upload_sessions.sql).
+ * All API instances must share UPLOAD_TMP_DIR for this to work behind a
+ * load balancer.
+ */
+
+const UPLOAD_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1024 * 1024;
+const UPLOAD_SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+// A finalize running longer than this is taken to have died with its process
+const UPLOAD_FINALIZE_TIMEOUT_MINUTES = parseInt(process.env.UPLOAD_FINALIZE_TIMEOUT_MINUTES) || 30;
+
+/**
+ * Path of a session's spool file
+ * @param {string} sessionId - Upload session ID
+ * @returns {string}
+ */
+const spoolPath = (sessionId) => path.join(UPLOAD_TMP_DIR, `session-${sessionId}.part`);
+
+/**
+ * Create the empty spool file of a new session
+ * @param {string} sessionId - Upload session ID
+ * @returns {Promise<void>}
+ */
+const createSpoolFile = async (sessionId) => {
+  await fs.promises.mkdir(UPLOAD_TMP_DIR, { recursive: true });
+  const handle = await fs.promises.open(spoolPath(sessionId), 'wx');
+  await handle.close();
+};
+
+/**
+ * Write a chunk into the spool file at its offset
+ * @param {string} sessionId - Upload session ID
+ * @param {number} offset - Byte offset of the chunk
+ * @param {number} length - Declared chunk length
+ * @param {Readable} body - Chunk bytes (the request)
+ * @returns {Promise<number>} Bytes written
+ */
+const writeChunk = async (sessionId, offset, length, body) => {
+  let written = 0;
+
+  const limit = new Transform({
+    transform(chunk, encoding, done) {
+      written += chunk.length;
+      if (written > length) {
+        return done(new Error(`Chunk is larger than its declared ${length} bytes`));
+      }
+      done(null, chunk);
+    }
+  });
+
+  await pipeline(body, limit, fs.createWriteStream(spoolPath(sessionId), { flags: 'r+', start: offset }));
+  return written;
+};
+
+const SPOOL_HEAD_BYTES = 1024;
+
+/**
+ * Hash the first `size` bytes of a spool file and check the PDF signature
+ * @param {string} sessionId - Upload session ID
+ * @param {number} size - Total size of the upload
+ * @returns {Promise<Object>} { hash, isPdf, head } - head: the first bytes, for format checks
+ */
+const hashSpoolFile = async (sessionId, size) => {
+  const hash = crypto.createHash('sha256');
+  let head = Buffer.alloc(0);
+
+  // A retried chunk may have left bytes past the end; they are not part of the upload
+  for await (const chunk of fs.createReadStream(spoolPath(sessionId), { start: 0, end: size - 1 })) {
+    if (head.length < SPOOL_HEAD_BYTES) {
+      head = Buffer.concat([head, chunk]).subarray(0, SPOOL_HEAD_BYTES);
+    }
+    hash.update(chunk);
+  }
+
+  await fs.promises.truncate(spoolPath(sessionId), size);
+
+  return {
+    hash: hash.digest('hex'),
+    isPdf: head.subarray(0, PDF_SIGNATURE.length).equals(PDF_SIGNATURE),
+    head
+  };
+};
+
+const removeSpoolFile = async (sessionId) => {
+  await fs.promises.unlink(spoolPath(sessionId)).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+};
+
+/**
+ * Reopen sessions whose finalize died with its process, then abort open
+ * sessions past their expiry, and artifact uploads no PDF upload linked in
+ * time, and remove their spool files
+ * @returns {Promise<number>} Number of sessions expired
+ */
+const expireUploadSessions = async () => {
+  await pool.query(
+    `UPDATE upload_sessions SET status = 'open'
+     WHERE status = 'finalizing' AND finalizing_at < NOW() - make_interval(mins => $1)`,
+    [UPLOAD_FINALIZE_TIMEOUT_MINUTES]
+  );
+
+  const result = await pool.query(
+    `UPDATE upload_sessions
+     SET status = 'aborted', error_message = 'Session expired'
+     WHERE expires_at < NOW()
+       AND (status = 'open' OR (status = 'completed' AND artifact_kind IS NOT NULL AND record_id IS NULL))
+     RETURNING id`
+  );
+
+  for (const session of result.rows) {
+    await removeSpoolFile(session.id).catch(error => {
+      console.warn(`⚠️ Could not remove spool file of upload session ${session.id}:`, error.message);
+    });
+  }
+
+  return result.rows.length;
+};
+
+module.exports = {
+  UPLOAD_CHUNK_SIZE,
+  UPLOAD_SESSION_TTL_HOURS,
+  spoolPath,
+  createSpoolFile,
+  writeChunk,
+  hashSpoolFile,
+  removeSpoolFile,
+  expireUploadSessions
+};
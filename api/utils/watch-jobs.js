@@ -0,0 +1,146 @@
+const { pool } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+
+/**
+ * Watch Jobs
+ *
+ * URLs an organization wants captured on an interval, e.g. to prove when
+ * a page's content changed or was taken down. Each run captures the URL in
+ * headless Chromium (see headless-capture.js) and stores the PDF as an
+ * ordinary evidence record, linked back through watch_runs.record_id (see
+ * migrations/018_watch_jobs.sql). Jobs are claimed like evidence_jobs,
+ * with FOR UPDATE SKIP LOCKED, so several monitor workers can share them.
+ */
+
+const MIN_INTERVAL_MINUTES = parseInt(process.env.WATCH_MIN_INTERVAL_MINUTES) || 15;
+const MAX_INTERVAL_MINUTES = 366 * 24 * 60;
+const STALE_LOCK_MS = parseInt(process.env.MONITOR_STALE_LOCK_MS) || 10 * 60 * 1000;
+// A job that keeps failing is paused instead of capturing errors forever
+const MAX_CONSECUTIVE_FAILURES = parseInt(process.env.MONITOR_MAX_FAILURES) || 10;
+
+/**
+ * Parse a watch interval in minutes
+ * @param {*} value - interval_minutes as received
+ * @returns {number}
+ */
+const parseWatchInterval = (value) => {
+  const minutes = Number(value);
+
+  if (!Number.isInteger(minutes) || minutes < MIN_INTERVAL_MINUTES || minutes > MAX_INTERVAL_MINUTES) {
+    throw new APIError(`interval_minutes must be a whole number between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES}`, 400);
+  }
+
+  return minutes;
+};
+
+/**
+ * Claim the next due watch job. Jobs whose worker died mid-run are
+ * reclaimed once their lock is stale.
+ * @param {string} workerId - Identifier of the claiming worker
+ * @returns {Promise<Object|null>} Claimed watch_jobs row
+ */
+const claimDueWatchJob = async (workerId) => {
+  const result = await pool.query(
+    `UPDATE watch_jobs SET locked_at = NOW(), locked_by = $1
+     WHERE id = (
+       SELECT id FROM watch_jobs
+       WHERE is_active AND deleted_at IS NULL AND next_run_at <= NOW()
+         AND (locked_at IS NULL OR locked_at < NOW() - $2 * INTERVAL '1 millisecond')
+       ORDER BY next_run_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [workerId, STALE_LOCK_MS]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Start a run of a claimed job. A run left behind by a worker that died
+ * is closed as failed first.
+ * @param {Object} job - claimDueWatchJob() result
+ * @param {string} workerId - Identifier of the worker
+ * @returns {Promise<Object>} watch_runs row
+ */
+const startWatchRun = async (job, workerId) => {
+  await pool.query(
+    `UPDATE watch_runs SET status = 'failed', error = 'The worker stopped during the run', finished_at = NOW()
+     WHERE watch_job_id = $1 AND status = 'running'`,
+    [job.id]
+  );
+
+  const result = await pool.query(
+    `INSERT INTO watch_runs (watch_job_id, organization_id, worker_id)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [job.id, job.organization_id, workerId]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Record the outcome of a run and schedule the job's next one
+ * @param {Object} job - claimDueWatchJob() result
+ * @param {Object} run - startWatchRun() result
+ * @param {Object} outcome - { status: 'captured'|'failed', recordId, httpStatus,
+ *   finalUrl, contentHash, error, deactivate }
+ * @returns {Promise<Object>} Updated watch_runs row
+ */
+const finishWatchRun = async (job, run, outcome) => {
+  const captured = outcome.status === 'captured';
+  const contentChanged = captured && job.last_content_hash
+    ? outcome.contentHash !== job.last_content_hash
+    : null;
+  const failures = captured ? 0 : job.consecutive_failures + 1;
+  const deactivate = Boolean(outcome.deactivate) || failures >= MAX_CONSECUTIVE_FAILURES;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE watch_runs SET
+         status = $2, record_id = $3, http_status = $4, final_url = $5,
+         content_hash = $6, content_changed = $7, error = $8, finished_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        run.id, outcome.status, outcome.recordId || null, outcome.httpStatus || null, outcome.finalUrl || null,
+        outcome.contentHash || null, contentChanged, outcome.error || null
+      ]
+    );
+
+    // Scheduled from the run's start, so slow captures don't drift the interval
+    await client.query(
+      `UPDATE watch_jobs SET
+         last_run_at = $2::timestamptz, last_status = $3, last_error = $4,
+         last_content_hash = COALESCE($5, last_content_hash),
+         consecutive_failures = $6,
+         is_active = is_active AND NOT $7,
+         next_run_at = GREATEST($2::timestamptz + interval_minutes * INTERVAL '1 minute', NOW()),
+         locked_at = NULL, locked_by = NULL
+       WHERE id = $1`,
+      [job.id, run.started_at, outcome.status, outcome.error || null, captured ? outcome.contentHash : null, failures, deactivate]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  MIN_INTERVAL_MINUTES,
+  MAX_CONSECUTIVE_FAILURES,
+  parseWatchInterval,
+  claimDueWatchJob,
+  startWatchRun,
+  finishWatchRun
+};
@@ -0,0 +1,37 @@
+require('dotenv').config();
+
+const { testConnection } = require('./config/database');
+const { startEvidenceWorker, stopEvidenceWorker } = require('./workers/evidenceWorker');
+const { startFinalizationPoller, stopFinalizationPoller } = require('./workers/finalizationPoller');
+const { startWatchScheduler, stopWatchScheduler } = require('./workers/watchScheduler');
+
+// Standalone background worker, for running job processing and finalization
+// polling outside the API process (set EVIDENCE_WORKER_ENABLED=false on the
+// API in that case), and scheduled captures with MONITOR_WORKER_ENABLED=true
+const start = async () => {
+  console.log('Starting ProofVault evidence worker...');
+
+  const dbConnected = await testConnection();
+  if (!dbConnected) {
+    console.error('Failed to connect to database. Exiting...');
+    process.exit(1);
+  }
+
+  startEvidenceWorker();
+  startFinalizationPoller();
+
+  if (process.env.MONITOR_WORKER_ENABLED === 'true') {
+    startWatchScheduler();
+  }
+};
+
+const shutdown = async (signal) => {
+  console.log(`\nReceived ${signal}. Stopping evidence worker...`);
+  await Promise.all([stopEvidenceWorker(), stopFinalizationPoller(), stopWatchScheduler()]);
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start();
@@ -0,0 +1,112 @@
+const os = require('os');
+const { claimNextJob, completeJob, failJob } = require('../utils/job-queue');
+const { handleSubmitFingerprintJob, markSubmissionErrored } = require('../utils/evidence-submission');
+const { handleExtractTextJob } = require('../utils/evidence-text');
+
+/**
+ * Evidence Worker
+ *
+ * Polls the evidence_jobs table and runs each job through its handler.
+ * Handlers return { status, result }; thrown errors are retried with
+ * exponential backoff until the job runs out of attempts.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.EVIDENCE_WORKER_POLL_MS) || 5000;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Job type -> { run(job), onErrored(job) }
+const jobHandlers = {
+  submit_fingerprint: {
+    run: handleSubmitFingerprintJob,
+    onErrored: markSubmissionErrored
+  },
+  extract_text: {
+    run: handleExtractTextJob
+  }
+};
+
+let running = false;
+let timer = null;
+let activeRun = null;
+
+const runJob = async (job) => {
+  const startedAt = new Date();
+  const handler = jobHandlers[job.job_type];
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.job_type}`);
+    }
+
+    const { status, result } = await handler.run(job);
+    await completeJob(job, startedAt, status, result);
+    console.log(`✅ Job ${job.id} (${job.job_type}) -> ${status}`);
+  } catch (error) {
+    const outcome = await failJob(job, startedAt, error);
+
+    if (outcome.status === 'errored') {
+      console.error(`❌ Job ${job.id} (${job.job_type}) errored after ${job.attempts} attempts:`, error.message);
+      if (handler && handler.onErrored) {
+        await handler.onErrored(job);
+      }
+    } else {
+      console.warn(`⚠️ Job ${job.id} (${job.job_type}) attempt ${job.attempts} failed, retrying in ${Math.round(outcome.retryInMs / 1000)}s:`, error.message);
+    }
+  }
+};
+
+// Drain every runnable job, then wait for the next poll
+const tick = async () => {
+  timer = null;
+
+  try {
+    let job;
+    while (running && (job = await claimNextJob(WORKER_ID))) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Evidence worker error:', error);
+  }
+
+  if (running) {
+    timer = setTimeout(() => { activeRun = tick(); }, POLL_INTERVAL_MS);
+  }
+};
+
+// Start polling for jobs
+const startEvidenceWorker = () => {
+  if (running) return;
+
+  running = true;
+  console.log(`👷 Evidence worker ${WORKER_ID} started (poll every ${POLL_INTERVAL_MS}ms)`);
+  activeRun = tick();
+};
+
+// Run the queue now instead of waiting for the next poll (e.g. right after an upload)
+const wakeEvidenceWorker = () => {
+  if (running && timer) {
+    clearTimeout(timer);
+    activeRun = tick();
+  }
+};
+
+// Stop polling and wait for the job in progress to finish
+const stopEvidenceWorker = async () => {
+  running = false;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  if (activeRun) {
+    await activeRun;
+  }
+};
+
+module.exports = {
+  jobHandlers,
+  startEvidenceWorker,
+  wakeEvidenceWorker,
+  stopEvidenceWorker
+};
@@ -0,0 +1,89 @@
+const { pool } = require('../config/database');
+const digitalEvidenceClient = require('../utils/digital-evidence-client');
+const { recordFingerprintStatus } = require('../utils/fingerprint-status');
+
+/**
+ * Finalization Poller
+ *
+ * Reconciles every submitted-but-not-final fingerprint with the Digital
+ * Evidence API and persists the result, so records reach `finalized`
+ * (or `errored`) without anyone having to open them.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.FINALIZATION_POLL_MS) || 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.FINALIZATION_POLL_BATCH) || 50;
+
+let running = false;
+let timer = null;
+let activeRun = null;
+
+// Check one batch, least recently checked first
+const reconcile = async () => {
+  const result = await pool.query(
+    `SELECT id, blockchain_tx_id FROM pdf_records
+     WHERE blockchain_status = 'submitted' AND blockchain_tx_id IS NOT NULL
+     ORDER BY digital_evidence_checked_at NULLS FIRST
+     LIMIT $1`,
+    [BATCH_SIZE]
+  );
+
+  let finalized = 0;
+
+  for (const record of result.rows) {
+    if (!running) break;
+
+    try {
+      const statusResult = await digitalEvidenceClient.checkFingerprintStatus(record.blockchain_tx_id);
+      const { status } = await recordFingerprintStatus(record, statusResult);
+      if (status === 'FINALIZED_COMMITMENT') finalized++;
+    } catch (error) {
+      console.error(`Could not reconcile fingerprint for record ${record.id}:`, error.message);
+    }
+  }
+
+  if (result.rows.length > 0) {
+    console.log(`🔁 Finalization poller checked ${result.rows.length} fingerprint(s), ${finalized} finalized`);
+  }
+};
+
+const tick = async () => {
+  timer = null;
+
+  try {
+    await reconcile();
+  } catch (error) {
+    console.error('Finalization poller error:', error);
+  }
+
+  if (running) {
+    timer = setTimeout(() => { activeRun = tick(); }, POLL_INTERVAL_MS);
+  }
+};
+
+// Start reconciling on an interval
+const startFinalizationPoller = () => {
+  if (running) return;
+
+  running = true;
+  console.log(`🔁 Finalization poller started (every ${POLL_INTERVAL_MS}ms, batch ${BATCH_SIZE})`);
+  activeRun = tick();
+};
+
+// Stop reconciling and wait for the batch in progress
+const stopFinalizationPoller = async () => {
+  running = false;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  if (activeRun) {
+    await activeRun;
+  }
+};
+
+module.exports = {
+  startFinalizationPoller,
+  stopFinalizationPoller
+};
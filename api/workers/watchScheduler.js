@@ -0,0 +1,132 @@
+const os = require('os');
+const { findUserPrincipal, findApiKeyPrincipalById } = require('../utils/auth');
+const { hasPermission } = require('../utils/permissions');
+const { closeBrowser } = require('../utils/headless-capture');
+const { claimDueWatchJob, startWatchRun, finishWatchRun } = require('../utils/watch-jobs');
+const { captureAsEvidence } = require('../controllers/captureController');
+
+/**
+ * Watch Scheduler
+ *
+ * Runs due watch jobs one at a time: captures the URL in headless Chromium
+ * and stores the PDF through the upload path (captureAsEvidence), on
+ * behalf of the job's creator, then links the new record to the run. A
+ * job whose creator can no longer upload evidence is paused.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.MONITOR_POLL_MS) || 30 * 1000;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const USER_AGENT = `ProofVault Monitor/${require('../package.json').version}`;
+
+let running = false;
+let timer = null;
+let activeRun = null;
+
+// Whom a job's runs act for: its creator, with their current role
+const findWatchPrincipal = (job) => (job.created_by_api_key_id
+  ? findApiKeyPrincipalById(job.created_by_api_key_id)
+  : findUserPrincipal(job.created_by_user_id, job.organization_id));
+
+// What storeEvidence and the custody log read from an upload request
+// (req.body as set by attributeUpload)
+const watchRequest = (principal, run) => ({
+  auth: principal,
+  body: {
+    company_name: principal.organization.name.substring(0, 255),
+    username: (principal.user ? principal.user.username : `api-key:${principal.apiKey.name}`).substring(0, 255)
+  },
+  ip: null,
+  id: `watch-run:${run.id}`,
+  get: (header) => (header.toLowerCase() === 'user-agent' ? USER_AGENT : undefined)
+});
+
+const runWatchJob = async (job) => {
+  const run = await startWatchRun(job, WORKER_ID);
+
+  try {
+    const principal = await findWatchPrincipal(job);
+    if (!principal || !hasPermission(principal.organization.role, 'evidence:upload')) {
+      await finishWatchRun(job, run, {
+        status: 'failed',
+        error: 'The creator of this watch job can no longer upload evidence; the job was paused',
+        deactivate: true
+      });
+      console.warn(`⏸️ Watch job ${job.id} paused: its creator can no longer upload evidence`);
+      return;
+    }
+
+    // The watch job is named in the manifest, so the fingerprint covers the link
+    const result = await captureAsEvidence(watchRequest(principal, run), job.url, {
+      manifestExtras: {
+        watch: { watch_job_id: job.id, watch_run_id: run.id, interval_minutes: job.interval_minutes }
+      },
+      custodyDetails: { watch_job_id: job.id, watch_run_id: run.id }
+    });
+
+    if (result.statusCode !== 201) {
+      throw new Error(result.body.message);
+    }
+
+    const { manifest } = result;
+    const finished = await finishWatchRun(job, run, {
+      status: 'captured',
+      recordId: result.record.id,
+      httpStatus: manifest.http ? manifest.http.status : null,
+      finalUrl: manifest.http ? manifest.http.final_url : manifest.page.url,
+      contentHash: manifest.content.text_sha256
+    });
+    console.log(`🛰️ Watch job ${job.id} captured ${job.url} -> record ${result.record.id}${finished.content_changed ? ' (content changed)' : ''}`);
+  } catch (error) {
+    console.error(`Watch job ${job.id} run failed:`, error.message);
+    await finishWatchRun(job, run, { status: 'failed', error: error.message }).catch(finishError => {
+      console.error(`Could not record the failed run of watch job ${job.id}:`, finishError.message);
+    });
+  }
+};
+
+const tick = async () => {
+  timer = null;
+
+  try {
+    let job;
+    while (running && (job = await claimDueWatchJob(WORKER_ID))) {
+      await runWatchJob(job);
+    }
+  } catch (error) {
+    console.error('Watch scheduler error:', error);
+  }
+
+  if (running) {
+    timer = setTimeout(() => { activeRun = tick(); }, POLL_INTERVAL_MS);
+  }
+};
+
+// Start running due watch jobs on an interval
+const startWatchScheduler = () => {
+  if (running) return;
+
+  running = true;
+  console.log(`🛰️ Watch scheduler ${WORKER_ID} started (poll every ${POLL_INTERVAL_MS}ms)`);
+  activeRun = tick();
+};
+
+// Stop, wait for the run in progress and close the browser
+const stopWatchScheduler = async () => {
+  running = false;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  if (activeRun) {
+    await activeRun;
+  }
+
+  await closeBrowser();
+};
+
+module.exports = {
+  startWatchScheduler,
+  stopWatchScheduler
+};
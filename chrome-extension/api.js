@@ -1,64 +1,219 @@
 // api.js
 // All comments and strings in English.
 
+const PV_API_KEY_STORAGE = "pv_api_key";
+const PV_PRINCIPAL_STORAGE = "pv_principal";
+
+// Each request of a resumable upload gets its own timeout; failed chunks
+// are retried with backoff, resuming from the server's offset
+const PV_UPLOAD_REQUEST_TIMEOUT_MS = 60000;
+const PV_UPLOAD_MAX_RETRIES = 6;
+
 class ApiClient {
-  async health() {
-    const url = PV_CONFIG.API_HEALTH_URL;
-    const res = await fetch(url, { method: "GET" }).catch(() => null);
-    return !!(res && res.ok);
+  constructor(apiKey = "") {
+    this.apiKey = apiKey;
   }
 
-  async uploadPdf(blob, meta) {
-    // Map UI fields -> backend's strict keys
-    const company_name = (meta.organization || "").trim();
-    const username = (meta.user || "").trim();
+  setApiKey(apiKey) {
+    this.apiKey = (apiKey || "").trim();
+  }
 
-    if (!company_name) throw new Error("Upload aborted: organization/company is empty.");
-    if (!username) throw new Error("Upload aborted: username is empty.");
+  authHeaders() {
+    if (!this.apiKey) throw new Error("No API key configured.");
+    return { "X-API-Key": this.apiKey };
+  }
 
-    const form = new FormData();
+  // Stored in chrome.storage.local so the key survives popup restarts
+  static async loadApiKey() {
+    const stored = await chrome.storage.local.get(PV_API_KEY_STORAGE);
+    return stored[PV_API_KEY_STORAGE] || "";
+  }
 
-    // ---- TEXT FIELDS FIRST (as some parsers prefer this) ----
-    form.append("company_name", company_name); // required by backend
-    form.append("username", username);         // required by backend
-    form.append("id", meta.id);
-    form.append("timestamp", meta.timestamp);
-    form.append("url", meta.url);
-    if (meta.file_id) form.append("file_id", meta.file_id);
+  static async saveApiKey(apiKey) {
+    await chrome.storage.local.set({ [PV_API_KEY_STORAGE]: apiKey });
+  }
 
-    // Optional: debug what we're sending (avoid logging binary)
-    try {
-      for (const [k, v] of form.entries()) {
-        if (k !== "pdf") console.debug("[ProofVault] form field:", k, v);
-      }
-    } catch {}
+  // Last principal seen for an API key, so captures can be made offline
+  static async loadPrincipal(apiKey) {
+    const stored = await chrome.storage.local.get(PV_PRINCIPAL_STORAGE);
+    const cached = stored[PV_PRINCIPAL_STORAGE];
+    return cached && cached.apiKey === apiKey ? cached.principal : null;
+  }
 
-    // ---- FILE FIELD LAST (must be exactly 'pdf') ----
-    form.append("pdf", blob, `ProofVault_${meta.id}.pdf`);
+  static async savePrincipal(apiKey, principal) {
+    await chrome.storage.local.set({ [PV_PRINCIPAL_STORAGE]: { apiKey, principal } });
+  }
 
-    // Upload with timeout to avoid hanging UI
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 30000);
+  // Resolve the API key to its user and organization
+  async me() {
+    const res = await fetch(PV_CONFIG.API_ME_URL, { method: "GET", headers: this.authHeaders() });
+    if (res.status === 401) throw new Error("Invalid or revoked API key.");
+    if (!res.ok) throw new Error(`Could not check API key (${res.status})`);
+
+    const json = await res.json();
+    return json.data;
+  }
 
-    let res;
+  async health() {
+    const url = PV_CONFIG.API_HEALTH_URL;
+    const res = await fetch(url, { method: "GET" }).catch(() => null);
+    return !!(res && res.ok);
+  }
+
+  // fetch with a per-request timeout, so a stalled chunk is retried instead of hanging
+  async fetchWithTimeout(url, options, timeoutMs) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
     try {
-      res = await fetch(PV_CONFIG.API_UPLOAD_URL, {
-        method: "POST",
-        body: form,
-        signal: controller.signal
-      });
+      return await fetch(url, { ...options, signal: controller.signal });
     } finally {
       clearTimeout(timeout);
     }
+  }
+
+  async uploadJson(url, method, body) {
+    const res = await this.fetchWithTimeout(url, {
+      method,
+      headers: { ...this.authHeaders(), ...(body ? { "Content-Type": "application/json" } : {}) },
+      body: body ? JSON.stringify(body) : undefined
+    }, PV_UPLOAD_REQUEST_TIMEOUT_MS);
 
     const text = await res.text().catch(() => "");
+    let json = null;
+    try { json = JSON.parse(text); } catch {}
+
     if (!res.ok) {
-      const snippet = text ? ` - ${text.slice(0, 400)}` : "";
-      throw new Error(`Upload failed (${res.status})${snippet}`);
+      const message = json && (json.message || (json.error && json.error.message));
+      const error = new Error(`Upload failed (${res.status})${message ? ` - ${message}` : text ? ` - ${text.slice(0, 400)}` : ""}`);
+      error.status = res.status;
+      error.data = json && json.data;
+      throw error;
+    }
+
+    return json || { success: true };
+  }
+
+  // SHA-256 of a Blob or of bytes, as hex
+  static async sha256Hex(data) {
+    const digest = await crypto.subtle.digest("SHA-256", data instanceof Blob ? await data.arrayBuffer() : data);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  // Resumable upload: open a session committing to the SHA-256 computed at
+  // capture time (expected_hash), PUT the PDF in chunks from the offset the
+  // server reports, then finalize. The server rejects the upload if the
+  // bytes it received hash differently.
+  // Organization and user are taken from the API key by the backend.
+  // meta.sha256 may carry a hash computed earlier (e.g. when queued).
+  // meta.captureManifest (page context from the debugger) is stored with
+  // the record and bound into its fingerprint.
+  // meta.artifacts ([{ kind, extension, blob, sha256 }], e.g. the MHTML
+  // snapshot or the screenshot; extension defaults to the kind) are
+  // uploaded first and linked to the record when the PDF is finalized, so
+  // the fingerprint covers them too.
+  // onProgress(sentBytes, totalBytes) is called after every chunk.
+  async uploadPdf(blob, meta, onProgress = () => {}) {
+    const sha256 = meta.sha256 || await ApiClient.sha256Hex(blob);
+    const artifacts = meta.artifacts || [];
+    const totalBytes = artifacts.reduce((sum, artifact) => sum + artifact.blob.size, blob.size);
+    let doneBytes = 0;
+
+    const artifactUploadIds = [];
+    for (const artifact of artifacts) {
+      const created = await this.uploadJson(PV_CONFIG.API_UPLOADS_URL, "POST", {
+        filename: `ProofVault_${meta.id}.${artifact.extension || artifact.kind}`,
+        size: artifact.blob.size,
+        expected_hash: artifact.sha256,
+        artifact_kind: artifact.kind
+      });
+      await this.sendSessionChunks(created.data, artifact.blob, sent => onProgress(doneBytes + sent, totalBytes));
+      await this.completeSession(created.data.upload_id, { sha256: artifact.sha256 });
+      artifactUploadIds.push(created.data.upload_id);
+      doneBytes += artifact.blob.size;
+    }
+
+    const created = await this.uploadJson(PV_CONFIG.API_UPLOADS_URL, "POST", {
+      filename: `ProofVault_${meta.id}.pdf`,
+      size: blob.size,
+      expected_hash: sha256,
+      evidence_id: meta.id,
+      source_url: meta.url,
+      captured_at: meta.timestamp,
+      timezone: meta.timezone,
+      capture_manifest: meta.captureManifest || undefined
+    });
+    await this.sendSessionChunks(created.data, blob, sent => onProgress(doneBytes + sent, totalBytes));
+
+    return this.completeSession(created.data.upload_id, {
+      sha256,
+      ...(artifactUploadIds.length > 0 && { artifact_upload_ids: artifactUploadIds })
+    });
+  }
+
+  // PUT a blob into an upload session in chunks, starting at the offset
+  // the server reports; onProgress(sentBytes) after every chunk
+  async sendSessionChunks(session, blob, onProgress) {
+    const sessionUrl = `${PV_CONFIG.API_UPLOADS_URL}/${session.upload_id}`;
+    const chunkSize = session.chunk_size;
+    let offset = session.received_bytes;
+    let failures = 0;
+
+    onProgress(offset);
+
+    while (offset < blob.size) {
+      const end = Math.min(offset + chunkSize, blob.size) - 1;
+
+      try {
+        const res = await this.fetchWithTimeout(`${sessionUrl}/chunks`, {
+          method: "PUT",
+          headers: {
+            ...this.authHeaders(),
+            "Content-Type": "application/octet-stream",
+            "Content-Range": `bytes ${offset}-${end}/${blob.size}`
+          },
+          body: blob.slice(offset, end + 1)
+        }, PV_UPLOAD_REQUEST_TIMEOUT_MS);
+
+        const json = await res.json().catch(() => null);
+
+        // 409: the server holds a different offset (e.g. an earlier chunk did
+        // arrive but its response was lost); continue from there
+        if (res.ok || (res.status === 409 && json && json.data && json.data.status === "open")) {
+          offset = json.data.received_bytes;
+          failures = 0;
+          onProgress(offset);
+          continue;
+        }
+
+        const message = json && (json.message || (json.error && json.error.message));
+        if (res.status < 500) {
+          throw Object.assign(new Error(`Upload failed (${res.status})${message ? ` - ${message}` : ""}`), { fatal: true, status: res.status });
+        }
+        throw new Error(`Chunk upload failed (${res.status})`);
+      } catch (err) {
+        if (err.fatal || ++failures > PV_UPLOAD_MAX_RETRIES) throw err;
+
+        console.warn(`[ProofVault] chunk at ${offset} failed (attempt ${failures}), retrying:`, err.message);
+        await new Promise(resolve => setTimeout(resolve, Math.min(30000, 1000 * 2 ** failures)));
+
+        // Resume from what the server actually has
+        const state = await this.uploadJson(sessionUrl, "GET").catch(() => null);
+        if (state) offset = state.data.received_bytes;
+      }
     }
+  }
 
-    try { return JSON.parse(text); }
-    catch { return { success: true }; }
+  // Finalizing is idempotent, so it can be retried if its response is lost
+  async completeSession(uploadId, body) {
+    const sessionUrl = `${PV_CONFIG.API_UPLOADS_URL}/${uploadId}`;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.uploadJson(`${sessionUrl}/complete`, "POST", body);
+      } catch (err) {
+        if ((err.status && err.status < 500) || attempt >= PV_UPLOAD_MAX_RETRIES) throw err;
+        await new Promise(resolve => setTimeout(resolve, Math.min(30000, 1000 * 2 ** (attempt + 1))));
+      }
+    }
   }
 
   async getPdf(_id) {
@@ -1,10 +1,67 @@
 // background.js
+importScripts("config.js", "api.js", "queue.js", "coverTemplate.js");
+
 const DBG_VERSION = "1.3";
+const PV_QUEUE_ALARM = "pv-upload-queue";
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log("[ProofVault] Service worker installed");
+  chrome.alarms.create(PV_QUEUE_ALARM, { periodInMinutes: 1 });
+  processCaptureQueue();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  chrome.alarms.create(PV_QUEUE_ALARM, { periodInMinutes: 1 });
+  processCaptureQueue();
 });
 
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PV_QUEUE_ALARM) processCaptureQueue();
+});
+
+// Number of captures still waiting for upload, on the toolbar icon
+async function updateQueueBadge() {
+  const counts = await CaptureQueue.counts();
+  const waiting = counts.pending + counts.uploading + counts.failed;
+  await chrome.action.setBadgeBackgroundColor({ color: counts.failed ? "#b91c1c" : "#0f766e" });
+  await chrome.action.setBadgeText({ text: waiting ? String(waiting) : "" });
+}
+
+function notifyQueueChanged() {
+  // No receiver when the popup is closed
+  chrome.runtime.sendMessage({ type: "PV_QUEUE_CHANGED" }).catch(() => {});
+  updateQueueBadge().catch(() => {});
+}
+
+// Upload queued captures once the backend is reachable. Runs one at a time.
+let queueRun = null;
+function processCaptureQueue() {
+  if (queueRun) return queueRun;
+
+  queueRun = (async () => {
+    const apiKey = await ApiClient.loadApiKey();
+    const counts = await CaptureQueue.counts();
+    if (!apiKey || counts.pending + counts.uploading === 0) return [];
+
+    const api = new ApiClient(apiKey);
+    if (!(await api.health())) return [];
+
+    const results = await CaptureQueue.processDue(api);
+    results.forEach(entry => console.log(`[ProofVault] queued capture ${entry.id}: ${entry.status}`));
+    return results;
+  })()
+    .catch(err => {
+      console.error("[ProofVault] queue error:", err);
+      return [];
+    })
+    .finally(() => {
+      queueRun = null;
+      notifyQueueChanged();
+    });
+
+  return queueRun;
+}
+
 async function withDebugger(tabId, fn) {
   const target = { tabId };
   await chrome.debugger.attach(target, DBG_VERSION);
@@ -15,47 +72,386 @@ async function withDebugger(tabId, fn) {
   }
 }
 
-async function printFullPdf(tabId) {
+// Response headers that could leak the capturing user's session
+const PV_MANIFEST_HIDDEN_HEADERS = ["set-cookie", "set-cookie2"];
+const PV_VERIFICATION_TIMEOUT_MS = 15000;
+
+async function sha256HexOfBase64(b64) {
+  const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function filterHeaders(headers) {
+  const out = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (!PV_MANIFEST_HIDDEN_HEADERS.includes(name.toLowerCase())) out[name.toLowerCase()] = value;
+  }
+  return out;
+}
+
+// Page state as seen by the page itself
+const PV_PAGE_INFO_EXPR = `(() => {
+  const nav = performance.getEntriesByType("navigation")[0];
+  return {
+    title: document.title,
+    url: location.href,
+    referrer: document.referrer || null,
+    content_type: document.contentType,
+    charset: document.characterSet,
+    last_modified: document.lastModified,
+    language: navigator.language,
+    user_agent: navigator.userAgent,
+    viewport: {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      device_pixel_ratio: window.devicePixelRatio,
+      screen_width: screen.width,
+      screen_height: screen.height,
+      scroll_x: window.scrollX,
+      scroll_y: window.scrollY
+    },
+    navigation: nav ? {
+      type: nav.type,
+      redirect_count: nav.redirectCount,
+      next_hop_protocol: nav.nextHopProtocol,
+      transfer_size: nav.transferSize
+    } : null
+  };
+})()`;
+
+// Re-request the page's URL from the page (same cookies, same network path)
+// and record what the debugger sees on the wire: redirects, final response,
+// headers, server address and TLS details. The response to the original
+// navigation is no longer available once the page has loaded.
+async function observeVerificationRequest(target, url) {
+  const requests = new Map();
+  let requestId = null;
+
+  const listener = (source, method, params) => {
+    if (source.tabId !== target.tabId) return;
+    if (method === "Network.requestWillBeSent") {
+      if (!requestId && params.type === "Fetch" && params.request.url === url) requestId = params.requestId;
+      if (params.requestId !== requestId) return;
+      const entry = requests.get(requestId) || { redirects: [] };
+      if (params.redirectResponse) {
+        entry.redirects.push({
+          url: params.redirectResponse.url,
+          status: params.redirectResponse.status,
+          location: params.request.url,
+          remote_ip: params.redirectResponse.remoteIPAddress || null
+        });
+      }
+      requests.set(requestId, entry);
+    } else if (method === "Network.responseReceived" && params.requestId === requestId) {
+      requests.get(requestId).response = params.response;
+    } else if (method === "Network.loadingFailed" && params.requestId === requestId) {
+      requests.get(requestId).error = params.errorText;
+    }
+  };
+
+  chrome.debugger.onEvent.addListener(listener);
+  try {
+    await chrome.debugger.sendCommand(target, "Network.enable");
+    const evaluated = await chrome.debugger.sendCommand(target, "Runtime.evaluate", {
+      expression: `fetch(${JSON.stringify(url)}, { cache: "no-store", redirect: "follow" }).then(r => r.status)`,
+      awaitPromise: true,
+      returnByValue: true,
+      timeout: PV_VERIFICATION_TIMEOUT_MS
+    });
+
+    const entry = requests.get(requestId);
+    if (!entry || !entry.response) {
+      const reason = (entry && entry.error) ||
+        (evaluated.exceptionDetails && evaluated.exceptionDetails.exception && evaluated.exceptionDetails.exception.description) ||
+        "no response observed";
+      throw new Error(`Verification request failed: ${reason}`);
+    }
+
+    const res = entry.response;
+    const tls = res.securityDetails;
+    return {
+      http: {
+        source: "verification_request",
+        requested_url: url,
+        final_url: res.url,
+        redirects: entry.redirects,
+        status: res.status,
+        status_text: res.statusText,
+        protocol: res.protocol || null,
+        mime_type: res.mimeType,
+        remote_ip: res.remoteIPAddress || null,
+        remote_port: res.remotePort || null,
+        from_cache: Boolean(res.fromDiskCache || res.fromServiceWorker),
+        security_state: res.securityState,
+        headers: filterHeaders(res.headers)
+      },
+      tls: tls ? {
+        protocol: tls.protocol,
+        key_exchange: tls.keyExchange || null,
+        key_exchange_group: tls.keyExchangeGroup || null,
+        cipher: tls.cipher,
+        subject_name: tls.subjectName,
+        san_list: tls.sanList,
+        issuer: tls.issuer,
+        valid_from: new Date(tls.validFrom * 1000).toISOString(),
+        valid_to: new Date(tls.validTo * 1000).toISOString(),
+        certificate_transparency_compliance: tls.certificateTransparencyCompliance || null
+      } : null
+    };
+  } finally {
+    chrome.debugger.onEvent.removeListener(listener);
+  }
+}
+
+// Forensic context of the capture. Each part is collected independently;
+// what can't be collected is listed in errors instead of failing the capture.
+async function collectCaptureManifest(target) {
+  const manifest = {
+    manifest_version: 1,
+    collector: {
+      name: "ProofVault Chrome Extension",
+      version: chrome.runtime.getManifest().version,
+      method: "chrome.debugger"
+    },
+    page: null,
+    browser: null,
+    viewport: null,
+    navigation: null,
+    http: null,
+    tls: null,
+    errors: []
+  };
+  const attempt = async (part, fn) => {
+    try {
+      await fn();
+    } catch (err) {
+      manifest.errors.push({ part, message: err?.message || String(err) });
+    }
+  };
+
+  let info = null;
+  await attempt("page", async () => {
+    const res = await chrome.debugger.sendCommand(target, "Runtime.evaluate", {
+      expression: PV_PAGE_INFO_EXPR,
+      returnByValue: true
+    });
+    info = res.result.value;
+    manifest.page = {
+      title: info.title,
+      url: info.url,
+      referrer: info.referrer,
+      content_type: info.content_type,
+      charset: info.charset,
+      last_modified: info.last_modified
+    };
+    manifest.viewport = info.viewport;
+  });
+
+  await attempt("viewport", async () => {
+    const metrics = await chrome.debugger.sendCommand(target, "Page.getLayoutMetrics");
+    const content = metrics.cssContentSize || metrics.contentSize;
+    manifest.viewport = { ...manifest.viewport, content_width: content.width, content_height: content.height };
+  });
+
+  await attempt("browser", async () => {
+    const version = await chrome.debugger.sendCommand(target, "Browser.getVersion");
+    manifest.browser = {
+      product: version.product,
+      user_agent: info ? info.user_agent : version.userAgent,
+      language: info ? info.language : null,
+      js_version: version.jsVersion,
+      protocol_version: version.protocolVersion
+    };
+  });
+
+  // Referrer chain: the tab's history up to the captured page
+  await attempt("navigation", async () => {
+    const history = await chrome.debugger.sendCommand(target, "Page.getNavigationHistory");
+    manifest.navigation = {
+      ...(info && info.navigation),
+      referrer: info ? info.referrer : null,
+      history: history.entries.slice(0, history.currentIndex + 1).map(e => ({
+        url: e.url,
+        title: e.title,
+        transition_type: e.transitionType
+      }))
+    };
+  });
+
+  const pageUrl = info ? info.url : null;
+  if (pageUrl && /^https?:/.test(pageUrl)) {
+    await attempt("http", async () => {
+      const observed = await observeVerificationRequest(target, pageUrl);
+      manifest.http = observed.http;
+      manifest.tls = observed.tls;
+    });
+
+    if (pageUrl.startsWith("https:")) {
+      await attempt("tls", async () => {
+        const origin = new URL(manifest.http ? manifest.http.final_url : pageUrl).origin;
+        const cert = await chrome.debugger.sendCommand(target, "Network.getCertificate", { origin });
+        const chain = [];
+        for (const der of cert.tableNames || []) {
+          chain.push({ sha256: await sha256HexOfBase64(der), der_base64: der });
+        }
+        manifest.tls = { ...manifest.tls, origin, certificate_chain: chain };
+      });
+    }
+  }
+
+  return manifest;
+}
+
+// Capture modes offered by the popup: the print rendering, a full-page
+// screenshot, both, or a selected region plus the print rendering
+const PV_CAPTURE_MODES = ["print", "screenshot", "both", "region"];
+
+// Selection made in the page (selectOverlay.js), waiting for the popup to
+// finish the capture
+const PV_PENDING_SELECTION_STORAGE = "pv_pending_selection";
+
+// Chrome can't composite taller screenshots; longer pages are cut there
+// and the cut is recorded in the manifest
+const PV_SCREENSHOT_MAX_HEIGHT = 16384;
+
+// Full-page screenshot as base64 PNG, rendered beyond the viewport so the
+// page keeps its screen layout instead of the print stylesheet
+async function captureFullPageScreenshot(target) {
+  const metrics = await chrome.debugger.sendCommand(target, "Page.getLayoutMetrics");
+  const content = metrics.cssContentSize || metrics.contentSize;
+  const width = Math.ceil(content.width);
+  const height = Math.min(Math.ceil(content.height), PV_SCREENSHOT_MAX_HEIGHT);
+
+  const res = await chrome.debugger.sendCommand(target, "Page.captureScreenshot", {
+    format: "png",
+    captureBeyondViewport: true,
+    fromSurface: true,
+    clip: { x: 0, y: 0, width, height, scale: 1 }
+  });
+
+  return {
+    pngB64: res.data,
+    info: {
+      format: "png",
+      width,
+      height,
+      page_height: Math.ceil(content.height),
+      truncated: Math.ceil(content.height) > height,
+      sha256: await sha256HexOfBase64(res.data)
+    }
+  };
+}
+
+// Screenshot of a selected region at the display's full resolution. An
+// element is measured again, in case the page scrolled or reflowed since it
+// was picked; its last known box is used if it is gone.
+async function captureRegionScreenshot(target, selection, errors) {
+  let box = selection.bounding_box;
+
+  if (selection.type === "element" && selection.selector) {
+    try {
+      const res = await chrome.debugger.sendCommand(target, "Runtime.evaluate", {
+        expression: `(() => {
+          const el = document.querySelector(${JSON.stringify(selection.selector)});
+          if (!el) return null;
+          const r = el.getBoundingClientRect();
+          return { x: Math.round(r.left + scrollX), y: Math.round(r.top + scrollY), width: Math.round(r.width), height: Math.round(r.height) };
+        })()`,
+        returnByValue: true
+      });
+      if (res.result.value) box = res.result.value;
+      else errors.push({ part: "selection", message: "Selected element no longer found; captured its last known box" });
+    } catch (err) {
+      errors.push({ part: "selection", message: err?.message || String(err) });
+    }
+  }
+
+  const clip = {
+    x: Math.max(0, box.x),
+    y: Math.max(0, box.y),
+    width: Math.max(1, box.width),
+    height: Math.max(1, Math.min(box.height, PV_SCREENSHOT_MAX_HEIGHT)),
+    scale: 1
+  };
+  const res = await chrome.debugger.sendCommand(target, "Page.captureScreenshot", {
+    format: "png",
+    captureBeyondViewport: true,
+    fromSurface: true,
+    clip
+  });
+
+  return {
+    pngB64: res.data,
+    box,
+    info: {
+      format: "png",
+      width: clip.width,
+      height: clip.height,
+      truncated: box.height > clip.height,
+      sha256: await sha256HexOfBase64(res.data)
+    }
+  };
+}
+
+// Page rendering(s) for the capture mode, its MHTML snapshot and its
+// capture manifest, from one debugger session. The snapshot keeps the
+// markup, hidden text and link targets the PDF rendering loses; if it
+// can't be taken the capture goes on without it.
+async function capturePage(tabId, mode = "print", selection = null) {
+  if (!PV_CAPTURE_MODES.includes(mode)) throw new Error(`Unknown capture mode: ${mode}`);
+  if (mode === "region" && !selection) throw new Error("No area was selected.");
+
   return withDebugger(tabId, async (target) => {
     await chrome.debugger.sendCommand(target, "Page.enable");
-    const res = await chrome.debugger.sendCommand(target, "Page.printToPDF", {
-      printBackground: true,
-      preferCSSPageSize: true,
-      displayHeaderFooter: false,
-      scale: 1
-    });
-    return res.data;
+    const manifest = await collectCaptureManifest(target);
+    manifest.capture_mode = mode;
+
+    let mhtml = null;
+    try {
+      const snapshot = await chrome.debugger.sendCommand(target, "Page.captureSnapshot", { format: "mhtml" });
+      mhtml = snapshot.data;
+    } catch (err) {
+      manifest.errors.push({ part: "mhtml", message: err?.message || String(err) });
+    }
+
+    let screenshotB64 = null;
+    if (mode === "region") {
+      // A leftover notice of the overlay must not end up in the evidence
+      await chrome.debugger.sendCommand(target, "Runtime.evaluate", {
+        expression: "document.querySelectorAll('[data-proofvault-overlay]').forEach(el => el.remove())"
+      });
+      const region = await captureRegionScreenshot(target, selection, manifest.errors);
+      screenshotB64 = region.pngB64;
+      manifest.selection = {
+        type: selection.type,
+        selector: selection.selector || null,
+        tag: selection.tag || null,
+        text_excerpt: selection.text_excerpt || null,
+        bounding_box: region.box,
+        selected_bounding_box: selection.bounding_box,
+        device_pixel_ratio: selection.device_pixel_ratio || null,
+        selected_at: selection.selected_at || null
+      };
+      manifest.screenshot = region.info;
+    } else if (mode !== "print") {
+      const screenshot = await captureFullPageScreenshot(target);
+      screenshotB64 = screenshot.pngB64;
+      manifest.screenshot = screenshot.info;
+    }
+
+    let pdfB64 = null;
+    if (mode !== "screenshot") {
+      const res = await chrome.debugger.sendCommand(target, "Page.printToPDF", PV_PRINT_OPTIONS);
+      pdfB64 = res.data;
+    }
+
+    return { pdfB64, screenshotB64, mhtml, manifest };
   });
 }
 
 async function buildCoverPdf(meta) {
-  const esc = (s)=> String(s ?? "").replace(/[&<>"']/g, m=>({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#39;"}[m]));
-  const css = `
-    @page { size: A4; margin: 12mm; }
-    html,body { margin:0; padding:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, Inter, Arial, sans-serif; color:#0f172a; }
-    .wrap { max-width: 170mm; margin: 0 auto; }
-    h1 { font-size: 20pt; margin: 0 0 6mm; }
-    .kv { font-size: 11pt; color:#334155; display:grid; grid-template-columns: 40mm 1fr; row-gap:2mm; }
-    .kv b { color:#0f172a; }
-    .muted { color:#64748b; font-size:10pt; margin-top: 6mm; }
-    .badge { display:inline-block; padding:2mm 4mm; border:1px solid #e2e8f0; border-radius:6px; font-size:9pt; }
-  `;
-  const coverHtml = `<!doctype html><html><head><meta charset="utf-8"><style>${css}</style></head>
-  <body>
-    <section class="cover">
-      <div class="wrap">
-        <h1>ProofVault Evidence</h1>
-        <div class="kv">
-          <div><b>Organization</b></div><div>${esc(meta.organization)}</div>
-          <div><b>User</b></div><div>${esc(meta.user)}</div>
-          <div><b>URL</b></div><div class="muted">${esc(meta.url)}</div>
-          <div><b>Timestamp</b></div><div>${esc(meta.timestamp)}</div>
-          <div><b>Evidence ID</b></div><div><span class="badge">${esc(meta.id)}</span></div>
-        </div>
-      </div>
-    </section>
-  </body></html>`;
-
+  const coverHtml = buildCoverHtml(meta);
   const dataUrl = "data:text/html;base64," + btoa(unescape(encodeURIComponent(coverHtml)));
   const tab = await chrome.tabs.create({ url: dataUrl, active: false });
 
@@ -72,12 +468,7 @@ async function buildCoverPdf(meta) {
   try {
     return await withDebugger(tab.id, async (target) => {
       await chrome.debugger.sendCommand(target, "Page.enable");
-      const res = await chrome.debugger.sendCommand(target, "Page.printToPDF", {
-        printBackground: true,
-        preferCSSPageSize: true,
-        displayHeaderFooter: false,
-        scale: 1
-      });
+      const res = await chrome.debugger.sendCommand(target, "Page.printToPDF", PV_PRINT_OPTIONS);
       return res.data;
     });
   } finally {
@@ -85,12 +476,43 @@ async function buildCoverPdf(meta) {
   }
 }
 
-chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     try {
-      if (msg?.type === "PV_PRINT_FULLPDF") {
-        const pdfB64 = await printFullPdf(msg.tabId);
-        sendResponse({ ok: true, pdfB64 });
+      if (msg?.type === "PV_CAPTURE_PAGE") {
+        const { pdfB64, screenshotB64, mhtml, manifest } = await capturePage(msg.tabId, msg.mode, msg.selection);
+        sendResponse({ ok: true, pdfB64, screenshotB64, mhtml, manifest });
+        return;
+      }
+      if (msg?.type === "PV_START_SELECTION") {
+        await chrome.storage.session.remove(PV_PENDING_SELECTION_STORAGE);
+        await chrome.scripting.executeScript({ target: { tabId: msg.tabId }, files: ["selectOverlay.js"] });
+        sendResponse({ ok: true });
+        return;
+      }
+      if (msg?.type === "PV_SELECTION_DONE") {
+        // The popup closed when the page was clicked; it picks the
+        // selection up when it opens again
+        await chrome.storage.session.set({
+          [PV_PENDING_SELECTION_STORAGE]: { tabId: sender.tab.id, selection: msg.selection }
+        });
+        const reopened = await chrome.action.openPopup().then(() => true, () => false);
+        sendResponse({ ok: true, reopened });
+        return;
+      }
+      if (msg?.type === "PV_SELECTION_CANCELLED") {
+        await chrome.storage.session.remove(PV_PENDING_SELECTION_STORAGE);
+        sendResponse({ ok: true });
+        return;
+      }
+      if (msg?.type === "PV_PROCESS_QUEUE") {
+        const results = await processCaptureQueue();
+        sendResponse({ ok: true, processed: results.length });
+        return;
+      }
+      if (msg?.type === "PV_QUEUE_UPDATED") {
+        notifyQueueChanged();
+        sendResponse({ ok: true });
         return;
       }
       if (msg?.type === "PV_BUILD_COVER_PDF") {
@@ -5,11 +5,15 @@ const DEVELOPMENT = false;
 const PV_CONFIG = DEVELOPMENT ? {
   // Development configuration (local testing)
   API_UPLOAD_URL: "http://localhost:4001/api/pdf/upload",
+  API_UPLOADS_URL: "http://localhost:4001/api/pdf/uploads",
   API_HEALTH_URL: "http://localhost:4001/api/health",
+  API_ME_URL: "http://localhost:4001/api/auth/me",
   WEB_APP_URL: "http://localhost:4002/"
 } : {
   // Production configuration (Digital Evidence API on 4000)
   API_UPLOAD_URL: "http://proofvault.net:4000/api/pdf/upload",
+  API_UPLOADS_URL: "http://proofvault.net:4000/api/pdf/uploads",
   API_HEALTH_URL: "http://proofvault.net:4000/api/health",
+  API_ME_URL: "http://proofvault.net:4000/api/auth/me",
   WEB_APP_URL: "http://proofvault.net:4002/"
 };
\ No newline at end of file
@@ -0,0 +1,45 @@
+// coverTemplate.js
+// All comments and strings in English.
+// HTML of the evidence cover page. Printed by the service worker for
+// captures made in the browser (buildCoverPdf) and by the API's headless
+// capture for monitored URLs, so both produce the same cover.
+
+function buildCoverHtml(meta) {
+  const esc = (s)=> String(s ?? "").replace(/[&<>"']/g, m=>({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#39;"}[m]));
+  const css = `
+    @page { size: A4; margin: 12mm; }
+    html,body { margin:0; padding:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, Inter, Arial, sans-serif; color:#0f172a; }
+    .wrap { max-width: 170mm; margin: 0 auto; }
+    h1 { font-size: 20pt; margin: 0 0 6mm; }
+    .kv { font-size: 11pt; color:#334155; display:grid; grid-template-columns: 40mm 1fr; row-gap:2mm; }
+    .kv b { color:#0f172a; }
+    .muted { color:#64748b; font-size:10pt; margin-top: 6mm; }
+    .badge { display:inline-block; padding:2mm 4mm; border:1px solid #e2e8f0; border-radius:6px; font-size:9pt; }
+  `;
+  return `<!doctype html><html><head><meta charset="utf-8"><style>${css}</style></head>
+  <body>
+    <section class="cover">
+      <div class="wrap">
+        <h1>ProofVault Evidence</h1>
+        <div class="kv">
+          <div><b>Organization</b></div><div>${esc(meta.organization)}</div>
+          <div><b>User</b></div><div>${esc(meta.user)}</div>
+          <div><b>URL</b></div><div class="muted">${esc(meta.url)}</div>
+          <div><b>Timestamp</b></div><div>${esc(meta.timestamp)}</div>
+          <div><b>Evidence ID</b></div><div><span class="badge">${esc(meta.id)}</span></div>
+        </div>
+      </div>
+    </section>
+  </body></html>`;
+}
+
+// Page.printToPDF options for the cover and the page itself
+const PV_PRINT_OPTIONS = {
+  printBackground: true,
+  preferCSSPageSize: true,
+  displayHeaderFooter: false,
+  scale: 1
+};
+
+// Loaded with importScripts in the extension, required by the API
+if (typeof module !== "undefined") module.exports = { buildCoverHtml, PV_PRINT_OPTIONS };
@@ -17,6 +17,67 @@ class PdfGenerator{
     return this.logoDataUrl;
   }
 
+  loadImage(dataUrl){
+    return new Promise((resolve,reject)=>{
+      const im = new Image();
+      im.onload = ()=>resolve(im);
+      im.onerror = reject;
+      im.src = dataUrl;
+    });
+  }
+
+  // The screenshot is scaled to the page width and cut into page-high
+  // slices, so a long page stays legible instead of shrinking onto one page
+  async addScreenshotPages(doc, logo, screenshotDataUrl, { title = 'Captured Webpage', caption = null } = {}){
+    const im = await this.loadImage(screenshotDataUrl);
+    const margin = 10;
+    const top = 30;
+    const maxW = this.pageWmm - margin*2;
+    const maxH = this.pageHmm - top - margin;
+    const mmPerPx = Math.min(maxW / im.width, 1);
+    const slicePx = Math.floor(maxH / mmPerPx);
+    const pages = Math.max(1, Math.ceil(im.height / slicePx));
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    for(let i=0; i<pages; i++){
+      const y = i * slicePx;
+      const h = Math.min(slicePx, im.height - y);
+      canvas.width = im.width;
+      canvas.height = h;
+      ctx.drawImage(im, 0, y, im.width, h, 0, 0, im.width, h);
+
+      doc.addPage();
+      doc.addImage(logo, 'PNG', 10, 10, 16, 16);
+      doc.setFontSize(12);
+      doc.text(pages > 1 ? `${title} (${i+1}/${pages})` : title, 30, 18);
+      if(caption){
+        doc.setFontSize(8);
+        doc.text(doc.splitTextToSize(caption, this.pageWmm - 40).slice(0, 2), 30, 23);
+      }
+      doc.addImage(canvas.toDataURL('image/png'), 'PNG', margin, top, im.width * mmPerPx, h * mmPerPx);
+    }
+  }
+
+  // Pages showing a selected region only; popup.js puts them between the
+  // cover and the full-page print
+  async generateRegion(selection, screenshotDataUrl){
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ unit:'mm', format:'a4' });
+    const logo = await this.loadLogo();
+
+    const box = selection.bounding_box;
+    const where = `${box.width}×${box.height} px at (${box.x}, ${box.y})`;
+    const caption = selection.type === 'element'
+      ? `Element ${selection.selector}, ${where}`
+      : `Rectangle ${where}`;
+
+    await this.addScreenshotPages(doc, logo, screenshotDataUrl, { title: 'Selected Region', caption });
+    doc.deletePage(1); // jsPDF starts with an empty page
+
+    return doc.output('blob');
+  }
+
   async generate({id, organization, user, timestamp, timezone, url}, screenshotDataUrl){
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF({ unit:'mm', format:'a4' });
@@ -42,31 +103,8 @@ class PdfGenerator{
     line('Timezone', timezone);
     line('Website URL', url);
 
-    // Page 2: screenshot
-    doc.addPage();
-    doc.addImage(logo, 'PNG', 10, 10, 16, 16);
-    doc.setFontSize(12);
-    doc.text('Captured Webpage', 30, 18);
-
-    // Fit image keeping ratio with margins
-    const margin = 10;
-    const maxW = this.pageWmm - margin*2;
-    const maxH = this.pageHmm - 30 - margin;
-    // We need image dims; create image element
-    await new Promise((resolve,reject)=>{
-      const im = new Image();
-      im.onload = ()=>{
-        const wr = maxW / im.width;
-        const hr = maxH / im.height;
-        const r = Math.min(wr, hr);
-        const w = im.width * r;
-        const h = im.height * r;
-        doc.addImage(screenshotDataUrl, 'PNG', margin, 30, w, h);
-        resolve();
-      };
-      im.onerror = reject;
-      im.src = screenshotDataUrl;
-    });
+    // Screenshot pages
+    await this.addScreenshotPages(doc, logo, screenshotDataUrl);
 
     // Closing page
     doc.addPage();
@@ -1,11 +1,16 @@
 // popup.js
 // All comments and strings in English.
 
+const PV_CAPTURE_MODE_STORAGE = 'pv_capture_mode';
+// Written by background.js when an area has been selected in the page
+const PV_PENDING_SELECTION_STORAGE = 'pv_pending_selection';
+
 document.addEventListener('DOMContentLoaded', () => {
-  const companyInput = document.getElementById('company');
-  const userInput = document.getElementById('user');
+  const apiKeyInput = document.getElementById('apiKey');
+  const principalEl = document.getElementById('principal');
   const form = document.getElementById('evidenceForm');
   const vaultBtn = document.getElementById('vaultBtn');
+  const captureModeSelect = document.getElementById('captureMode');
 
   const statusSection = document.getElementById('statusSection');
   const resultSection = document.getElementById('resultSection');
@@ -14,6 +19,13 @@ document.addEventListener('DOMContentLoaded', () => {
   const progressFill = document.getElementById('progressFill');
   const generatedIdEl = document.getElementById('generatedId');
   const captureTs = document.getElementById('captureTimestamp');
+  const captureHashEl = document.getElementById('captureHash');
+  const uploadStateEl = document.getElementById('uploadState');
+
+  const queueSection = document.getElementById('queueSection');
+  const queueSummary = document.getElementById('queueSummary');
+  const queueList = document.getElementById('queueList');
+  const retryQueueBtn = document.getElementById('retryQueueBtn');
 
   const downloadBtn = document.getElementById('downloadBtn');
   const viewOnlineBtn = document.getElementById('viewOnlineBtn');
@@ -23,6 +35,28 @@ document.addEventListener('DOMContentLoaded', () => {
   let currentBlob = null;
   let currentId = null;
 
+  ApiClient.loadApiKey().then(key => {
+    if(key){
+      apiKeyInput.value = key;
+      api.setApiKey(key);
+      api.me().then(showPrincipal).catch(() => {});
+    }
+    resumeSelection();
+  });
+
+  chrome.storage.local.get(PV_CAPTURE_MODE_STORAGE).then(stored => {
+    if(stored[PV_CAPTURE_MODE_STORAGE]) captureModeSelect.value = stored[PV_CAPTURE_MODE_STORAGE];
+  });
+  captureModeSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ [PV_CAPTURE_MODE_STORAGE]: captureModeSelect.value });
+  });
+
+  renderQueue();
+  // The service worker reports queue progress while the popup is open
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (msg?.type === 'PV_QUEUE_CHANGED') renderQueue();
+  });
+
   function showStatus(title, pct, msg=''){
     statusSection.classList.remove('hidden');
     resultSection.classList.add('hidden');
@@ -38,6 +72,87 @@ document.addEventListener('DOMContentLoaded', () => {
     showStatus('Error', 0, message);
     vaultBtn.disabled = false;
   }
+  function showPrincipal(principal){
+    const who = principal.user ? principal.user.username : principal.api_key.name;
+    principalEl.textContent = `Signed in as ${who} · ${principal.organization.name}`;
+    principalEl.classList.remove('hidden');
+  }
+  function queueChanged(){
+    renderQueue();
+    chrome.runtime.sendMessage({ type:'PV_QUEUE_UPDATED' }).catch(() => {});
+  }
+  function processQueue(){
+    chrome.runtime.sendMessage({ type:'PV_PROCESS_QUEUE' }).catch(() => {});
+  }
+  async function renderQueue(){
+    const entries = await CaptureQueue.list().catch(() => []);
+    queueSection.classList.toggle('hidden', entries.length === 0);
+    queueList.textContent = '';
+
+    const counts = { pending:0, uploading:0, failed:0, uploaded:0 };
+    entries.forEach(e => { counts[e.status]++; });
+    queueSummary.textContent = `${counts.pending + counts.uploading} pending · ${counts.failed} failed · ${counts.uploaded} uploaded`;
+    retryQueueBtn.disabled = counts.pending + counts.failed === 0;
+
+    for (const entry of entries){
+      const li = document.createElement('li');
+
+      const row = document.createElement('div');
+      row.className = 'row';
+      const id = document.createElement('code');
+      id.textContent = entry.id;
+      const badge = document.createElement('span');
+      badge.className = `badge ${entry.status}`;
+      badge.textContent = entry.status;
+      row.append(id, badge);
+
+      const info = document.createElement('div');
+      info.className = 'muted';
+      const when = entry.status === 'uploaded' ? `uploaded ${formatLocal(entry.uploaded_at)}` : `captured ${formatLocal(entry.created_at)}`;
+      info.textContent = `${formatMb(entry.size)} MB · ${when}` +
+        (entry.status === 'pending' && entry.attempts ? ` · next try ${formatLocal(entry.next_attempt_at)}` : '');
+      info.title = `SHA-256 ${entry.sha256}\n${entry.meta.url}`;
+      li.append(row, info);
+
+      if (entry.last_error){
+        const error = document.createElement('div');
+        error.className = 'error';
+        error.textContent = entry.last_error;
+        li.append(error);
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'actions';
+      if (entry.status === 'failed'){
+        const retry = document.createElement('button');
+        retry.className = 'ghost small';
+        retry.textContent = 'Retry';
+        retry.addEventListener('click', async () => {
+          await CaptureQueue.retry(entry.id);
+          queueChanged();
+          processQueue();
+        });
+        actions.append(retry);
+      }
+      if (entry.status === 'uploaded' || entry.status === 'failed'){
+        const remove = document.createElement('button');
+        remove.className = 'ghost small';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', async () => {
+          if (entry.status === 'failed' && !confirm('This capture was never uploaded. Remove it from this browser?')) return;
+          await CaptureQueue.remove(entry.id);
+          queueChanged();
+        });
+        actions.append(remove);
+      }
+      if (actions.childElementCount) li.append(actions);
+
+      queueList.append(li);
+    }
+  }
+  function formatMb(bytes){
+    return (bytes / (1024 * 1024)).toFixed(1);
+  }
   function b64ToBytes(b64){
     const bin = atob(b64);
     const arr = new Uint8Array(bin.length);
@@ -45,19 +160,84 @@ document.addEventListener('DOMContentLoaded', () => {
     return arr;
   }
 
-  form.addEventListener('submit', async (e) => {
+  // "Selected area": the overlay takes the clicks, which closes the popup;
+  // the capture continues in resumeSelection() when the popup reopens
+  async function startSelection(){
+    vaultBtn.disabled = true;
+    const apiKey = (apiKeyInput.value||'').trim();
+    if(!apiKey){
+      return fail('Please enter your ProofVault API key.');
+    }
+    await ApiClient.saveApiKey(apiKey);
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if(!tab){ return fail('No active tab.'); }
+
+    const res = await chrome.runtime.sendMessage({ type:'PV_START_SELECTION', tabId: tab.id })
+      .catch(err => ({ ok:false, error: err?.message || String(err) }));
+    if(!res || !res.ok){
+      console.error(res && res.error);
+      return fail('This page does not allow selecting an area.');
+    }
+    showStatus('Select an area', 0, 'Click an element or drag a rectangle on the page. Press Esc to cancel.');
+  }
+
+  async function resumeSelection(){
+    const stored = await chrome.storage.session.get(PV_PENDING_SELECTION_STORAGE);
+    const pending = stored[PV_PENDING_SELECTION_STORAGE];
+    if(!pending) return;
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if(!tab || tab.id !== pending.tabId) return;
+    await chrome.storage.session.remove(PV_PENDING_SELECTION_STORAGE);
+
+    if(tab.url !== pending.selection.page_url){
+      return fail('The page changed after the area was selected. Select it again.');
+    }
+    runCapture('region', pending.selection);
+  }
+
+  form.addEventListener('submit', (e) => {
     e.preventDefault();
+    if(captureModeSelect.value === 'region') startSelection();
+    else runCapture(captureModeSelect.value, null);
+  });
+
+  async function runCapture(mode, selection){
     vaultBtn.disabled = true;
 
-    const company = (companyInput.value||'').trim();
-    const user = (userInput.value||'').trim();
-    if(!company || !user){
-      return fail('Please fill both Organization and User.');
+    const apiKey = (apiKeyInput.value||'').trim();
+    if(!apiKey){
+      return fail('Please enter your ProofVault API key.');
     }
 
     showStatus('Checking backend...', 10);
-    const ok = await api.health();
-    if(!ok){ return fail('Backend not reachable.'); }
+    const online = await api.health();
+
+    // The cover page shows the organization and user the key belongs to.
+    // Offline, the last principal seen for this key is used and the
+    // capture is queued.
+    api.setApiKey(apiKey);
+    let principal;
+    if(online){
+      try{
+        principal = await api.me();
+      }catch(err){
+        principalEl.classList.add('hidden');
+        return fail(err.message);
+      }
+      await ApiClient.savePrincipal(apiKey, principal);
+    }else{
+      principal = await ApiClient.loadPrincipal(apiKey);
+      if(!principal){
+        return fail('Backend not reachable, and this API key has not been used online yet.');
+      }
+    }
+    await ApiClient.saveApiKey(apiKey);
+    showPrincipal(principal);
+    if(!(principal.permissions || []).includes('evidence:upload')){
+      return fail(`Your role (${principal.organization.role}) cannot capture evidence.`);
+    }
 
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if(!tab){ return fail('No active tab.'); }
@@ -65,45 +245,110 @@ document.addEventListener('DOMContentLoaded', () => {
     const id = `PV_${Date.now()}_${Math.random().toString(36).slice(2,9)}`;
     const meta = {
       id,
-      organization: company,
-      user,
+      organization: principal.organization.name,
+      user: principal.user ? principal.user.username : principal.api_key.name,
       timestamp: new Date().toISOString(),
       timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
       url: tab.url
     };
 
-    showStatus('Preparing cover...', 25);
-    const cover = await chrome.runtime.sendMessage({ type:'PV_BUILD_COVER_PDF', meta })
-      .catch(err => ({ ok:false, error: err?.message || String(err) }));
-    if(!cover || !cover.ok){
-      console.error(cover && cover.error);
-      return fail('Failed to build cover PDF.');
+    // The screenshot report brings its own cover
+    let cover = null;
+    if(mode !== 'screenshot'){
+      showStatus('Preparing cover...', 25);
+      cover = await chrome.runtime.sendMessage({ type:'PV_BUILD_COVER_PDF', meta })
+        .catch(err => ({ ok:false, error: err?.message || String(err) }));
+      if(!cover || !cover.ok){
+        console.error(cover && cover.error);
+        return fail('Failed to build cover PDF.');
+      }
     }
 
-    showStatus('Printing page...', 45);
-    const body = await chrome.runtime.sendMessage({ type:'PV_PRINT_FULLPDF', tabId: tab.id })
+    showStatus(mode === 'print' ? 'Printing page...' : 'Capturing page...', 45);
+    const body = await chrome.runtime.sendMessage({ type:'PV_CAPTURE_PAGE', tabId: tab.id, mode, selection })
       .catch(err => ({ ok:false, error: err?.message || String(err) }));
     if(!body || !body.ok){
       console.error(body && body.error);
-      return fail('Failed to print full page PDF.');
+      return fail(mode === 'print' ? 'Failed to print full page PDF.' : 'Failed to capture the page.');
     }
 
     showStatus('Merging PDFs...', 60);
     if(!window.PDFLib || !PDFLib.PDFDocument){
       return fail('pdf-lib is not loaded. Add <script src=\"libs/pdf-lib.min.js\"></script> before popup.js.');
     }
+    if(body.screenshotB64 && !window.jspdf){
+      return fail('jsPDF is not loaded. Add <script src=\"jspdf.umd.min.js\"></script> before popup.js.');
+    }
     const merged = await PDFLib.PDFDocument.create();
-    const srcCover = await PDFLib.PDFDocument.load(b64ToBytes(cover.pdfB64));
-    const srcBody  = await PDFLib.PDFDocument.load(b64ToBytes(body.pdfB64));
-    const [coverPage] = await merged.copyPages(srcCover, [0]);
-    merged.addPage(coverPage);
-    const bodyPages = await merged.copyPages(srcBody, srcBody.getPageIndices());
-    bodyPages.forEach(p => merged.addPage(p));
+    const appendPdf = async (bytes, from = 0) => {
+      const src = await PDFLib.PDFDocument.load(bytes);
+      const pages = await merged.copyPages(src, src.getPageIndices().slice(from));
+      pages.forEach(p => merged.addPage(p));
+    };
+    const screenshotUrl = body.screenshotB64 ? `data:image/png;base64,${body.screenshotB64}` : null;
+
+    if(cover){
+      const srcCover = await PDFLib.PDFDocument.load(b64ToBytes(cover.pdfB64));
+      const [coverPage] = await merged.copyPages(srcCover, [0]);
+      merged.addPage(coverPage);
+    }
+    // Selected region first; the full-page print follows as context
+    if(mode === 'region'){
+      const regionPdf = await new PdfGenerator().generateRegion(body.manifest.selection, screenshotUrl);
+      await appendPdf(await regionPdf.arrayBuffer());
+    }
+    if(body.pdfB64){
+      await appendPdf(b64ToBytes(body.pdfB64));
+    }
+    if(screenshotUrl && mode !== 'region'){
+      // Cover, screenshot pages and legal closing page; after the printed
+      // pages in "both" mode, where the print cover already opens the document
+      const report = await new PdfGenerator().generate(meta, screenshotUrl);
+      await appendPdf(await report.arrayBuffer(), cover ? 1 : 0);
+    }
     const mergedBytes = await merged.save();
+
+    // Hash committed to before anything leaves the browser; the server
+    // rejects the upload unless the bytes it receives match (expected_hash)
+    const sha256 = await ApiClient.sha256Hex(mergedBytes);
+
+    // Page context recorded while capturing (with the capture mode and the
+    // screenshot's hash); bound into the fingerprint together with the PDF hash
+    const manifest = {
+      ...body.manifest,
+      evidence_id: id,
+      captured_at: meta.timestamp,
+      timezone: meta.timezone,
+      pdf_sha256: sha256
+    };
     currentBlob = new Blob([mergedBytes], { type: 'application/pdf' });
 
-    showStatus('Uploading...', 85);
+    // Raw page source, anchored in the same fingerprint as the PDF
+    const artifacts = [];
+    if(body.mhtml){
+      const mhtmlBlob = new Blob([body.mhtml], { type: 'multipart/related' });
+      artifacts.push({ kind: 'mhtml', blob: mhtmlBlob, sha256: await ApiClient.sha256Hex(mhtmlBlob), size: mhtmlBlob.size });
+    }
+    // The screenshot itself, lossless, so later captures can be compared pixel by pixel
+    if(body.screenshotB64){
+      const pngBlob = new Blob([b64ToBytes(body.screenshotB64)], { type: 'image/png' });
+      artifacts.push({ kind: 'screenshot', extension: 'png', blob: pngBlob, sha256: await ApiClient.sha256Hex(pngBlob), size: pngBlob.size });
+    }
+
+    // Kept in the browser with its hash before anything is sent, so the
+    // capture survives a failed upload
+    showStatus('Saving capture...', 75);
     try{
+      await CaptureQueue.add({ id, blob: currentBlob, sha256, size: currentBlob.size, meta, manifest, artifacts });
+    }catch(err){
+      console.error(err);
+      return fail('Could not save the capture in this browser.');
+    }
+    queueChanged();
+
+    let entry = await CaptureQueue.get(id);
+    if(online){
+      showStatus('Uploading...', 85);
       console.debug("[ProofVault] meta being sent:", {
         id: meta.id,
         organization: meta.organization,
@@ -112,17 +357,27 @@ document.addEventListener('DOMContentLoaded', () => {
         url: meta.url
       });
 
-      await api.uploadPdf(currentBlob, { ...meta });
-    }catch(err){
-      console.error(err);
-      return fail(err && err.message ? err.message : 'Upload failed.');
+      entry = await CaptureQueue.upload(api, id, (sent, total) => {
+        const pct = 85 + Math.round(15 * sent / total);
+        showStatus('Uploading...', pct, `${formatMb(sent)} of ${formatMb(total)} MB`);
+      }) || entry;
+      queueChanged();
+    }
+
+    if(entry.status === 'failed'){
+      return fail(`${entry.last_error} The capture is kept in the queue below.`);
     }
 
     currentId = meta.id;
     generatedIdEl.textContent = currentId;
     captureTs.textContent = new Date(meta.timestamp).toLocaleString();
+    captureHashEl.textContent = sha256;
+    uploadStateEl.textContent = entry.status === 'uploaded'
+      ? 'Uploaded'
+      : 'Saved offline; will upload when the backend is reachable';
     showResult();
-  });
+    if(entry.status !== 'uploaded') processQueue();
+  }
 
   downloadBtn.addEventListener('click', () => {
     if(!currentBlob) return;
@@ -0,0 +1,186 @@
+// queue.js
+// All comments and strings in English.
+// Offline capture queue, shared by the popup and the background service worker.
+// Every capture is stored in IndexedDB with its SHA-256 before it is uploaded,
+// so nothing is lost when the backend can't be reached.
+
+const PV_QUEUE_DB = "proofvault";
+const PV_QUEUE_DB_VERSION = 1;
+const PV_QUEUE_STORE = "captures";
+
+// An upload in progress holds its entry for this long; after that another
+// context (e.g. the service worker after the popup closed) may take it over
+const PV_QUEUE_LEASE_MS = 10 * 60 * 1000;
+const PV_QUEUE_BACKOFF_BASE_MS = 60 * 1000;
+const PV_QUEUE_BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// Entry statuses: pending (waiting for upload or a retry), uploading,
+// failed (rejected by the backend; needs a manual retry), uploaded
+const CaptureQueue = {
+  db: null,
+
+  open() {
+    if (this.db) return this.db;
+
+    this.db = new Promise((resolve, reject) => {
+      const req = indexedDB.open(PV_QUEUE_DB, PV_QUEUE_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(PV_QUEUE_STORE, { keyPath: "id" });
+        store.createIndex("status", "status");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    return this.db;
+  },
+
+  async run(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(PV_QUEUE_STORE, mode);
+      const req = fn(tx.objectStore(PV_QUEUE_STORE));
+      tx.oncomplete = () => resolve(req && req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
+  // entry: { id, blob, sha256, size, meta, manifest, artifacts }
+  // artifacts: [{ kind, extension, blob, sha256, size }], e.g. the MHTML snapshot
+  async add(entry) {
+    const now = Date.now();
+    const record = {
+      status: "pending",
+      attempts: 0,
+      last_error: null,
+      record_id: null,
+      created_at: now,
+      next_attempt_at: now,
+      uploading_until: 0,
+      uploaded_at: null,
+      ...entry
+    };
+    await this.run("readwrite", store => store.put(record));
+    return record;
+  },
+
+  get(id) {
+    return this.run("readonly", store => store.get(id));
+  },
+
+  // Newest first
+  async list() {
+    const entries = await this.run("readonly", store => store.getAll());
+    return (entries || []).sort((a, b) => b.created_at - a.created_at);
+  },
+
+  // Read-modify-write in one transaction, so the popup and the service
+  // worker can't both claim an entry
+  async update(id, changeFn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(PV_QUEUE_STORE, "readwrite");
+      const store = tx.objectStore(PV_QUEUE_STORE);
+      let updated = null;
+
+      const req = store.get(id);
+      req.onsuccess = () => {
+        if (!req.result) return;
+        const changes = changeFn(req.result);
+        if (!changes) return;
+        updated = { ...req.result, ...changes };
+        store.put(updated);
+      };
+      tx.oncomplete = () => resolve(updated);
+      tx.onerror = () => reject(tx.error);
+    });
+  },
+
+  remove(id) {
+    return this.run("readwrite", store => store.delete(id));
+  },
+
+  async counts() {
+    const entries = await this.list();
+    return entries.reduce((acc, e) => {
+      acc[e.status] = (acc[e.status] || 0) + 1;
+      return acc;
+    }, { pending: 0, uploading: 0, failed: 0, uploaded: 0 });
+  },
+
+  isDue(entry, now = Date.now()) {
+    return (entry.status === "pending" && entry.next_attempt_at <= now) ||
+      (entry.status === "uploading" && entry.uploading_until <= now);
+  },
+
+  // Make a failed entry eligible for upload again
+  retry(id) {
+    return this.update(id, entry => (entry.status === "failed" || entry.status === "pending")
+      ? { status: "pending", next_attempt_at: Date.now(), last_error: null }
+      : null);
+  },
+
+  // Upload one entry. Returns the updated entry, or null when another
+  // context is already uploading it.
+  async upload(api, id, onProgress) {
+    const now = Date.now();
+    const claimed = await this.update(id, entry => {
+      if (entry.status === "uploaded") return null;
+      if (entry.status === "uploading" && entry.uploading_until > now) return null;
+      return { status: "uploading", uploading_until: now + PV_QUEUE_LEASE_MS, attempts: entry.attempts + 1 };
+    });
+    if (!claimed) return null;
+
+    try {
+      const result = await api.uploadPdf(claimed.blob, {
+        ...claimed.meta,
+        sha256: claimed.sha256,
+        captureManifest: claimed.manifest || null,
+        artifacts: claimed.artifacts || []
+      }, onProgress);
+      return await this.markUploaded(id, result.data && result.data.id);
+    } catch (err) {
+      // Already stored (e.g. the response of an earlier attempt was lost)
+      const existing = err.status === 409 && err.data && err.data.existing_record;
+      if (existing) return await this.markUploaded(id, existing.id);
+
+      // 4xx other than timeouts and rate limits won't succeed by retrying
+      const permanent = err.status >= 400 && err.status < 500 && err.status !== 408 && err.status !== 429;
+      const message = err && err.message ? err.message : String(err);
+
+      return await this.update(id, entry => permanent
+        ? { status: "failed", last_error: message, uploading_until: 0 }
+        : {
+          status: "pending",
+          last_error: message,
+          uploading_until: 0,
+          next_attempt_at: Date.now() + Math.min(PV_QUEUE_BACKOFF_MAX_MS, PV_QUEUE_BACKOFF_BASE_MS * 2 ** (entry.attempts - 1))
+        });
+    }
+  },
+
+  // The PDF and artifact files are dropped once the backend has them; the
+  // entry is kept as a receipt with their hashes and the record ID
+  markUploaded(id, recordId) {
+    return this.update(id, entry => ({
+      status: "uploaded",
+      record_id: recordId || null,
+      uploaded_at: Date.now(),
+      uploading_until: 0,
+      last_error: null,
+      blob: null,
+      artifacts: (entry.artifacts || []).map(({ blob, ...artifact }) => artifact)
+    }));
+  },
+
+  // Upload every due entry, oldest first
+  async processDue(api) {
+    const due = (await this.list()).filter(e => this.isDue(e)).reverse();
+    const results = [];
+    for (const entry of due) {
+      results.push(await this.upload(api, entry.id));
+    }
+    return results.filter(Boolean);
+  }
+};
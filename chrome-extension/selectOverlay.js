@@ -0,0 +1,167 @@
+// selectOverlay.js
+// All comments and strings in English.
+// Injected into the page for "Selected area" captures. The user clicks an
+// element or drags a rectangle; the selection (CSS selector, bounding box in
+// page coordinates) is sent to the service worker, which reopens the popup
+// to finish the capture. Esc cancels.
+
+(() => {
+  if (window.__proofVaultSelecting) return;
+  window.__proofVaultSelecting = true;
+
+  const ACCENT = "#0f766e";
+  const MIN_DRAG_PX = 8;
+
+  const layer = (css) => {
+    const el = document.createElement("div");
+    el.dataset.proofvaultOverlay = "";
+    el.style.cssText = `position:fixed;z-index:2147483647;box-sizing:border-box;${css}`;
+    return el;
+  };
+
+  const root = layer("inset:0;cursor:crosshair;background:rgba(15,118,110,0.06)");
+  const highlight = layer(`pointer-events:none;display:none;border:2px solid ${ACCENT};background:rgba(15,118,110,0.15)`);
+  const rectangle = layer(`pointer-events:none;display:none;border:2px dashed ${ACCENT};background:rgba(15,118,110,0.15)`);
+  const hint = layer(`top:12px;left:50%;transform:translateX(-50%);pointer-events:none;padding:8px 14px;border-radius:10px;background:${ACCENT};color:#fff;font:13px system-ui,sans-serif;box-shadow:0 2px 8px rgba(0,0,0,.2)`);
+  hint.textContent = "ProofVault: click an element or drag a rectangle to capture. Esc to cancel.";
+  document.documentElement.append(root, highlight, rectangle, hint);
+
+  let dragStart = null;
+  let dragging = false;
+
+  // Element under the pointer, ignoring the overlay itself
+  function elementAt(x, y) {
+    return document.elementsFromPoint(x, y)
+      .find(el => !("proofvaultOverlay" in el.dataset) && el !== document.documentElement && el !== document.body) || null;
+  }
+
+  // Unique selector: the nearest ancestor with a unique id, then tag names
+  // with :nth-of-type where siblings share a tag
+  function cssSelector(el) {
+    const parts = [];
+    for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        return [`#${CSS.escape(node.id)}`, ...parts].join(" > ");
+      }
+      let part = node.tagName.toLowerCase();
+      const siblings = node.parentElement ? [...node.parentElement.children].filter(c => c.tagName === node.tagName) : [];
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      parts.unshift(part);
+    }
+    return ["html", ...parts].join(" > ");
+  }
+
+  // Viewport rect to page coordinates, in CSS pixels
+  function pageBox(rect) {
+    return {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    };
+  }
+
+  function place(el, rect) {
+    Object.assign(el.style, {
+      display: "block",
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+
+  function dragRect(e) {
+    const left = Math.min(dragStart.x, e.clientX);
+    const top = Math.min(dragStart.y, e.clientY);
+    return { left, top, width: Math.abs(e.clientX - dragStart.x), height: Math.abs(e.clientY - dragStart.y) };
+  }
+
+  function cleanUp() {
+    root.remove();
+    highlight.remove();
+    rectangle.remove();
+    hint.remove();
+    document.removeEventListener("keydown", onKeyDown, true);
+    window.__proofVaultSelecting = false;
+  }
+
+  // Shown when the popup can't be reopened automatically; removed before
+  // the region is captured (see capturePage in background.js)
+  function notice(text) {
+    const el = layer(`top:12px;right:12px;pointer-events:none;padding:8px 14px;border-radius:10px;background:${ACCENT};color:#fff;font:13px system-ui,sans-serif`);
+    el.textContent = text;
+    document.documentElement.append(el);
+    setTimeout(() => el.remove(), 6000);
+  }
+
+  function finish(selection) {
+    cleanUp();
+    chrome.runtime.sendMessage({
+      type: "PV_SELECTION_DONE",
+      selection: {
+        ...selection,
+        page_url: location.href,
+        device_pixel_ratio: window.devicePixelRatio,
+        selected_at: new Date().toISOString()
+      }
+    }).then(res => {
+      if (!res || !res.reopened) notice("Area selected. Click the ProofVault icon to finish the capture.");
+    }).catch(() => {});
+  }
+
+  function onKeyDown(e) {
+    if (e.key !== "Escape") return;
+    e.preventDefault();
+    e.stopPropagation();
+    cleanUp();
+    chrome.runtime.sendMessage({ type: "PV_SELECTION_CANCELLED" }).catch(() => {});
+  }
+
+  root.addEventListener("mousemove", (e) => {
+    if (dragStart) {
+      dragging = dragging || Math.abs(e.clientX - dragStart.x) > MIN_DRAG_PX || Math.abs(e.clientY - dragStart.y) > MIN_DRAG_PX;
+      if (dragging) {
+        highlight.style.display = "none";
+        place(rectangle, dragRect(e));
+      }
+      return;
+    }
+    const el = elementAt(e.clientX, e.clientY);
+    if (el) place(highlight, el.getBoundingClientRect());
+    else highlight.style.display = "none";
+  });
+
+  root.addEventListener("mousedown", (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    dragStart = { x: e.clientX, y: e.clientY };
+    dragging = false;
+  });
+
+  root.addEventListener("mouseup", (e) => {
+    if (!dragStart) return;
+    e.preventDefault();
+
+    if (dragging) {
+      const rect = dragRect(e);
+      dragStart = null;
+      if (rect.width < MIN_DRAG_PX || rect.height < MIN_DRAG_PX) return;
+      finish({ type: "rectangle", selector: null, bounding_box: pageBox(rect) });
+      return;
+    }
+
+    dragStart = null;
+    const el = elementAt(e.clientX, e.clientY);
+    if (!el) return;
+    finish({
+      type: "element",
+      selector: cssSelector(el),
+      tag: el.tagName.toLowerCase(),
+      text_excerpt: (el.innerText || el.textContent || "").trim().replace(/\s+/g, " ").slice(0, 200),
+      bounding_box: pageBox(el.getBoundingClientRect())
+    });
+  });
+
+  document.addEventListener("keydown", onKeyDown, true);
+})();
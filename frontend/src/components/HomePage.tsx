@@ -1,6 +1,33 @@
 'use client';
 
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { Fragment, useState, useEffect, useCallback, useRef } from 'react';
+import LoginForm, { SessionUser } from './LoginForm';
+
+interface CaptureManifest {
+  page?: { title?: string; url?: string; referrer?: string | null } | null;
+  browser?: { user_agent?: string } | null;
+  viewport?: { width?: number; height?: number; device_pixel_ratio?: number } | null;
+  http?: { final_url?: string; status?: number; remote_ip?: string | null; redirects?: { url: string; status: number }[] } | null;
+  tls?: { protocol?: string; subject_name?: string; issuer?: string; valid_to?: string } | null;
+  capture_mode?: 'print' | 'screenshot' | 'both' | 'region';
+  selection?: {
+    type: 'element' | 'rectangle';
+    selector?: string | null;
+    bounding_box: { x: number; y: number; width: number; height: number };
+  } | null;
+  screenshot?: { width?: number; height?: number; page_height?: number; truncated?: boolean; sha256?: string } | null;
+  errors?: { part: string; message: string }[];
+}
+
+interface EvidenceArtifact {
+  id: string;
+  kind: string;
+  filename: string;
+  sha256: string;
+  file_size: number;
+  purged_at?: string | null;
+  download_url?: string | null;
+}
 
 interface EvidenceRecord {
   id: string;
@@ -8,11 +35,28 @@ interface EvidenceRecord {
   username: string;
   pdf_filename: string;
   created_at: string;
+  received_at?: string;
+  evidence_id?: string | null;
+  source_url?: string | null;
+  captured_at?: string | null;
+  capture_timezone?: string | null;
   pdf_hash?: string;
+  client_expected_hash?: string | null;
+  capture_manifest?: CaptureManifest | null;
+  capture_manifest_hash?: string | null;
+  artifacts?: EvidenceArtifact[];
+  fingerprint_document_ref?: string;
   file_id?: string;
   blockchain_status?: string;
   blockchain_tx_id?: string;
+  blockchain_submitted_at?: string;
   blockchain_verified_at?: string;
+  digital_evidence_status?: string;
+  legal_hold?: boolean;
+  deleted_at?: string | null;
+  // Set when the list is searched by PDF text (q)
+  search_rank?: number;
+  search_snippet?: string | null;
 }
 
 interface DigitalEvidenceStatus {
@@ -22,6 +66,55 @@ interface DigitalEvidenceStatus {
   error?: string;
 }
 
+interface TextDiffLine {
+  type: 'context' | 'removed' | 'added';
+  text: string;
+  a_line: number | null;
+  b_line: number | null;
+  a_page: number | null;
+  b_page: number | null;
+}
+
+interface VisualDiffPage {
+  page: number;
+  status: 'identical' | 'changed' | 'added' | 'removed';
+  mismatched_pixels: number | null;
+  mismatch_ratio: number | null;
+  diff_image_url: string | null;
+}
+
+interface DiffRecord {
+  id: string;
+  evidence_id: string | null;
+  source_url: string | null;
+  captured_at: string | null;
+  created_at: string;
+  pdf_hash: string;
+  screenshot_sha256: string | null;
+}
+
+interface EvidenceDiff {
+  a: DiffRecord;
+  b: DiffRecord;
+  same_source_url: boolean;
+  identical_pdf: boolean;
+  page_count: { a: number; b: number; delta: number };
+  text: {
+    identical: boolean;
+    added: number;
+    removed: number;
+    truncated: boolean;
+    hunks: { a_start: number; a_count: number; b_start: number; b_count: number; lines: TextDiffLine[] }[];
+  };
+  visual: {
+    available: boolean;
+    reason?: string | null;
+    comparable?: boolean;
+    width?: number;
+    pages?: VisualDiffPage[];
+  };
+}
+
 interface SortConfig {
   key: keyof EvidenceRecord | null;
   direction: 'asc' | 'desc';
@@ -33,9 +126,14 @@ export default function HomePage() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [textQuery, setTextQuery] = useState('');
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [loadingActions, setLoadingActions] = useState<{ [key: string]: boolean }>({});
   const [viewModalData, setViewModalData] = useState<EvidenceRecord | null>(null);
+  // Up to two records picked for the compare view, and their diff
+  const [compareSelection, setCompareSelection] = useState<EvidenceRecord[]>([]);
+  const [compareData, setCompareData] = useState<EvidenceDiff | null>(null);
+  const [comparing, setComparing] = useState(false);
   const [digitalEvidenceStatus, setDigitalEvidenceStatus] = useState<DigitalEvidenceStatus | null>(null);
   const [loadingDigitalEvidence, setLoadingDigitalEvidence] = useState(false);
   const [sortConfig, setSortConfig] = useState<SortConfig>({ key: 'created_at', direction: 'desc' });
@@ -56,9 +154,25 @@ export default function HomePage() {
   // Track if we're on client side (prevents hydration mismatch)
   const [isClient, setIsClient] = useState(false);
   
+  // Authenticated dashboard session (null shows the login form)
+  const [session, setSession] = useState<SessionUser | null>(null);
+  const [authChecked, setAuthChecked] = useState(false);
+
   const searchInputRef = useRef<HTMLInputElement>(null);
   const modalRef = useRef<HTMLDivElement>(null);
 
+  // Drop back to the login form when the session is missing or has expired
+  const checkSession = (response: Response) => {
+    if (response.status === 401) {
+      setSession(null);
+      throw new Error('Your session has expired. Please sign in again.');
+    }
+  };
+
+  // Raw PDF downloads are limited to reviewer, admin and auditor roles
+  const canDownload = !!session?.permissions.includes('evidence:download');
+  const downloadTitle = canDownload ? undefined : 'Your role does not allow downloading the original PDF';
+
   // Fetch records from API with pagination
   const fetchRecords = useCallback(async (page = currentPage, resetPage = false) => {
     try {
@@ -68,17 +182,22 @@ export default function HomePage() {
       }
       setError(null);
       
-      // Build query parameters
+      // Build query parameters; text search results are sorted by
+      // relevance until a column is picked
       const params = new URLSearchParams({
         page: page.toString(),
         limit: recordsPerPage.toString(),
-        sort_by: sortConfig.key || 'created_at',
+        sort_by: sortConfig.key || (textQuery.trim() ? 'relevance' : 'created_at'),
         sort_order: sortConfig.direction === 'asc' ? 'ASC' : 'DESC'
       });
       
       if (searchTerm.trim()) {
         params.append('search', searchTerm.trim());
       }
+
+      if (textQuery.trim()) {
+        params.append('q', textQuery.trim());
+      }
       
       if (dateFilter) {
         params.append('date_from', dateFilter);
@@ -86,6 +205,7 @@ export default function HomePage() {
       }
       
       const response = await fetch(`/api/pdf/list?${params}`);
+      checkSession(response);
       
       if (!response.ok) {
         throw new Error(`Failed to fetch records: ${response.status} ${response.statusText}`);
@@ -116,7 +236,64 @@ export default function HomePage() {
       setLoading(false);
       setIsRefreshing(false);
     }
-  }, [currentPage, recordsPerPage, sortConfig, searchTerm, dateFilter, isRefreshing]);
+  }, [currentPage, recordsPerPage, sortConfig, searchTerm, textQuery, dateFilter, isRefreshing]);
+
+  // Load the current session on mount
+  useEffect(() => {
+    fetch('/api/auth/me')
+      .then(response => (response.ok ? response.json() : null))
+      .then(result => setSession(result?.success ? result.data : null))
+      .catch(() => setSession(null))
+      .finally(() => setAuthChecked(true));
+  }, []);
+
+  const handleLogin = (newSession: SessionUser) => {
+    setSession(newSession);
+    setError(null);
+    fetchRecords(1, true);
+  };
+
+  // Scope the session to another organization and reload its evidence
+  const handleSwitchOrganization = async (organizationId: string) => {
+    try {
+      const response = await fetch('/api/auth/switch-organization', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ organization_id: organizationId })
+      });
+      checkSession(response);
+
+      if (!response.ok) {
+        throw new Error(`Failed to switch organization: ${response.status} ${response.statusText}`);
+      }
+
+      const result = await response.json();
+      setSession({
+        user: result.data.user,
+        organization: result.data.organization,
+        permissions: result.data.permissions || [],
+        memberships: result.data.memberships || []
+      });
+      closeModal();
+      setCompareSelection([]);
+      setCompareData(null);
+      setCurrentPage(1);
+      fetchRecords(1, true);
+    } catch (err) {
+      console.error('Error switching organization:', err);
+      setError(err instanceof Error ? err.message : 'Failed to switch organization');
+    }
+  };
+
+  const handleLogout = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' }).catch(() => null);
+    setSession(null);
+    setRecords([]);
+    setFilteredRecords([]);
+    setCompareSelection([]);
+    setCompareData(null);
+    closeModal();
+  };
 
   // Effect to fetch records when dependencies change
   useEffect(() => {
@@ -126,7 +303,7 @@ export default function HomePage() {
     }, 300); // Debounce API calls
     
     return () => clearTimeout(timeoutId);
-  }, [recordsPerPage, sortConfig, searchTerm, dateFilter]);
+  }, [recordsPerPage, sortConfig, searchTerm, textQuery, dateFilter]);
 
   // Effect to fetch records when page changes (but not on initial mount)
   useEffect(() => {
@@ -152,9 +329,18 @@ export default function HomePage() {
     await fetchRecords(currentPage, false);
   };
 
+  // A new text search starts out sorted by relevance
+  const handleTextQueryChange = (value: string) => {
+    if (!textQuery.trim() && value.trim()) {
+      setSortConfig({ key: null, direction: 'desc' });
+    }
+    setTextQuery(value);
+  };
+
   // Clear all filters
   const clearFilters = () => {
     setSearchTerm('');
+    setTextQuery('');
     setDateFilter('');
     setSortConfig({ key: 'created_at', direction: 'desc' });
     setCurrentPage(1);
@@ -201,6 +387,12 @@ export default function HomePage() {
       setLoadingActions(prev => ({ ...prev, [`download-${recordId}`]: true }));
       
       const response = await fetch(`/api/pdf/${recordId}?download=true`);
+      checkSession(response);
+
+      if (response.status === 403) {
+        const denied = await response.json().catch(() => null);
+        throw new Error(denied?.message || 'You are not allowed to download this PDF');
+      }
       
       if (!response.ok) {
         throw new Error(`Failed to download PDF: ${response.status} ${response.statusText}`);
@@ -224,6 +416,70 @@ export default function HomePage() {
     }
   };
 
+  // Pick a record for the compare view; a third pick replaces the older pick
+  const toggleCompare = (record: EvidenceRecord) => {
+    setCompareSelection(prev => prev.some(r => r.id === record.id)
+      ? prev.filter(r => r.id !== record.id)
+      : [...prev.slice(-1), record]);
+  };
+
+  // Diff the two picked records, earlier capture first
+  const handleCompare = async () => {
+    if (compareSelection.length !== 2) return;
+
+    const captureTime = (record: EvidenceRecord) => new Date(record.captured_at || record.created_at).getTime();
+    const [a, b] = [...compareSelection].sort((x, y) => captureTime(x) - captureTime(y));
+
+    try {
+      setComparing(true);
+
+      const response = await fetch(`/api/pdf/diff?a=${a.id}&b=${b.id}`);
+      checkSession(response);
+
+      const result = await response.json().catch(() => null);
+      if (!response.ok || !result?.success) {
+        throw new Error(result?.error?.message || result?.message || `Failed to compare records: ${response.status} ${response.statusText}`);
+      }
+
+      setCompareData(result.data);
+    } catch (err) {
+      console.error('Error comparing records:', err);
+      setError(err instanceof Error ? err.message : 'Failed to compare records');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  // Hunk lines as side-by-side rows: removed lines face the added lines
+  // that replace them, context lines face themselves
+  const sideBySideRows = (lines: TextDiffLine[]) => {
+    const rows: { left: TextDiffLine | null; right: TextDiffLine | null }[] = [];
+    let removed: TextDiffLine[] = [];
+    let added: TextDiffLine[] = [];
+
+    const flush = () => {
+      for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+        rows.push({ left: removed[i] || null, right: added[i] || null });
+      }
+      removed = [];
+      added = [];
+    };
+
+    lines.forEach(line => {
+      if (line.type === 'removed') {
+        removed.push(line);
+      } else if (line.type === 'added') {
+        added.push(line);
+      } else {
+        flush();
+        rows.push({ left: line, right: line });
+      }
+    });
+    flush();
+
+    return rows;
+  };
+
   // Fetch Digital Evidence verification status
   const fetchDigitalEvidenceStatus = async (recordId: string) => {
     try {
@@ -231,6 +487,7 @@ export default function HomePage() {
       setDigitalEvidenceStatus(null);
 
       const response = await fetch(`/api/pdf/${recordId}/verify`);
+      checkSession(response);
 
       if (!response.ok) {
         throw new Error(`Failed to fetch verification status: ${response.status} ${response.statusText}`);
@@ -296,6 +553,7 @@ export default function HomePage() {
       setLoadingActions(prev => ({ ...prev, [`view-${recordId}`]: true }));
 
       const response = await fetch(`/api/pdf/${recordId}`);
+      checkSession(response);
 
       if (!response.ok) {
         throw new Error(`Failed to fetch PDF metadata: ${response.status} ${response.statusText}`);
@@ -335,6 +593,24 @@ export default function HomePage() {
     }
   };
 
+  // Capture time by the client clock, shown in the capturing browser's timezone
+  const formatCaptureTime = (dateString: string, timeZone?: string | null) => {
+    try {
+      return new Date(dateString).toLocaleString('en-GB', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false,
+        timeZone: timeZone || undefined,
+        timeZoneName: 'short'
+      }) + (timeZone ? ` (${timeZone})` : '');
+    } catch {
+      return formatDate(dateString);
+    }
+  };
+
   // Format date for input field
   const formatDateForInput = (dateString: string) => {
     try {
@@ -351,18 +627,21 @@ export default function HomePage() {
       if (viewModalData && e.key === 'Escape') {
         closeModal();
       }
+      if (compareData && e.key === 'Escape') {
+        setCompareData(null);
+      }
     };
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [viewModalData]);
+  }, [viewModalData, compareData]);
 
   // Focus management for modal
   useEffect(() => {
-    if (viewModalData && modalRef.current) {
+    if ((viewModalData || compareData) && modalRef.current) {
       modalRef.current.focus();
     }
-  }, [viewModalData]);
+  }, [viewModalData, compareData]);
 
   // Format Digital Evidence status for display
   const formatDigitalEvidenceStatus = (status: DigitalEvidenceStatus) => {
@@ -405,6 +684,10 @@ export default function HomePage() {
     return '↕';
   };
 
+  if (authChecked && !session) {
+    return <LoginForm onLogin={handleLogin} />;
+  }
+
   return (
     <>
       {/* Skip to content link for accessibility */}
@@ -430,8 +713,32 @@ export default function HomePage() {
                 <div className="user-avatar" role="img" aria-label="User Avatar">
                   👤
                 </div>
-                <span>Legal Professional</span>
+                <span>
+                  {session?.user?.display_name || session?.user?.username || 'Signed in'}
+                  {session && session.memberships.length <= 1 && ` · ${session.organization.name}`}
+                </span>
               </div>
+              {session && session.memberships.length > 1 && (
+                <select
+                  className="form-select"
+                  aria-label="Organization"
+                  value={session.organization.id}
+                  onChange={(e) => handleSwitchOrganization(e.target.value)}
+                >
+                  {session.memberships.map(membership => (
+                    <option key={membership.id} value={membership.id}>
+                      {membership.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={handleLogout}
+              >
+                Log out
+              </button>
             </div>
           </div>
         </div>
@@ -459,7 +766,7 @@ export default function HomePage() {
                     id="search"
                     type="text"
                     className="form-input"
-                    placeholder="Search by company, username, ID, filename, or file ID..."
+                    placeholder="Search by company, username, ID, filename, file ID or source URL..."
                     value={searchTerm}
                     onChange={(e) => setSearchTerm(e.target.value)}
                     aria-describedby="search-description"
@@ -469,6 +776,25 @@ export default function HomePage() {
                   Search across all evidence record fields
                 </div>
               </div>
+              <div className="form-group">
+                <label htmlFor="text-search" className="form-label">
+                  Search Text
+                </label>
+                <div className="search-input">
+                  <input
+                    id="text-search"
+                    type="search"
+                    className="form-input"
+                    placeholder='Words in the captured pages, e.g. "late fee" -draft'
+                    value={textQuery}
+                    onChange={(e) => handleTextQueryChange(e.target.value)}
+                    aria-describedby="text-search-description"
+                  />
+                </div>
+                <div id="text-search-description" className="sr-only">
+                  Full-text search of the captured PDFs, best matches first. Use quotes for phrases and a minus sign to exclude words.
+                </div>
+              </div>
               <button
                 type="button"
                 className="btn btn-secondary"
@@ -535,6 +861,26 @@ export default function HomePage() {
                   </button>
                 </div>
               )}
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={handleCompare}
+                disabled={!canDownload || compareSelection.length !== 2 || comparing}
+                title={canDownload ? 'Tick two records to compare them' : 'Your role does not allow comparing evidence content'}
+                aria-label={`Compare selected records (${compareSelection.length} of 2 selected)`}
+              >
+                {comparing ? (
+                  <>
+                    <span className="loading-spinner" aria-hidden="true"></span>
+                    Comparing...
+                  </>
+                ) : (
+                  <>
+                    <span role="img" aria-hidden="true">⇄</span>
+                    Compare ({compareSelection.length}/2)
+                  </>
+                )}
+              </button>
               <button 
                 type="button"
                 className="btn btn-secondary"
@@ -586,7 +932,7 @@ export default function HomePage() {
               </div>
               <h3>No Evidence Records Found</h3>
               <p>
-                {searchTerm || dateFilter
+                {searchTerm || textQuery || dateFilter
                   ? 'No records match your current search criteria. Try adjusting your filters.'
                   : 'No evidence records are currently available in the system.'}
               </p>
@@ -604,11 +950,15 @@ export default function HomePage() {
                       <div className="card-header">
                         <div className="card-title">
                           <span className="company-name">{record.company_name}</span>
-                          {record.blockchain_status === 'submitted' ? (
+                          {record.blockchain_status === 'finalized' ? (
+                            <span className="status-badge" style={{ color: 'var(--color-success-600)', backgroundColor: 'var(--color-success-50)' }} role="img" aria-label="Blockchain finalized">
+                              <span aria-hidden="true">🔒</span> Finalized
+                            </span>
+                          ) : record.blockchain_status === 'submitted' ? (
                             <span className="status-badge" style={{ color: 'var(--color-success-600)', backgroundColor: 'var(--color-success-50)' }} role="img" aria-label="Blockchain submitted">
                               <span aria-hidden="true">✅</span> Submitted
                             </span>
-                          ) : record.blockchain_status === 'failed' ? (
+                          ) : record.blockchain_status === 'errored' || record.blockchain_status === 'failed' ? (
                             <span className="status-badge" style={{ color: 'var(--color-error-600)', backgroundColor: 'var(--color-error-50)' }} role="img" aria-label="Blockchain failed">
                               <span aria-hidden="true">❌</span> Failed
                             </span>
@@ -633,12 +983,34 @@ export default function HomePage() {
                           <span className="field-label">File ID:</span>
                           <span className="field-value">{record.file_id || 'N/A'}</span>
                         </div>
+                        {record.source_url && (
+                          <div className="card-field">
+                            <span className="field-label">Source:</span>
+                            <span className="field-value source-url" title={record.source_url}>
+                              {record.source_url}
+                            </span>
+                          </div>
+                        )}
+                        {record.captured_at && (
+                          <div className="card-field">
+                            <span className="field-label">Captured:</span>
+                            <span className="field-value">
+                              <time dateTime={record.captured_at}>
+                                {formatCaptureTime(record.captured_at, record.capture_timezone)}
+                              </time>
+                            </span>
+                          </div>
+                        )}
                         <div className="card-field">
                           <span className="field-label">Evidence ID:</span>
                           <span className="field-value evidence-id-truncated" title={record.id}>
                             {record.id.substring(0, 8)}...
                           </span>
                         </div>
+                        {record.search_snippet && (
+                          // Escaped by the API; only its <mark> tags are markup
+                          <p className="search-snippet" dangerouslySetInnerHTML={{ __html: record.search_snippet }} />
+                        )}
                       </div>
                       <div className="card-actions">
                         <button 
@@ -664,7 +1036,8 @@ export default function HomePage() {
                           type="button"
                           className="btn btn-primary btn-sm"
                           onClick={() => handleDownload(record.id, record.pdf_filename)}
-                          disabled={loadingActions[`download-${record.id}`]}
+                          disabled={!canDownload || loadingActions[`download-${record.id}`]}
+                          title={downloadTitle}
                           aria-label={`Download PDF: ${record.pdf_filename}`}
                         >
                           {loadingActions[`download-${record.id}`] ? (
@@ -679,6 +1052,16 @@ export default function HomePage() {
                             </>
                           )}
                         </button>
+                        <label className="compare-toggle" title={canDownload ? undefined : 'Your role does not allow comparing evidence content'}>
+                          <input
+                            type="checkbox"
+                            checked={compareSelection.some(r => r.id === record.id)}
+                            onChange={() => toggleCompare(record)}
+                            disabled={!canDownload}
+                            aria-label={`Select evidence ${record.id} for comparison`}
+                          />
+                          Compare
+                        </label>
                       </div>
                     </div>
                   ))}
@@ -735,6 +1118,28 @@ export default function HomePage() {
                     >
                       File ID {getSortIcon('file_id')}
                     </th>
+                    <th 
+                      role="columnheader"
+                      tabIndex={0}
+                      onClick={() => handleSort('source_url')}
+                      onKeyDown={(e) => e.key === 'Enter' && handleSort('source_url')}
+                      aria-sort={sortConfig.key === 'source_url' ? (sortConfig.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                      className="sortable"
+                      style={{ cursor: 'pointer' }}
+                    >
+                      Source URL {getSortIcon('source_url')}
+                    </th>
+                    <th 
+                      role="columnheader"
+                      tabIndex={0}
+                      onClick={() => handleSort('captured_at')}
+                      onKeyDown={(e) => e.key === 'Enter' && handleSort('captured_at')}
+                      aria-sort={sortConfig.key === 'captured_at' ? (sortConfig.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                      className="sortable"
+                      style={{ cursor: 'pointer' }}
+                    >
+                      Captured {getSortIcon('captured_at')}
+                    </th>
                     <th 
                       role="columnheader"
                       tabIndex={0}
@@ -744,7 +1149,7 @@ export default function HomePage() {
                       className="sortable"
                       style={{ cursor: 'pointer' }}
                     >
-                      Date & Time {getSortIcon('created_at')}
+                      Received {getSortIcon('created_at')}
                     </th>
                     <th role="columnheader">Verification Status</th>
                     <th role="columnheader">Actions</th>
@@ -752,84 +1157,119 @@ export default function HomePage() {
                 </thead>
                 <tbody>
                   {filteredRecords.map((record, index) => (
-                    <tr key={record.id} role="row">
-                      <td role="gridcell" className="evidence-id" title={record.id}>
-                        <span aria-label={`Evidence ID: ${record.id}`}>
-                          {record.id}
-                        </span>
-                      </td>
-                      <td role="gridcell" className="company-name">
-                        {record.company_name}
-                      </td>
-                      <td role="gridcell" className="username">
-                        {record.username}
-                      </td>
-                      <td role="gridcell" className="file-id">
-                        {record.file_id || 'N/A'}
-                      </td>
-                      <td role="gridcell" className="date-time">
-                        <time dateTime={record.created_at}>
-                          {formatDate(record.created_at)}
-                        </time>
-                      </td>
-                      <td role="gridcell">
-                        {record.blockchain_status === 'submitted' ? (
-                          <span className="status-badge" style={{ color: 'var(--color-success-600)', backgroundColor: 'var(--color-success-50)' }} role="img" aria-label="Blockchain submitted">
-                            <span aria-hidden="true">✅</span> Submitted
+                    <Fragment key={record.id}>
+                      <tr role="row">
+                        <td role="gridcell" className="evidence-id" title={record.id}>
+                          <span aria-label={`Evidence ID: ${record.id}`}>
+                            {record.id}
                           </span>
-                        ) : record.blockchain_status === 'failed' ? (
-                          <span className="status-badge" style={{ color: 'var(--color-error-600)', backgroundColor: 'var(--color-error-50)' }} role="img" aria-label="Blockchain failed">
-                            <span aria-hidden="true">❌</span> Failed
-                          </span>
-                        ) : (
-                          <span className="status-badge" style={{ color: 'var(--color-neutral-600)', backgroundColor: 'var(--color-neutral-50)' }} role="img" aria-label="Blockchain pending">
-                            <span aria-hidden="true">⏳</span> Pending
-                          </span>
-                        )}
-                      </td>
-                      <td role="gridcell">
-                        <div className="action-buttons" role="group" aria-label={`Actions for evidence ${record.id}`}>
-                          <button 
-                            type="button"
-                            className="btn btn-secondary btn-sm"
-                            onClick={() => handleView(record.id)}
-                            disabled={loadingActions[`view-${record.id}`]}
-                            aria-label={`View details for evidence ${record.id}`}
-                          >
-                            {loadingActions[`view-${record.id}`] ? (
-                              <>
-                                <span className="loading-spinner" aria-hidden="true"></span>
-                                <span className="sr-only">Loading...</span>
-                              </>
-                            ) : (
-                              <>
-                                <span role="img" aria-hidden="true">👁</span>
-                                View
-                              </>
-                            )}
-                          </button>
-                          <button 
-                            type="button"
-                            className="btn btn-primary btn-sm"
-                            onClick={() => handleDownload(record.id, record.pdf_filename)}
-                            disabled={loadingActions[`download-${record.id}`]}
-                            aria-label={`Download PDF: ${record.pdf_filename}`}
-                          >
-                            {loadingActions[`download-${record.id}`] ? (
-                              <>
-                                <span className="loading-spinner" aria-hidden="true"></span>
-                                <span className="sr-only">Downloading...</span>
-                              </>
-                            ) : (
-                              <>
-                                <span role="img" aria-hidden="true">⬇</span>
-                                Download
-                              </>
-                            )}
-                          </button>
-                        </div>
-                      </td>
-                    </tr>
+                        </td>
+                        <td role="gridcell" className="company-name">
+                          {record.company_name}
+                        </td>
+                        <td role="gridcell" className="username">
+                          {record.username}
+                        </td>
+                        <td role="gridcell" className="file-id">
+                          {record.file_id || 'N/A'}
+                        </td>
+                        <td role="gridcell" className="source-url" title={record.source_url || undefined}>
+                          {record.source_url || 'N/A'}
+                        </td>
+                        <td role="gridcell" className="date-time">
+                          {record.captured_at ? (
+                            <time dateTime={record.captured_at} title={record.capture_timezone || undefined}>
+                              {formatCaptureTime(record.captured_at, record.capture_timezone)}
+                            </time>
+                          ) : 'N/A'}
+                        </td>
+                        <td role="gridcell" className="date-time">
+                          <time dateTime={record.created_at}>
+                            {formatDate(record.created_at)}
+                          </time>
+                        </td>
+                        <td role="gridcell">
+                          {record.blockchain_status === 'finalized' ? (
+                            <span className="status-badge" style={{ color: 'var(--color-success-600)', backgroundColor: 'var(--color-success-50)' }} role="img" aria-label="Blockchain finalized">
+                              <span aria-hidden="true">🔒</span> Finalized
+                            </span>
+                          ) : record.blockchain_status === 'submitted' ? (
+                            <span className="status-badge" style={{ color: 'var(--color-success-600)', backgroundColor: 'var(--color-success-50)' }} role="img" aria-label="Blockchain submitted">
+                              <span aria-hidden="true">✅</span> Submitted
+                            </span>
+                          ) : record.blockchain_status === 'errored' || record.blockchain_status === 'failed' ? (
+                            <span className="status-badge" style={{ color: 'var(--color-error-600)', backgroundColor: 'var(--color-error-50)' }} role="img" aria-label="Blockchain failed">
+                              <span aria-hidden="true">❌</span> Failed
+                            </span>
+                          ) : (
+                            <span className="status-badge" style={{ color: 'var(--color-neutral-600)', backgroundColor: 'var(--color-neutral-50)' }} role="img" aria-label="Blockchain pending">
+                              <span aria-hidden="true">⏳</span> Pending
+                            </span>
+                          )}
+                        </td>
+                        <td role="gridcell">
+                          <div className="action-buttons" role="group" aria-label={`Actions for evidence ${record.id}`}>
+                            <button 
+                              type="button"
+                              className="btn btn-secondary btn-sm"
+                              onClick={() => handleView(record.id)}
+                              disabled={loadingActions[`view-${record.id}`]}
+                              aria-label={`View details for evidence ${record.id}`}
+                            >
+                              {loadingActions[`view-${record.id}`] ? (
+                                <>
+                                  <span className="loading-spinner" aria-hidden="true"></span>
+                                  <span className="sr-only">Loading...</span>
+                                </>
+                              ) : (
+                                <>
+                                  <span role="img" aria-hidden="true">👁</span>
+                                  View
+                                </>
+                              )}
+                            </button>
+                            <button 
+                              type="button"
+                              className="btn btn-primary btn-sm"
+                              onClick={() => handleDownload(record.id, record.pdf_filename)}
+                              disabled={!canDownload || loadingActions[`download-${record.id}`]}
+                              title={downloadTitle}
+                              aria-label={`Download PDF: ${record.pdf_filename}`}
+                            >
+                              {loadingActions[`download-${record.id}`] ? (
+                                <>
+                                  <span className="loading-spinner" aria-hidden="true"></span>
+                                  <span className="sr-only">Downloading...</span>
+                                </>
+                              ) : (
+                                <>
+                                  <span role="img" aria-hidden="true">⬇</span>
+                                  Download
+                                </>
+                              )}
+                            </button>
+                            <label className="compare-toggle" title={canDownload ? undefined : 'Your role does not allow comparing evidence content'}>
+                              <input
+                                type="checkbox"
+                                checked={compareSelection.some(r => r.id === record.id)}
+                                onChange={() => toggleCompare(record)}
+                                disabled={!canDownload}
+                                aria-label={`Select evidence ${record.id} for comparison`}
+                              />
+                              Compare
+                            </label>
+                          </div>
+                        </td>
+                      </tr>
+                    {record.search_snippet && (
+                      <tr role="row" className="search-snippet-row">
+                        <td role="gridcell" colSpan={10}>
+                          {/* Escaped by the API; only its <mark> tags are markup */}
+                          <p className="search-snippet" dangerouslySetInnerHTML={{ __html: record.search_snippet }} />
+                        </td>
+                      </tr>
+                    )}
+                    </Fragment>
                   ))}
                   </tbody>
                   </table>
@@ -982,15 +1422,56 @@ export default function HomePage() {
                 </div>
               )}
               
+              {viewModalData.evidence_id && (
+                <div className="detail-item">
+                  <div className="detail-label">Client Evidence ID</div>
+                  <div className="detail-value mono">{viewModalData.evidence_id}</div>
+                </div>
+              )}
+
+              {viewModalData.source_url && (
+                <div className="detail-item">
+                  <div className="detail-label">Source URL</div>
+                  <div className="detail-value mono">
+                    <a href={viewModalData.source_url} target="_blank" rel="noopener noreferrer">
+                      {viewModalData.source_url}
+                    </a>
+                  </div>
+                </div>
+              )}
+
+              {viewModalData.captured_at && (
+                <div className="detail-item">
+                  <div className="detail-label">
+                    Captured At
+                    <span style={{ fontSize: 'var(--font-size-xs)', color: 'var(--color-neutral-500)', fontWeight: 'var(--font-weight-normal)' }}>
+                      {' '}— capture client clock
+                    </span>
+                  </div>
+                  <div className="detail-value">
+                    <time dateTime={viewModalData.captured_at}>
+                      {formatCaptureTime(viewModalData.captured_at, viewModalData.capture_timezone)}
+                    </time>
+                  </div>
+                </div>
+              )}
+
               <div className="detail-item">
-                <div className="detail-label">Created Date & Time</div>
+                <div className="detail-label">Received by Server</div>
                 <div className="detail-value">
-                  <time dateTime={viewModalData.created_at}>
-                    {formatDate(viewModalData.created_at)}
+                  <time dateTime={viewModalData.received_at || viewModalData.created_at}>
+                    {formatDate(viewModalData.received_at || viewModalData.created_at)}
                   </time>
                 </div>
               </div>
               
+              {viewModalData.legal_hold && (
+                <div className="detail-item">
+                  <div className="detail-label">Legal Hold</div>
+                  <div className="detail-value">Under legal hold — cannot be deleted or purged</div>
+                </div>
+              )}
+              
               {viewModalData.pdf_hash && (
                 <div className="detail-item">
                   <div className="detail-label">
@@ -1004,6 +1485,115 @@ export default function HomePage() {
                   </div>
                 </div>
               )}
+
+              {viewModalData.client_expected_hash && (
+                <div className="detail-item">
+                  <div className="detail-label">
+                    Hash Committed at Capture
+                    <span style={{ fontSize: 'var(--font-size-xs)', color: 'var(--color-neutral-500)', fontWeight: 'var(--font-weight-normal)' }}>
+                      {' '}— {viewModalData.client_expected_hash === viewModalData.pdf_hash ? 'Matches, unaltered in transit' : 'Does not match'}
+                    </span>
+                  </div>
+                  <div className="detail-value mono" aria-label={`Client SHA-256 hash: ${viewModalData.client_expected_hash}`}>
+                    {viewModalData.client_expected_hash}
+                  </div>
+                </div>
+              )}
+
+              {viewModalData.capture_manifest && (
+                <div className="detail-item">
+                  <div className="detail-label">Capture Context</div>
+                  <div className="detail-value">
+                    <div>{viewModalData.capture_manifest.page?.title || 'Untitled page'}</div>
+                    <div className="mono">
+                      {viewModalData.capture_manifest.http?.final_url || viewModalData.capture_manifest.page?.url}
+                      {viewModalData.capture_manifest.http?.redirects?.length
+                        ? ` (after ${viewModalData.capture_manifest.http.redirects.length} redirect${viewModalData.capture_manifest.http.redirects.length === 1 ? '' : 's'})`
+                        : ''}
+                    </div>
+                    {viewModalData.capture_manifest.http?.remote_ip && (
+                      <div>Server IP: <span className="mono">{viewModalData.capture_manifest.http.remote_ip}</span></div>
+                    )}
+                    {viewModalData.capture_manifest.tls?.subject_name && (
+                      <div>
+                        TLS: {viewModalData.capture_manifest.tls.subject_name}, issued by {viewModalData.capture_manifest.tls.issuer}
+                        {viewModalData.capture_manifest.tls.protocol ? ` (${viewModalData.capture_manifest.tls.protocol})` : ''}
+                      </div>
+                    )}
+                    {viewModalData.capture_manifest.capture_mode && (
+                      <div>
+                        Mode: {{ print: 'Print', screenshot: 'Full-page screenshot', both: 'Print and full-page screenshot', region: 'Selected area and print' }[viewModalData.capture_manifest.capture_mode]}
+                        {viewModalData.capture_manifest.screenshot?.truncated
+                          ? ` (screenshot cut at ${viewModalData.capture_manifest.screenshot.height} of ${viewModalData.capture_manifest.screenshot.page_height} px)`
+                          : ''}
+                      </div>
+                    )}
+                    {viewModalData.capture_manifest.selection && (
+                      <div>
+                        Selected {viewModalData.capture_manifest.selection.type === 'element' ? 'element' : 'rectangle'}:{' '}
+                        {viewModalData.capture_manifest.selection.selector && (
+                          <span className="mono">{viewModalData.capture_manifest.selection.selector}</span>
+                        )}
+                        {` ${viewModalData.capture_manifest.selection.bounding_box.width}×${viewModalData.capture_manifest.selection.bounding_box.height} px at (${viewModalData.capture_manifest.selection.bounding_box.x}, ${viewModalData.capture_manifest.selection.bounding_box.y})`}
+                      </div>
+                    )}
+                    {viewModalData.capture_manifest.page?.referrer && (
+                      <div>Referrer: <span className="mono">{viewModalData.capture_manifest.page.referrer}</span></div>
+                    )}
+                    {viewModalData.capture_manifest.browser?.user_agent && (
+                      <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--color-neutral-500)' }}>
+                        {viewModalData.capture_manifest.browser.user_agent}
+                        {viewModalData.capture_manifest.viewport?.width
+                          ? `, viewport ${viewModalData.capture_manifest.viewport.width}×${viewModalData.capture_manifest.viewport.height}`
+                          : ''}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {viewModalData.capture_manifest_hash && (
+                <div className="detail-item">
+                  <div className="detail-label">
+                    Capture Manifest SHA-256
+                    <span style={{ fontSize: 'var(--font-size-xs)', color: 'var(--color-neutral-500)', fontWeight: 'var(--font-weight-normal)' }}>
+                      {' '}— included in the fingerprint
+                    </span>
+                  </div>
+                  <div className="detail-value mono" aria-label={`Capture manifest SHA-256 hash: ${viewModalData.capture_manifest_hash}`}>
+                    {viewModalData.capture_manifest_hash}
+                  </div>
+                </div>
+              )}
+
+              {viewModalData.artifacts && viewModalData.artifacts.length > 0 && (
+                <div className="detail-item">
+                  <div className="detail-label">
+                    Captured Artifacts
+                    <span style={{ fontSize: 'var(--font-size-xs)', color: 'var(--color-neutral-500)', fontWeight: 'var(--font-weight-normal)' }}>
+                      {' '}— included in the fingerprint
+                    </span>
+                  </div>
+                  <div className="detail-value">
+                    {viewModalData.artifacts.map(artifact => (
+                      <div key={artifact.id} style={{ marginBottom: '8px' }}>
+                        <div>
+                          {artifact.kind === 'mhtml' ? 'MHTML page snapshot' : artifact.kind.toUpperCase()}
+                          {' '}({(artifact.file_size / 1024 / 1024).toFixed(2)} MB)
+                          {artifact.download_url && canDownload ? (
+                            <>
+                              {' '}· <a href={artifact.download_url} download={artifact.filename}>Download</a>
+                            </>
+                          ) : artifact.purged_at ? ' · purged' : null}
+                        </div>
+                        <div className="mono" aria-label={`${artifact.kind} SHA-256 hash: ${artifact.sha256}`}>
+                          {artifact.sha256}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
               
               <div className="detail-item">
                 <div className="detail-label">Digital Evidence Verification Status</div>
@@ -1096,6 +1686,8 @@ export default function HomePage() {
                   handleDownload(viewModalData.id, viewModalData.pdf_filename);
                   closeModal();
                 }}
+                disabled={!canDownload}
+                title={downloadTitle}
                 aria-label={`Download PDF: ${viewModalData.pdf_filename}`}
               >
                 <span role="img" aria-hidden="true">⬇</span>
@@ -1106,6 +1698,157 @@ export default function HomePage() {
         </div>
       )}
 
+      {/* Compare Modal */}
+      {compareData && (
+        <div
+          className="modal-backdrop"
+          onClick={() => setCompareData(null)}
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="compare-modal-title"
+        >
+          <div
+            ref={modalRef}
+            className="modal modal-wide"
+            onClick={(e) => e.stopPropagation()}
+            tabIndex={-1}
+          >
+            <div className="modal-header">
+              <h3 id="compare-modal-title">
+                <span role="img" aria-hidden="true">⇄</span>
+                Compare Captures
+              </h3>
+            </div>
+
+            <div className="modal-body">
+              <div className="compare-columns">
+                {[compareData.a, compareData.b].map((record, index) => (
+                  <div key={record.id} className="detail-item">
+                    <div className="detail-label">{index === 0 ? 'Earlier capture (A)' : 'Later capture (B)'}</div>
+                    <div className="detail-value">
+                      <div>
+                        {record.captured_at ? (
+                          <time dateTime={record.captured_at}>{formatCaptureTime(record.captured_at)}</time>
+                        ) : (
+                          <>Received <time dateTime={record.created_at}>{formatDate(record.created_at)}</time></>
+                        )}
+                      </div>
+                      {record.source_url && <div className="source-url" title={record.source_url}>{record.source_url}</div>}
+                      <div className="mono">{record.evidence_id || record.id}</div>
+                      <div className="mono" style={{ fontSize: 'var(--font-size-xs)' }}>SHA-256 {record.pdf_hash}</div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {!compareData.same_source_url && (
+                <div className="detail-item" role="note">
+                  <span className="status-badge" style={{ color: 'var(--color-warning-600)', backgroundColor: 'var(--color-warning-50)' }}>
+                    <span aria-hidden="true">⚠</span> The two records were captured from different URLs
+                  </span>
+                </div>
+              )}
+
+              <div className="detail-item">
+                <div className="detail-label">Pages</div>
+                <div className="detail-value">
+                  {compareData.page_count.a} → {compareData.page_count.b}
+                  {compareData.page_count.delta !== 0
+                    ? ` (${compareData.page_count.delta > 0 ? '+' : ''}${compareData.page_count.delta})`
+                    : ' (unchanged)'}
+                  {compareData.identical_pdf && ' · the PDFs are byte-for-byte identical'}
+                </div>
+              </div>
+
+              <div className="detail-item">
+                <div className="detail-label">
+                  Text
+                  <span style={{ fontSize: 'var(--font-size-xs)', color: 'var(--color-neutral-500)', fontWeight: 'var(--font-weight-normal)' }}>
+                    {compareData.text.identical
+                      ? ' — no changes'
+                      : ` — ${compareData.text.removed} line${compareData.text.removed === 1 ? '' : 's'} removed, ${compareData.text.added} added`}
+                    {compareData.text.truncated && ' (too many changes to align; shown as one replacement)'}
+                  </span>
+                </div>
+                {!compareData.text.identical && (
+                  <table className="diff-table">
+                    <thead>
+                      <tr>
+                        <th colSpan={2}>A</th>
+                        <th colSpan={2}>B</th>
+                      </tr>
+                    </thead>
+                    {compareData.text.hunks.map(hunk => (
+                      <tbody key={`${hunk.a_start}-${hunk.b_start}`}>
+                        <tr className="diff-hunk-header">
+                          <td colSpan={4}>
+                            Lines {hunk.a_start}–{hunk.a_start + Math.max(hunk.a_count, 1) - 1} → {hunk.b_start}–{hunk.b_start + Math.max(hunk.b_count, 1) - 1}
+                          </td>
+                        </tr>
+                        {sideBySideRows(hunk.lines).map((row, index) => (
+                          <tr key={index}>
+                            <td className="diff-line-number" title={row.left?.a_page ? `Page ${row.left.a_page}` : undefined}>
+                              {row.left?.a_line ?? ''}
+                            </td>
+                            <td className={`diff-line ${row.left ? `diff-${row.left.type}` : 'diff-empty'}`}>
+                              {row.left?.text}
+                            </td>
+                            <td className="diff-line-number" title={row.right?.b_page ? `Page ${row.right.b_page}` : undefined}>
+                              {row.right?.b_line ?? ''}
+                            </td>
+                            <td className={`diff-line ${row.right ? `diff-${row.right.type}` : 'diff-empty'}`}>
+                              {row.right?.text}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    ))}
+                  </table>
+                )}
+              </div>
+
+              <div className="detail-item">
+                <div className="detail-label">Screenshot</div>
+                <div className="detail-value">
+                  {!compareData.visual.available || !compareData.visual.comparable ? (
+                    <span>{compareData.visual.reason}</span>
+                  ) : (
+                    <div className="diff-pages">
+                      {compareData.visual.pages?.map(page => (
+                        <div key={page.page} className="diff-page">
+                          <div>
+                            Page {page.page}:{' '}
+                            {page.status === 'changed' && page.mismatch_ratio !== null
+                              ? `${(page.mismatch_ratio * 100).toFixed(2)}% of pixels changed`
+                              : { identical: 'identical', added: 'only in B', removed: 'only in A', changed: 'changed' }[page.status]}
+                          </div>
+                          {page.status === 'changed' && page.diff_image_url && (
+                            <a href={page.diff_image_url} target="_blank" rel="noopener noreferrer">
+                              <img src={page.diff_image_url} alt={`Pixel differences on page ${page.page}`} loading="lazy" />
+                            </a>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            <div className="modal-footer">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setCompareData(null)}
+                aria-label="Close compare view"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Screen reader only content */}
       <div className="sr-only">
         <div aria-live="polite" aria-atomic="true">
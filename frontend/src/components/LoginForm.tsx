@@ -0,0 +1,133 @@
+'use client';
+
+import { useState } from 'react';
+
+export interface Membership {
+  id: string;
+  name: string;
+  role: string;
+  is_default: boolean;
+}
+
+export interface SessionUser {
+  user: {
+    id: string;
+    username: string;
+    email?: string | null;
+    display_name?: string | null;
+    is_admin: boolean;
+  } | null;
+  organization: {
+    id: string;
+    name: string;
+    role: string;
+  };
+  permissions: string[];
+  memberships: Membership[];
+}
+
+interface LoginFormProps {
+  onLogin: (session: SessionUser) => void;
+}
+
+export default function LoginForm({ onLogin }: LoginFormProps) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      // The API sets an httpOnly session cookie on success
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: username.trim(), password })
+      });
+
+      const result = await response.json().catch(() => null);
+
+      if (!response.ok || !result?.success) {
+        throw new Error(result?.message || result?.error?.message || `Login failed: ${response.status}`);
+      }
+
+      setPassword('');
+      onLogin({
+        user: result.data.user,
+        organization: result.data.organization,
+        permissions: result.data.permissions || [],
+        memberships: result.data.memberships || []
+      });
+    } catch (err) {
+      console.error('Error logging in:', err);
+      setError(err instanceof Error ? err.message : 'Login failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <main id="main-content" className="container" role="main" style={{ maxWidth: '480px', paddingTop: 'var(--space-16)' }}>
+      <section className="search-section" aria-labelledby="login-heading">
+        <div className="search-header">
+          <h2 id="login-heading">
+            <span className="icon" role="img" aria-label="Lock Icon">🔐</span>
+            Sign in to ProofVault
+          </h2>
+        </div>
+        <div className="search-content">
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="login-username" className="form-label">
+                Username or email
+              </label>
+              <input
+                id="login-username"
+                type="text"
+                className="form-input"
+                autoComplete="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                required
+              />
+            </div>
+            <div className="form-group" style={{ marginTop: 'var(--space-4)' }}>
+              <label htmlFor="login-password" className="form-label">
+                Password
+              </label>
+              <input
+                id="login-password"
+                type="password"
+                className="form-input"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+
+            {error && (
+              <p role="alert" style={{ color: 'var(--color-error-700)', marginTop: 'var(--space-4)' }}>
+                {error}
+              </p>
+            )}
+
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={submitting}
+              style={{ marginTop: 'var(--space-6)', width: '100%' }}
+            >
+              {submitting ? 'Signing in...' : 'Sign in'}
+            </button>
+          </form>
+        </div>
+      </section>
+    </main>
+  );
+}